@@ -0,0 +1,201 @@
+// Auth - Role-based access control for web methods and HTTP functions
+// Callers are guests, staff or owners. Web methods identify the logged-in site
+// member from their site roles; HTTP functions identify callers by an API key
+// sent as `x-api-key` (or `Authorization: Bearer <key>`) and compared with the
+// STAFF_API_KEY / OWNER_API_KEY secrets.
+// Guests managing their own booking are not site members; they prove who they
+// are with a signed booking token (see issueGuestToken).
+
+import { currentMember } from 'wix-members-backend';
+import { createHmac, timingSafeEqual } from 'crypto';
+import { AuthenticationError, AuthorizationError, ReservationError } from 'backend/errors';
+import { readSecret } from 'backend/serviceUtils';
+
+export const ROLES = {
+    GUEST: 'guest',
+    STAFF: 'staff',
+    OWNER: 'owner'
+};
+
+// Higher roles can do everything lower roles can
+const ROLE_RANK = {
+    [ROLES.GUEST]: 0,
+    [ROLES.STAFF]: 1,
+    [ROLES.OWNER]: 2
+};
+
+// Site role titles (set in the Wix dashboard) that map onto our roles
+export const OWNER_ROLE_TITLES = ['Admin', 'Owner'];
+export const STAFF_ROLE_TITLES = ['Staff', 'Front Desk'];
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} Whether they match
+ */
+function safeEquals(a, b) {
+    if (!a || !b) return false;
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && timingSafeEqual(left, right);
+}
+
+// ===== CALLER IDENTIFICATION =====
+
+/**
+ * Identify the site member calling a web method
+ * @returns {Promise<Object>} Caller ({ role, authenticated, memberId, name })
+ */
+export async function getWebMethodCaller() {
+    const member = await currentMember.getMember();
+    if (!member) {
+        return { role: ROLES.GUEST, authenticated: false, memberId: null, name: 'guest' };
+    }
+
+    const roleTitles = (await currentMember.getRoles()).map(role => role.title);
+    let role = ROLES.GUEST;
+    if (roleTitles.some(title => OWNER_ROLE_TITLES.includes(title))) {
+        role = ROLES.OWNER;
+    } else if (roleTitles.some(title => STAFF_ROLE_TITLES.includes(title))) {
+        role = ROLES.STAFF;
+    }
+
+    const name = (member.contactDetails && member.contactDetails.firstName) ||
+        (member.profile && member.profile.nickname) ||
+        member.loginEmail ||
+        member._id;
+
+    return { role, authenticated: true, memberId: member._id, name };
+}
+
+/**
+ * Identify the caller of an HTTP function from its API key
+ * Requests without a key are guests; a key that matches neither secret is rejected.
+ * @param {Object} request - wix-http-functions request
+ * @returns {Promise<Object>} Caller ({ role, authenticated, name })
+ */
+export async function getHttpCaller(request) {
+    const headers = request.headers || {};
+    const authorization = headers.authorization || '';
+    const apiKey = headers['x-api-key'] ||
+        (authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : null);
+
+    if (!apiKey) {
+        return { role: ROLES.GUEST, authenticated: false, name: 'guest' };
+    }
+
+    if (safeEquals(apiKey, await readSecret('OWNER_API_KEY'))) {
+        return { role: ROLES.OWNER, authenticated: true, name: 'owner (API key)' };
+    }
+    if (safeEquals(apiKey, await readSecret('STAFF_API_KEY'))) {
+        return { role: ROLES.STAFF, authenticated: true, name: 'staff (API key)' };
+    }
+
+    throw new AuthenticationError('Invalid API key');
+}
+
+// ===== AUTHORIZATION =====
+
+/**
+ * Whether a caller holds at least a role
+ * @param {Object} caller - Caller from getWebMethodCaller / getHttpCaller
+ * @param {string} requiredRole - One of ROLES
+ * @returns {boolean} Whether the role is held
+ */
+export function hasRole(caller, requiredRole) {
+    return ROLE_RANK[caller.role] >= ROLE_RANK[requiredRole];
+}
+
+/**
+ * Check that a caller holds at least the required role
+ * Anonymous callers get 401 (they may just need to sign in or send a key);
+ * identified callers without the role get 403.
+ * @param {Object} caller - Caller from getWebMethodCaller / getHttpCaller
+ * @param {string} requiredRole - One of ROLES
+ * @returns {Object} The caller
+ */
+export function assertRole(caller, requiredRole) {
+    if (hasRole(caller, requiredRole)) {
+        return caller;
+    }
+    if (!caller.authenticated) {
+        throw new AuthenticationError();
+    }
+    throw new AuthorizationError();
+}
+
+/**
+ * Require a role for the current web method call
+ * @param {string} requiredRole - One of ROLES
+ * @returns {Promise<Object>} The caller
+ */
+export async function requireWebMethodRole(requiredRole) {
+    return assertRole(await getWebMethodCaller(), requiredRole);
+}
+
+/**
+ * Require a role for an HTTP function request
+ * @param {Object} request - wix-http-functions request
+ * @param {string} requiredRole - One of ROLES
+ * @returns {Promise<Object>} The caller
+ */
+export async function requireHttpRole(request, requiredRole) {
+    return assertRole(await getHttpCaller(request), requiredRole);
+}
+
+// ===== GUEST BOOKING TOKENS =====
+
+/**
+ * Read the key guest booking tokens are signed with
+ * @returns {Promise<string>} Signing key
+ */
+async function getGuestTokenKey() {
+    const key = await readSecret('GUEST_TOKEN_SECRET');
+    if (!key) {
+        throw new ReservationError('Guest booking access is not configured', { status: 503, code: 'NOT_CONFIGURED' });
+    }
+    return key;
+}
+
+/**
+ * Sign the ID and expiry part of a guest token
+ * @param {string} payload - `<bookingId>.<expiry in seconds>`
+ * @param {string} key - Signing key
+ * @returns {string} Signature
+ */
+function signGuestToken(payload, key) {
+    return createHmac('sha256', key).update(payload).digest('base64url');
+}
+
+/**
+ * Issue a token that lets a guest manage one booking without signing in
+ * @param {string} bookingId - Booking the token opens
+ * @param {Date} expiresAt - When the token stops working
+ * @returns {Promise<string>} Token
+ */
+export async function issueGuestToken(bookingId, expiresAt) {
+    const payload = `${bookingId}.${Math.floor(expiresAt.getTime() / 1000)}`;
+    return `${payload}.${signGuestToken(payload, await getGuestTokenKey())}`;
+}
+
+/**
+ * Check a guest token and read the booking it opens
+ * @param {string} token - Token from issueGuestToken
+ * @returns {Promise<string>} Booking ID
+ */
+export async function verifyGuestToken(token) {
+    const [bookingId, expiry, signature] = String(token || '').split('.');
+    if (!bookingId || !expiry || !signature) {
+        throw new AuthenticationError('Invalid booking token');
+    }
+
+    const expected = signGuestToken(`${bookingId}.${expiry}`, await getGuestTokenKey());
+    if (!safeEquals(signature, expected)) {
+        throw new AuthenticationError('Invalid booking token');
+    }
+    if (Number(expiry) * 1000 < Date.now()) {
+        throw new AuthenticationError('Booking token has expired');
+    }
+    return bookingId;
+}
@@ -0,0 +1,201 @@
+// Block Service - Owner blackout and maintenance blocks on cottages
+// A block closes a cottage for a named date range (repairs, a private family
+// stay, ...). Its nights are written to Availability with no bookingId, so
+// availability checks, search and the calendar treat them as taken. Blocks are
+// placed under a hold, so they can never overlap a booking or another block.
+// Blocks imported from a channel's iCal feed carry the channel as `source`.
+
+import { COLLECTIONS } from 'backend/collections';
+import { BookingConflictError, ReservationError } from 'backend/errors';
+import { startOfDay, getNightDates, isValidDate } from 'backend/dateUtils';
+import { reservationService } from 'backend/reservationService';
+import { assertValidItem } from 'backend/validation';
+import { wixDataRepository } from 'backend/dataRepository';
+
+export class BlockService {
+
+    /**
+     * @param {Object} [options] - Options
+     * @param {Object} [options.repository] - Where records are read and written (see dataRepository); wix-data by default
+     * @param {Object} [options.services] - Services to call instead of the site's own, e.g. { reservationService }
+     */
+    constructor({ repository = wixDataRepository, services = {} } = {}) {
+        this.repository = repository;
+        this.reservationService = services.reservationService || reservationService;
+    }
+
+    // ===== BLOCKS =====
+
+    /**
+     * Close a cottage for a date range
+     * @param {Object} blockData - Block details
+     * @param {string} blockData.cottageId - Cottage to close
+     * @param {Date} blockData.startDate - First night closed
+     * @param {Date} blockData.endDate - Day the cottage reopens (not closed itself)
+     * @param {string} blockData.name - Short name, e.g. "Roof repairs"
+     * @param {string} blockData.reason - Why the cottage is closed
+     * @param {string} [blockData.createdBy] - Who placed the block
+     * @param {string} [blockData.source] - Channel the block was imported from (none for manual blocks)
+     * @param {string} [blockData.externalUid] - The channel's event UID
+     * @returns {Promise<Object>} Created block
+     */
+    async createBlock({ cottageId, startDate, endDate, name, reason, createdBy = 'staff', source = null, externalUid = null }) {
+        let hold = null;
+        let block = null;
+
+        try {
+            if (!cottageId || !name || !reason) {
+                throw new ReservationError('Missing required parameters: cottageId, name, reason');
+            }
+            if (!isValidDate(startDate) || !isValidDate(endDate)) {
+                throw new ReservationError('Invalid startDate or endDate');
+            }
+            const nights = getNightDates(startDate, endDate);
+            if (nights.length < 1) {
+                throw new ReservationError('endDate must be after startDate');
+            }
+
+            // Locks the nights so no booking can slip in while the block is written
+            try {
+                hold = await this.reservationService.acquireHold(cottageId, startDate, endDate);
+            } catch (error) {
+                if (error instanceof BookingConflictError) {
+                    throw new BookingConflictError('The block overlaps bookings or other blocks', error.conflictingDates);
+                }
+                throw error;
+            }
+
+            block = await this.repository.insert(COLLECTIONS.COTTAGE_BLOCKS, assertValidItem(COLLECTIONS.COTTAGE_BLOCKS, {
+                cottageId: cottageId,
+                name: name,
+                reason: reason,
+                startDate: startOfDay(startDate),
+                endDate: startOfDay(endDate),
+                createdBy: createdBy,
+                source: source,
+                externalUid: externalUid,
+                createdDate: new Date(),
+                updatedDate: new Date()
+            }));
+
+            const rows = nights.map(night => assertValidItem(COLLECTIONS.AVAILABILITY, {
+                cottageId: cottageId,
+                date: night,
+                isAvailable: false,
+                bookingId: null,
+                blockId: block._id,
+                createdDate: new Date(),
+                updatedDate: new Date()
+            }));
+
+            // The hold may have run out and been taken over while the block was written
+            await this.reservationService.assertHoldOwned(hold.holdId, hold.nights);
+            await this.repository.bulkInsert(COLLECTIONS.AVAILABILITY, rows);
+
+            return block;
+
+        } catch (error) {
+            console.error('Error creating cottage block:', error);
+            if (block) {
+                await this.removeBlockNights(block._id);
+                await this.repository.remove(COLLECTIONS.COTTAGE_BLOCKS, block._id);
+            }
+            throw error;
+        } finally {
+            if (hold) {
+                await this.reservationService.releaseHold(hold.holdId);
+            }
+        }
+    }
+
+    /**
+     * List blocks, soonest first
+     * @param {Object} [filters] - Optional filters
+     * @param {string} [filters.cottageId] - Only this cottage
+     * @param {string} [filters.source] - Only blocks imported from this channel
+     * @param {Date} [filters.fromDate] - Only blocks still running on or after this date
+     * @param {Date} [filters.toDate] - Only blocks starting before this date
+     * @returns {Promise<Array>} Blocks
+     */
+    async listBlocks(filters = {}) {
+        try {
+            let query = this.repository.query(COLLECTIONS.COTTAGE_BLOCKS);
+
+            if (filters.cottageId) {
+                query = query.eq('cottageId', filters.cottageId);
+            }
+            if (filters.source) {
+                query = query.eq('source', filters.source);
+            }
+            if (filters.fromDate) {
+                query = query.gt('endDate', startOfDay(filters.fromDate));
+            }
+            if (filters.toDate) {
+                query = query.lt('startDate', startOfDay(filters.toDate));
+            }
+
+            const result = await query
+                .ascending('startDate')
+                .limit(1000)
+                .find();
+
+            return result.items;
+
+        } catch (error) {
+            console.error('Error listing cottage blocks:', error);
+            throw new Error('Failed to list cottage blocks');
+        }
+    }
+
+    /**
+     * Remove a block and reopen its nights
+     * @param {string} blockId - Block ID
+     * @returns {Promise<Object>} Removed block and the reopened dates
+     */
+    async removeBlock(blockId) {
+        try {
+            const block = await this.repository.get(COLLECTIONS.COTTAGE_BLOCKS, blockId);
+            if (!block) {
+                throw new ReservationError('Block not found', { status: 404, code: 'NOT_FOUND' });
+            }
+
+            const releasedDates = await this.removeBlockNights(blockId);
+            await this.repository.remove(COLLECTIONS.COTTAGE_BLOCKS, blockId);
+
+            return {
+                block: block,
+                releasedDates: releasedDates
+            };
+
+        } catch (error) {
+            console.error('Error removing cottage block:', error);
+            throw error;
+        }
+    }
+
+    // ===== UTILITY FUNCTIONS =====
+
+    /**
+     * Delete the Availability rows written for a block
+     * @param {string} blockId - Block ID
+     * @returns {Promise<Array<Date>>} Reopened dates
+     */
+    async removeBlockNights(blockId) {
+        const rows = await this.repository.query(COLLECTIONS.AVAILABILITY)
+            .eq('blockId', blockId)
+            .limit(1000)
+            .find();
+
+        if (rows.items.length > 0) {
+            await this.repository.bulkRemove(COLLECTIONS.AVAILABILITY, rows.items.map(row => row._id));
+        }
+
+        return rows.items
+            .map(row => row.date)
+            .sort((a, b) => new Date(a) - new Date(b));
+    }
+}
+
+// Export singleton instance
+export const blockService = new BlockService();
+export default blockService;
@@ -0,0 +1,165 @@
+// Calendar Service - Night-by-night availability for date pickers
+// For each cottage and a range of whole months, every night gets a status and
+// its price, so the booking form can disable nights before the guest asks:
+//     available - free, and a stay of the minimum length can start here
+//     booked    - taken by a booking
+//     blocked   - closed by the lodge, or held by a guest who is still booking
+//     minStay   - free, but the free nights that follow are fewer than the minimum stay
+
+import { COLLECTIONS } from 'backend/collections';
+import { ReservationError } from 'backend/errors';
+import { addDays, toDateKey, getNightDates } from 'backend/dateUtils';
+import { pricingService } from 'backend/pricingService';
+import { reservationService } from 'backend/reservationService';
+import { wixDataRepository } from 'backend/dataRepository';
+
+export const NIGHT_STATUS = {
+    AVAILABLE: 'available',
+    BOOKED: 'booked',
+    BLOCKED: 'blocked',
+    MIN_STAY: 'minStay'
+};
+
+// Longest range one request may cover
+export const MAX_CALENDAR_MONTHS = 6;
+
+// Nights past the end of the range read so min-stay runs near the end are judged correctly
+const MIN_STAY_LOOKAHEAD_DAYS = 30;
+
+const MONTH_PATTERN = /^(\d{4})-(\d{2})$/;
+
+export class CalendarService {
+
+    /**
+     * @param {Object} [options] - Options
+     * @param {Object} [options.repository] - Where records are read and written (see dataRepository); wix-data by default
+     * @param {Object} [options.services] - Services to call instead of the site's own, e.g. { reservationService }
+     */
+    constructor({ repository = wixDataRepository, services = {} } = {}) {
+        this.repository = repository;
+        this.reservationService = services.reservationService || reservationService;
+    }
+
+    // ===== CALENDAR =====
+
+    /**
+     * Get every night's status and price for one or all cottages over whole months
+     * @param {Object} request - Calendar request
+     * @param {string} request.month - First month, as YYYY-MM
+     * @param {number} [request.months] - Number of months (default 1)
+     * @param {string} [request.cottageId] - One cottage; all active cottages when omitted
+     * @param {string} [request.packageId] - Package whose rules apply to the prices
+     * @returns {Promise<Object>} Range and, per cottage, its nights
+     */
+    async getCalendar({ month, months = 1, cottageId = null, packageId = null }) {
+        try {
+            const match = MONTH_PATTERN.exec(month || '');
+            if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+                throw new ReservationError('Invalid month: expected YYYY-MM');
+            }
+            if (!Number.isInteger(months) || months < 1 || months > MAX_CALENDAR_MONTHS) {
+                throw new ReservationError(`months must be between 1 and ${MAX_CALENDAR_MONTHS}`);
+            }
+
+            const startDate = new Date(Number(match[1]), Number(match[2]) - 1, 1);
+            const endDate = new Date(startDate.getFullYear(), startDate.getMonth() + months, 1);
+
+            const cottages = await this.getCottages(cottageId);
+            const packageData = packageId ? await this.repository.get(COLLECTIONS.PACKAGES, packageId) : null;
+            if (packageId && !packageData) {
+                throw new ReservationError('Package not found', { status: 404, code: 'NOT_FOUND' });
+            }
+
+            const occupied = await this.reservationService.getOccupiedNights(
+                startDate,
+                addDays(endDate, MIN_STAY_LOOKAHEAD_DAYS)
+            );
+
+            return {
+                startDate: toDateKey(startDate),
+                endDate: toDateKey(endDate),
+                cottages: cottages.map(cottage => ({
+                    cottageId: cottage._id,
+                    name: cottage.name,
+                    nights: this.getCottageNights(cottage, packageData, startDate, endDate,
+                                                  occupied[cottage._id] || new Map())
+                }))
+            };
+
+        } catch (error) {
+            console.error('Error building availability calendar:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Work out the status and price of each night for one cottage
+     * @param {Object} cottage - Cottage record
+     * @param {Object} packageData - Package record (may be null)
+     * @param {Date} startDate - First night
+     * @param {Date} endDate - Night after the last
+     * @param {Map} occupied - YYYY-MM-DD key to 'booked' or 'blocked'
+     * @returns {Array} Nights ({ date, status, price, minStay })
+     */
+    getCottageNights(cottage, packageData, startDate, endDate, occupied) {
+        return getNightDates(startDate, endDate).map(date => {
+            const dateKey = toDateKey(date);
+            const minStay = pricingService.getMinStay(cottage, packageData, date);
+
+            let status = occupied.get(dateKey);
+            if (!status) {
+                status = this.countFreeNights(occupied, date, minStay) < minStay
+                    ? NIGHT_STATUS.MIN_STAY
+                    : NIGHT_STATUS.AVAILABLE;
+            }
+
+            return {
+                date: dateKey,
+                status: status,
+                price: pricingService.getNightlyRate(cottage, packageData, date).rate,
+                minStay: minStay
+            };
+        });
+    }
+
+    // ===== UTILITY FUNCTIONS =====
+
+    /**
+     * Count consecutive free nights from a date, stopping once `limit` is reached
+     * @param {Map} occupied - Taken YYYY-MM-DD keys
+     * @param {Date} date - First night
+     * @param {number} limit - Stop counting here
+     * @returns {number} Free nights in a row
+     */
+    countFreeNights(occupied, date, limit) {
+        let free = 0;
+        while (free < limit && !occupied.has(toDateKey(addDays(date, free)))) {
+            free++;
+        }
+        return free;
+    }
+
+    /**
+     * Get the cottages a calendar covers
+     * @param {string} [cottageId] - One cottage, or all active cottages
+     * @returns {Promise<Array>} Cottages
+     */
+    async getCottages(cottageId) {
+        if (cottageId) {
+            const cottage = await this.repository.get(COLLECTIONS.COTTAGES, cottageId);
+            if (!cottage) {
+                throw new ReservationError('Cottage not found', { status: 404, code: 'NOT_FOUND' });
+            }
+            return [cottage];
+        }
+
+        const result = await this.repository.query(COLLECTIONS.COTTAGES)
+            .eq('isActive', true)
+            .find();
+        return result.items;
+    }
+}
+
+// Export singleton instance
+export const calendarService = new CalendarService();
+export default calendarService;
@@ -0,0 +1,301 @@
+// Cancellation Service - Cancellation policies and refunds
+// A policy keeps a share of the booking total depending on how many days
+// before check-in the booking is cancelled. What the guest has paid beyond
+// that penalty is refunded; nothing more than was paid is ever refunded.
+//
+// cancellationPolicy shape:
+// {
+//     name: 'Flexible',
+//     nonRefundable: false,
+//     tiers: [
+//         { minDaysBefore: 30, refundPercent: 100 },
+//         { minDaysBefore: 7, refundPercent: 50 },
+//         { minDaysBefore: 0, refundPercent: 0 }
+//     ]
+// }
+// The tier with the largest minDaysBefore the cancellation is at least that
+// many days before check-in applies; a nonRefundable policy refunds nothing.
+//
+// A policy can be set on a package, and on a season or festival in the
+// seasonalPricing of a package or cottage (see pricingService), where it
+// applies to stays arriving in that season. The most specific one wins:
+// package festival, package season, cottage festival, cottage season, the
+// package's own policy, then DEFAULT_CANCELLATION_POLICY. Group bookings use
+// their package's rules.
+//
+// Amounts are in the booking's charged currency, like the payment ledger.
+
+import { COLLECTIONS, BOOKING_STATUS, PAYMENT_STATUS } from 'backend/collections';
+import { ReservationError } from 'backend/errors';
+import { bookingStatusMachine } from 'backend/statusMachine';
+import { pricingService } from 'backend/pricingService';
+import { currencyService } from 'backend/currencyService';
+import { paymentScheduleService } from 'backend/paymentScheduleService';
+import { wixDataRepository } from 'backend/dataRepository';
+
+// Full refund up to 30 days before check-in, half up to 7 days, nothing after
+export const DEFAULT_CANCELLATION_POLICY = {
+    name: 'Standard',
+    nonRefundable: false,
+    tiers: [
+        { minDaysBefore: 30, refundPercent: 100 },
+        { minDaysBefore: 7, refundPercent: 50 },
+        { minDaysBefore: 0, refundPercent: 0 }
+    ]
+};
+
+export class CancellationService {
+
+    /**
+     * @param {Object} [options] - Options
+     * @param {Object} [options.repository] - Where records are read and written (see dataRepository); wix-data by default
+     * @param {Object} [options.services] - Services to call instead of the site's own, e.g. { currencyService }
+     */
+    constructor({ repository = wixDataRepository, services = {} } = {}) {
+        this.repository = repository;
+        this.currencyService = services.currencyService || currencyService;
+        this.paymentScheduleService = services.paymentScheduleService || paymentScheduleService;
+    }
+
+    // ===== POLICIES =====
+
+    /**
+     * Get the cancellation policy that applies to a booking
+     * @param {Object} booking - Booking
+     * @returns {Promise<Object>} Policy with source ('festival', 'season', 'package' or 'default') and sourceName
+     */
+    async getPolicy(booking) {
+        const packageData = booking.packageId ? await this.repository.get(COLLECTIONS.PACKAGES, booking.packageId) : null;
+        const cottage = booking.cottageId ? await this.repository.get(COLLECTIONS.COTTAGES, booking.cottageId) : null;
+        return this.resolvePolicy(cottage, packageData, new Date(booking.checkInDate));
+    }
+
+    /**
+     * Pick the most specific policy for a stay
+     * @param {Object} cottage - Cottage record (may be null)
+     * @param {Object} packageData - Package record (may be null)
+     * @param {Date} checkInDate - Check-in date
+     * @returns {Object} Policy with source and sourceName
+     */
+    resolvePolicy(cottage, packageData, checkInDate) {
+        for (const owner of [packageData, cottage]) {
+            const rules = owner && owner.seasonalPricing;
+            if (!rules) continue;
+
+            const festival = (rules.festivals || []).find(rule => this.isPolicy(rule.cancellationPolicy) && pricingService.isOnFestival(rule, checkInDate));
+            if (festival) {
+                return { ...festival.cancellationPolicy, source: 'festival', sourceName: festival.name || '' };
+            }
+            const season = (rules.seasons || []).find(rule => this.isPolicy(rule.cancellationPolicy) && pricingService.isInSeason(rule, checkInDate));
+            if (season) {
+                return { ...season.cancellationPolicy, source: 'season', sourceName: season.name || '' };
+            }
+        }
+
+        if (packageData && this.isPolicy(packageData.cancellationPolicy)) {
+            return { ...packageData.cancellationPolicy, source: 'package', sourceName: packageData.name || '' };
+        }
+        return { ...DEFAULT_CANCELLATION_POLICY, source: 'default', sourceName: '' };
+    }
+
+    /**
+     * Get the tier of a policy that applies a number of days before check-in
+     * @param {Object} policy - Cancellation policy
+     * @param {number} daysBefore - Days from cancellation to check-in
+     * @returns {Object} { minDaysBefore, refundPercent }
+     */
+    getTier(policy, daysBefore) {
+        if (policy.nonRefundable) {
+            return { minDaysBefore: 0, refundPercent: 0 };
+        }
+
+        const tier = [...(policy.tiers || [])]
+            .sort((a, b) => (b.minDaysBefore || 0) - (a.minDaysBefore || 0))
+            .find(candidate => daysBefore >= (candidate.minDaysBefore || 0));
+        if (!tier) {
+            return { minDaysBefore: 0, refundPercent: 0 };
+        }
+        return {
+            minDaysBefore: tier.minDaysBefore || 0,
+            refundPercent: Math.min(Math.max(tier.refundPercent || 0, 0), 100)
+        };
+    }
+
+    /**
+     * Describe a policy's tiers for guests, most generous first
+     * @param {Object} policy - Cancellation policy
+     * @returns {Array} Sentences, e.g. "Cancel 30 or more days before check-in: 100% refund"
+     */
+    describePolicy(policy) {
+        if (policy.nonRefundable) {
+            return ['Non-refundable: no refund on cancellation'];
+        }
+        return [...(policy.tiers || [])]
+            .sort((a, b) => (b.minDaysBefore || 0) - (a.minDaysBefore || 0))
+            .map(tier => {
+                const when = tier.minDaysBefore > 0
+                    ? `Cancel ${tier.minDaysBefore} or more days before check-in`
+                    : 'Cancel later';
+                return `${when}: ${tier.refundPercent || 0}% refund`;
+            });
+    }
+
+    // ===== REFUNDS =====
+
+    /**
+     * Work out the refund and penalty of cancelling a booking now, without cancelling it
+     * @param {string} bookingId - Booking (or group booking) ID
+     * @param {Date} [now] - Date of the cancellation
+     * @returns {Promise<Object>} Refund breakdown (see calculateRefund)
+     */
+    async previewCancellation(bookingId, now = new Date()) {
+        try {
+            const booking = await this.repository.get(COLLECTIONS.BOOKINGS, bookingId);
+            if (!booking) {
+                throw new ReservationError('Booking not found', { status: 404, code: 'NOT_FOUND' });
+            }
+            if (booking.groupId) {
+                throw new ReservationError('This cottage is part of a group booking. Cancel the group booking instead.', { status: 409, code: 'GROUP_LINE' });
+            }
+            bookingStatusMachine.assertTransition(booking.status, BOOKING_STATUS.CANCELLED);
+
+            return await this.calculateRefund(booking, now);
+
+        } catch (error) {
+            console.error('Error previewing cancellation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Work out the refund owed if a booking is cancelled on a date
+     * The penalty is the share of the total the policy keeps; the refund is
+     * whatever has been paid beyond it.
+     * @param {Object} booking - Booking
+     * @param {Date} [now] - Date of the cancellation
+     * @returns {Promise<Object>} { bookingId, policy, daysBeforeCheckIn, refundPercent, currency, totalAmount, amountPaid, penalty, refundAmount, baseRefundAmount }
+     */
+    async calculateRefund(booking, now = new Date()) {
+        const policy = await this.getPolicy(booking);
+        const daysBefore = this.paymentScheduleService.getDaysAhead(booking.checkInDate, now);
+        const tier = this.getTier(policy, daysBefore);
+        await this.currencyService.getBaseCurrency();
+        const charge = this.currencyService.getCharge(booking);
+        const ledger = await this.paymentScheduleService.getLedger(booking, now);
+
+        const penalty = this.currencyService.roundAmount(charge.amount * (100 - tier.refundPercent) / 100, charge.currency);
+        const refundAmount = this.currencyService.roundAmount(Math.max(ledger.amountPaid - penalty, 0), charge.currency);
+
+        return {
+            bookingId: booking._id,
+            policy: {
+                name: policy.name || '',
+                nonRefundable: Boolean(policy.nonRefundable),
+                tiers: policy.tiers || [],
+                source: policy.source,
+                sourceName: policy.sourceName,
+                description: this.describePolicy(policy)
+            },
+            daysBeforeCheckIn: daysBefore,
+            refundPercent: tier.refundPercent,
+            currency: charge.currency,
+            totalAmount: charge.amount,
+            amountPaid: ledger.amountPaid,
+            penalty: penalty,
+            refundAmount: refundAmount,
+            baseRefundAmount: this.currencyService.toBase(refundAmount, charge)
+        };
+    }
+
+    /**
+     * Get the fields to store on a booking when it is cancelled
+     * @param {Object} refund - Result of calculateRefund
+     * @returns {Object} cancellationPolicy, cancellationPenalty and refundDue
+     */
+    getBookingFields(refund) {
+        return {
+            cancellationPolicy: {
+                name: refund.policy.name,
+                source: refund.policy.source,
+                sourceName: refund.policy.sourceName,
+                daysBeforeCheckIn: refund.daysBeforeCheckIn,
+                refundPercent: refund.refundPercent
+            },
+            cancellationPenalty: refund.penalty,
+            refundDue: refund.refundAmount
+        };
+    }
+
+    /**
+     * Record a refund owed against the payments it is to be paid back on
+     * The latest payments are refunded first, each up to what is still held on it.
+     * @param {string} bookingId - Booking ID
+     * @param {number} refundAmount - Refund in the charged currency
+     * @param {string} currency - Charged currency
+     * @returns {Promise<Array>} [{ paymentId, orderId, provider, refundDue }] for each payment with a refund due
+     */
+    async allocateRefund(bookingId, refundAmount, currency) {
+        try {
+            const result = await this.repository.query(COLLECTIONS.PAYMENTS)
+                .eq('bookingId', bookingId)
+                .hasSome('status', [PAYMENT_STATUS.PAID, PAYMENT_STATUS.REFUNDED])
+                .limit(1000)
+                .find();
+            const payments = result.items
+                .sort((a, b) => new Date(b.paidDate || b.createdDate) - new Date(a.paidDate || a.createdDate));
+
+            let remaining = refundAmount;
+            const allocations = [];
+            for (const payment of payments) {
+                if (remaining <= 0) break;
+
+                const share = this.currencyService.roundAmount(Math.min(this.getHeldAmount(payment), remaining), currency);
+                if (share <= 0) continue;
+                remaining = this.currencyService.roundAmount(remaining - share, currency);
+
+                await this.repository.update(COLLECTIONS.PAYMENTS, {
+                    ...payment,
+                    refundDue: share,
+                    updatedDate: new Date()
+                });
+                allocations.push({
+                    paymentId: payment._id,
+                    orderId: payment.orderId,
+                    provider: payment.provider,
+                    refundDue: share
+                });
+            }
+            return allocations;
+
+        } catch (error) {
+            console.error('Error allocating refund:', error);
+            throw error;
+        }
+    }
+
+    // ===== UTILITY FUNCTIONS =====
+
+    /**
+     * Get what is still held on a payment after any refunds
+     * @param {Object} payment - Payment record
+     * @returns {number} Amount in the payment's currency
+     */
+    getHeldAmount(payment) {
+        if (payment.status !== PAYMENT_STATUS.REFUNDED) return payment.amount;
+        const refunded = typeof payment.refundedAmount === 'number' ? payment.refundedAmount : payment.amount;
+        return Math.max(payment.amount - refunded, 0);
+    }
+
+    /**
+     * Check a value looks like a cancellation policy
+     * @param {Object} policy - Candidate policy
+     * @returns {boolean} Whether it can be applied
+     */
+    isPolicy(policy) {
+        return Boolean(policy) && (policy.nonRefundable === true || (Array.isArray(policy.tiers) && policy.tiers.length > 0));
+    }
+}
+
+// Export singleton instance
+export const cancellationService = new CancellationService();
+export default cancellationService;
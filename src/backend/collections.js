@@ -10,7 +10,20 @@ export const COLLECTIONS = {
     BOOKINGS: 'Bookings',
     AVAILABILITY: 'Availability',
     SAFARI_BOOKINGS: 'SafariBookings',
-    SAFARI_INQUIRIES: 'SafariInquiries'
+    SAFARI_INQUIRIES: 'SafariInquiries',
+    BOOKING_HOLDS: 'BookingHolds',
+    PAYMENTS: 'Payments',
+    SAFARI_ZONES: 'SafariZones',
+    NOTIFICATION_TEMPLATES: 'NotificationTemplates',
+    NOTIFICATION_OUTBOX: 'NotificationOutbox',
+    COTTAGE_BLOCKS: 'CottageBlocks',
+    PROMOTIONS: 'Promotions',
+    PROMOTION_REDEMPTIONS: 'PromotionRedemptions',
+    INVOICES: 'Invoices',
+    EXCHANGE_RATES: 'ExchangeRates',
+    QUOTES: 'Quotes',
+    SAFARI_SEATS: 'SafariSeats',
+    SAFARI_ALLOWANCES: 'SafariAllowances'
 };
 
 // Cottage types
@@ -43,6 +56,64 @@ export const SAFARI_STATUS = {
     CANCELLED: 'Cancelled'
 };
 
+// Daily safari slots
+export const SAFARI_SLOTS = {
+    MORNING: 'Morning',
+    EVENING: 'Evening'
+};
+
+// Safari inquiry statuses
+export const INQUIRY_STATUS = {
+    NEW: 'New',
+    CONTACTED: 'Contacted',
+    CLOSED: 'Closed'
+};
+
+// Where a safari inquiry came from
+export const INQUIRY_SOURCES = {
+    WEBSITE: 'Website form',
+    PHONE: 'Phone',
+    EMAIL: 'Email'
+};
+
+// Payment statuses, used on both Payments and Bookings.paymentStatus
+// PartiallyPaid and Overdue only apply to bookings paid in instalments
+export const PAYMENT_STATUS = {
+    PENDING: 'Pending',
+    PARTIALLY_PAID: 'PartiallyPaid',
+    PAID: 'Paid',
+    OVERDUE: 'Overdue',
+    FAILED: 'Failed',
+    REFUNDED: 'Refunded'
+};
+
+// Guest messages the notification service sends
+export const NOTIFICATION_TYPES = {
+    BOOKING_CONFIRMATION: 'BookingConfirmation',
+    SAFARI_CONFIRMATION: 'SafariConfirmation',
+    CANCELLATION: 'Cancellation',
+    PRE_ARRIVAL_REMINDER: 'PreArrivalReminder'
+};
+
+// Notification outbox statuses
+export const OUTBOX_STATUS = {
+    PENDING: 'Pending',
+    SENT: 'Sent',
+    FAILED: 'Failed'
+};
+
+// How a promotion takes money off
+export const DISCOUNT_TYPES = {
+    PERCENTAGE: 'Percentage',
+    FIXED: 'Fixed'
+};
+
+// Billing documents kept in the Invoices collection
+export const INVOICE_TYPES = {
+    INVOICE: 'Invoice',
+    CREDIT_NOTE: 'CreditNote'
+};
+
 // Collection schemas
 export const COLLECTION_SCHEMAS = {
     [COLLECTIONS.COTTAGES]: {
@@ -50,11 +121,13 @@ export const COLLECTION_SCHEMAS = {
         name: 'string', // Hornbill, Kingfisher, Glass Cottage
         description: 'string',
         maxAdults: 'number', // Maximum 2 adults per room
-        maxChildren: 'number',
+        maxChildren: 'number', // Leave empty for no limit on children
+        childPolicy: 'object', // Age bands and child rate, e.g. { infantMaxAge: 4, childMaxAge: 11, childRatePercent: 50 } (see pricingService)
         basePricePerNight: 'number',
         images: 'array',
         amenities: 'array',
         isActive: 'boolean',
+        seasonalPricing: 'object', // Season, festival and weekend rate rules (see pricingService)
         createdDate: 'date',
         updatedDate: 'date'
     },
@@ -66,27 +139,63 @@ export const COLLECTION_SCHEMAS = {
         price: 'number',
         includesSafari: 'boolean',
         safariCount: 'number', // Number of safaris included
+        safariFee: 'number', // Optional charge per included safari, billed on its own line
         features: 'array',
         isActive: 'boolean',
-        seasonalPricing: 'object', // Different prices for different seasons
+        seasonalPricing: 'object', // Season, festival and weekend adjustments applied on top of the cottage rate
+        paymentSchedule: 'array', // Deposit and balance rules by booking window (see paymentScheduleService)
+        cancellationPolicy: 'object', // Refund tiers by days before check-in (see cancellationService)
         createdDate: 'date',
         updatedDate: 'date'
     },
     
+    // A group reservation is a parent booking (isGroup, no cottageId) plus one
+    // booking per cottage line whose groupId points at the parent
     [COLLECTIONS.BOOKINGS]: {
         _id: 'string',
+        bookingReference: 'string', // Short reference guests quote and sign in with, e.g. VM-7K3Q9D
         cottageId: 'string', // Reference to Cottages collection
         packageId: 'string', // Reference to Packages collection
         checkInDate: 'date',
         checkOutDate: 'date',
         adults: 'number',
         children: 'number',
+        childAges: 'array', // Age of each child in years, used for child pricing
         totalCost: 'number',
+        nightlyRates: 'array', // Rate charged for each night (see pricingService)
         status: 'string', // Pending, Confirmed, Cancelled, Completed
         customerInfo: 'object', // Name, email, phone, etc.
-        paymentStatus: 'string',
-        paymentId: 'string',
+        paymentStatus: 'string', // Pending, PartiallyPaid, Paid, Overdue, Failed, Refunded
+        paymentId: 'string', // Provider's payment ID once paid
+        paymentSchedule: 'array', // Deposit and balance instalments in the charged currency (see paymentScheduleService)
+        amountPaid: 'number', // Received less refunded, in the charged currency
+        balanceDue: 'number', // Still to pay, in the charged currency
+        nextPaymentDue: 'date', // Due date of the next unpaid instalment
         specialRequests: 'string',
+        cancelledBy: 'string', // Who cancelled the booking (staff name, guest, system)
+        cancellationReason: 'string',
+        cancelledDate: 'date',
+        cancellationPolicy: 'object', // Policy applied when cancelled: name, tier and refund percent
+        cancellationPenalty: 'number', // Amount kept under the policy, in the charged currency
+        refundDue: 'number', // Refund owed to the guest and not yet paid out, in the charged currency
+        promotionId: 'string', // Reference to Promotions when a promo code was used
+        promoCode: 'string',
+        subtotal: 'number', // Cost before the discount, service charge and GST
+        discountAmount: 'number',
+        serviceCharge: 'number',
+        taxAmount: 'number', // GST on all lines
+        lineItems: 'array', // Itemised charges with the GST on each (see taxService)
+        currency: 'string', // Currency the guest is charged in; amounts above stay in the base currency
+        exchangeRate: 'number', // Units of that currency per base unit when the booking was made
+        chargedTotal: 'number', // totalCost in the charged currency
+        quoteId: 'string', // Reference to Quotes when the booking was charged as quoted
+        cancellationRequested: 'boolean', // Guest asked to cancel; staff still to act
+        cancellationRequestedDate: 'date',
+        cancellationRequestReason: 'string',
+        datesChangedBy: 'string', // Who last moved the stay (staff name or guest)
+        datesChangedDate: 'date',
+        isGroup: 'boolean', // Parent of a group reservation
+        groupId: 'string', // Reference to the parent booking for a group line
         createdDate: 'date',
         updatedDate: 'date'
     },
@@ -97,6 +206,7 @@ export const COLLECTION_SCHEMAS = {
         date: 'date',
         isAvailable: 'boolean',
         bookingId: 'string', // Reference to Bookings collection if not available
+        blockId: 'string', // Reference to CottageBlocks when the night is closed by a block
         createdDate: 'date',
         updatedDate: 'date'
     },
@@ -104,10 +214,11 @@ export const COLLECTION_SCHEMAS = {
     [COLLECTIONS.SAFARI_BOOKINGS]: {
         _id: 'string',
         bookingId: 'string', // Reference to Bookings collection
+        zoneId: 'string', // Reference to SafariZones collection
         safariDate: 'date',
-        safariTime: 'string',
+        safariTime: 'string', // Slot start time, e.g. 06:00
         status: 'string', // Pending, Confirmed, Cancelled
-        safariType: 'string', // Morning, Evening, etc.
+        safariType: 'string', // Morning, Evening
         createdDate: 'date',
         updatedDate: 'date'
     },
@@ -125,8 +236,302 @@ export const COLLECTION_SCHEMAS = {
         notes: 'string',
         status: 'string', // New, Contacted, Closed
         source: 'string', // Website form, Phone, Email
+        statusHistory: 'array', // [{ status, note, updatedBy, date }]
+        convertedBookingId: 'string', // Reference to Bookings once converted
+        createdDate: 'date',
+        updatedDate: 'date'
+    },
+
+    // Short-lived locks on individual nights while a booking is being made.
+    // One row per cottage night; _id is `${cottageId}_${YYYY-MM-DD}` so a second
+    // insert for the same night fails, which is what makes acquiring a hold atomic.
+    [COLLECTIONS.BOOKING_HOLDS]: {
+        _id: 'string',
+        holdId: 'string', // Groups the nights of one hold
+        cottageId: 'string', // Reference to Cottages collection
+        date: 'date',
+        checkInDate: 'date',
+        checkOutDate: 'date',
+        expiresAt: 'date',
+        createdDate: 'date',
+        updatedDate: 'date'
+    },
+
+    // Park zones with their daily safari slots and closure days (see safariService)
+    [COLLECTIONS.SAFARI_ZONES]: {
+        _id: 'string',
+        name: 'string',
+        slots: 'array', // [{ type: 'Morning', startTime: '06:00', capacity: 6 }]
+        weeklyClosures: 'array', // [{ day: 3, slots: ['Evening'] }]
+        closures: 'array', // [{ from: '2026-07-01', to: '2026-09-30', reason: 'Monsoon' }]
+        isActive: 'boolean',
+        createdDate: 'date',
+        updatedDate: 'date'
+    },
+
+    // One row per payment attempt; provider webhooks update the status
+    [COLLECTIONS.PAYMENTS]: {
+        _id: 'string',
+        bookingId: 'string', // Reference to Bookings collection
+        provider: 'string', // mock, razorpay, ...
+        orderId: 'string', // Provider's order / payment link ID
+        paymentId: 'string', // Provider's payment ID once paid
+        amount: 'number', // In the payment's currency
+        currency: 'string',
+        exchangeRate: 'number', // Booking's rate, units of currency per base unit
+        baseAmount: 'number', // Amount in the base currency
+        instalment: 'string', // deposit, balance or full
+        status: 'string', // Pending, Paid, Failed, Refunded
+        paidDate: 'date',
+        refundedAmount: 'number', // Total refunded so far, in the payment's currency
+        refundedDate: 'date', // Latest refund
+        refundIds: 'array', // Provider refund IDs already applied
+        refundDue: 'number', // Share of a cancellation refund still to pay back on this payment
+        createdDate: 'date',
+        updatedDate: 'date'
+    },
+
+    // Editable guest message templates; {{placeholders}} are filled from the booking
+    [COLLECTIONS.NOTIFICATION_TEMPLATES]: {
+        _id: 'string',
+        type: 'string', // BookingConfirmation, SafariConfirmation, Cancellation, PreArrivalReminder
+        subject: 'string',
+        body: 'string',
+        isActive: 'boolean',
+        createdDate: 'date',
+        updatedDate: 'date'
+    },
+
+    // Rendered messages waiting to be sent, retried with backoff until they go out
+    [COLLECTIONS.NOTIFICATION_OUTBOX]: {
+        _id: 'string', // <type>_<bookingId or safariId>, so a message is only queued once
+        type: 'string',
+        bookingId: 'string', // Reference to Bookings collection
+        safariId: 'string', // Reference to SafariBookings collection (safari confirmations)
+        recipient: 'string',
+        subject: 'string',
+        body: 'string',
+        status: 'string', // Pending, Sent, Failed
+        transport: 'string', // Transport that sent it
+        attempts: 'number',
+        lastError: 'string',
+        nextAttemptAt: 'date',
+        sentDate: 'date',
+        createdDate: 'date',
+        updatedDate: 'date'
+    },
+
+    // Date ranges a cottage is closed by the owner (repairs, private use)
+    [COLLECTIONS.COTTAGE_BLOCKS]: {
+        _id: 'string',
+        cottageId: 'string', // Reference to Cottages collection
+        name: 'string', // e.g. Roof repairs
+        reason: 'string',
+        startDate: 'date', // First night closed
+        endDate: 'date', // Day the cottage reopens
+        createdBy: 'string',
+        source: 'string', // Channel an imported block came from, e.g. airbnb
+        externalUid: 'string', // UID of the channel's calendar event
         createdDate: 'date',
         updatedDate: 'date'
+    },
+
+    // Promo codes guests enter when booking
+    [COLLECTIONS.PROMOTIONS]: {
+        _id: 'string',
+        code: 'string', // Upper case, e.g. MONSOON20
+        name: 'string',
+        description: 'string',
+        discountType: 'string', // Percentage, Fixed
+        discountValue: 'number', // Percent off, or amount off
+        maxDiscount: 'number', // Cap on a percentage discount (optional)
+        validFrom: 'date', // Bookings made from (optional)
+        validTo: 'date', // Bookings made until, inclusive (optional)
+        stayFrom: 'date', // First night the offer covers (optional)
+        stayTo: 'date', // Last night the offer covers (optional)
+        minNights: 'number',
+        cottageIds: 'array', // Eligible cottages; empty for all
+        packageIds: 'array', // Eligible packages; empty for all
+        usageLimit: 'number', // Total redemptions allowed (optional)
+        onePerGuest: 'boolean', // Each guest email may redeem once
+        isActive: 'boolean',
+        createdDate: 'date',
+        updatedDate: 'date'
+    },
+
+    // One row per booking a promotion was applied to. With onePerGuest the
+    // _id is `${promotionId}_${hash of guest email}`, so a second redemption
+    // by the same guest fails to insert.
+    [COLLECTIONS.PROMOTION_REDEMPTIONS]: {
+        _id: 'string',
+        promotionId: 'string', // Reference to Promotions collection
+        code: 'string',
+        bookingId: 'string', // Reference to Bookings collection
+        guestEmail: 'string',
+        discountAmount: 'number',
+        createdDate: 'date'
+    },
+
+    // Invoices and credit notes; each is a snapshot of the booking when it was issued
+    [COLLECTIONS.INVOICES]: {
+        _id: 'string', // Invoice number with dashes, e.g. INV-26-27-00001, so a number is only used once
+        documentType: 'string', // Invoice, CreditNote
+        invoiceNumber: 'string', // e.g. INV/26-27/00001
+        series: 'string', // Prefix and financial year, e.g. INV/26-27
+        sequence: 'number', // Position in the series
+        bookingId: 'string', // Reference to Bookings collection
+        bookingReference: 'string',
+        invoiceId: 'string', // Credit notes: the invoice being credited, if the booking was invoiced
+        originalInvoiceNumber: 'string', // Credit notes: number of that invoice
+        paymentId: 'string', // Credit notes: provider payment that was refunded
+        reason: 'string', // Credit notes: why the amount was credited
+        issueDate: 'date',
+        lodge: 'object', // Legal name, address and GSTIN at the time of issue
+        guest: 'object', // Name, email and phone
+        stay: 'object', // Check-in and check-out dates
+        lineItems: 'array',
+        taxes: 'array', // GST at each rate, split into CGST and SGST
+        subtotal: 'number',
+        discountAmount: 'number',
+        serviceCharge: 'number',
+        taxAmount: 'number',
+        totalAmount: 'number',
+        amountPaid: 'number',
+        balanceDue: 'number',
+        currency: 'string',
+        htmlFileUrl: 'string', // Private Media Manager file
+        pdfFileUrl: 'string', // Private Media Manager file
+        issuedBy: 'string',
+        createdDate: 'date',
+        updatedDate: 'date'
+    },
+
+    // Currencies guests can be quoted and charged in (see currencyService).
+    // _id is the currency code, so each currency has one rate.
+    [COLLECTIONS.EXCHANGE_RATES]: {
+        _id: 'string', // Currency code, e.g. USD
+        currency: 'string',
+        rate: 'number', // Units of the currency one base unit buys, e.g. 0.012 USD per INR
+        isActive: 'boolean', // Whether guests can choose the currency
+        updatedBy: 'string',
+        createdDate: 'date',
+        updatedDate: 'date'
+    },
+
+    // Priced stays a booking can be made at, until expiresAt (see quoteService).
+    // The cost is kept in the base currency with the rate it was quoted at.
+    [COLLECTIONS.QUOTES]: {
+        _id: 'string', // Quote ID
+        cottageId: 'string', // Reference to Cottages collection
+        packageId: 'string', // Reference to Packages collection
+        checkInDate: 'date',
+        checkOutDate: 'date',
+        children: 'number',
+        childAges: 'array', // Age of each child, when all were given
+        promoCode: 'string',
+        guestEmail: 'string',
+        currency: 'string', // Currency quoted in
+        exchangeRate: 'number', // Units of that currency per base unit when quoted
+        cost: 'object', // Breakdown from pricingService.priceStay, in the base currency
+        totalCost: 'number',
+        chargedTotal: 'number', // totalCost in the quoted currency
+        expiresAt: 'date',
+        bookingId: 'string', // Booking made at this quote; a quote can be booked once
+        usedDate: 'date', // When it was booked
+        createdDate: 'date'
+    },
+
+    // Jeep seats taken in a safari slot, one row per active safari booking.
+    // _id is `${zoneId}_${YYYY-MM-DD}_${slot}_${seat}` for seats 1 to the slot's
+    // capacity, so a second insert for the same seat fails and a slot cannot overfill.
+    [COLLECTIONS.SAFARI_SEATS]: {
+        _id: 'string',
+        safariBookingId: 'string', // Reference to SafariBookings collection
+        zoneId: 'string', // Reference to SafariZones collection
+        safariDate: 'date',
+        safariType: 'string', // Morning, Evening
+        seat: 'number', // 1 to the slot's capacity
+        createdDate: 'date'
+    },
+
+    // Safaris of a booking's package allowance in use, one row per active safari booking.
+    // _id is `${bookingId}_safari_${number}` for numbers 1 to the allowance, so a
+    // second insert for the same number fails and a booking cannot go over it.
+    [COLLECTIONS.SAFARI_ALLOWANCES]: {
+        _id: 'string',
+        bookingId: 'string', // Reference to Bookings collection
+        safariBookingId: 'string', // Reference to SafariBookings collection
+        number: 'number', // 1 to the booking's safari allowance
+        createdDate: 'date'
+    }
+};
+
+// Required fields and allowed values, checked together with the field types in
+// COLLECTION_SCHEMAS before a record is written (see backend/validation).
+// Only fields every record has, old ones included, are required.
+export const COLLECTION_RULES = {
+    [COLLECTIONS.BOOKINGS]: {
+        required: ['checkInDate', 'checkOutDate', 'adults', 'totalCost', 'status'],
+        enums: {
+            status: Object.values(BOOKING_STATUS),
+            paymentStatus: Object.values(PAYMENT_STATUS)
+        }
+    },
+    [COLLECTIONS.AVAILABILITY]: {
+        required: ['cottageId', 'date', 'isAvailable']
+    },
+    [COLLECTIONS.SAFARI_BOOKINGS]: {
+        required: ['bookingId', 'safariDate', 'status'],
+        enums: {
+            status: Object.values(SAFARI_STATUS),
+            safariType: Object.values(SAFARI_SLOTS)
+        }
+    },
+    [COLLECTIONS.SAFARI_INQUIRIES]: {
+        required: ['customerName', 'customerEmail', 'status'],
+        enums: {
+            status: Object.values(INQUIRY_STATUS),
+            source: Object.values(INQUIRY_SOURCES)
+        }
+    },
+    [COLLECTIONS.BOOKING_HOLDS]: {
+        required: ['holdId', 'cottageId', 'date', 'expiresAt']
+    },
+    [COLLECTIONS.PAYMENTS]: {
+        required: ['bookingId', 'provider', 'orderId', 'amount', 'currency', 'status'],
+        enums: { status: Object.values(PAYMENT_STATUS) }
+    },
+    [COLLECTIONS.NOTIFICATION_TEMPLATES]: {
+        required: ['type', 'subject', 'body'],
+        enums: { type: Object.values(NOTIFICATION_TYPES) }
+    },
+    [COLLECTIONS.NOTIFICATION_OUTBOX]: {
+        required: ['type', 'status'],
+        enums: {
+            type: Object.values(NOTIFICATION_TYPES),
+            status: Object.values(OUTBOX_STATUS)
+        }
+    },
+    [COLLECTIONS.COTTAGE_BLOCKS]: {
+        required: ['cottageId', 'startDate', 'endDate']
+    },
+    [COLLECTIONS.PROMOTIONS]: {
+        required: ['code', 'discountType', 'discountValue'],
+        enums: { discountType: Object.values(DISCOUNT_TYPES) }
+    },
+    [COLLECTIONS.INVOICES]: {
+        required: ['documentType', 'invoiceNumber', 'bookingId'],
+        enums: { documentType: Object.values(INVOICE_TYPES) }
+    },
+    [COLLECTIONS.QUOTES]: {
+        required: ['cottageId', 'packageId', 'checkInDate', 'checkOutDate', 'cost', 'totalCost', 'expiresAt']
+    },
+    [COLLECTIONS.SAFARI_SEATS]: {
+        required: ['safariBookingId', 'zoneId', 'safariDate', 'safariType', 'seat'],
+        enums: { safariType: Object.values(SAFARI_SLOTS) }
+    },
+    [COLLECTIONS.SAFARI_ALLOWANCES]: {
+        required: ['bookingId', 'safariBookingId', 'number']
     }
 };
 
@@ -149,6 +554,15 @@ export default {
     PACKAGE_TYPES,
     BOOKING_STATUS,
     SAFARI_STATUS,
+    SAFARI_SLOTS,
+    INQUIRY_STATUS,
+    INQUIRY_SOURCES,
+    PAYMENT_STATUS,
+    NOTIFICATION_TYPES,
+    OUTBOX_STATUS,
+    DISCOUNT_TYPES,
+    INVOICE_TYPES,
     COLLECTION_SCHEMAS,
+    COLLECTION_RULES,
     initializeCollections
 };
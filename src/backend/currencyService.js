@@ -0,0 +1,376 @@
+// Currency Service - Exchange rates and display currencies
+// Tariffs, GST and invoices are kept in the base currency, set by the
+// BASE_CURRENCY secret (rupees when it is not set). Guests can be quoted
+// and charged in any currency that has a rate in ExchangeRates; a quote is
+// converted line by line, rounded to the currency's minor unit, and its totals
+// are added up from the converted lines so they always match what is listed.
+
+import { COLLECTIONS } from 'backend/collections';
+import { ReservationError } from 'backend/errors';
+import { readSecret, roundAmount } from 'backend/serviceUtils';
+import { wixDataRepository } from 'backend/dataRepository';
+
+// Currency every price, tariff and invoice is recorded in, unless BASE_CURRENCY says otherwise
+export const DEFAULT_BASE_CURRENCY = 'INR';
+
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+// Amount fields of a cost breakdown converted as they are
+const COST_FIELDS = ['roomCost', 'packageCost', 'safariCost', 'subtotal', 'discountAmount', 'serviceCharge', 'costPerNight', 'averageNightlyRate'];
+
+export class CurrencyService {
+
+    /**
+     * @param {Object} [options] - Options
+     * @param {Object} [options.repository] - Where records are read and written (see dataRepository); wix-data by default
+     * @param {string} [options.baseCurrency] - Base currency to use instead of the BASE_CURRENCY secret
+     */
+    constructor({ repository = wixDataRepository, baseCurrency = null } = {}) {
+        this.repository = repository;
+        this.baseCurrency = baseCurrency ? this.checkCode(baseCurrency) : DEFAULT_BASE_CURRENCY;
+        this.baseCurrencyLoaded = Boolean(baseCurrency);
+    }
+
+    // ===== BASE CURRENCY =====
+
+    /**
+     * Get the base currency, reading the BASE_CURRENCY secret the first time
+     * The conversion and rounding methods are synchronous and use the currency
+     * read here, so services await this before working with amounts.
+     * @returns {Promise<string>} Currency code
+     */
+    async getBaseCurrency() {
+        if (!this.baseCurrencyLoaded) {
+            this.baseCurrency = this.checkCode(await readSecret('BASE_CURRENCY', DEFAULT_BASE_CURRENCY));
+            this.baseCurrencyLoaded = true;
+        }
+        return this.baseCurrency;
+    }
+
+    // ===== EXCHANGE RATES =====
+
+    /**
+     * List the currencies guests can choose, base currency first
+     * @returns {Promise<Object>} { baseCurrency, rates: [{ currency, rate, fractionDigits, updatedDate }] }
+     */
+    async getExchangeRates() {
+        try {
+            const baseCurrency = await this.getBaseCurrency();
+            const result = await this.repository.query(COLLECTIONS.EXCHANGE_RATES)
+                .eq('isActive', true)
+                .ascending('currency')
+                .find();
+
+            const rates = result.items
+                .filter(item => item.currency !== baseCurrency)
+                .map(item => this.toRateView(item));
+
+            return {
+                baseCurrency: baseCurrency,
+                rates: [this.toRateView({ currency: baseCurrency, rate: 1 }), ...rates]
+            };
+
+        } catch (error) {
+            console.error('Error getting exchange rates:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the rate to quote or charge a currency at
+     * @param {string} [currency] - Currency code (the base currency when empty)
+     * @returns {Promise<Object>} { currency, rate } where rate is units of the currency per base unit
+     */
+    async getExchangeRate(currency) {
+        const baseCurrency = await this.getBaseCurrency();
+        const code = this.normaliseCode(currency);
+        if (code === baseCurrency) {
+            return { currency: baseCurrency, rate: 1 };
+        }
+
+        const item = await this.repository.get(COLLECTIONS.EXCHANGE_RATES, code);
+        if (!item || !item.isActive || !(item.rate > 0)) {
+            throw new ReservationError(`Prices are not available in ${code}`, {
+                code: 'UNSUPPORTED_CURRENCY',
+                details: { currency: code }
+            });
+        }
+        return { currency: code, rate: item.rate };
+    }
+
+    /**
+     * Add or update the rate of a currency
+     * Bookings keep the rate they were made at, so a new rate only affects new quotes.
+     * @param {string} currency - Currency code, e.g. USD
+     * @param {number} rate - Units of the currency one base unit buys, e.g. 0.012
+     * @param {Object} [options] - Change details
+     * @param {boolean} [options.isActive] - Whether guests can choose the currency
+     * @param {string} [options.updatedBy] - Who set the rate
+     * @returns {Promise<Object>} Saved rate
+     */
+    async setExchangeRate(currency, rate, { isActive = true, updatedBy = 'system' } = {}) {
+        try {
+            const baseCurrency = await this.getBaseCurrency();
+            const code = this.normaliseCode(currency);
+            if (code === baseCurrency) {
+                throw new ReservationError(`${baseCurrency} is the base currency and always has a rate of 1`, { code: 'INVALID_CURRENCY' });
+            }
+            const value = Number(rate);
+            if (!Number.isFinite(value) || value <= 0) {
+                throw new ReservationError('Exchange rate must be a positive number', { code: 'INVALID_RATE' });
+            }
+
+            const existing = await this.repository.get(COLLECTIONS.EXCHANGE_RATES, code);
+            const item = {
+                ...(existing || { _id: code, createdDate: new Date() }),
+                currency: code,
+                rate: value,
+                isActive: isActive !== false,
+                updatedBy: updatedBy,
+                updatedDate: new Date()
+            };
+
+            const saved = existing
+                ? await this.repository.update(COLLECTIONS.EXCHANGE_RATES, item)
+                : await this.repository.insert(COLLECTIONS.EXCHANGE_RATES, item);
+            return this.toRateView(saved);
+
+        } catch (error) {
+            console.error('Error setting exchange rate:', error);
+            throw error;
+        }
+    }
+
+    // ===== CONVERSION =====
+
+    /**
+     * Convert a cost breakdown into another currency
+     * Works on breakdowns from pricingService.priceStay and on group costs
+     * (whose lines are converted the same way). GST is worked out in the base
+     * currency and converted with the line it belongs to.
+     * @param {Object} cost - Breakdown in the base currency
+     * @param {Object} exchange - { currency, rate } from getExchangeRate
+     * @returns {Object} Breakdown in the currency, with baseCurrency, exchangeRate and baseTotalCost
+     */
+    convertCost(cost, exchange) {
+        const { currency, rate } = exchange;
+        const convert = amount => this.convert(amount, exchange);
+        const converted = { ...cost };
+
+        for (const field of COST_FIELDS) {
+            if (typeof cost[field] === 'number') {
+                converted[field] = convert(cost[field]);
+            }
+        }
+
+        if (cost.nightlyRates) {
+            converted.nightlyRates = cost.nightlyRates.map(night => ({
+                ...night,
+                baseRate: convert(night.baseRate),
+                rate: convert(night.rate),
+                ...(night.childSupplement ? { childSupplement: convert(night.childSupplement) } : {}),
+                adjustments: (night.adjustments || []).map(adjustment => ({ ...adjustment, amount: convert(adjustment.amount) }))
+            }));
+        }
+
+        if (cost.childPricing) {
+            converted.childPricing = {
+                ...cost.childPricing,
+                roomSupplement: convert(cost.childPricing.roomSupplement),
+                packageSupplement: convert(cost.childPricing.packageSupplement)
+            };
+        }
+
+        if (cost.lines) {
+            converted.lines = cost.lines.map(line => this.convertCost(line, exchange));
+        }
+
+        if (cost.lineItems) {
+            converted.lineItems = cost.lineItems.map(line => {
+                const amount = convert(line.amount);
+                const taxableAmount = convert(line.taxableAmount);
+                const taxAmount = convert(line.taxAmount);
+                return {
+                    ...line,
+                    unitPrice: convert(line.unitPrice),
+                    amount: amount,
+                    discountAmount: this.roundAmount(amount - taxableAmount, currency),
+                    taxableAmount: taxableAmount,
+                    taxAmount: taxAmount,
+                    total: this.roundAmount(taxableAmount + taxAmount, currency)
+                };
+            });
+            converted.taxes = this.summariseTaxes(converted.lineItems, currency);
+            converted.taxAmount = this.sum(converted.lineItems, 'taxAmount', currency);
+            converted.totalCost = this.sum(converted.lineItems, 'total', currency);
+        } else {
+            converted.taxAmount = convert(cost.taxAmount || 0);
+            converted.totalCost = convert(cost.totalCost || 0);
+        }
+
+        converted.currency = currency;
+        converted.baseCurrency = this.baseCurrency;
+        converted.exchangeRate = rate;
+        converted.baseTotalCost = cost.totalCost;
+        return converted;
+    }
+
+    /**
+     * Convert a base currency amount
+     * @param {number} amount - Amount in the base currency
+     * @param {Object} exchange - { currency, rate }
+     * @returns {number} Amount in the currency, rounded to its minor unit
+     */
+    convert(amount, exchange) {
+        return this.roundAmount((amount || 0) * exchange.rate, exchange.currency);
+    }
+
+    /**
+     * Convert an amount back into the base currency, e.g. a refund paid in the charged currency
+     * @param {number} amount - Amount in the currency
+     * @param {Object} exchange - { currency, rate }
+     * @returns {number} Amount in the base currency
+     */
+    toBase(amount, exchange) {
+        return this.roundAmount((amount || 0) / exchange.rate, this.baseCurrency);
+    }
+
+    /**
+     * Get what a booking is charged: its currency, rate and amount
+     * Bookings made before multi-currency pricing are charged in the base currency.
+     * @param {Object} booking - Booking
+     * @returns {Object} { currency, rate, amount }
+     */
+    getCharge(booking) {
+        if (!booking.currency || booking.currency === this.baseCurrency || !(booking.exchangeRate > 0)) {
+            return { currency: this.baseCurrency, rate: 1, amount: booking.totalCost };
+        }
+        const hasChargedTotal = typeof booking.chargedTotal === 'number';
+        return {
+            currency: booking.currency,
+            rate: booking.exchangeRate,
+            amount: hasChargedTotal ? booking.chargedTotal : this.convert(booking.totalCost, { currency: booking.currency, rate: booking.exchangeRate })
+        };
+    }
+
+    // ===== FORMATTING =====
+
+    /**
+     * Get how many decimal places a currency is counted in (JPY 0, INR 2, KWD 3)
+     * @param {string} currency - Currency code
+     * @returns {number} Decimal places
+     */
+    getFractionDigits(currency) {
+        return new Intl.NumberFormat('en', { style: 'currency', currency: currency }).resolvedOptions().maximumFractionDigits;
+    }
+
+    /**
+     * Round an amount to a currency's minor unit
+     * @param {number} amount - Amount to round
+     * @param {string} [currency] - Currency code
+     * @returns {number} Rounded amount
+     */
+    roundAmount(amount, currency = this.baseCurrency) {
+        return roundAmount(amount, this.getFractionDigits(currency));
+    }
+
+    /**
+     * Express an amount in a currency's minor unit, as payment providers expect
+     * @param {number} amount - Amount
+     * @param {string} currency - Currency code
+     * @returns {number} Whole number of minor units (paise, cents, ...)
+     */
+    toMinorUnits(amount, currency) {
+        return Math.round(amount * Math.pow(10, this.getFractionDigits(currency)));
+    }
+
+    /**
+     * Read an amount given in a currency's minor unit
+     * @param {number} units - Whole number of minor units
+     * @param {string} currency - Currency code
+     * @returns {number} Amount
+     */
+    fromMinorUnits(units, currency) {
+        return this.roundAmount(units / Math.pow(10, this.getFractionDigits(currency)), currency);
+    }
+
+    /**
+     * Format an amount with its currency symbol, e.g. ₹12,500.00 or $150.00
+     * @param {number} amount - Amount
+     * @param {string} [currency] - Currency code
+     * @returns {string} Formatted amount
+     */
+    formatAmount(amount, currency = this.baseCurrency) {
+        return new Intl.NumberFormat('en-IN', { style: 'currency', currency: currency }).format(amount || 0);
+    }
+
+    // ===== UTILITY FUNCTIONS =====
+
+    /**
+     * Check and upper-case a currency code
+     * @param {string} [currency] - Currency code (the base currency when empty)
+     * @returns {string} Currency code
+     */
+    normaliseCode(currency) {
+        if (!currency) return this.baseCurrency;
+        return this.checkCode(currency);
+    }
+
+    /**
+     * Check and upper-case a currency code that must be given
+     * @param {string} currency - Currency code
+     * @returns {string} Currency code
+     */
+    checkCode(currency) {
+        const code = String(currency).trim().toUpperCase();
+        if (!CURRENCY_CODE_PATTERN.test(code)) {
+            throw new ReservationError(`Invalid currency code: ${currency}`, { code: 'INVALID_CURRENCY' });
+        }
+        return code;
+    }
+
+    /**
+     * Total the taxable amount and GST at each rate, in a currency
+     * @param {Array} lineItems - Converted lines
+     * @param {string} currency - Currency code
+     * @returns {Array} [{ rate, taxableAmount, taxAmount }] in rate order
+     */
+    summariseTaxes(lineItems, currency) {
+        const byRate = {};
+        for (const line of lineItems) {
+            const entry = byRate[line.taxRate] || (byRate[line.taxRate] = { rate: line.taxRate, taxableAmount: 0, taxAmount: 0 });
+            entry.taxableAmount = this.roundAmount(entry.taxableAmount + line.taxableAmount, currency);
+            entry.taxAmount = this.roundAmount(entry.taxAmount + line.taxAmount, currency);
+        }
+        return Object.values(byRate).sort((a, b) => a.rate - b.rate);
+    }
+
+    /**
+     * Add up one field of a list of lines
+     * @param {Array} lineItems - Lines
+     * @param {string} field - Field to add up
+     * @param {string} currency - Currency code
+     * @returns {number} Rounded total
+     */
+    sum(lineItems, field, currency) {
+        return this.roundAmount(lineItems.reduce((total, line) => total + (line[field] || 0), 0), currency);
+    }
+
+    /**
+     * Shape a stored rate for clients
+     * @param {Object} item - ExchangeRates record
+     * @returns {Object} { currency, rate, fractionDigits, updatedDate }
+     */
+    toRateView(item) {
+        return {
+            currency: item.currency,
+            rate: item.rate,
+            fractionDigits: this.getFractionDigits(item.currency),
+            updatedDate: item.updatedDate || null
+        };
+    }
+}
+
+// Export singleton instance
+export const currencyService = new CurrencyService();
+export default currencyService;
@@ -0,0 +1,340 @@
+// Data Repository - Where the backend services read and write their records
+// A repository has the subset of the wix-data API the services use:
+//   get(collection, id)             -> record or null
+//   insert(collection, item)        -> inserted record; fails if the _id is taken
+//   update(collection, item)        -> replaced record; fails if there is none
+//   remove(collection, id)          -> removed record or null
+//   bulkInsert / bulkUpdate (collection, items), bulkRemove(collection, ids)
+//   query(collection)               -> query with eq, ne, gt, gte, lt, le, hasSome,
+//                                      ascending, descending, limit, find and count
+// WixDataRepository passes straight through to wix-data and is what the site
+// runs on. InMemoryRepository keeps records in memory, so the booking logic can
+// run without a Wix site, e.g. new ReservationService({ repository: new InMemoryRepository() })
+// (see tests/).
+
+import wixData from 'wix-data';
+import { randomUUID } from 'crypto';
+
+// Records a query returns when no limit is set, as in wix-data
+const DEFAULT_QUERY_LIMIT = 50;
+
+export class WixDataRepository {
+
+    get(collection, id) {
+        return wixData.get(collection, id);
+    }
+
+    insert(collection, item) {
+        return wixData.insert(collection, item);
+    }
+
+    update(collection, item) {
+        return wixData.update(collection, item);
+    }
+
+    remove(collection, id) {
+        return wixData.remove(collection, id);
+    }
+
+    bulkInsert(collection, items) {
+        return wixData.bulkInsert(collection, items);
+    }
+
+    bulkUpdate(collection, items) {
+        return wixData.bulkUpdate(collection, items);
+    }
+
+    bulkRemove(collection, ids) {
+        return wixData.bulkRemove(collection, ids);
+    }
+
+    query(collection) {
+        return wixData.query(collection);
+    }
+}
+
+export class InMemoryRepository {
+    /**
+     * @param {Object} [records] - Records to start with, by collection name
+     */
+    constructor(records = {}) {
+        this.collections = {};
+        for (const [collection, items] of Object.entries(records)) {
+            for (const item of items) {
+                this.store(collection, item, true);
+            }
+        }
+    }
+
+    // ===== RECORDS =====
+
+    /**
+     * Get a record by ID
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @returns {Promise<Object|null>} Copy of the record, or null
+     */
+    async get(collection, id) {
+        const item = this.getCollection(collection).get(id);
+        return item ? copy(item) : null;
+    }
+
+    /**
+     * Add a record, giving it an _id when it has none
+     * @param {string} collection - Collection name
+     * @param {Object} item - Record
+     * @returns {Promise<Object>} Inserted record
+     */
+    async insert(collection, item) {
+        return this.store(collection, item, true);
+    }
+
+    /**
+     * Replace a record
+     * @param {string} collection - Collection name
+     * @param {Object} item - Whole record, with its _id
+     * @returns {Promise<Object>} Updated record
+     */
+    async update(collection, item) {
+        return this.store(collection, item, false);
+    }
+
+    /**
+     * Remove a record
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @returns {Promise<Object|null>} Removed record, or null when there was none
+     */
+    async remove(collection, id) {
+        const items = this.getCollection(collection);
+        const item = items.get(id);
+        items.delete(id);
+        return item ? copy(item) : null;
+    }
+
+    /**
+     * Add several records
+     * @param {string} collection - Collection name
+     * @param {Array} items - Records
+     * @returns {Promise<Object>} { inserted, skipped, errors, insertedItemIds } like wix-data
+     */
+    async bulkInsert(collection, items) {
+        const inserted = items.map(item => this.store(collection, item, true));
+        return { inserted: inserted.length, skipped: 0, errors: [], insertedItemIds: inserted.map(item => item._id) };
+    }
+
+    /**
+     * Replace several records
+     * @param {string} collection - Collection name
+     * @param {Array} items - Whole records
+     * @returns {Promise<Object>} { updated, skipped, errors, updatedItemIds } like wix-data
+     */
+    async bulkUpdate(collection, items) {
+        const updated = items.map(item => this.store(collection, item, false));
+        return { updated: updated.length, skipped: 0, errors: [], updatedItemIds: updated.map(item => item._id) };
+    }
+
+    /**
+     * Remove several records
+     * @param {string} collection - Collection name
+     * @param {Array<string>} ids - Record IDs
+     * @returns {Promise<Object>} { removed, skipped, errors, removedItemIds } like wix-data
+     */
+    async bulkRemove(collection, ids) {
+        const removed = ids.filter(id => this.getCollection(collection).delete(id));
+        return { removed: removed.length, skipped: ids.length - removed.length, errors: [], removedItemIds: removed };
+    }
+
+    /**
+     * Start a query on a collection
+     * @param {string} collection - Collection name
+     * @returns {InMemoryQuery} Query
+     */
+    query(collection) {
+        return new InMemoryQuery(() => [...this.getCollection(collection).values()]);
+    }
+
+    // ===== UTILITY FUNCTIONS =====
+
+    /**
+     * Get the records of a collection, creating it on first use
+     * @param {string} collection - Collection name
+     * @returns {Map} Records by _id
+     */
+    getCollection(collection) {
+        if (!this.collections[collection]) {
+            this.collections[collection] = new Map();
+        }
+        return this.collections[collection];
+    }
+
+    /**
+     * Write a record as wix-data would, with its system fields
+     * @param {string} collection - Collection name
+     * @param {Object} item - Record
+     * @param {boolean} isNew - Insert (the _id must be free) or update (the record must exist)
+     * @returns {Object} Copy of the stored record
+     */
+    store(collection, item, isNew) {
+        const items = this.getCollection(collection);
+        const id = item._id || (isNew ? randomUUID() : null);
+        const existing = id ? items.get(id) : null;
+
+        if (isNew && existing) {
+            throw new Error(`An item with _id [${id}] already exists in [${collection}] collection`);
+        }
+        if (!isNew && !existing) {
+            throw new Error(`Item [${id}] does not exist in [${collection}] collection`);
+        }
+
+        const now = new Date();
+        const stored = {
+            ...copy(item),
+            _id: id,
+            _createdDate: existing ? existing._createdDate : (item._createdDate || now),
+            _updatedDate: now
+        };
+        items.set(id, stored);
+        return copy(stored);
+    }
+}
+
+// Like a wix-data query, each method returns a new query and leaves this one as it was
+export class InMemoryQuery {
+    /**
+     * @param {Function} getItems - Returns the collection's records when the query runs
+     * @param {Object} [state] - Filters, sorts and limit carried over from the query this refines
+     */
+    constructor(getItems, { filters = [], sorts = [], maxItems = DEFAULT_QUERY_LIMIT } = {}) {
+        this.getItems = getItems;
+        this.filters = filters;
+        this.sorts = sorts;
+        this.maxItems = maxItems;
+    }
+
+    // ===== FILTERS =====
+
+    eq(field, value) {
+        return this.where(item => compare(item[field], value) === 0);
+    }
+
+    ne(field, value) {
+        return this.where(item => compare(item[field], value) !== 0);
+    }
+
+    gt(field, value) {
+        return this.where(item => isSet(item[field]) && compare(item[field], value) > 0);
+    }
+
+    gte(field, value) {
+        return this.where(item => isSet(item[field]) && compare(item[field], value) >= 0);
+    }
+
+    lt(field, value) {
+        return this.where(item => isSet(item[field]) && compare(item[field], value) < 0);
+    }
+
+    le(field, value) {
+        return this.where(item => isSet(item[field]) && compare(item[field], value) <= 0);
+    }
+
+    hasSome(field, values) {
+        const wanted = Array.isArray(values) ? values : [values];
+        return this.where(item => {
+            const actual = Array.isArray(item[field]) ? item[field] : [item[field]];
+            return actual.some(value => wanted.some(candidate => compare(value, candidate) === 0));
+        });
+    }
+
+    // ===== RESULTS =====
+
+    ascending(field) {
+        return this.refine({ sorts: [...this.sorts, { field, direction: 1 }] });
+    }
+
+    descending(field) {
+        return this.refine({ sorts: [...this.sorts, { field, direction: -1 }] });
+    }
+
+    limit(count) {
+        return this.refine({ maxItems: count });
+    }
+
+    /**
+     * Run the query
+     * @returns {Promise<Object>} { items, length, totalCount } like a wix-data query result
+     */
+    async find() {
+        const matches = this.getMatches();
+        const items = matches.slice(0, this.maxItems).map(copy);
+        return { items, length: items.length, totalCount: matches.length };
+    }
+
+    /**
+     * Count the records that match
+     * @returns {Promise<number>} Number of matches
+     */
+    async count() {
+        return this.getMatches().length;
+    }
+
+    // ===== UTILITY FUNCTIONS =====
+
+    where(test) {
+        return this.refine({ filters: [...this.filters, test] });
+    }
+
+    refine(changes) {
+        return new InMemoryQuery(this.getItems, {
+            filters: this.filters,
+            sorts: this.sorts,
+            maxItems: this.maxItems,
+            ...changes
+        });
+    }
+
+    getMatches() {
+        const matches = this.getItems().filter(item => this.filters.every(test => test(item)));
+        for (const { field, direction } of [...this.sorts].reverse()) {
+            matches.sort((a, b) => direction * compare(a[field], b[field]));
+        }
+        return matches;
+    }
+}
+
+/**
+ * Compare two field values, dates by time
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compare(a, b) {
+    const left = a instanceof Date ? a.getTime() : a;
+    const right = b instanceof Date ? b.getTime() : b;
+    if (left === right) return 0;
+    if (left === undefined || left === null) return -1;
+    if (right === undefined || right === null) return 1;
+    return left < right ? -1 : 1;
+}
+
+function isSet(value) {
+    return value !== undefined && value !== null;
+}
+
+/**
+ * Deep copy a record, so callers cannot change what is stored
+ * @param {*} value - Value to copy
+ * @returns {*} Copy
+ */
+function copy(value) {
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Array.isArray(value)) return value.map(copy);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, copy(field)]));
+    }
+    return value;
+}
+
+// Export default instance used by the site
+export const wixDataRepository = new WixDataRepository();
+export default wixDataRepository;
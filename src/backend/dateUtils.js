@@ -0,0 +1,66 @@
+// Date Utilities - Shared night/date helpers for the reservation system
+// All stays are counted in whole nights, keyed on the start of each day
+
+const MS_PER_DAY = 1000 * 3600 * 24;
+
+/**
+ * Get a copy of a date set to the start of its day
+ * @param {Date|string} date - Date to normalise
+ * @returns {Date} Start of day
+ */
+export function startOfDay(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+}
+
+/**
+ * Add a number of days to a date
+ * @param {Date|string} date - Date to shift
+ * @param {number} days - Number of days (may be negative)
+ * @returns {Date} Shifted date
+ */
+export function addDays(date, days) {
+    const shifted = new Date(date);
+    shifted.setDate(shifted.getDate() + days);
+    return shifted;
+}
+
+/**
+ * Get a stable YYYY-MM-DD key for a date
+ * @param {Date|string} date - Date to format
+ * @returns {string} Date key
+ */
+export function toDateKey(date) {
+    const day = startOfDay(date);
+    const month = String(day.getMonth() + 1).padStart(2, '0');
+    const dayOfMonth = String(day.getDate()).padStart(2, '0');
+    return `${day.getFullYear()}-${month}-${dayOfMonth}`;
+}
+
+/**
+ * Get every night of a stay, from check-in up to (not including) check-out
+ * @param {Date|string} checkIn - Check-in date
+ * @param {Date|string} checkOut - Check-out date
+ * @returns {Array<Date>} Start of day for each night
+ */
+export function getNightDates(checkIn, checkOut) {
+    const nights = [];
+    const end = startOfDay(checkOut);
+    for (let date = startOfDay(checkIn); date < end; date = addDays(date, 1)) {
+        nights.push(date);
+    }
+    return nights;
+}
+
+/**
+ * Check that a value parses to a real date
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a valid date
+ */
+export function isValidDate(value) {
+    if (value === null || value === undefined || value === '') return false;
+    return !isNaN(new Date(value).getTime());
+}
+
+export { MS_PER_DAY };
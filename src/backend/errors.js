@@ -0,0 +1,104 @@
+// Errors - Typed errors the endpoints can map to HTTP status codes
+
+/**
+ * Base error for expected reservation failures
+ * Carries an HTTP status and a machine-readable code for the API layer
+ */
+export class ReservationError extends Error {
+    constructor(message, { status = 400, code = 'RESERVATION_ERROR', details = null } = {}) {
+        super(message);
+        this.name = 'ReservationError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Raised when a hold or booking already covers some of the requested nights
+ */
+export class BookingConflictError extends ReservationError {
+    constructor(message, conflictingDates = []) {
+        super(message, { status: 409, code: 'BOOKING_CONFLICT', details: { conflictingDates } });
+        this.name = 'BookingConflictError';
+        this.conflictingDates = conflictingDates;
+    }
+}
+
+/**
+ * Raised when a status change is not one of the allowed transitions
+ */
+export class InvalidTransitionError extends ReservationError {
+    constructor(entity, fromStatus, toStatus, allowed = []) {
+        const message = allowed.length > 0
+            ? `A ${entity} cannot move from ${fromStatus} to ${toStatus} (allowed: ${allowed.join(', ')})`
+            : `A ${entity} cannot move from ${fromStatus} to ${toStatus}; ${fromStatus} is final`;
+        super(message, {
+            status: 409,
+            code: 'INVALID_TRANSITION',
+            details: { fromStatus, toStatus, allowedStatuses: allowed }
+        });
+        this.name = 'InvalidTransitionError';
+    }
+}
+
+/**
+ * Raised when a record or request payload does not match its schema
+ * Carries one entry per problem field: { field, code, message }
+ */
+export class ValidationError extends ReservationError {
+    constructor(message, errors = []) {
+        super(message || errors.map(error => error.message).join('; '), {
+            status: 400,
+            code: 'VALIDATION_ERROR',
+            details: { errors }
+        });
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Raised when a caller has not identified themselves (missing or invalid credentials)
+ */
+export class AuthenticationError extends ReservationError {
+    constructor(message = 'Authentication required') {
+        super(message, { status: 401, code: 'UNAUTHENTICATED' });
+        this.name = 'AuthenticationError';
+    }
+}
+
+/**
+ * Raised when an identified caller's role is not allowed to perform an operation
+ */
+export class AuthorizationError extends ReservationError {
+    constructor(message = 'You do not have permission to perform this action') {
+        super(message, { status: 403, code: 'FORBIDDEN' });
+        this.name = 'AuthorizationError';
+    }
+}
+
+/**
+ * Build the standard `{ success: false }` body for an error
+ * @param {Error} error - Error to describe
+ * @returns {Object} Error response body
+ */
+export function toErrorBody(error) {
+    const body = { success: false, error: error.message };
+    if (error instanceof ReservationError) {
+        body.code = error.code;
+        if (error.details) {
+            Object.assign(body, error.details);
+        }
+    }
+    return body;
+}
+
+/**
+ * Get the HTTP status for an error, defaulting to 500 for unexpected failures
+ * @param {Error} error - Error to inspect
+ * @returns {number} HTTP status code
+ */
+export function getErrorStatus(error) {
+    return error instanceof ReservationError ? error.status : 500;
+}
@@ -0,0 +1,481 @@
+// Guest Booking Service - "Manage my booking" for guests
+// Guests are not site members, so they identify a booking with its reference
+// and the email it was made with, or with a signed token issued at sign-in.
+// They only ever see a trimmed view of their booking (no internal IDs of
+// other records, payments or staff notes) and can change dates, add or remove
+// safaris and ask to cancel while the stay has not started.
+
+import { COLLECTIONS, BOOKING_STATUS, PAYMENT_STATUS, SAFARI_STATUS } from 'backend/collections';
+import { AuthenticationError, AuthorizationError, ReservationError } from 'backend/errors';
+import { addDays, startOfDay } from 'backend/dateUtils';
+import { ROLES, hasRole, issueGuestToken, verifyGuestToken } from 'backend/auth';
+import { reservationService, BOOKING_REFERENCE_PREFIX } from 'backend/reservationService';
+import { bookingStatusMachine } from 'backend/statusMachine';
+import { invoiceService } from 'backend/invoiceService';
+import { wixDataRepository } from 'backend/dataRepository';
+
+// Tokens keep working for a while after check-out, e.g. for receipts
+export const GUEST_TOKEN_DAYS_AFTER_STAY = 30;
+
+// Recorded as cancelledBy / updatedBy for changes guests make
+const GUEST_ACTOR = 'guest';
+
+export class GuestBookingService {
+
+    /**
+     * @param {Object} [options] - Options
+     * @param {Object} [options.repository] - Where records are read and written (see dataRepository); wix-data by default
+     * @param {Object} [options.services] - Services to call instead of the site's own, e.g. { reservationService, invoiceService }.
+     *   The safari, currency, payment schedule and cancellation services default to the reservation service's own.
+     */
+    constructor({ repository = wixDataRepository, services = {} } = {}) {
+        this.repository = repository;
+        this.reservationService = services.reservationService || reservationService;
+        this.invoiceService = services.invoiceService || invoiceService;
+        this.safariService = services.safariService || this.reservationService.safariService;
+        this.currencyService = services.currencyService || this.reservationService.currencyService;
+        this.paymentScheduleService = services.paymentScheduleService || this.reservationService.paymentScheduleService;
+        this.cancellationService = services.cancellationService || this.reservationService.cancellationService;
+    }
+
+    // ===== ACCESS =====
+
+    /**
+     * Sign in to a booking with its reference and email
+     * @param {Object} credentials - Sign-in details
+     * @param {string} credentials.reference - Booking reference, e.g. VM-7K3Q9D
+     * @param {string} credentials.email - Email the booking was made with
+     * @returns {Promise<Object>} { token, booking } with the guest view of the booking
+     */
+    async signIn({ reference, email }) {
+        try {
+            const booking = await this.findByReference(reference, email);
+            const expiresAt = addDays(startOfDay(booking.checkOutDate), GUEST_TOKEN_DAYS_AFTER_STAY);
+
+            return {
+                token: await issueGuestToken(booking._id, expiresAt),
+                expiresAt: expiresAt,
+                booking: await this.toGuestView(booking)
+            };
+
+        } catch (error) {
+            console.error('Error signing in to booking:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the booking a guest's credentials open
+     * @param {Object} credentials - { token } or { reference, email }
+     * @returns {Promise<Object>} Booking
+     */
+    async authenticate(credentials = {}) {
+        if (credentials.token) {
+            const bookingId = await verifyGuestToken(credentials.token);
+            const booking = await this.repository.get(COLLECTIONS.BOOKINGS, bookingId);
+            if (!booking) {
+                throw new AuthenticationError('Invalid booking token');
+            }
+            return booking;
+        }
+        return this.findByReference(credentials.reference, credentials.email);
+    }
+
+    /**
+     * Check a caller may act on a booking
+     * Staff may act on any booking; anyone else must send guest credentials
+     * that open this booking.
+     * @param {Object} caller - Caller from getWebMethodCaller / getHttpCaller
+     * @param {Object} credentials - { token } or { reference, email }
+     * @param {string} bookingId - Booking being acted on
+     * @param {Object} [options] - { modify } to also require that guests may still change it
+     * @returns {Promise<void>}
+     */
+    async assertBookingAccess(caller, credentials, bookingId, { modify = false } = {}) {
+        if (hasRole(caller, ROLES.STAFF)) {
+            return;
+        }
+
+        const booking = await this.authenticate(credentials);
+        if (booking._id !== bookingId) {
+            throw new AuthorizationError('These booking details do not match this booking');
+        }
+        if (modify) {
+            this.assertModifiable(booking);
+        }
+    }
+
+    /**
+     * Look a booking up by reference, checking the email matches
+     * Both a wrong reference and a wrong email give the same error, so the
+     * response does not reveal which bookings exist.
+     * @param {string} reference - Booking reference (prefix and case optional)
+     * @param {string} email - Guest email
+     * @returns {Promise<Object>} Booking
+     */
+    async findByReference(reference, email) {
+        if (!reference || !email) {
+            throw new AuthenticationError('Booking reference and email are required');
+        }
+
+        let normalised = String(reference).trim().toUpperCase();
+        if (!normalised.startsWith(BOOKING_REFERENCE_PREFIX)) {
+            normalised = BOOKING_REFERENCE_PREFIX + normalised;
+        }
+
+        const result = await this.repository.query(COLLECTIONS.BOOKINGS)
+            .eq('bookingReference', normalised)
+            .find();
+        const booking = result.items[0];
+        const bookingEmail = booking && booking.customerInfo && booking.customerInfo.email;
+
+        if (!bookingEmail || bookingEmail.trim().toLowerCase() !== String(email).trim().toLowerCase()) {
+            throw new AuthenticationError('Booking reference and email do not match');
+        }
+        return booking;
+    }
+
+    // ===== VIEW =====
+
+    /**
+     * Get the guest view of their booking
+     * @param {Object} credentials - { token } or { reference, email }
+     * @returns {Promise<Object>} Guest view
+     */
+    async getBooking(credentials) {
+        try {
+            return await this.toGuestView(await this.authenticate(credentials));
+        } catch (error) {
+            console.error('Error fetching guest booking:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build the trimmed view of a booking that guests may see
+     * @param {Object} booking - Booking record
+     * @returns {Promise<Object>} Guest view
+     */
+    async toGuestView(booking) {
+        const details = await this.reservationService.getBookingDetails(booking._id);
+        const zones = await this.safariService.getZones();
+        const allowance = await this.safariService.getSafariAllowance(booking);
+        const activeSafaris = details.safariBookings.filter(safari => safari.status !== SAFARI_STATUS.CANCELLED);
+        const invoices = await this.invoiceService.listInvoices(booking._id);
+        await this.currencyService.getBaseCurrency();
+        const charge = this.currencyService.getCharge(booking);
+        const ledger = await this.paymentScheduleService.getLedger(booking);
+
+        const view = {
+            bookingReference: booking.bookingReference,
+            status: booking.status,
+            paymentStatus: booking.paymentStatus,
+            checkInDate: booking.checkInDate,
+            checkOutDate: booking.checkOutDate,
+            nights: this.reservationService.calculateNights(booking.checkInDate, booking.checkOutDate),
+            adults: booking.adults,
+            children: booking.children,
+            childAges: booking.childAges || [],
+            totalCost: booking.totalCost,
+            currency: charge.currency,
+            chargedTotal: charge.amount,
+            amountPaid: ledger.amountPaid,
+            balanceDue: ledger.balanceDue,
+            paymentSchedule: ledger.instalments.map(instalment => ({
+                description: instalment.description,
+                amount: instalment.amount,
+                dueDate: instalment.dueDate,
+                status: instalment.status
+            })),
+            taxAmount: booking.taxAmount || 0,
+            lineItems: booking.lineItems || [],
+            promoCode: booking.promoCode || null,
+            discountAmount: booking.discountAmount || 0,
+            guestName: (booking.customerInfo && booking.customerInfo.name) || '',
+            cancellationRequested: Boolean(booking.cancellationRequested),
+            refundDue: booking.refundDue || 0,
+            canModify: this.isModifiable(booking),
+            safaris: details.safariBookings.map(safari => {
+                const zone = zones.find(z => z._id === safari.zoneId);
+                return {
+                    safariId: safari._id,
+                    date: safari.safariDate,
+                    slot: safari.safariType,
+                    startTime: safari.safariTime,
+                    zoneName: zone ? zone.name : '',
+                    status: safari.status
+                };
+            }),
+            safariAllowance: allowance,
+            safarisRemaining: Math.max(allowance - activeSafaris.length, 0),
+            invoices: invoices.map(invoice => ({
+                invoiceId: invoice._id,
+                invoiceNumber: invoice.invoiceNumber,
+                documentType: invoice.documentType,
+                issueDate: invoice.issueDate,
+                totalAmount: invoice.totalAmount
+            }))
+        };
+
+        if (booking.isGroup) {
+            view.cottages = details.lines.map(line => ({
+                cottageName: line.cottage ? line.cottage.name : '',
+                packageName: line.package ? line.package.name : '',
+                adults: line.adults,
+                children: line.children,
+                childAges: line.childAges || []
+            }));
+        } else {
+            view.cottageName = details.cottage ? details.cottage.name : '';
+            view.packageName = details.package ? details.package.name : '';
+        }
+
+        return view;
+    }
+
+    // ===== CHANGES =====
+
+    /**
+     * Price new dates for the guest's booking without changing it
+     * @param {Object} credentials - { token } or { reference, email }
+     * @param {Object} dates - { checkInDate, checkOutDate }
+     * @returns {Promise<Object>} Availability, new total and price difference
+     */
+    async quoteDateChange(credentials, { checkInDate, checkOutDate }) {
+        try {
+            const booking = await this.authenticate(credentials);
+            this.assertModifiable(booking);
+
+            const quote = await this.reservationService.quoteDateChange(booking._id, checkInDate, checkOutDate);
+            return {
+                isAvailable: quote.isAvailable,
+                conflictingDates: quote.conflictingDates,
+                checkInDate: quote.checkInDate,
+                checkOutDate: quote.checkOutDate,
+                nights: quote.nights,
+                totalCost: quote.totalCost,
+                currency: quote.currency,
+                chargedTotal: quote.chargedTotal,
+                balanceDue: quote.balanceDue,
+                paymentSchedule: quote.paymentSchedule,
+                previousTotalCost: quote.previousTotalCost,
+                priceDifference: quote.priceDifference,
+                promotionDropped: quote.promotionDropped
+            };
+
+        } catch (error) {
+            console.error('Error quoting guest date change:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move the guest's booking to new dates
+     * @param {Object} credentials - { token } or { reference, email }
+     * @param {Object} dates - { checkInDate, checkOutDate }
+     * @returns {Promise<Object>} Updated guest view, previous total and price difference
+     */
+    async changeDates(credentials, { checkInDate, checkOutDate }) {
+        try {
+            const booking = await this.authenticate(credentials);
+            this.assertModifiable(booking);
+
+            const result = await this.reservationService.changeBookingDates(booking._id, checkInDate, checkOutDate, {
+                changedBy: GUEST_ACTOR
+            });
+
+            return {
+                booking: await this.toGuestView(result.booking),
+                previousTotalCost: result.previousTotalCost,
+                priceDifference: result.priceDifference,
+                promotionDropped: result.promotionDropped
+            };
+
+        } catch (error) {
+            console.error('Error changing guest booking dates:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add safaris to the guest's booking
+     * @param {Object} credentials - { token } or { reference, email }
+     * @param {Array} safaris - Safari requests ({ date, zoneId, slot })
+     * @returns {Promise<Object>} Updated guest view
+     */
+    async addSafaris(credentials, safaris) {
+        try {
+            const booking = await this.authenticate(credentials);
+            this.assertModifiable(booking);
+
+            await this.reservationService.createSafariBookings(booking._id, safaris);
+            return await this.toGuestView(booking);
+
+        } catch (error) {
+            console.error('Error adding guest safaris:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove (cancel) one of the guest's safaris
+     * @param {Object} credentials - { token } or { reference, email }
+     * @param {string} safariId - Safari booking ID from the guest view
+     * @returns {Promise<Object>} Updated guest view
+     */
+    async removeSafari(credentials, safariId) {
+        try {
+            const booking = await this.authenticate(credentials);
+            this.assertModifiable(booking);
+
+            const safari = safariId ? await this.repository.get(COLLECTIONS.SAFARI_BOOKINGS, safariId) : null;
+            if (!safari || safari.bookingId !== booking._id) {
+                throw new ReservationError('Safari booking not found', { status: 404, code: 'NOT_FOUND' });
+            }
+
+            await this.reservationService.updateSafariStatus(safari._id, SAFARI_STATUS.CANCELLED, { updatedBy: GUEST_ACTOR });
+            return await this.toGuestView(booking);
+
+        } catch (error) {
+            console.error('Error removing guest safari:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Show the guest what cancelling now would refund, without cancelling
+     * @param {Object} credentials - { token } or { reference, email }
+     * @returns {Promise<Object>} Refund breakdown (see toGuestRefund)
+     */
+    async previewGuestCancellation(credentials) {
+        try {
+            const booking = await this.authenticate(credentials);
+            bookingStatusMachine.assertTransition(booking.status, BOOKING_STATUS.CANCELLED);
+
+            return this.toGuestRefund(await this.cancellationService.calculateRefund(booking));
+
+        } catch (error) {
+            console.error('Error previewing guest cancellation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Ask to cancel the guest's booking
+     * A booking that is still Pending with nothing paid is cancelled straight away.
+     * Otherwise the request is recorded and staff cancel it, applying the
+     * booking's cancellation policy to any refund; the refund it would give
+     * today is returned with the request.
+     * @param {Object} credentials - { token } or { reference, email }
+     * @param {string} [reason] - Why the guest is cancelling
+     * @returns {Promise<Object>} { cancelled, booking, refund } with the updated guest view
+     */
+    async requestCancellation(credentials, reason = '') {
+        try {
+            const booking = await this.authenticate(credentials);
+            bookingStatusMachine.assertTransition(booking.status, BOOKING_STATUS.CANCELLED);
+
+            if (booking.status === BOOKING_STATUS.PENDING && booking.paymentStatus !== PAYMENT_STATUS.PAID && !(booking.amountPaid > 0)) {
+                const result = await this.reservationService.cancelBooking(booking._id, { cancelledBy: GUEST_ACTOR, reason });
+                return {
+                    cancelled: true,
+                    booking: await this.toGuestView(result.booking),
+                    refund: this.toGuestRefund(result.refund)
+                };
+            }
+
+            const updatedBooking = booking.cancellationRequested
+                ? booking
+                : await this.repository.update(COLLECTIONS.BOOKINGS, {
+                    ...booking,
+                    cancellationRequested: true,
+                    cancellationRequestedDate: new Date(),
+                    cancellationRequestReason: reason,
+                    updatedDate: new Date()
+                });
+
+            return {
+                cancelled: false,
+                booking: await this.toGuestView(updatedBooking),
+                refund: this.toGuestRefund(await this.cancellationService.calculateRefund(booking))
+            };
+
+        } catch (error) {
+            console.error('Error requesting cancellation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a download link for one of the guest's invoices or credit notes
+     * @param {Object} credentials - { token } or { reference, email }
+     * @param {string} invoiceId - Invoice ID from the guest view
+     * @param {string} [format] - 'pdf' or 'html'
+     * @returns {Promise<Object>} { url, fileName, expiresAt }
+     */
+    async getInvoiceDownload(credentials, invoiceId, format) {
+        try {
+            const booking = await this.authenticate(credentials);
+
+            const invoice = invoiceId ? await this.repository.get(COLLECTIONS.INVOICES, invoiceId) : null;
+            if (!invoice || invoice.bookingId !== booking._id) {
+                throw new ReservationError('Invoice not found', { status: 404, code: 'NOT_FOUND' });
+            }
+
+            return await this.invoiceService.getDownload(invoice._id, format);
+
+        } catch (error) {
+            console.error('Error getting guest invoice download:', error);
+            throw error;
+        }
+    }
+
+    // ===== UTILITY FUNCTIONS =====
+
+    /**
+     * Trim a refund breakdown for guests
+     * @param {Object} refund - Result of cancellationService.calculateRefund
+     * @returns {Object} Policy name and wording, and the amounts in the charged currency
+     */
+    toGuestRefund(refund) {
+        return {
+            policyName: refund.policy.name,
+            policy: refund.policy.description,
+            daysBeforeCheckIn: refund.daysBeforeCheckIn,
+            refundPercent: refund.refundPercent,
+            currency: refund.currency,
+            totalAmount: refund.totalAmount,
+            amountPaid: refund.amountPaid,
+            penalty: refund.penalty,
+            refundAmount: refund.refundAmount
+        };
+    }
+
+    /**
+     * Whether a guest may still change a booking: active and not yet started
+     * @param {Object} booking - Booking
+     * @returns {boolean} Whether changes are allowed
+     */
+    isModifiable(booking) {
+        return [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED].includes(booking.status) &&
+            !booking.cancellationRequested &&
+            startOfDay(booking.checkInDate) > startOfDay(new Date());
+    }
+
+    /**
+     * Reject changes to a booking the guest can no longer change
+     * @param {Object} booking - Booking
+     */
+    assertModifiable(booking) {
+        if (!this.isModifiable(booking)) {
+            throw new ReservationError('This booking can no longer be changed online. Please contact the lodge.', {
+                status: 409,
+                code: 'BOOKING_NOT_CHANGEABLE'
+            });
+        }
+    }
+}
+
+// Export singleton instance
+export const guestBookingService = new GuestBookingService();
+export default guestBookingService;
@@ -3,9 +3,23 @@
 // e.g., export function get_getAllCottages(request) { ... }
 
 import { ok, badRequest, serverError } from 'wix-http-functions';
-import wixData from 'wix-data';
 import { reservationService } from 'backend/reservationService';
-import { COLLECTIONS } from 'backend/collections';
+import { paymentService, PAYMENT_EVENTS } from 'backend/paymentService';
+import { inquiryService } from 'backend/inquiryService';
+import { safariService } from 'backend/safariService';
+import { searchService } from 'backend/searchService';
+import { calendarService } from 'backend/calendarService';
+import { blockService } from 'backend/blockService';
+import { icalService } from 'backend/icalService';
+import { guestBookingService } from 'backend/guestBookingService';
+import { invoiceService } from 'backend/invoiceService';
+import { currencyService } from 'backend/currencyService';
+import { paymentScheduleService } from 'backend/paymentScheduleService';
+import { cancellationService } from 'backend/cancellationService';
+import { quoteService } from 'backend/quoteService';
+import { toErrorBody, getErrorStatus } from 'backend/errors';
+import { assertValidRequest, REQUEST_SCHEMAS } from 'backend/validation';
+import { ROLES, requireHttpRole, getHttpCaller } from 'backend/auth';
 
 function jsonResponse(statusCode, body) {
     return {
@@ -19,10 +33,8 @@ function jsonResponse(statusCode, body) {
 
 // GET /_functions/getAllCottages
 export function get_getAllCottages(_request) {
-    return wixData.query(COLLECTIONS.COTTAGES)
-        .eq('isActive', true)
-        .find()
-        .then(result => jsonResponse(200, { success: true, data: result.items }))
+    return reservationService.getActiveCottages()
+        .then(cottages => jsonResponse(200, { success: true, data: cottages }))
         .catch(error => jsonResponse(500, { success: false, error: error.message }));
 }
 
@@ -42,12 +54,48 @@ async function parseJsonRequest(request) {
     }
 }
 
+// Resolves to the 400 response to send back when a payload is not valid JSON or does
+// not match its endpoint's schema (see REQUEST_SCHEMAS), or null when it does.
+function checkPayload(payload, spec) {
+    if (!payload) {
+        return jsonResponse(400, { success: false, error: 'Invalid JSON body' });
+    }
+    try {
+        assertValidRequest(payload, spec);
+        return null;
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// Staff endpoints need an `x-api-key` header matching STAFF_API_KEY or OWNER_API_KEY.
+// Resolves to { caller } when allowed, or { response } with the 401/403 to send back.
+async function authorize(request, requiredRole) {
+    try {
+        return { caller: await requireHttpRole(request, requiredRole) };
+    } catch (error) {
+        return { response: jsonResponse(getErrorStatus(error), toErrorBody(error)) };
+    }
+}
+
+// Endpoints acting on one booking take a staff API key, or the guest's { token } or
+// { reference, email } for that booking (see guestBookingService.assertBookingAccess).
+// Resolves to { caller } when allowed, or { response } with the 401/403 to send back.
+async function authorizeBooking(request, payload, options) {
+    try {
+        const caller = await getHttpCaller(request);
+        await guestBookingService.assertBookingAccess(caller, getGuestCredentials(payload), payload.bookingId, options);
+        return { caller };
+    } catch (error) {
+        return { response: jsonResponse(getErrorStatus(error), toErrorBody(error)) };
+    }
+}
+
 // POST /_functions/checkCottageAvailability
 export async function post_checkCottageAvailability(request) {
     const payload = await parseJsonRequest(request);
-    if (!payload || !payload.cottageId || !payload.checkInDate || !payload.checkOutDate) {
-        return jsonResponse(400, { success: false, error: 'Missing required parameters' });
-    }
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.checkCottageAvailability);
+    if (invalid) return invalid;
     try {
         const data = await reservationService.checkAvailability(
             payload.cottageId,
@@ -60,12 +108,50 @@ export async function post_checkCottageAvailability(request) {
     }
 }
 
+// POST /_functions/searchCottages
+export async function post_searchCottages(request) {
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.searchCottages);
+    if (invalid) return invalid;
+    try {
+        const data = await searchService.searchCottages({
+            checkInDate: new Date(payload.checkInDate),
+            checkOutDate: new Date(payload.checkOutDate),
+            adults: parseInt(payload.adults),
+            children: parseInt(payload.children) || 0,
+            childAges: payload.childAges,
+            packageId: payload.packageId || null,
+            currency: payload.currency || null
+        });
+        return jsonResponse(200, { success: true, data });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/getAvailabilityCalendar
+export async function post_getAvailabilityCalendar(request) {
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.getAvailabilityCalendar);
+    if (invalid) return invalid;
+    try {
+        const data = await calendarService.getCalendar({
+            month: payload.month,
+            months: parseInt(payload.months) || 1,
+            cottageId: payload.cottageId || null,
+            packageId: payload.packageId || null
+        });
+        return jsonResponse(200, { success: true, data });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
 // POST /_functions/getPackageById
 export async function post_getPackageById(request) {
     const payload = await parseJsonRequest(request);
-    if (!payload || !payload.packageId) {
-        return jsonResponse(400, { success: false, error: 'Missing required parameter: packageId' });
-    }
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.getPackageById);
+    if (invalid) return invalid;
     try {
         const data = await reservationService.getPackageById(payload.packageId);
         return jsonResponse(200, { success: true, data });
@@ -74,21 +160,42 @@ export async function post_getPackageById(request) {
     }
 }
 
-// POST /_functions/createBooking
-export async function post_createBooking(request) {
+// POST /_functions/placeBookingHold
+export async function post_placeBookingHold(request) {
     const payload = await parseJsonRequest(request);
-    if (!payload || !payload.cottageId || !payload.packageId || !payload.checkInDate || !payload.checkOutDate || !payload.adults) {
-        return jsonResponse(400, { success: false, error: 'Missing required booking parameters' });
-    }
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.placeBookingHold);
+    if (invalid) return invalid;
     try {
-        const availability = await reservationService.checkAvailability(
+        const data = await reservationService.acquireHold(
             payload.cottageId,
             new Date(payload.checkInDate),
             new Date(payload.checkOutDate)
         );
-        if (!availability.isAvailable) {
-            return jsonResponse(200, { success: false, error: 'Selected dates are not available for this cottage' });
-        }
+        return jsonResponse(200, { success: true, data, message: 'Dates held successfully' });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/releaseBookingHold
+export async function post_releaseBookingHold(request) {
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.releaseBookingHold);
+    if (invalid) return invalid;
+    try {
+        const released = await reservationService.releaseHold(payload.holdId);
+        return jsonResponse(200, { success: true, data: { released }, message: 'Hold released successfully' });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/createBooking
+export async function post_createBooking(request) {
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.createBooking);
+    if (invalid) return invalid;
+    try {
         const bookingData = {
             cottageId: payload.cottageId,
             packageId: payload.packageId,
@@ -96,78 +203,690 @@ export async function post_createBooking(request) {
             checkOutDate: new Date(payload.checkOutDate),
             adults: parseInt(payload.adults),
             children: parseInt(payload.children) || 0,
+            childAges: payload.childAges,
             customerInfo: payload.customerInfo || {},
-            specialRequests: payload.specialRequests || ''
+            specialRequests: payload.specialRequests || '',
+            holdId: payload.holdId,
+            promoCode: payload.promoCode,
+            currency: payload.currency
         };
-        const created = await reservationService.createBooking(bookingData);
+        // Availability is checked under a hold inside the service; a conflict comes back as 409
+        const created = payload.quoteId
+            ? await quoteService.bookQuote(payload.quoteId, bookingData)
+            : await reservationService.createBooking(bookingData);
         return jsonResponse(200, { success: true, data: created, message: 'Booking created successfully' });
     } catch (error) {
-        return jsonResponse(500, { success: false, error: error.message });
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
     }
 }
 
 // POST /_functions/getBookingDetails
 export async function post_getBookingDetails(request) {
+    const auth = await authorize(request, ROLES.STAFF);
+    if (auth.response) return auth.response;
+
     const payload = await parseJsonRequest(request);
-    if (!payload || !payload.bookingId) {
-        return jsonResponse(400, { success: false, error: 'Missing required parameter: bookingId' });
-    }
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.getBookingDetails);
+    if (invalid) return invalid;
     try {
         const data = await reservationService.getBookingDetails(payload.bookingId);
         return jsonResponse(200, { success: true, data });
     } catch (error) {
-        return jsonResponse(500, { success: false, error: error.message });
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
     }
 }
 
 // POST /_functions/updateBookingStatus
 export async function post_updateBookingStatus(request) {
+    const auth = await authorize(request, ROLES.STAFF);
+    if (auth.response) return auth.response;
+
     const payload = await parseJsonRequest(request);
-    if (!payload || !payload.bookingId || !payload.status) {
-        return jsonResponse(400, { success: false, error: 'Missing required parameters: bookingId, status' });
-    }
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.updateBookingStatus);
+    if (invalid) return invalid;
     try {
-        const data = await reservationService.updateBookingStatus(payload.bookingId, payload.status);
+        const data = await reservationService.updateBookingStatus(payload.bookingId, payload.status, {
+            updatedBy: auth.caller.name
+        });
         return jsonResponse(200, { success: true, data, message: 'Booking status updated successfully' });
     } catch (error) {
-        return jsonResponse(500, { success: false, error: error.message });
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/previewCancellation
+export async function post_previewCancellation(request) {
+    const auth = await authorize(request, ROLES.STAFF);
+    if (auth.response) return auth.response;
+
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.previewCancellation);
+    if (invalid) return invalid;
+    try {
+        const data = await cancellationService.previewCancellation(payload.bookingId);
+        return jsonResponse(200, { success: true, data });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/cancelBooking
+export async function post_cancelBooking(request) {
+    const auth = await authorize(request, ROLES.STAFF);
+    if (auth.response) return auth.response;
+
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.cancelBooking);
+    if (invalid) return invalid;
+    try {
+        const data = await reservationService.cancelBooking(payload.bookingId, {
+            cancelledBy: auth.caller.name,
+            reason: payload.reason
+        });
+        return jsonResponse(200, { success: true, data, message: 'Booking cancelled successfully' });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/releaseCancelledBooking
+export async function post_releaseCancelledBooking(request) {
+    const auth = await authorize(request, ROLES.STAFF);
+    if (auth.response) return auth.response;
+
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.releaseCancelledBooking);
+    if (invalid) return invalid;
+    try {
+        const data = await reservationService.releaseCancelledBooking(payload.bookingId);
+        return jsonResponse(200, { success: true, data, message: 'Booking nights released successfully' });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/createCottageBlock
+export async function post_createCottageBlock(request) {
+    const auth = await authorize(request, ROLES.STAFF);
+    if (auth.response) return auth.response;
+
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.createCottageBlock);
+    if (invalid) return invalid;
+    try {
+        const data = await blockService.createBlock({
+            cottageId: payload.cottageId,
+            startDate: new Date(payload.startDate),
+            endDate: new Date(payload.endDate),
+            name: payload.name,
+            reason: payload.reason,
+            createdBy: auth.caller.name
+        });
+        return jsonResponse(200, { success: true, data, message: 'Cottage block created successfully' });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/listCottageBlocks
+export async function post_listCottageBlocks(request) {
+    const auth = await authorize(request, ROLES.STAFF);
+    if (auth.response) return auth.response;
+
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.listCottageBlocks);
+    if (invalid) return invalid;
+    try {
+        const data = await blockService.listBlocks(payload);
+        return jsonResponse(200, { success: true, data });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/removeCottageBlock
+export async function post_removeCottageBlock(request) {
+    const auth = await authorize(request, ROLES.STAFF);
+    if (auth.response) return auth.response;
+
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.removeCottageBlock);
+    if (invalid) return invalid;
+    try {
+        const data = await blockService.removeBlock(payload.blockId);
+        return jsonResponse(200, { success: true, data, message: 'Cottage block removed successfully' });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// GET /_functions/icalFeed/<cottageId>.ics
+// Public: channels subscribe to this URL. Events say only "Booked" or "Blocked".
+export async function get_icalFeed(request) {
+    const fileName = (request.path || [])[0] || '';
+    const cottageId = fileName.replace(/\.ics$/i, '');
+    if (!cottageId) {
+        return jsonResponse(400, { success: false, error: 'Missing cottage ID: use /_functions/icalFeed/<cottageId>.ics' });
+    }
+    try {
+        const body = await icalService.buildFeed(cottageId);
+        return {
+            status: 200,
+            headers: {
+                'Content-Type': 'text/calendar; charset=utf-8',
+                'Content-Disposition': `inline; filename="${cottageId}.ics"`
+            },
+            body: body
+        };
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/importCottageCalendar
+export async function post_importCottageCalendar(request) {
+    const auth = await authorize(request, ROLES.STAFF);
+    if (auth.response) return auth.response;
+
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.importCottageCalendar);
+    if (invalid) return invalid;
+    if (!payload.icsText && !payload.fileUrl) {
+        return jsonResponse(400, { success: false, error: 'Missing required parameter: icsText or fileUrl' });
+    }
+    try {
+        const data = await icalService.importFeed({
+            cottageId: payload.cottageId,
+            source: payload.source,
+            icsText: payload.icsText,
+            fileUrl: payload.fileUrl,
+            importedBy: auth.caller.name
+        });
+        return jsonResponse(200, { success: true, data, message: 'Calendar imported successfully' });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// Guest self-service endpoints take { token } from guestSignIn, or { reference, email }
+function getGuestCredentials(payload) {
+    return { token: payload.token, reference: payload.reference, email: payload.email };
+}
+
+// POST /_functions/guestSignIn
+export async function post_guestSignIn(request) {
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.guestSignIn);
+    if (invalid) return invalid;
+    try {
+        const data = await guestBookingService.signIn({ reference: payload.reference, email: payload.email });
+        return jsonResponse(200, { success: true, data, message: 'Signed in to booking' });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/getGuestBooking
+export async function post_getGuestBooking(request) {
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.getGuestBooking);
+    if (invalid) return invalid;
+    try {
+        const data = await guestBookingService.getBooking(getGuestCredentials(payload));
+        return jsonResponse(200, { success: true, data });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/quoteGuestDateChange
+export async function post_quoteGuestDateChange(request) {
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.quoteGuestDateChange);
+    if (invalid) return invalid;
+    try {
+        const data = await guestBookingService.quoteDateChange(getGuestCredentials(payload), {
+            checkInDate: new Date(payload.checkInDate),
+            checkOutDate: new Date(payload.checkOutDate)
+        });
+        return jsonResponse(200, { success: true, data });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/changeGuestBookingDates
+export async function post_changeGuestBookingDates(request) {
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.changeGuestBookingDates);
+    if (invalid) return invalid;
+    try {
+        const data = await guestBookingService.changeDates(getGuestCredentials(payload), {
+            checkInDate: new Date(payload.checkInDate),
+            checkOutDate: new Date(payload.checkOutDate)
+        });
+        return jsonResponse(200, { success: true, data, message: 'Booking dates changed successfully' });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/addGuestSafaris
+export async function post_addGuestSafaris(request) {
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.addGuestSafaris);
+    if (invalid) return invalid;
+    if (payload.safaris.length === 0) {
+        return jsonResponse(400, { success: false, error: 'Missing required parameter: safaris' });
+    }
+    try {
+        const data = await guestBookingService.addSafaris(getGuestCredentials(payload), payload.safaris);
+        return jsonResponse(200, { success: true, data, message: 'Safaris added successfully' });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/removeGuestSafari
+export async function post_removeGuestSafari(request) {
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.removeGuestSafari);
+    if (invalid) return invalid;
+    try {
+        const data = await guestBookingService.removeSafari(getGuestCredentials(payload), payload.safariId);
+        return jsonResponse(200, { success: true, data, message: 'Safari removed successfully' });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/previewGuestCancellation
+export async function post_previewGuestCancellation(request) {
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.previewGuestCancellation);
+    if (invalid) return invalid;
+    try {
+        const data = await guestBookingService.previewGuestCancellation(getGuestCredentials(payload));
+        return jsonResponse(200, { success: true, data });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/requestGuestCancellation
+export async function post_requestGuestCancellation(request) {
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.requestGuestCancellation);
+    if (invalid) return invalid;
+    try {
+        const data = await guestBookingService.requestCancellation(getGuestCredentials(payload), payload.reason);
+        return jsonResponse(200, { success: true, data });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/getGuestInvoiceDownload
+export async function post_getGuestInvoiceDownload(request) {
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.getGuestInvoiceDownload);
+    if (invalid) return invalid;
+    try {
+        const data = await guestBookingService.getInvoiceDownload(getGuestCredentials(payload), payload.invoiceId, payload.format);
+        return jsonResponse(200, { success: true, data });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+function parseGroupLines(lines) {
+    return lines.map(line => ({
+        cottageId: line.cottageId,
+        packageId: line.packageId,
+        adults: parseInt(line.adults),
+        children: parseInt(line.children) || 0,
+        childAges: line.childAges,
+        holdId: line.holdId
+    }));
+}
+
+// POST /_functions/calculateGroupBookingCost
+export async function post_calculateGroupBookingCost(request) {
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.calculateGroupBookingCost);
+    if (invalid) return invalid;
+    try {
+        const data = await reservationService.calculateGroupBookingCost(
+            parseGroupLines(payload.lines),
+            payload.packageId,
+            new Date(payload.checkInDate),
+            new Date(payload.checkOutDate),
+            { currency: payload.currency }
+        );
+        return jsonResponse(200, { success: true, data });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/createGroupBooking
+export async function post_createGroupBooking(request) {
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.createGroupBooking);
+    if (invalid) return invalid;
+    try {
+        const data = await reservationService.createGroupBooking({
+            packageId: payload.packageId,
+            checkInDate: new Date(payload.checkInDate),
+            checkOutDate: new Date(payload.checkOutDate),
+            customerInfo: payload.customerInfo || {},
+            specialRequests: payload.specialRequests || '',
+            lines: parseGroupLines(payload.lines),
+            currency: payload.currency
+        });
+        return jsonResponse(200, { success: true, data, message: 'Group booking created successfully' });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/createPaymentOrder
+export async function post_createPaymentOrder(request) {
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.createPaymentOrder);
+    if (invalid) return invalid;
+    const auth = await authorizeBooking(request, payload);
+    if (auth.response) return auth.response;
+    try {
+        const data = await paymentService.createPaymentOrder(payload.bookingId, { payInFull: payload.payInFull === true });
+        return jsonResponse(200, { success: true, data, message: 'Payment order created successfully' });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/getPaymentLedger
+export async function post_getPaymentLedger(request) {
+    const auth = await authorize(request, ROLES.STAFF);
+    if (auth.response) return auth.response;
+
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.getPaymentLedger);
+    if (invalid) return invalid;
+    try {
+        const data = await paymentScheduleService.getPaymentLedger(payload.bookingId);
+        return jsonResponse(200, { success: true, data });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// GET /_functions/listOverduePayments
+export async function get_listOverduePayments(request) {
+    const auth = await authorize(request, ROLES.STAFF);
+    if (auth.response) return auth.response;
+
+    try {
+        const data = await paymentScheduleService.listOverduePayments();
+        return jsonResponse(200, { success: true, data });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/paymentWebhook/<provider>
+// Providers sign the raw body, so it is verified before being parsed
+export async function post_paymentWebhook(request) {
+    try {
+        const rawBody = await request.body.text();
+        const providerName = request.path && request.path[0];
+        const data = await paymentService.handleWebhook(providerName, rawBody, request.headers);
+        return jsonResponse(200, { success: true, data });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/simulatePayment
+// Settles a mock-provider order offline; refused when a real provider is active
+export async function post_simulatePayment(request) {
+    const auth = await authorize(request, ROLES.STAFF);
+    if (auth.response) return auth.response;
+
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.simulatePayment);
+    if (invalid) return invalid;
+    try {
+        const data = await paymentService.simulateMockPayment(payload.orderId, payload.type || PAYMENT_EVENTS.PAID);
+        return jsonResponse(200, { success: true, data });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/issueInvoice
+export async function post_issueInvoice(request) {
+    const auth = await authorize(request, ROLES.STAFF);
+    if (auth.response) return auth.response;
+
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.issueInvoice);
+    if (invalid) return invalid;
+    try {
+        const data = await invoiceService.issueInvoice(payload.bookingId, { issuedBy: auth.caller.name });
+        return jsonResponse(200, { success: true, data, message: 'Invoice issued successfully' });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/issueCreditNote
+export async function post_issueCreditNote(request) {
+    const auth = await authorize(request, ROLES.STAFF);
+    if (auth.response) return auth.response;
+
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.issueCreditNote);
+    if (invalid) return invalid;
+    try {
+        const data = await invoiceService.createCreditNote(payload.bookingId, {
+            amount: Number(payload.amount),
+            reason: payload.reason || 'Refund',
+            issuedBy: auth.caller.name
+        });
+        return jsonResponse(200, { success: true, data, message: 'Credit note issued successfully' });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/listInvoices
+export async function post_listInvoices(request) {
+    const auth = await authorize(request, ROLES.STAFF);
+    if (auth.response) return auth.response;
+
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.listInvoices);
+    if (invalid) return invalid;
+    try {
+        const data = await invoiceService.listInvoices(payload.bookingId);
+        return jsonResponse(200, { success: true, data });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/getInvoiceDownload
+export async function post_getInvoiceDownload(request) {
+    const auth = await authorize(request, ROLES.STAFF);
+    if (auth.response) return auth.response;
+
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.getInvoiceDownload);
+    if (invalid) return invalid;
+    try {
+        const data = await invoiceService.getDownload(payload.invoiceId, payload.format);
+        return jsonResponse(200, { success: true, data });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// GET /_functions/getExchangeRates
+export function get_getExchangeRates(_request) {
+    return currencyService.getExchangeRates()
+        .then(rates => jsonResponse(200, { success: true, data: rates }))
+        .catch(error => jsonResponse(getErrorStatus(error), toErrorBody(error)));
+}
+
+// POST /_functions/setExchangeRate
+export async function post_setExchangeRate(request) {
+    const auth = await authorize(request, ROLES.OWNER);
+    if (auth.response) return auth.response;
+
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.setExchangeRate);
+    if (invalid) return invalid;
+    try {
+        const data = await currencyService.setExchangeRate(payload.currency, payload.rate, {
+            isActive: payload.isActive !== false,
+            updatedBy: auth.caller.name
+        });
+        return jsonResponse(200, { success: true, data, message: 'Exchange rate saved successfully' });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/getSafariSlots
+export async function post_getSafariSlots(request) {
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.getSafariSlots);
+    if (invalid) return invalid;
+    if (!payload.bookingId && (!payload.checkInDate || !payload.checkOutDate || !payload.packageId)) {
+        return jsonResponse(400, { success: false, error: 'Missing required parameters: bookingId, or checkInDate, checkOutDate and packageId' });
+    }
+    if (payload.bookingId) {
+        const auth = await authorizeBooking(request, payload);
+        if (auth.response) return auth.response;
+    }
+    try {
+        const data = await safariService.getSlotsForStay(payload.bookingId ? { bookingId: payload.bookingId } : {
+            checkInDate: new Date(payload.checkInDate),
+            checkOutDate: new Date(payload.checkOutDate),
+            packageId: payload.packageId
+        });
+        return jsonResponse(200, { success: true, data });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
     }
 }
 
 // POST /_functions/createSafariBookings
 export async function post_createSafariBookings(request) {
     const payload = await parseJsonRequest(request);
-    if (!payload || !payload.bookingId || !Array.isArray(payload.safariData)) {
-        return jsonResponse(400, { success: false, error: 'Missing required parameters: bookingId, safariData (array)' });
-    }
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.createSafariBookings);
+    if (invalid) return invalid;
+    const auth = await authorizeBooking(request, payload, { modify: true });
+    if (auth.response) return auth.response;
     try {
         const data = await reservationService.createSafariBookings(payload.bookingId, payload.safariData);
         return jsonResponse(200, { success: true, data, message: 'Safari bookings created successfully' });
     } catch (error) {
-        return jsonResponse(500, { success: false, error: error.message });
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
     }
 }
 
-// POST /_functions/calculateBookingCost
-export async function post_calculateBookingCost(request) {
+// POST /_functions/createSafariInquiry
+export async function post_createSafariInquiry(request) {
     const payload = await parseJsonRequest(request);
-    if (!payload || !payload.cottageId || !payload.packageId || !payload.checkInDate || !payload.checkOutDate) {
-        return jsonResponse(400, { success: false, error: 'Missing required parameters' });
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.createSafariInquiry);
+    if (invalid) return invalid;
+    try {
+        const data = await inquiryService.createInquiry(payload);
+        return jsonResponse(200, { success: true, data, message: 'Safari inquiry received successfully' });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
     }
+}
+
+// POST /_functions/listSafariInquiries
+export async function post_listSafariInquiries(request) {
+    const auth = await authorize(request, ROLES.STAFF);
+    if (auth.response) return auth.response;
+
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.listSafariInquiries);
+    if (invalid) return invalid;
     try {
-        const cottage = await wixData.get(COLLECTIONS.COTTAGES, payload.cottageId);
-        const packageData = await wixData.get(COLLECTIONS.PACKAGES, payload.packageId);
-        if (!cottage || !packageData) {
-            return jsonResponse(404, { success: false, error: 'Cottage or package not found' });
-        }
-        const nights = reservationService.calculateNights(new Date(payload.checkInDate), new Date(payload.checkOutDate));
-        const roomCost = cottage.basePricePerNight * nights;
-        const packageCost = packageData.price;
-        const totalCost = roomCost + packageCost;
-        return jsonResponse(200, { success: true, data: { roomCost, packageCost, totalCost, nights, costPerNight: cottage.basePricePerNight } });
+        const data = await inquiryService.listInquiries(payload);
+        return jsonResponse(200, { success: true, data });
     } catch (error) {
-        return jsonResponse(500, { success: false, error: error.message });
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/updateSafariInquiryStatus
+export async function post_updateSafariInquiryStatus(request) {
+    const auth = await authorize(request, ROLES.STAFF);
+    if (auth.response) return auth.response;
+
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.updateSafariInquiryStatus);
+    if (invalid) return invalid;
+    try {
+        const data = await inquiryService.updateInquiryStatus(payload.inquiryId, payload.status, {
+            note: payload.note,
+            updatedBy: auth.caller.name
+        });
+        return jsonResponse(200, { success: true, data, message: 'Inquiry status updated successfully' });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
     }
 }
 
+// POST /_functions/convertSafariInquiry
+export async function post_convertSafariInquiry(request) {
+    const auth = await authorize(request, ROLES.STAFF);
+    if (auth.response) return auth.response;
 
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.convertSafariInquiry);
+    if (invalid) return invalid;
+    try {
+        const data = await inquiryService.convertToBooking(payload.inquiryId, {
+            ...payload,
+            convertedBy: auth.caller.name
+        });
+        return jsonResponse(200, { success: true, data, message: 'Inquiry converted into a booking successfully' });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
+
+// POST /_functions/calculateBookingCost
+export async function post_calculateBookingCost(request) {
+    const payload = await parseJsonRequest(request);
+    const invalid = checkPayload(payload, REQUEST_SCHEMAS.calculateBookingCost);
+    if (invalid) return invalid;
+    try {
+        const stay = {
+            cottageId: payload.cottageId,
+            packageId: payload.packageId,
+            checkInDate: new Date(payload.checkInDate),
+            checkOutDate: new Date(payload.checkOutDate),
+            promoCode: payload.promoCode,
+            guestEmail: payload.guestEmail,
+            currency: payload.currency,
+            children: parseInt(payload.children) || 0,
+            childAges: payload.childAges
+        };
+        // With saveQuote the price is stored as a quote: createBooking charges its quoteId at this price
+        const data = payload.saveQuote === true
+            ? await quoteService.createQuote(stay)
+            : await reservationService.calculateBookingCost(stay.cottageId, stay.packageId, stay.checkInDate, stay.checkOutDate, stay);
+        return jsonResponse(200, { success: true, data });
+    } catch (error) {
+        return jsonResponse(getErrorStatus(error), toErrorBody(error));
+    }
+}
@@ -0,0 +1,429 @@
+// iCal Service - Calendar sync with external booking channels
+// Each cottage publishes an .ics feed of its taken nights, which channels such
+// as Airbnb or Booking.com subscribe to. In the other direction, a channel's
+// feed is imported as cottage blocks tagged with the channel's name; importing
+// the same channel again adds, moves and removes those blocks to match.
+
+import { fetch } from 'wix-fetch';
+import { mediaManager } from 'wix-media-backend';
+import { createHmac } from 'crypto';
+import { COLLECTIONS } from 'backend/collections';
+import { BookingConflictError, ReservationError } from 'backend/errors';
+import { addDays, startOfDay, toDateKey, isValidDate } from 'backend/dateUtils';
+import { blockService } from 'backend/blockService';
+import { readSecret } from 'backend/serviceUtils';
+import { wixDataRepository } from 'backend/dataRepository';
+
+// Domain part of the UIDs we publish; events carrying it are skipped on import
+export const ICAL_UID_DOMAIN = 'village-machaan';
+
+// How far ahead the exported feed reaches
+export const ICAL_FEED_DAYS = 365;
+
+const PRODUCT_ID = '-//Village Machaan//Reservations//EN';
+
+export class IcalService {
+
+    /**
+     * @param {Object} [options] - Options
+     * @param {Object} [options.repository] - Where records are read and written (see dataRepository); wix-data by default
+     * @param {Object} [options.services] - Services to call instead of the site's own, e.g. { blockService }
+     */
+    constructor({ repository = wixDataRepository, services = {} } = {}) {
+        this.repository = repository;
+        this.blockService = services.blockService || blockService;
+    }
+
+    // ===== EXPORT =====
+
+    /**
+     * Build the .ics feed for one cottage
+     * Booked and blocked nights from today on are published as all-day events.
+     * Events carry no guest details, only whether the nights are booked or blocked,
+     * and their UIDs are keyed hashes, so the feed does not reveal record IDs.
+     * @param {string} cottageId - Cottage ID
+     * @returns {Promise<string>} iCalendar text
+     */
+    async buildFeed(cottageId) {
+        try {
+            const cottage = await this.repository.get(COLLECTIONS.COTTAGES, cottageId);
+            if (!cottage) {
+                throw new ReservationError('Cottage not found', { status: 404, code: 'NOT_FOUND' });
+            }
+
+            const today = startOfDay(new Date());
+            const nights = await this.repository.query(COLLECTIONS.AVAILABILITY)
+                .eq('cottageId', cottageId)
+                .eq('isAvailable', false)
+                .gte('date', today)
+                .lt('date', addDays(today, ICAL_FEED_DAYS))
+                .ascending('date')
+                .limit(1000)
+                .find();
+
+            const uidKey = await this.getUidKey();
+            const stamp = this.formatDateTime(new Date());
+            const lines = [
+                'BEGIN:VCALENDAR',
+                'VERSION:2.0',
+                `PRODID:${PRODUCT_ID}`,
+                'CALSCALE:GREGORIAN',
+                'METHOD:PUBLISH',
+                `X-WR-CALNAME:${this.escapeText(cottage.name)}`
+            ];
+
+            for (const event of this.groupNights(nights.items, uidKey)) {
+                lines.push(
+                    'BEGIN:VEVENT',
+                    `UID:${event.uid}`,
+                    `DTSTAMP:${stamp}`,
+                    `DTSTART;VALUE=DATE:${this.formatDate(event.startDate)}`,
+                    `DTEND;VALUE=DATE:${this.formatDate(event.endDate)}`,
+                    `SUMMARY:${event.summary}`,
+                    'TRANSP:OPAQUE',
+                    'END:VEVENT'
+                );
+            }
+
+            lines.push('END:VCALENDAR');
+            return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+
+        } catch (error) {
+            console.error('Error building iCal feed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read the key published event UIDs are hashed with
+     * @returns {Promise<string>} Hashing key
+     */
+    async getUidKey() {
+        const key = await readSecret('ICAL_UID_SECRET');
+        if (!key) {
+            throw new ReservationError('Calendar export is not configured', { status: 503, code: 'NOT_CONFIGURED' });
+        }
+        return key;
+    }
+
+    /**
+     * Merge consecutive taken nights of the same booking or block into events
+     * @param {Array} nights - Availability rows, sorted by date
+     * @param {string} uidKey - Key from getUidKey
+     * @returns {Array} Events ({ uid, summary, startDate, endDate })
+     */
+    groupNights(nights, uidKey) {
+        const events = [];
+        let current = null;
+
+        for (const night of nights) {
+            const date = startOfDay(night.date);
+            const owner = night.bookingId ? `booking-${night.bookingId}`
+                : night.blockId ? `block-${night.blockId}`
+                    : 'closed';
+
+            if (current && current.owner === owner && current.endDate.getTime() === date.getTime()) {
+                current.endDate = addDays(date, 1);
+                continue;
+            }
+
+            current = {
+                owner: owner,
+                // Nights closed by hand have no record of their own, so their UID is keyed on the date.
+                // The UID stays the same between exports but does not give the booking or block ID away.
+                uid: `${this.hashUid(owner === 'closed' ? `closed-${toDateKey(date)}` : owner, uidKey)}@${ICAL_UID_DOMAIN}`,
+                summary: night.bookingId ? 'Booked' : 'Blocked',
+                startDate: date,
+                endDate: addDays(date, 1)
+            };
+            events.push(current);
+        }
+
+        return events.map(({ owner: _owner, ...event }) => event);
+    }
+
+    /**
+     * Hash the record an event stands for into the local part of its UID
+     * @param {string} owner - e.g. booking-<id>, block-<id> or closed-<date>
+     * @param {string} uidKey - Key from getUidKey
+     * @returns {string} Opaque UID part
+     */
+    hashUid(owner, uidKey) {
+        return createHmac('sha256', uidKey).update(owner).digest('hex').slice(0, 32);
+    }
+
+    // ===== IMPORT =====
+
+    /**
+     * Import a channel's iCal feed as blocks on a cottage and reconcile earlier imports
+     * Events that are new get a block, moved events have their block replaced and
+     * blocks whose event has gone are removed. Events that clash with a booking or a
+     * block of our own are not imported; they are returned as conflicts to sort out by hand.
+     * @param {Object} request - Import request
+     * @param {string} request.cottageId - Cottage the feed belongs to
+     * @param {string} request.source - Channel name, e.g. airbnb
+     * @param {string} [request.icsText] - Feed contents
+     * @param {string} [request.fileUrl] - Media Manager file (or URL) holding the feed, when icsText is not given
+     * @param {string} [request.importedBy] - Who ran the import
+     * @returns {Promise<Object>} Counts of created, updated, removed and unchanged blocks, plus conflicts
+     */
+    async importFeed({ cottageId, source, icsText = null, fileUrl = null, importedBy = 'system' }) {
+        try {
+            if (!cottageId || !source) {
+                throw new ReservationError('Missing required parameters: cottageId, source');
+            }
+            if (!icsText && !fileUrl) {
+                throw new ReservationError('Either icsText or fileUrl is required');
+            }
+
+            const cottage = await this.repository.get(COLLECTIONS.COTTAGES, cottageId);
+            if (!cottage) {
+                throw new ReservationError('Cottage not found', { status: 404, code: 'NOT_FOUND' });
+            }
+
+            const text = icsText || await this.readFile(fileUrl);
+            const today = startOfDay(new Date());
+            const events = this.parseEvents(text)
+                .filter(event => event.endDate > today);
+
+            const existing = await this.blockService.listBlocks({ cottageId, source, fromDate: today });
+            const existingByUid = new Map(existing.map(block => [block.externalUid, block]));
+            const eventUids = new Set(events.map(event => event.uid));
+
+            const result = {
+                cottageId: cottageId,
+                source: source,
+                created: 0,
+                updated: 0,
+                removed: 0,
+                unchanged: 0,
+                conflicts: []
+            };
+
+            // Removals first, so a moved event can take over nights its old block held
+            const toCreate = [];
+            for (const block of existing) {
+                if (!eventUids.has(block.externalUid)) {
+                    await this.blockService.removeBlock(block._id);
+                    result.removed++;
+                }
+            }
+            for (const event of events) {
+                const block = existingByUid.get(event.uid);
+                if (!block) {
+                    toCreate.push({ event, isUpdate: false });
+                } else if (toDateKey(block.startDate) !== toDateKey(event.startDate) ||
+                           toDateKey(block.endDate) !== toDateKey(event.endDate)) {
+                    await this.blockService.removeBlock(block._id);
+                    toCreate.push({ event, isUpdate: true });
+                } else {
+                    result.unchanged++;
+                }
+            }
+
+            for (const { event, isUpdate } of toCreate) {
+                try {
+                    await this.blockService.createBlock({
+                        cottageId: cottageId,
+                        startDate: event.startDate,
+                        endDate: event.endDate,
+                        name: event.summary || `${source} booking`,
+                        reason: `Imported from ${source}`,
+                        createdBy: importedBy,
+                        source: source,
+                        externalUid: event.uid
+                    });
+                    if (isUpdate) {
+                        result.updated++;
+                    } else {
+                        result.created++;
+                    }
+                } catch (error) {
+                    if (!(error instanceof BookingConflictError)) throw error;
+                    result.conflicts.push({
+                        uid: event.uid,
+                        summary: event.summary,
+                        startDate: event.startDate,
+                        endDate: event.endDate,
+                        conflictingDates: error.conflictingDates
+                    });
+                }
+            }
+
+            return result;
+
+        } catch (error) {
+            console.error('Error importing iCal feed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read a feed stored in the Media Manager (wix:document://...) or at a URL
+     * @param {string} fileUrl - File or URL
+     * @returns {Promise<string>} Feed contents
+     */
+    async readFile(fileUrl) {
+        const url = /^https?:\/\//.test(fileUrl) ? fileUrl : await mediaManager.getDownloadUrl(fileUrl);
+        const response = await fetch(url, { method: 'get' });
+        if (!response.ok) {
+            throw new ReservationError(`Could not read calendar file (HTTP ${response.status})`, {
+                status: 502,
+                code: 'ICAL_FETCH_FAILED'
+            });
+        }
+        return response.text();
+    }
+
+    // ===== PARSING =====
+
+    /**
+     * Parse the events of an iCalendar document
+     * Cancelled events, events without usable dates and events we published
+     * ourselves are left out. A missing DTEND means a single night.
+     * @param {string} text - iCalendar text
+     * @returns {Array} Events ({ uid, summary, startDate, endDate })
+     */
+    parseEvents(text) {
+        if (!/BEGIN:VCALENDAR/i.test(text || '')) {
+            throw new ReservationError('Not an iCalendar file', { code: 'INVALID_ICAL' });
+        }
+
+        // Unfold continuation lines (a line break followed by a space or tab)
+        const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+        const events = [];
+        const seen = new Set();
+        let current = null;
+
+        for (const line of lines) {
+            const property = this.parseLine(line);
+            if (!property) continue;
+
+            if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+                current = {};
+            } else if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+                const event = this.toEvent(current);
+                if (event && !seen.has(event.uid)) {
+                    seen.add(event.uid);
+                    events.push(event);
+                }
+                current = null;
+            } else if (current && !(property.name in current)) {
+                // Only the first occurrence counts (alarms inside the event repeat some names)
+                current[property.name] = property.value;
+            }
+        }
+
+        return events;
+    }
+
+    /**
+     * Turn parsed VEVENT properties into an event, or null if it should be skipped
+     * @param {Object} properties - Property name to value
+     * @returns {Object|null} Event
+     */
+    toEvent(properties) {
+        if (!properties || !properties.UID || !properties.DTSTART) return null;
+        if ((properties.STATUS || '').toUpperCase() === 'CANCELLED') return null;
+        if (properties.UID.endsWith(`@${ICAL_UID_DOMAIN}`)) return null;
+
+        const startDate = this.parseDate(properties.DTSTART);
+        const endDate = properties.DTEND ? this.parseDate(properties.DTEND) : addDays(startDate, 1);
+        if (!isValidDate(startDate) || !isValidDate(endDate) || endDate <= startDate) return null;
+
+        return {
+            uid: properties.UID,
+            summary: this.unescapeText(properties.SUMMARY || ''),
+            startDate: startDate,
+            endDate: endDate
+        };
+    }
+
+    /**
+     * Split a content line into its name and value, dropping parameters
+     * @param {string} line - e.g. DTSTART;VALUE=DATE:20261205
+     * @returns {Object|null} { name, value }
+     */
+    parseLine(line) {
+        const colon = line.indexOf(':');
+        if (colon < 1) return null;
+
+        return {
+            name: line.slice(0, colon).split(';')[0].toUpperCase(),
+            value: line.slice(colon + 1).trim()
+        };
+    }
+
+    /**
+     * Parse an iCal DATE or DATE-TIME value to the start of that day
+     * @param {string} value - YYYYMMDD or YYYYMMDDTHHMMSS[Z]
+     * @returns {Date|null} Date
+     */
+    parseDate(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+        if (!match) return null;
+        return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }
+
+    // ===== UTILITY FUNCTIONS =====
+
+    /**
+     * Format a date as an iCal DATE value
+     * @param {Date} date - Date
+     * @returns {string} YYYYMMDD
+     */
+    formatDate(date) {
+        return toDateKey(date).replace(/-/g, '');
+    }
+
+    /**
+     * Format a timestamp as an iCal UTC DATE-TIME value
+     * @param {Date} date - Timestamp
+     * @returns {string} YYYYMMDDTHHMMSSZ
+     */
+    formatDateTime(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Escape text for an iCal property value
+     * @param {string} text - Plain text
+     * @returns {string} Escaped text
+     */
+    escapeText(text) {
+        return String(text || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Undo iCal text escaping
+     * @param {string} text - Escaped text
+     * @returns {string} Plain text
+     */
+    unescapeText(text) {
+        return text.replace(/\\([\\;,nN])/g, (_match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+
+    /**
+     * Fold a content line to the 75 characters iCal allows per line
+     * @param {string} line - Content line
+     * @returns {string} Folded line
+     */
+    foldLine(line) {
+        if (line.length <= 75) return line;
+
+        const parts = [line.slice(0, 75)];
+        for (let index = 75; index < line.length; index += 74) {
+            parts.push(' ' + line.slice(index, index + 74));
+        }
+        return parts.join('\r\n');
+    }
+}
+
+// Export singleton instance
+export const icalService = new IcalService();
+export default icalService;
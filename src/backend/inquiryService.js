@@ -0,0 +1,254 @@
+// Inquiry Service - Safari inquiries captured separately from bookings
+// Inquiries come in from the website (or are logged by staff from phone/email),
+// are worked through New -> Contacted -> Closed, and can be converted into a
+// real booking with safari bookings once the guest commits.
+
+import { COLLECTIONS, INQUIRY_STATUS, INQUIRY_SOURCES } from 'backend/collections';
+import { ReservationError } from 'backend/errors';
+import { isValidDate } from 'backend/dateUtils';
+import { reservationService } from 'backend/reservationService';
+import { wixDataRepository } from 'backend/dataRepository';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export class InquiryService {
+
+    /**
+     * @param {Object} [options] - Options
+     * @param {Object} [options.repository] - Where records are read and written (see dataRepository); wix-data by default
+     * @param {Object} [options.services] - Services to call instead of the site's own, e.g. { reservationService }
+     */
+    constructor({ repository = wixDataRepository, services = {} } = {}) {
+        this.repository = repository;
+        this.reservationService = services.reservationService || reservationService;
+    }
+
+    // ===== INQUIRY CAPTURE =====
+
+    /**
+     * Record a new safari inquiry
+     * @param {Object} inquiryData - Inquiry details (customerName, customerEmail, ...)
+     * @returns {Promise<Object>} Created inquiry
+     */
+    async createInquiry(inquiryData) {
+        try {
+            if (!inquiryData.customerName || !inquiryData.customerEmail) {
+                throw new ReservationError('Missing required parameters: customerName, customerEmail');
+            }
+            if (!EMAIL_PATTERN.test(inquiryData.customerEmail)) {
+                throw new ReservationError('Please provide a valid email address');
+            }
+            if (inquiryData.preferredDate && !isValidDate(inquiryData.preferredDate)) {
+                throw new ReservationError('Invalid preferredDate');
+            }
+
+            const inquiry = {
+                customerName: inquiryData.customerName,
+                customerEmail: inquiryData.customerEmail,
+                customerPhone: inquiryData.customerPhone || '',
+                preferredDate: inquiryData.preferredDate ? new Date(inquiryData.preferredDate) : null,
+                preferredTime: inquiryData.preferredTime || '',
+                numAdults: parseInt(inquiryData.numAdults) || 0,
+                numChildren: parseInt(inquiryData.numChildren) || 0,
+                notes: inquiryData.notes || '',
+                status: INQUIRY_STATUS.NEW,
+                source: inquiryData.source || INQUIRY_SOURCES.WEBSITE,
+                statusHistory: [{
+                    status: INQUIRY_STATUS.NEW,
+                    note: 'Inquiry received',
+                    updatedBy: inquiryData.source || INQUIRY_SOURCES.WEBSITE,
+                    date: new Date()
+                }],
+                createdDate: new Date(),
+                updatedDate: new Date()
+            };
+
+            return await this.repository.insert(COLLECTIONS.SAFARI_INQUIRIES, inquiry);
+
+        } catch (error) {
+            console.error('Error creating safari inquiry:', error);
+            throw error;
+        }
+    }
+
+    // ===== STAFF WORKFLOW =====
+
+    /**
+     * List inquiries for staff, newest first
+     * @param {Object} [filters] - Optional filters
+     * @param {string} [filters.status] - New, Contacted or Closed
+     * @param {string} [filters.source] - Website form, Phone, Email
+     * @param {Date} [filters.fromDate] - Earliest date (inclusive)
+     * @param {Date} [filters.toDate] - Latest date (inclusive)
+     * @param {string} [filters.dateField] - 'createdDate' (default) or 'preferredDate'
+     * @param {number} [filters.limit] - Maximum results (default 100)
+     * @returns {Promise<Array>} Matching inquiries
+     */
+    async listInquiries(filters = {}) {
+        try {
+            const dateField = filters.dateField === 'preferredDate' ? 'preferredDate' : 'createdDate';
+            let query = this.repository.query(COLLECTIONS.SAFARI_INQUIRIES);
+
+            if (filters.status) {
+                query = query.eq('status', filters.status);
+            }
+            if (filters.source) {
+                query = query.eq('source', filters.source);
+            }
+            if (filters.fromDate) {
+                const fromDate = new Date(filters.fromDate);
+                fromDate.setHours(0, 0, 0, 0);
+                query = query.gte(dateField, fromDate);
+            }
+            if (filters.toDate) {
+                const toDate = new Date(filters.toDate);
+                toDate.setHours(23, 59, 59, 999);
+                query = query.le(dateField, toDate);
+            }
+
+            const result = await query
+                .descending('createdDate')
+                .limit(filters.limit || 100)
+                .find();
+
+            return result.items;
+
+        } catch (error) {
+            console.error('Error listing safari inquiries:', error);
+            throw new Error('Failed to list safari inquiries');
+        }
+    }
+
+    /**
+     * Move an inquiry to a new status, recording a note
+     * @param {string} inquiryId - Inquiry ID
+     * @param {string} status - New, Contacted or Closed
+     * @param {Object} [options] - Note details
+     * @param {string} [options.note] - What happened
+     * @param {string} [options.updatedBy] - Who made the change
+     * @returns {Promise<Object>} Updated inquiry
+     */
+    async updateInquiryStatus(inquiryId, status, { note = '', updatedBy = 'staff' } = {}) {
+        try {
+            if (!Object.values(INQUIRY_STATUS).includes(status)) {
+                throw new ReservationError(`Invalid inquiry status: ${status}`);
+            }
+
+            const inquiry = await this.getInquiry(inquiryId);
+            if (inquiry.convertedBookingId) {
+                throw new ReservationError('Inquiry has already been converted into a booking', { status: 409, code: 'ALREADY_CONVERTED' });
+            }
+
+            return await this.recordStatus(inquiry, status, note, updatedBy);
+
+        } catch (error) {
+            console.error('Error updating safari inquiry status:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Turn an inquiry into a booking with safari bookings, closing the inquiry
+     * @param {string} inquiryId - Inquiry ID
+     * @param {Object} bookingDetails - cottageId, packageId, checkInDate, checkOutDate, and
+     *   optionally adults, children, childAges, safaris ([{ date, zoneId, slot }]) and convertedBy
+     * @returns {Promise<Object>} Closed inquiry, created booking and safari bookings
+     */
+    async convertToBooking(inquiryId, bookingDetails) {
+        try {
+            const inquiry = await this.getInquiry(inquiryId);
+            if (inquiry.convertedBookingId) {
+                throw new ReservationError('Inquiry has already been converted into a booking', { status: 409, code: 'ALREADY_CONVERTED' });
+            }
+
+            const booking = await this.reservationService.createBooking({
+                cottageId: bookingDetails.cottageId,
+                packageId: bookingDetails.packageId,
+                checkInDate: new Date(bookingDetails.checkInDate),
+                checkOutDate: new Date(bookingDetails.checkOutDate),
+                adults: parseInt(bookingDetails.adults) || inquiry.numAdults || 1,
+                children: parseInt(bookingDetails.children) || inquiry.numChildren || 0,
+                childAges: bookingDetails.childAges,
+                customerInfo: {
+                    name: inquiry.customerName,
+                    email: inquiry.customerEmail,
+                    phone: inquiry.customerPhone
+                },
+                specialRequests: inquiry.notes || ''
+            });
+
+            // Default to the safari the guest originally asked about
+            const safaris = bookingDetails.safaris ||
+                (inquiry.preferredDate ? [{ date: inquiry.preferredDate, slot: inquiry.preferredTime }] : []);
+            let safariBookings = [];
+            if (safaris.length > 0) {
+                try {
+                    safariBookings = await this.reservationService.createSafariBookings(booking._id, safaris);
+                } catch (safariError) {
+                    // Don't keep a booking the guest didn't ask for without their safaris
+                    await this.reservationService.cancelBooking(booking._id, {
+                        cancelledBy: 'system',
+                        reason: 'Safaris for the inquiry could not be booked'
+                    });
+                    throw safariError;
+                }
+            }
+
+            const closedInquiry = await this.recordStatus(
+                { ...inquiry, convertedBookingId: booking._id },
+                INQUIRY_STATUS.CLOSED,
+                `Converted into booking ${booking._id}`,
+                bookingDetails.convertedBy || 'staff'
+            );
+
+            return {
+                inquiry: closedInquiry,
+                booking: booking,
+                safariBookings: safariBookings
+            };
+
+        } catch (error) {
+            console.error('Error converting safari inquiry:', error);
+            throw error;
+        }
+    }
+
+    // ===== UTILITY FUNCTIONS =====
+
+    /**
+     * Get an inquiry by ID
+     * @param {string} inquiryId - Inquiry ID
+     * @returns {Promise<Object>} Inquiry
+     */
+    async getInquiry(inquiryId) {
+        const inquiry = await this.repository.get(COLLECTIONS.SAFARI_INQUIRIES, inquiryId);
+        if (!inquiry) {
+            throw new ReservationError('Inquiry not found', { status: 404, code: 'NOT_FOUND' });
+        }
+        return inquiry;
+    }
+
+    /**
+     * Save a status change and append it to the inquiry's history
+     * @param {Object} inquiry - Inquiry to update
+     * @param {string} status - New status
+     * @param {string} note - Note for the history
+     * @param {string} updatedBy - Who made the change
+     * @returns {Promise<Object>} Updated inquiry
+     */
+    async recordStatus(inquiry, status, note, updatedBy) {
+        return this.repository.update(COLLECTIONS.SAFARI_INQUIRIES, {
+            ...inquiry,
+            status: status,
+            statusHistory: [
+                ...(inquiry.statusHistory || []),
+                { status, note, updatedBy, date: new Date() }
+            ],
+            updatedDate: new Date()
+        });
+    }
+}
+
+// Export singleton instance
+export const inquiryService = new InquiryService();
+export default inquiryService;
@@ -0,0 +1,742 @@
+// Invoice Service - Invoices and credit notes for bookings
+// An invoice is a snapshot of a booking's charges, GST, payments and balance at
+// the time it is issued. Numbers run in sequence for each financial year (April
+// to March), as GST rules require, e.g. INV/26-27/00001. Every document is
+// rendered as HTML and PDF and stored privately in the Media Manager; guests and
+// staff get short-lived download links. Refunds are recorded as credit notes
+// against the booking's invoice, or against the refunded payment when the
+// booking was never invoiced (e.g. a deposit refunded on cancellation).
+
+import { mediaManager } from 'wix-media-backend';
+import { COLLECTIONS, BOOKING_STATUS, PAYMENT_STATUS, INVOICE_TYPES } from 'backend/collections';
+import { ReservationError } from 'backend/errors';
+import { toDateKey } from 'backend/dateUtils';
+import { taxService } from 'backend/taxService';
+import { currencyService } from 'backend/currencyService';
+import { buildPdf } from 'backend/pdfUtils';
+import { readSecret, roundAmount } from 'backend/serviceUtils';
+import { wixDataRepository } from 'backend/dataRepository';
+
+export const INVOICE_PREFIXES = {
+    [INVOICE_TYPES.INVOICE]: 'INV',
+    [INVOICE_TYPES.CREDIT_NOTE]: 'CN'
+};
+
+export const DOCUMENT_FORMATS = {
+    HTML: 'html',
+    PDF: 'pdf'
+};
+
+// Media Manager folder the rendered files are stored in
+export const INVOICE_FOLDER = '/invoices';
+
+// How long a download link keeps working
+export const DOWNLOAD_LINK_MINUTES = 10;
+
+const SEQUENCE_DIGITS = 5;
+
+// Numbers taken by a concurrent issue are skipped; give up after this many
+const MAX_NUMBER_ATTEMPTS = 10;
+
+const DOCUMENT_TITLES = {
+    [INVOICE_TYPES.INVOICE]: 'Tax Invoice',
+    [INVOICE_TYPES.CREDIT_NOTE]: 'Credit Note'
+};
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to write
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+export class InvoiceService {
+
+    /**
+     * @param {Object} [options] - Options
+     * @param {Object} [options.repository] - Where records are read and written (see dataRepository); wix-data by default
+     * @param {Object} [options.services] - Services to call instead of the site's own, e.g. { currencyService }
+     */
+    constructor({ repository = wixDataRepository, services = {} } = {}) {
+        this.repository = repository;
+        this.currencyService = services.currencyService || currencyService;
+    }
+
+    // ===== INVOICES =====
+
+    /**
+     * Issue the invoice for a booking
+     * A booking has one invoice; asking again returns the one already issued.
+     * @param {string} bookingId - Booking (or group booking) ID
+     * @param {Object} [options] - Options
+     * @param {string} [options.issuedBy] - Who issued it
+     * @returns {Promise<Object>} Invoice
+     */
+    async issueInvoice(bookingId, { issuedBy = 'system' } = {}) {
+        try {
+            const booking = await this.getInvoiceableBooking(bookingId);
+
+            const existing = await this.getBookingInvoice(booking._id);
+            if (existing) {
+                return existing;
+            }
+            if (booking.status === BOOKING_STATUS.CANCELLED) {
+                throw new ReservationError('Cancelled bookings cannot be invoiced', { status: 409, code: 'BOOKING_CANCELLED' });
+            }
+
+            return await this.createInvoice(booking, issuedBy);
+
+        } catch (error) {
+            console.error('Error issuing invoice:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Write a new invoice for a booking and render its files
+     * @param {Object} booking - Booking
+     * @param {string} issuedBy - Who issued it
+     * @returns {Promise<Object>} Invoice
+     */
+    async createInvoice(booking, issuedBy) {
+        const lineItems = await this.getInvoiceLines(booking);
+        const totalAmount = booking.totalCost || 0;
+        const amountPaid = await this.getAmountPaid(booking._id);
+
+        const invoice = await this.insertNumbered({
+            ...await this.getDocumentHeader(booking, INVOICE_TYPES.INVOICE, issuedBy),
+            lineItems: lineItems,
+            taxes: this.summariseTaxes(lineItems),
+            subtotal: booking.subtotal !== undefined && booking.subtotal !== null ? booking.subtotal : totalAmount,
+            discountAmount: booking.discountAmount || 0,
+            serviceCharge: booking.serviceCharge || 0,
+            taxAmount: booking.taxAmount || 0,
+            totalAmount: totalAmount,
+            amountPaid: amountPaid,
+            balanceDue: roundAmount(Math.max(totalAmount - amountPaid, 0))
+        });
+
+        return this.storeFilesQuietly(invoice);
+    }
+
+    // ===== CREDIT NOTES =====
+
+    /**
+     * Issue a credit note against a booking's invoice, e.g. for a refund
+     * The charges and GST of the invoice are credited in proportion to the
+     * amount. A booking that was never invoiced is credited against the payment
+     * instead, in proportion to the booking's own charges.
+     * @param {string} bookingId - Booking (or group booking) ID
+     * @param {Object} credit - Credit details
+     * @param {number} credit.amount - Amount credited, including GST
+     * @param {string} [credit.paymentId] - Provider payment that was refunded
+     * @param {string} [credit.reason] - Why the amount is credited
+     * @param {string} [credit.issuedBy] - Who issued it
+     * @returns {Promise<Object>} Credit note
+     */
+    async createCreditNote(bookingId, { amount, paymentId = null, reason = 'Refund', issuedBy = 'system' }) {
+        try {
+            await this.currencyService.getBaseCurrency();
+            const booking = await this.getInvoiceableBooking(bookingId);
+            const invoice = await this.getBookingInvoice(booking._id);
+            const charges = invoice
+                ? { lineItems: invoice.lineItems, totalAmount: invoice.totalAmount, label: `invoice ${invoice.invoiceNumber}` }
+                : { lineItems: await this.getInvoiceLines(booking), totalAmount: booking.totalCost || 0, label: `booking ${booking.bookingReference || booking._id}` };
+
+            const credited = (await this.listInvoices(booking._id))
+                .filter(document => document.documentType === INVOICE_TYPES.CREDIT_NOTE)
+                .reduce((sum, document) => sum + document.totalAmount, 0);
+            const creditable = roundAmount(charges.totalAmount - credited);
+            const creditAmount = roundAmount(Number(amount));
+
+            if (!(creditAmount > 0)) {
+                throw new ReservationError('Credit amount must be more than zero', { code: 'INVALID_AMOUNT' });
+            }
+            if (creditAmount > creditable) {
+                throw new ReservationError(`Only ${this.formatAmount(creditable)} of ${charges.label} is left to credit`, {
+                    status: 409,
+                    code: 'CREDIT_EXCEEDS_INVOICE',
+                    details: { creditable }
+                });
+            }
+
+            const lineItems = this.scaleLines(charges.lineItems, creditAmount, charges.totalAmount);
+            const creditNote = await this.insertNumbered({
+                ...await this.getDocumentHeader(booking, INVOICE_TYPES.CREDIT_NOTE, issuedBy),
+                invoiceId: invoice ? invoice._id : null,
+                originalInvoiceNumber: invoice ? invoice.invoiceNumber : null,
+                paymentId: paymentId,
+                reason: reason,
+                lineItems: lineItems,
+                taxes: this.summariseTaxes(lineItems),
+                subtotal: taxService.sum(lineItems, 'taxableAmount'),
+                discountAmount: 0,
+                serviceCharge: 0,
+                taxAmount: taxService.sum(lineItems, 'taxAmount'),
+                totalAmount: creditAmount
+            });
+
+            return this.storeFilesQuietly(creditNote);
+
+        } catch (error) {
+            console.error('Error creating credit note:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Scale invoice lines down to a credited amount
+     * The last line takes any rounding difference so the lines add up exactly.
+     * @param {Array} lineItems - Invoice lines
+     * @param {number} amount - Amount credited
+     * @param {number} invoiceTotal - Invoice total
+     * @returns {Array} Credit note lines
+     */
+    scaleLines(lineItems, amount, invoiceTotal) {
+        const ratio = invoiceTotal > 0 ? amount / invoiceTotal : 0;
+        const lines = lineItems.map(line => {
+            const taxableAmount = roundAmount(line.taxableAmount * ratio);
+            const taxAmount = roundAmount(line.taxAmount * ratio);
+            return {
+                ...line,
+                quantity: 1,
+                unitPrice: taxableAmount,
+                amount: taxableAmount,
+                discountAmount: 0,
+                taxableAmount: taxableAmount,
+                taxAmount: taxAmount,
+                total: roundAmount(taxableAmount + taxAmount)
+            };
+        });
+
+        const difference = roundAmount(amount - taxService.sum(lines, 'total'));
+        if (difference !== 0 && lines.length > 0) {
+            const last = lines[lines.length - 1];
+            last.taxableAmount = roundAmount(last.taxableAmount + difference);
+            last.amount = last.unitPrice = last.taxableAmount;
+            last.total = roundAmount(last.total + difference);
+        }
+        return lines;
+    }
+
+    // ===== DOWNLOADS =====
+
+    /**
+     * Get a short-lived download link for an invoice or credit note
+     * Files that failed to render when the document was issued are made now.
+     * @param {string} invoiceId - Invoice ID
+     * @param {string} [format] - One of DOCUMENT_FORMATS
+     * @returns {Promise<Object>} { url, fileName, expiresAt }
+     */
+    async getDownload(invoiceId, format = DOCUMENT_FORMATS.PDF) {
+        try {
+            if (!Object.values(DOCUMENT_FORMATS).includes(format)) {
+                throw new ReservationError(`Unknown document format: ${format}`, { code: 'INVALID_FORMAT' });
+            }
+
+            let invoice = await this.getInvoice(invoiceId);
+            if (!invoice.htmlFileUrl || !invoice.pdfFileUrl) {
+                invoice = await this.storeFiles(invoice);
+            }
+
+            const fileName = this.getFileName(invoice, format);
+            const fileUrl = format === DOCUMENT_FORMATS.HTML ? invoice.htmlFileUrl : invoice.pdfFileUrl;
+            return {
+                url: await mediaManager.getDownloadUrl(fileUrl, fileName, DOWNLOAD_LINK_MINUTES),
+                fileName: fileName,
+                expiresAt: new Date(Date.now() + DOWNLOAD_LINK_MINUTES * 60 * 1000)
+            };
+
+        } catch (error) {
+            console.error('Error getting invoice download:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Render a document and store its HTML and PDF files
+     * @param {Object} invoice - Invoice or credit note
+     * @returns {Promise<Object>} Document with its file URLs
+     */
+    async storeFiles(invoice) {
+        const htmlFileUrl = await this.upload(this.getFileName(invoice, DOCUMENT_FORMATS.HTML),
+            Buffer.from(this.renderHtml(invoice), 'utf8'), 'text/html');
+        const pdfFileUrl = await this.upload(this.getFileName(invoice, DOCUMENT_FORMATS.PDF),
+            this.renderPdf(invoice), 'application/pdf');
+
+        return this.repository.update(COLLECTIONS.INVOICES, {
+            ...invoice,
+            htmlFileUrl: htmlFileUrl,
+            pdfFileUrl: pdfFileUrl,
+            updatedDate: new Date()
+        });
+    }
+
+    /**
+     * Store a new document's files without failing the issue
+     * The number is already taken, so the document is kept either way; its files
+     * are made on the first download instead.
+     * @param {Object} invoice - Invoice or credit note
+     * @returns {Promise<Object>} Document, with file URLs when they were stored
+     */
+    async storeFilesQuietly(invoice) {
+        try {
+            return await this.storeFiles(invoice);
+        } catch (error) {
+            console.error('Error storing invoice files:', error);
+            return invoice;
+        }
+    }
+
+    /**
+     * Upload a file to the private invoice folder
+     * @param {string} fileName - File name
+     * @param {Buffer} content - File contents
+     * @param {string} mimeType - MIME type
+     * @returns {Promise<string>} Media Manager file URL
+     */
+    async upload(fileName, content, mimeType) {
+        const file = await mediaManager.upload(INVOICE_FOLDER, content, fileName, {
+            mediaOptions: { mimeType: mimeType, mediaType: 'document' },
+            metadataOptions: { isPrivate: true, isVisitorUpload: false }
+        });
+        return file.fileUrl;
+    }
+
+    // ===== RENDERING =====
+
+    /**
+     * Render a document as a standalone HTML page
+     * @param {Object} invoice - Invoice or credit note
+     * @returns {string} HTML
+     */
+    renderHtml(invoice) {
+        const isCreditNote = invoice.documentType === INVOICE_TYPES.CREDIT_NOTE;
+        const title = DOCUMENT_TITLES[invoice.documentType];
+        const row = cells => `<tr>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`;
+
+        const details = [
+            [`${title} number`, invoice.invoiceNumber],
+            ['Date', this.formatDate(invoice.issueDate)],
+            ['Booking reference', invoice.bookingReference],
+            ['Stay', `${this.formatDate(invoice.stay.checkInDate)} to ${this.formatDate(invoice.stay.checkOutDate)}`]
+        ];
+        if (isCreditNote) {
+            details.push(this.getCreditedDocument(invoice), ['Reason', invoice.reason]);
+        }
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`${title} ${invoice.invoiceNumber}`)}</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; font-size: 13px; color: #222; margin: 40px; }
+table { border-collapse: collapse; width: 100%; margin: 16px 0; }
+th, td { border-bottom: 1px solid #ddd; padding: 6px; text-align: left; }
+td:not(:first-child), th:not(:first-child) { text-align: right; }
+.details td, .details th { border: none; padding: 2px 6px 2px 0; text-align: left; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p><strong>${escapeHtml(invoice.lodge.name)}</strong><br>${escapeHtml(invoice.lodge.address)}${invoice.lodge.gstin ? `<br>GSTIN: ${escapeHtml(invoice.lodge.gstin)}` : ''}</p>
+<p>Billed to:<br><strong>${escapeHtml(invoice.guest.name)}</strong><br>${escapeHtml(invoice.guest.email)}${invoice.guest.phone ? `<br>${escapeHtml(invoice.guest.phone)}` : ''}</p>
+<table class="details">
+${details.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+<table>
+<tr><th>Description</th><th>Qty</th><th>Rate</th><th>Discount</th><th>Taxable value</th><th>GST %</th><th>GST</th><th>Total</th></tr>
+${invoice.lineItems.map(line => row([
+        line.description, line.quantity, this.formatNumber(line.unitPrice), this.formatNumber(line.discountAmount),
+        this.formatNumber(line.taxableAmount), `${line.taxRate}%`, this.formatNumber(line.taxAmount), this.formatNumber(line.total)
+    ])).join('\n')}
+</table>
+<table>
+<tr><th>GST rate</th><th>Taxable value</th><th>CGST</th><th>SGST</th><th>Total GST</th></tr>
+${invoice.taxes.map(tax => row([
+        `${tax.rate}%`, this.formatNumber(tax.taxableAmount), this.formatNumber(tax.cgst), this.formatNumber(tax.sgst), this.formatNumber(tax.taxAmount)
+    ])).join('\n')}
+</table>
+<table>
+${this.getTotals(invoice).map(([label, amount]) => row([label, this.formatAmount(amount, invoice.currency)])).join('\n')}
+</table>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Render a document as a PDF
+     * Tables are set in a monospaced font so their columns line up.
+     * @param {Object} invoice - Invoice or credit note
+     * @returns {Buffer} PDF file
+     */
+    renderPdf(invoice) {
+        const isCreditNote = invoice.documentType === INVOICE_TYPES.CREDIT_NOTE;
+        const title = DOCUMENT_TITLES[invoice.documentType];
+        const text = (value, options = {}) => ({ text: value, ...options });
+        const mono = value => ({ text: value, font: 'mono', size: 8 });
+        const columns = (cells, widths) => cells
+            .map((cell, index) => (index === 0 ? String(cell).slice(0, widths[0]).padEnd(widths[0]) : String(cell).padStart(widths[index])))
+            .join(' ');
+
+        const lines = [
+            text(title, { font: 'bold', size: 18 }),
+            text(invoice.lodge.name, { font: 'bold', spaceBefore: 8 }),
+            text(invoice.lodge.address),
+            text(invoice.lodge.gstin ? `GSTIN: ${invoice.lodge.gstin}` : ''),
+            text(`${title} number: ${invoice.invoiceNumber}`, { spaceBefore: 8 }),
+            text(`Date: ${this.formatDate(invoice.issueDate)}`),
+            text(`Booking reference: ${invoice.bookingReference}`),
+            text(`Stay: ${this.formatDate(invoice.stay.checkInDate)} to ${this.formatDate(invoice.stay.checkOutDate)}`)
+        ];
+        if (isCreditNote) {
+            const [label, value] = this.getCreditedDocument(invoice);
+            lines.push(text(`${label}: ${value}`), text(`Reason: ${invoice.reason}`));
+        }
+        lines.push(
+            text('Billed to', { font: 'bold', spaceBefore: 8 }),
+            text(invoice.guest.name),
+            text(invoice.guest.email),
+            text(invoice.guest.phone || '')
+        );
+
+        const itemWidths = [30, 4, 10, 10, 11, 5, 9, 11];
+        lines.push(
+            { ...mono(columns(['Description', 'Qty', 'Rate', 'Discount', 'Taxable', 'GST%', 'GST', 'Total'], itemWidths)), spaceBefore: 10 },
+            ...invoice.lineItems.map(line => mono(columns([
+                line.description, line.quantity, this.formatNumber(line.unitPrice), this.formatNumber(line.discountAmount),
+                this.formatNumber(line.taxableAmount), `${line.taxRate}%`, this.formatNumber(line.taxAmount), this.formatNumber(line.total)
+            ], itemWidths)))
+        );
+
+        const taxWidths = [10, 14, 12, 12, 12];
+        lines.push(
+            { ...mono(columns(['GST rate', 'Taxable', 'CGST', 'SGST', 'Total GST'], taxWidths)), spaceBefore: 10 },
+            ...invoice.taxes.map(tax => mono(columns([
+                `${tax.rate}%`, this.formatNumber(tax.taxableAmount), this.formatNumber(tax.cgst), this.formatNumber(tax.sgst), this.formatNumber(tax.taxAmount)
+            ], taxWidths)))
+        );
+
+        const totalWidths = [20, 16];
+        lines.push({ text: '', spaceBefore: 4 }, ...this.getTotals(invoice)
+            .map(([label, amount]) => mono(columns([label, this.formatAmount(amount, invoice.currency)], totalWidths))));
+
+        return buildPdf(lines, { title: `${title} ${invoice.invoiceNumber}` });
+    }
+
+    /**
+     * Get what a credit note is issued against, as printed on it
+     * @param {Object} creditNote - Credit note
+     * @returns {Array} [label, value]
+     */
+    getCreditedDocument(creditNote) {
+        if (creditNote.originalInvoiceNumber) return ['Against invoice', creditNote.originalInvoiceNumber];
+        return ['Against payment', creditNote.paymentId || 'Booking advance'];
+    }
+
+    /**
+     * Get the totals printed at the foot of a document
+     * @param {Object} invoice - Invoice or credit note
+     * @returns {Array} [label, amount] pairs
+     */
+    getTotals(invoice) {
+        const isCreditNote = invoice.documentType === INVOICE_TYPES.CREDIT_NOTE;
+        const totals = [];
+
+        if (invoice.discountAmount > 0) {
+            totals.push(['Subtotal', invoice.subtotal], ['Discount', -invoice.discountAmount]);
+        }
+        totals.push(
+            ['Taxable value', taxService.sum(invoice.lineItems, 'taxableAmount')],
+            ['GST', invoice.taxAmount],
+            [isCreditNote ? 'Total credited' : 'Total', invoice.totalAmount]
+        );
+        if (!isCreditNote) {
+            totals.push(['Paid', invoice.amountPaid], ['Balance due', invoice.balanceDue]);
+        }
+        return totals;
+    }
+
+    // ===== QUERIES =====
+
+    /**
+     * Get an invoice or credit note by ID
+     * @param {string} invoiceId - Invoice ID
+     * @returns {Promise<Object>} Invoice
+     */
+    async getInvoice(invoiceId) {
+        const invoice = invoiceId ? await this.repository.get(COLLECTIONS.INVOICES, invoiceId) : null;
+        if (!invoice) {
+            throw new ReservationError('Invoice not found', { status: 404, code: 'NOT_FOUND' });
+        }
+        return invoice;
+    }
+
+    /**
+     * List a booking's invoice and credit notes, oldest first
+     * @param {string} bookingId - Booking ID
+     * @returns {Promise<Array>} Documents
+     */
+    async listInvoices(bookingId) {
+        const result = await this.repository.query(COLLECTIONS.INVOICES)
+            .eq('bookingId', bookingId)
+            .ascending('createdDate')
+            .find();
+        return result.items;
+    }
+
+    /**
+     * Get a booking's invoice
+     * @param {string} bookingId - Booking ID
+     * @returns {Promise<Object|null>} Invoice
+     */
+    async getBookingInvoice(bookingId) {
+        const result = await this.repository.query(COLLECTIONS.INVOICES)
+            .eq('bookingId', bookingId)
+            .eq('documentType', INVOICE_TYPES.INVOICE)
+            .find();
+        return result.items[0] || null;
+    }
+
+    /**
+     * Add up the payments received for a booking, less what was refunded
+     * Payments in another currency count at their amount in the base currency (baseAmount);
+     * their refunds, recorded in the payment's currency, at the same rate.
+     * @param {string} bookingId - Booking ID
+     * @returns {Promise<number>} Amount paid
+     */
+    async getAmountPaid(bookingId) {
+        const result = await this.repository.query(COLLECTIONS.PAYMENTS)
+            .eq('bookingId', bookingId)
+            .hasSome('status', [PAYMENT_STATUS.PAID, PAYMENT_STATUS.REFUNDED])
+            .limit(1000)
+            .find();
+        return roundAmount(result.items.reduce((sum, payment) => sum + this.getHeldBaseAmount(payment), 0));
+    }
+
+    /**
+     * Get what is still held on a payment after any refunds, in the base currency
+     * Refunds recorded before partial refunds were tracked were for the whole payment.
+     * @param {Object} payment - Payment record
+     * @returns {number} Amount
+     */
+    getHeldBaseAmount(payment) {
+        const amount = payment.amount || 0;
+        const baseAmount = typeof payment.baseAmount === 'number' ? payment.baseAmount : amount;
+        if (payment.status !== PAYMENT_STATUS.REFUNDED) return baseAmount;
+
+        const refunded = typeof payment.refundedAmount === 'number' ? payment.refundedAmount : amount;
+        return amount > 0 ? Math.max(baseAmount * (amount - refunded) / amount, 0) : 0;
+    }
+
+    // ===== NUMBERING =====
+
+    /**
+     * Insert a document under the next number of its series
+     * The number is the row's _id, so two documents can never share one; when a
+     * concurrent issue takes a number first, the next one is tried.
+     * @param {Object} document - Document without a number
+     * @returns {Promise<Object>} Inserted document
+     */
+    async insertNumbered(document) {
+        const series = `${INVOICE_PREFIXES[document.documentType]}/${this.getFinancialYear(document.issueDate)}`;
+        const last = await this.repository.query(COLLECTIONS.INVOICES)
+            .eq('series', series)
+            .descending('sequence')
+            .limit(1)
+            .find();
+        let sequence = last.items.length > 0 ? last.items[0].sequence + 1 : 1;
+
+        for (let attempt = 0; attempt < MAX_NUMBER_ATTEMPTS; attempt++, sequence++) {
+            const invoiceNumber = `${series}/${String(sequence).padStart(SEQUENCE_DIGITS, '0')}`;
+            try {
+                return await this.repository.insert(COLLECTIONS.INVOICES, {
+                    ...document,
+                    _id: invoiceNumber.replace(/\//g, '-'),
+                    invoiceNumber: invoiceNumber,
+                    series: series,
+                    sequence: sequence,
+                    createdDate: new Date(),
+                    updatedDate: new Date()
+                });
+            } catch (_duplicateError) {
+                // Taken by another document in the meantime
+            }
+        }
+
+        throw new ReservationError('Could not allocate an invoice number, please try again', {
+            status: 409,
+            code: 'INVOICE_NUMBER_UNAVAILABLE'
+        });
+    }
+
+    /**
+     * Get the financial year (April to March) a date falls in
+     * @param {Date} date - Date
+     * @returns {string} Financial year, e.g. 26-27
+     */
+    getFinancialYear(date) {
+        const day = new Date(date);
+        const startYear = day.getMonth() >= 3 ? day.getFullYear() : day.getFullYear() - 1;
+        return `${String(startYear).slice(-2)}-${String(startYear + 1).slice(-2)}`;
+    }
+
+    // ===== UTILITY FUNCTIONS =====
+
+    /**
+     * Get a booking that can carry an invoice
+     * Group bookings are invoiced as a whole, like they are paid.
+     * @param {string} bookingId - Booking ID
+     * @returns {Promise<Object>} Booking
+     */
+    async getInvoiceableBooking(bookingId) {
+        const booking = bookingId ? await this.repository.get(COLLECTIONS.BOOKINGS, bookingId) : null;
+        if (!booking) {
+            throw new ReservationError('Booking not found', { status: 404, code: 'NOT_FOUND' });
+        }
+        if (booking.groupId) {
+            throw new ReservationError('Invoice the group booking instead of a single cottage', { status: 409, code: 'GROUP_LINE' });
+        }
+        return booking;
+    }
+
+    /**
+     * Build the fields every document starts with
+     * @param {Object} booking - Booking
+     * @param {string} documentType - One of INVOICE_TYPES
+     * @param {string} issuedBy - Who issued it
+     * @returns {Promise<Object>} Header fields
+     */
+    async getDocumentHeader(booking, documentType, issuedBy) {
+        const customerInfo = booking.customerInfo || {};
+        return {
+            documentType: documentType,
+            bookingId: booking._id,
+            bookingReference: booking.bookingReference || booking._id,
+            issueDate: new Date(),
+            lodge: await this.getLodgeDetails(),
+            guest: {
+                name: customerInfo.name || '',
+                email: customerInfo.email || '',
+                phone: customerInfo.phone || ''
+            },
+            stay: {
+                checkInDate: booking.checkInDate,
+                checkOutDate: booking.checkOutDate
+            },
+            currency: await this.currencyService.getBaseCurrency(),
+            issuedBy: issuedBy
+        };
+    }
+
+    /**
+     * Get the lodge details printed on documents
+     * @returns {Promise<Object>} { name, address, gstin }
+     */
+    async getLodgeDetails() {
+        return {
+            name: await readSecret('LODGE_LEGAL_NAME', 'Village Machaan'),
+            address: await readSecret('LODGE_ADDRESS', ''),
+            gstin: await readSecret('LODGE_GSTIN', '')
+        };
+    }
+
+    /**
+     * Get the lines to invoice for a booking
+     * Lines of a group booking are prefixed with their cottage. Bookings made
+     * before line items were stored are invoiced as a single line.
+     * @param {Object} booking - Booking
+     * @returns {Promise<Array>} Line items
+     */
+    async getInvoiceLines(booking) {
+        if (!booking.lineItems || booking.lineItems.length === 0) {
+            const total = booking.totalCost || 0;
+            return [{
+                type: 'stay',
+                description: 'Stay',
+                quantity: 1,
+                unitPrice: total,
+                amount: total,
+                discountAmount: 0,
+                taxableAmount: total,
+                taxRate: 0,
+                taxAmount: 0,
+                total: total
+            }];
+        }
+
+        const cottageNames = {};
+        for (const cottageId of new Set(booking.lineItems.map(line => line.cottageId).filter(Boolean))) {
+            const cottage = await this.repository.get(COLLECTIONS.COTTAGES, cottageId);
+            cottageNames[cottageId] = cottage ? cottage.name : '';
+        }
+
+        return booking.lineItems.map(line => ({
+            ...line,
+            description: cottageNames[line.cottageId] ? `${cottageNames[line.cottageId]} - ${line.description}` : line.description
+        }));
+    }
+
+    /**
+     * Total GST at each rate, split into central and state GST
+     * Stays are supplied where the lodge is, so GST is always split equally.
+     * @param {Array} lineItems - Taxed lines
+     * @returns {Array} [{ rate, taxableAmount, taxAmount, cgst, sgst }]
+     */
+    summariseTaxes(lineItems) {
+        return taxService.summariseTaxes(lineItems).map(tax => {
+            const cgst = roundAmount(tax.taxAmount / 2);
+            return { ...tax, cgst: cgst, sgst: roundAmount(tax.taxAmount - cgst) };
+        });
+    }
+
+    /**
+     * Build a document's file name
+     * @param {Object} invoice - Invoice or credit note
+     * @param {string} format - One of DOCUMENT_FORMATS
+     * @returns {string} File name, e.g. INV-26-27-00001.pdf
+     */
+    getFileName(invoice, format) {
+        return `${invoice.invoiceNumber.replace(/\//g, '-')}.${format}`;
+    }
+
+    /**
+     * Format a date for documents
+     * @param {Date} date - Date
+     * @returns {string} e.g. 2026-12-01
+     */
+    formatDate(date) {
+        return date ? toDateKey(date) : '';
+    }
+
+    /**
+     * Format an amount with two decimals and Indian digit grouping
+     * @param {number} amount - Amount
+     * @returns {string} e.g. 1,23,456.00
+     */
+    formatNumber(amount) {
+        return Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+
+    /**
+     * Format an amount with its currency symbol
+     * @param {number} amount - Amount
+     * @param {string} [currency] - Currency code
+     * @returns {string} e.g. ₹1,23,456.00
+     */
+    formatAmount(amount, currency = this.currencyService.baseCurrency) {
+        return this.currencyService.formatAmount(amount, currency);
+    }
+}
+
+// Export singleton instance
+export const invoiceService = new InvoiceService();
+export default invoiceService;
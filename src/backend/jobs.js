@@ -0,0 +1,57 @@
+// Scheduled Jobs - Entry points run by jobs.config
+// Each job delegates to a service and logs what it did
+
+import { reservationService } from 'backend/reservationService';
+import { notificationService } from 'backend/notificationService';
+import { paymentScheduleService } from 'backend/paymentScheduleService';
+import { quoteService } from 'backend/quoteService';
+
+/**
+ * Clear holds that were abandoned without a booking being made
+ * @returns {Promise<number>} Number of nights released
+ */
+export async function releaseExpiredHolds() {
+    const released = await reservationService.releaseExpiredHolds();
+    console.log(`Released ${released} expired hold nights`);
+    return released;
+}
+
+/**
+ * Remove price quotes that have passed their expiry
+ * @returns {Promise<number>} Number of quotes removed
+ */
+export async function removeExpiredQuotes() {
+    const removed = await quoteService.removeExpiredQuotes();
+    console.log(`Removed ${removed} expired quotes`);
+    return removed;
+}
+
+/**
+ * Send queued guest notifications that are due, retrying earlier failures
+ * @returns {Promise<Object>} Counts of sent, retrying and failed messages
+ */
+export async function processNotificationOutbox() {
+    const summary = await notificationService.processOutbox();
+    console.log(`Notification outbox: ${summary.sent} sent, ${summary.retrying} retrying, ${summary.failed} failed`);
+    return summary;
+}
+
+/**
+ * Queue pre-arrival reminders for confirmed stays starting soon
+ * @returns {Promise<number>} Number of reminders queued
+ */
+export async function queueArrivalReminders() {
+    const queued = await notificationService.queueArrivalReminders();
+    console.log(`Queued ${queued} pre-arrival reminders`);
+    return queued;
+}
+
+/**
+ * Mark bookings whose deposit or balance has passed its due date as Overdue
+ * @returns {Promise<number>} Number of bookings marked
+ */
+export async function markOverduePayments() {
+    const marked = await paymentScheduleService.markOverduePayments();
+    console.log(`Marked ${marked.length} bookings with overdue payments`);
+    return marked.length;
+}
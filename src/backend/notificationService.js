@@ -0,0 +1,414 @@
+// Notification Service - Templated guest messages sent through an outbox
+// Messages are rendered from NotificationTemplates (falling back to the defaults
+// below), queued in NotificationOutbox and handed to the active transport. Sends
+// that fail are retried with backoff by the processNotificationOutbox job.
+// Register extra transports with notificationService.registerTransport(); the
+// active one is named by the NOTIFICATION_TRANSPORT secret and defaults to the console.
+
+import { fetch } from 'wix-fetch';
+import { getSecret } from 'wix-secrets-backend';
+import { COLLECTIONS, BOOKING_STATUS, NOTIFICATION_TYPES, OUTBOX_STATUS } from 'backend/collections';
+import { ReservationError } from 'backend/errors';
+import { addDays, startOfDay, MS_PER_DAY } from 'backend/dateUtils';
+import { currencyService } from 'backend/currencyService';
+import { paymentScheduleService } from 'backend/paymentScheduleService';
+import { readSecret } from 'backend/serviceUtils';
+import { wixDataRepository } from 'backend/dataRepository';
+
+export const DEFAULT_NOTIFICATION_TRANSPORT = 'console';
+
+// A message is given up on after this many failed sends
+export const MAX_SEND_ATTEMPTS = 5;
+
+// Wait before the first retry; doubles after every further failure
+export const RETRY_BASE_MINUTES = 5;
+
+// How many days before check-in the pre-arrival reminder goes out
+export const REMINDER_DAYS_BEFORE = 2;
+
+// Used when NotificationTemplates has no active row for a type
+export const DEFAULT_TEMPLATES = {
+    [NOTIFICATION_TYPES.BOOKING_CONFIRMATION]: {
+        subject: 'Your stay at Village Machaan is confirmed ({{bookingReference}})',
+        body: 'Dear {{guestName}},\n\n' +
+            'Thank you for booking with Village Machaan. Your stay is confirmed.\n\n' +
+            'Cottage: {{cottageName}}\n' +
+            'Package: {{packageName}}\n' +
+            'Check-in: {{checkInDate}}\n' +
+            'Check-out: {{checkOutDate}} ({{nights}} nights)\n' +
+            'Guests: {{adults}} adults, {{children}} children\n' +
+            'Total: {{totalCost}}\n' +
+            'Paid: {{amountPaid}}. Balance due: {{balanceDue}} {{balanceDueDate}}\n\n' +
+            'Booking reference: {{bookingReference}}\n\n' +
+            'We look forward to welcoming you.'
+    },
+    [NOTIFICATION_TYPES.SAFARI_CONFIRMATION]: {
+        subject: 'Your {{safariSlot}} safari on {{safariDate}} is confirmed',
+        body: 'Dear {{guestName}},\n\n' +
+            'Your safari is confirmed.\n\n' +
+            'Zone: {{zoneName}}\n' +
+            'Date: {{safariDate}}\n' +
+            'Slot: {{safariSlot}} (starts {{safariTime}})\n\n' +
+            'Please be at reception 15 minutes before the start time.\n\n' +
+            'Booking reference: {{bookingReference}}'
+    },
+    [NOTIFICATION_TYPES.CANCELLATION]: {
+        subject: 'Your booking {{bookingReference}} has been cancelled',
+        body: 'Dear {{guestName}},\n\n' +
+            'Your stay at {{cottageName}} from {{checkInDate}} to {{checkOutDate}} has been cancelled.\n' +
+            'Reason: {{cancellationReason}}\n' +
+            'Refund due: {{refundDue}}\n\n' +
+            'If you did not expect this, please contact us and quote booking reference {{bookingReference}}.'
+    },
+    [NOTIFICATION_TYPES.PRE_ARRIVAL_REMINDER]: {
+        subject: 'See you soon at Village Machaan',
+        body: 'Dear {{guestName}},\n\n' +
+            'This is a reminder that your stay at {{cottageName}} begins on {{checkInDate}}.\n' +
+            'You check out on {{checkOutDate}}.\n\n' +
+            'Booking reference: {{bookingReference}}\n\n' +
+            'Safe travels, and we look forward to welcoming you.'
+    }
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Format a date for a guest-facing message
+ * @param {Date|string} date - Date to format
+ * @returns {string} e.g. "1 December 2026"
+ */
+function formatDate(date) {
+    if (!date) return '';
+    return new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+// ===== TRANSPORTS =====
+
+/**
+ * Writes messages to the site logs instead of sending them
+ * Use it for development and testing.
+ */
+export class ConsoleTransport {
+    constructor() {
+        this.name = 'console';
+    }
+
+    async send(message) {
+        console.log(`[notification] To: ${message.recipient}\nSubject: ${message.subject}\n\n${message.body}`);
+        return { messageId: `console_${message._id}` };
+    }
+}
+
+/**
+ * Sends email through the SendGrid v3 API
+ * Needs the SENDGRID_API_KEY and NOTIFICATION_FROM_EMAIL secrets.
+ */
+export class SendGridTransport {
+    constructor() {
+        this.name = 'sendgrid';
+        this.apiUrl = 'https://api.sendgrid.com/v3';
+    }
+
+    async send(message) {
+        const apiKey = await getSecret('SENDGRID_API_KEY');
+        const fromEmail = await getSecret('NOTIFICATION_FROM_EMAIL');
+        const fromName = await readSecret('NOTIFICATION_FROM_NAME', 'Village Machaan');
+
+        const response = await fetch(`${this.apiUrl}/mail/send`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${apiKey}`
+            },
+            body: JSON.stringify({
+                personalizations: [{ to: [{ email: message.recipient }] }],
+                from: { email: fromEmail, name: fromName },
+                subject: message.subject,
+                content: [{ type: 'text/plain', value: message.body }]
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`SendGrid error: ${response.status} ${await response.text()}`);
+        }
+
+        return { messageId: response.headers.get('x-message-id') };
+    }
+}
+
+// ===== NOTIFICATION SERVICE =====
+
+export class NotificationService {
+    /**
+     * @param {Object} [options] - Options
+     * @param {Object} [options.repository] - Where records are read and written (see dataRepository); wix-data by default
+     * @param {Object} [options.services] - Services to call instead of the site's own, e.g. { currencyService }
+     */
+    constructor({ repository = wixDataRepository, services = {} } = {}) {
+        this.repository = repository;
+        this.currencyService = services.currencyService || currencyService;
+        this.paymentScheduleService = services.paymentScheduleService || paymentScheduleService;
+        this.transports = {};
+        this.registerTransport(new ConsoleTransport());
+        this.registerTransport(new SendGridTransport());
+    }
+
+    /**
+     * Add a transport
+     * @param {Object} transport - Object with name and send(message)
+     */
+    registerTransport(transport) {
+        this.transports[transport.name] = transport;
+    }
+
+    /**
+     * Get a transport by name, or the active transport
+     * @param {string} [name] - Transport name
+     * @returns {Promise<Object>} Transport
+     */
+    async getTransport(name) {
+        const transportName = name || await readSecret('NOTIFICATION_TRANSPORT', DEFAULT_NOTIFICATION_TRANSPORT);
+        const transport = this.transports[transportName];
+        if (!transport) {
+            throw new ReservationError(`Unknown notification transport: ${transportName}`, { status: 404, code: 'UNKNOWN_TRANSPORT' });
+        }
+        return transport;
+    }
+
+    // ===== QUEUEING =====
+
+    /**
+     * Render a message for a booking and put it in the outbox, then try to send it
+     * Each message is queued once per booking (or safari); repeat calls return the
+     * existing outbox entry. Sending failures are left for the outbox job to retry.
+     * @param {string} type - One of NOTIFICATION_TYPES
+     * @param {Object} booking - Booking the message is about
+     * @param {Object} [options] - Extra details
+     * @param {Object} [options.safari] - Safari booking, for safari confirmations
+     * @returns {Promise<Object|null>} Outbox entry, or null when there is no one to send to
+     */
+    async queueNotification(type, booking, { safari = null } = {}) {
+        try {
+            // Group lines share the parent's guest, who is written to once for the group
+            if (booking.groupId) return null;
+
+            const recipient = booking.customerInfo && booking.customerInfo.email;
+            if (!recipient) {
+                console.log(`Skipping ${type} notification for booking ${booking._id}: no email address`);
+                return null;
+            }
+
+            const outboxId = `${type}_${safari ? safari._id : booking._id}`;
+            const existing = await this.repository.get(COLLECTIONS.NOTIFICATION_OUTBOX, outboxId);
+            if (existing) return existing;
+
+            const template = await this.getTemplate(type);
+            const context = await this.buildContext(booking, safari);
+
+            let message;
+            try {
+                message = await this.repository.insert(COLLECTIONS.NOTIFICATION_OUTBOX, {
+                    _id: outboxId,
+                    type: type,
+                    bookingId: booking._id,
+                    safariId: safari ? safari._id : null,
+                    recipient: recipient,
+                    subject: this.render(template.subject, context),
+                    body: this.render(template.body, context),
+                    status: OUTBOX_STATUS.PENDING,
+                    attempts: 0,
+                    nextAttemptAt: new Date(),
+                    createdDate: new Date(),
+                    updatedDate: new Date()
+                });
+            } catch (insertError) {
+                // Queued by a concurrent call in the meantime
+                const queued = await this.repository.get(COLLECTIONS.NOTIFICATION_OUTBOX, outboxId);
+                if (queued) return queued;
+                throw insertError;
+            }
+
+            return await this.deliver(message);
+
+        } catch (error) {
+            console.error('Error queueing notification:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Queue pre-arrival reminders for confirmed stays starting in a few days
+     * @param {number} [daysBefore] - Days before check-in
+     * @returns {Promise<number>} Number of reminders queued
+     */
+    async queueArrivalReminders(daysBefore = REMINDER_DAYS_BEFORE) {
+        const from = addDays(startOfDay(new Date()), daysBefore);
+        const result = await this.repository.query(COLLECTIONS.BOOKINGS)
+            .eq('status', BOOKING_STATUS.CONFIRMED)
+            .gte('checkInDate', from)
+            .lt('checkInDate', addDays(from, 1))
+            .limit(1000)
+            .find();
+
+        let queued = 0;
+        for (const booking of result.items) {
+            const outboxId = `${NOTIFICATION_TYPES.PRE_ARRIVAL_REMINDER}_${booking._id}`;
+            if (await this.repository.get(COLLECTIONS.NOTIFICATION_OUTBOX, outboxId)) continue;
+
+            if (await this.queueNotification(NOTIFICATION_TYPES.PRE_ARRIVAL_REMINDER, booking)) {
+                queued++;
+            }
+        }
+        return queued;
+    }
+
+    // ===== SENDING =====
+
+    /**
+     * Send one outbox entry, recording the result
+     * A failure schedules a retry with exponential backoff until MAX_SEND_ATTEMPTS is reached.
+     * @param {Object} message - Outbox entry
+     * @returns {Promise<Object>} Updated outbox entry
+     */
+    async deliver(message) {
+        const attempts = (message.attempts || 0) + 1;
+
+        try {
+            const transport = await this.getTransport();
+            await transport.send(message);
+
+            return await this.repository.update(COLLECTIONS.NOTIFICATION_OUTBOX, {
+                ...message,
+                status: OUTBOX_STATUS.SENT,
+                transport: transport.name,
+                attempts: attempts,
+                lastError: null,
+                nextAttemptAt: null,
+                sentDate: new Date(),
+                updatedDate: new Date()
+            });
+
+        } catch (error) {
+            console.error(`Error sending notification ${message._id} (attempt ${attempts}):`, error);
+
+            const givingUp = attempts >= MAX_SEND_ATTEMPTS;
+            const retryMinutes = RETRY_BASE_MINUTES * Math.pow(2, attempts - 1);
+            return this.repository.update(COLLECTIONS.NOTIFICATION_OUTBOX, {
+                ...message,
+                status: givingUp ? OUTBOX_STATUS.FAILED : OUTBOX_STATUS.PENDING,
+                attempts: attempts,
+                lastError: error.message,
+                nextAttemptAt: givingUp ? null : new Date(Date.now() + retryMinutes * 60 * 1000),
+                updatedDate: new Date()
+            });
+        }
+    }
+
+    /**
+     * Send every outbox entry that is due
+     * @param {number} [limit] - Maximum entries to send in one run
+     * @returns {Promise<Object>} Counts of sent, retrying and failed entries
+     */
+    async processOutbox(limit = 50) {
+        const due = await this.repository.query(COLLECTIONS.NOTIFICATION_OUTBOX)
+            .eq('status', OUTBOX_STATUS.PENDING)
+            .le('nextAttemptAt', new Date())
+            .ascending('createdDate')
+            .limit(limit)
+            .find();
+
+        const summary = { sent: 0, retrying: 0, failed: 0 };
+        for (const message of due.items) {
+            const result = await this.deliver(message);
+            if (result.status === OUTBOX_STATUS.SENT) summary.sent++;
+            else if (result.status === OUTBOX_STATUS.FAILED) summary.failed++;
+            else summary.retrying++;
+        }
+        return summary;
+    }
+
+    // ===== TEMPLATES =====
+
+    /**
+     * Get the template for a message type
+     * @param {string} type - One of NOTIFICATION_TYPES
+     * @returns {Promise<Object>} Template with subject and body
+     */
+    async getTemplate(type) {
+        const result = await this.repository.query(COLLECTIONS.NOTIFICATION_TEMPLATES)
+            .eq('type', type)
+            .eq('isActive', true)
+            .find();
+        const template = result.items[0] || DEFAULT_TEMPLATES[type];
+        if (!template) {
+            throw new ReservationError(`No template for notification type: ${type}`, { status: 404, code: 'NOT_FOUND' });
+        }
+        return template;
+    }
+
+    /**
+     * Fill a template's {{placeholders}}; unknown placeholders are left empty
+     * @param {string} text - Template text
+     * @param {Object} context - Values by placeholder name
+     * @returns {string} Rendered text
+     */
+    render(text, context) {
+        return (text || '').replace(PLACEHOLDER_PATTERN, (_match, key) => {
+            const value = context[key];
+            return value === undefined || value === null ? '' : String(value);
+        });
+    }
+
+    /**
+     * Collect the values templates can use for a booking
+     * @param {Object} booking - Booking
+     * @param {Object} [safari] - Safari booking
+     * @returns {Promise<Object>} Placeholder values
+     */
+    async buildContext(booking, safari = null) {
+        const cottageIds = booking.isGroup
+            ? (await this.repository.query(COLLECTIONS.BOOKINGS).eq('groupId', booking._id).find()).items.map(line => line.cottageId)
+            : [booking.cottageId];
+        const cottageNames = [];
+        for (const cottageId of cottageIds) {
+            const cottage = cottageId ? await this.repository.get(COLLECTIONS.COTTAGES, cottageId) : null;
+            if (cottage) cottageNames.push(cottage.name);
+        }
+        const packageData = booking.packageId ? await this.repository.get(COLLECTIONS.PACKAGES, booking.packageId) : null;
+        const zone = safari && safari.zoneId ? await this.repository.get(COLLECTIONS.SAFARI_ZONES, safari.zoneId) : null;
+
+        const checkIn = startOfDay(booking.checkInDate);
+        const checkOut = startOfDay(booking.checkOutDate);
+        await this.currencyService.getBaseCurrency();
+        const charge = this.currencyService.getCharge(booking);
+        const amountPaid = this.paymentScheduleService.getStoredAmountPaid(booking);
+        const balanceDue = typeof booking.balanceDue === 'number' ? booking.balanceDue : Math.max(charge.amount - amountPaid, 0);
+
+        return {
+            bookingId: booking._id,
+            bookingReference: booking.bookingReference || booking._id,
+            guestName: (booking.customerInfo && booking.customerInfo.name) || 'Guest',
+            cottageName: cottageNames.join(', '),
+            packageName: packageData ? packageData.name : '',
+            checkInDate: formatDate(booking.checkInDate),
+            checkOutDate: formatDate(booking.checkOutDate),
+            nights: Math.round((checkOut - checkIn) / MS_PER_DAY),
+            adults: booking.adults || 0,
+            children: booking.children || 0,
+            totalCost: this.currencyService.formatAmount(charge.amount, charge.currency),
+            amountPaid: this.currencyService.formatAmount(amountPaid, charge.currency),
+            balanceDue: this.currencyService.formatAmount(balanceDue, charge.currency),
+            balanceDueDate: balanceDue > 0 && booking.nextPaymentDue ? `by ${formatDate(booking.nextPaymentDue)}` : '',
+            cancellationReason: booking.cancellationReason || 'Not given',
+            refundDue: this.currencyService.formatAmount(booking.refundDue || 0, charge.currency),
+            safariDate: safari ? formatDate(safari.safariDate) : '',
+            safariSlot: safari ? safari.safariType : '',
+            safariTime: safari ? safari.safariTime : '',
+            zoneName: zone ? zone.name : ''
+        };
+    }
+}
+
+// Export singleton instance
+export const notificationService = new NotificationService();
+export default notificationService;
@@ -0,0 +1,353 @@
+// Payment Schedule Service - Deposits, balances and the payment ledger
+// A booking is paid in instalments: usually a deposit when it is made and the
+// balance a set number of days before check-in. The rules come from the
+// package's paymentSchedule, or DEFAULT_PAYMENT_SCHEDULE when it has none.
+//
+// paymentSchedule shape: a list of booking windows, e.g.
+// [
+//     { minDaysAhead: 60, depositPercent: 20, balanceDaysBefore: 30 },
+//     { minDaysAhead: 0, depositPercent: 30, balanceDaysBefore: 7 }
+// ]
+// The window with the largest minDaysAhead that the booking is made at least
+// that many days before check-in applies. When the balance would already be
+// due on the day of booking, the whole amount is due at booking instead.
+//
+// Amounts are in the booking's charged currency. The ledger is worked out
+// from the Payments collection, and its totals are copied onto the booking
+// (amountPaid, balanceDue, nextPaymentDue, paymentStatus) after every payment.
+
+import { COLLECTIONS, BOOKING_STATUS, PAYMENT_STATUS } from 'backend/collections';
+import { ReservationError } from 'backend/errors';
+import { currencyService } from 'backend/currencyService';
+import { startOfDay, addDays, MS_PER_DAY } from 'backend/dateUtils';
+import { wixDataRepository } from 'backend/dataRepository';
+
+// 30% when booking and the rest 7 days before check-in
+export const DEFAULT_PAYMENT_SCHEDULE = [
+    { minDaysAhead: 0, depositPercent: 30, balanceDaysBefore: 7 }
+];
+
+// Kinds of instalment on a schedule
+export const INSTALMENT_TYPES = {
+    DEPOSIT: 'deposit',
+    BALANCE: 'balance',
+    FULL: 'full'
+};
+
+export class PaymentScheduleService {
+
+    /**
+     * @param {Object} [options] - Options
+     * @param {Object} [options.repository] - Where records are read and written (see dataRepository); wix-data by default
+     * @param {Object} [options.services] - Services to call instead of the site's own, e.g. { currencyService }
+     */
+    constructor({ repository = wixDataRepository, services = {} } = {}) {
+        this.repository = repository;
+        this.currencyService = services.currencyService || currencyService;
+    }
+
+    // ===== SCHEDULES =====
+
+    /**
+     * Get the booking window rule that applies to a stay
+     * @param {Object} packageData - Package record (may be null)
+     * @param {Date} checkInDate - Check-in date
+     * @param {Date} [bookedDate] - When the booking is made
+     * @returns {Object} { minDaysAhead, depositPercent, balanceDaysBefore }
+     */
+    getRule(packageData, checkInDate, bookedDate = new Date()) {
+        const rules = (packageData && packageData.paymentSchedule && packageData.paymentSchedule.length > 0)
+            ? packageData.paymentSchedule
+            : DEFAULT_PAYMENT_SCHEDULE;
+        const daysAhead = this.getDaysAhead(checkInDate, bookedDate);
+
+        const rule = [...rules]
+            .sort((a, b) => (b.minDaysAhead || 0) - (a.minDaysAhead || 0))
+            .find(candidate => daysAhead >= (candidate.minDaysAhead || 0));
+        return rule || { minDaysAhead: 0, depositPercent: 100, balanceDaysBefore: 0 };
+    }
+
+    /**
+     * Split a total into the instalments a booking pays
+     * @param {Object} packageData - Package record (may be null)
+     * @param {Date} checkInDate - Check-in date
+     * @param {number} total - Amount to schedule
+     * @param {string} currency - Currency of the amount
+     * @param {Date} [bookedDate] - When the booking is made
+     * @returns {Array} Instalments ({ type, percent, amount, dueDate, description })
+     */
+    buildSchedule(packageData, checkInDate, total, currency, bookedDate = new Date()) {
+        const rule = this.getRule(packageData, checkInDate, bookedDate);
+        const bookingDay = startOfDay(bookedDate);
+        const balanceDueDate = addDays(startOfDay(checkInDate), -(rule.balanceDaysBefore || 0));
+        const depositPercent = Math.min(Math.max(rule.depositPercent || 0, 0), 100);
+
+        if (depositPercent >= 100 || balanceDueDate <= bookingDay) {
+            return [{
+                type: INSTALMENT_TYPES.FULL,
+                percent: 100,
+                amount: total,
+                dueDate: bookingDay,
+                description: 'Full payment due at booking'
+            }];
+        }
+
+        const deposit = this.currencyService.roundAmount(total * depositPercent / 100, currency);
+        return [
+            {
+                type: INSTALMENT_TYPES.DEPOSIT,
+                percent: depositPercent,
+                amount: deposit,
+                dueDate: bookingDay,
+                description: `${depositPercent}% deposit due at booking`
+            },
+            {
+                type: INSTALMENT_TYPES.BALANCE,
+                percent: 100 - depositPercent,
+                amount: this.currencyService.roundAmount(total - deposit, currency),
+                dueDate: balanceDueDate,
+                description: `Balance due ${rule.balanceDaysBefore} days before check-in`
+            }
+        ];
+    }
+
+    /**
+     * Get a booking's schedule
+     * Bookings made before payment schedules were due in full when made.
+     * @param {Object} booking - Booking
+     * @returns {Array} Instalments
+     */
+    getSchedule(booking) {
+        if (booking.paymentSchedule && booking.paymentSchedule.length > 0) {
+            return booking.paymentSchedule;
+        }
+        return [{
+            type: INSTALMENT_TYPES.FULL,
+            percent: 100,
+            amount: this.currencyService.getCharge(booking).amount,
+            dueDate: startOfDay(booking.createdDate || new Date()),
+            description: 'Full payment due at booking'
+        }];
+    }
+
+    /**
+     * Reschedule a booking whose total or dates changed
+     * The booking keeps the window it was made in; what it has paid stays paid.
+     * @param {Object} booking - Booking before the change
+     * @param {Object} packageData - Package record (may be null)
+     * @param {Date} checkInDate - Check-in date
+     * @param {number} total - New total in the charged currency
+     * @param {string} currency - Charged currency
+     * @returns {Object} Booking fields (see getBookingFields)
+     */
+    reschedule(booking, packageData, checkInDate, total, currency) {
+        const schedule = this.buildSchedule(packageData, checkInDate, total, currency, booking.createdDate || new Date());
+        return this.getBookingFields(schedule, this.getStoredAmountPaid(booking), currency);
+    }
+
+    // ===== LEDGER =====
+
+    /**
+     * Get the payment ledger of a booking by ID
+     * @param {string} bookingId - Booking (or group booking) ID
+     * @returns {Promise<Object>} Ledger (see getLedger)
+     */
+    async getPaymentLedger(bookingId) {
+        const booking = await this.repository.get(COLLECTIONS.BOOKINGS, bookingId);
+        if (!booking) {
+            throw new ReservationError('Booking not found', { status: 404, code: 'NOT_FOUND' });
+        }
+        if (booking.groupId) {
+            throw new ReservationError('Group lines are paid through their group booking', { status: 409, code: 'GROUP_LINE' });
+        }
+        return this.getLedger(booking);
+    }
+
+    /**
+     * Get a booking's payment ledger
+     * @param {Object} booking - Booking
+     * @param {Date} [now] - Date to judge overdue instalments against
+     * @returns {Promise<Object>} { currency, entries, instalments, amountPaid, balanceDue, nextDue, isOverdue, paymentStatus }
+     */
+    async getLedger(booking, now = new Date()) {
+        try {
+            await this.currencyService.getBaseCurrency();
+            const charge = this.currencyService.getCharge(booking);
+            const entries = await this.getEntries(booking._id);
+            const amountPaid = this.currencyService.roundAmount(entries.reduce((sum, entry) => sum + entry.amount, 0), charge.currency);
+
+            return {
+                bookingId: booking._id,
+                currency: charge.currency,
+                totalAmount: charge.amount,
+                entries: entries,
+                ...this.summarise(this.getSchedule(booking), amountPaid, charge.currency, now)
+            };
+
+        } catch (error) {
+            console.error('Error getting payment ledger:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List the money received and refunded for a booking, oldest first
+     * @param {string} bookingId - Booking ID
+     * @returns {Promise<Array>} Entries ({ type: 'payment'|'refund', date, amount, currency, paymentId, provider })
+     */
+    async getEntries(bookingId) {
+        const result = await this.repository.query(COLLECTIONS.PAYMENTS)
+            .eq('bookingId', bookingId)
+            .hasSome('status', [PAYMENT_STATUS.PAID, PAYMENT_STATUS.REFUNDED])
+            .limit(1000)
+            .find();
+
+        const entries = [];
+        for (const payment of result.items) {
+            const entry = {
+                date: payment.paidDate || payment.createdDate,
+                currency: payment.currency,
+                paymentId: payment.paymentId || null,
+                provider: payment.provider,
+                instalment: payment.instalment || null
+            };
+            entries.push({ ...entry, type: 'payment', amount: payment.amount });
+
+            if (payment.status === PAYMENT_STATUS.REFUNDED) {
+                const refunded = typeof payment.refundedAmount === 'number' ? payment.refundedAmount : payment.amount;
+                entries.push({ ...entry, type: 'refund', date: payment.refundedDate || payment.updatedDate, amount: -refunded });
+            }
+        }
+        return entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    /**
+     * Apply what has been paid to a schedule, earliest instalment first
+     * @param {Array} schedule - Instalments
+     * @param {number} amountPaid - Amount received, less refunds
+     * @param {string} currency - Currency of the amounts
+     * @param {Date} [now] - Date to judge overdue instalments against
+     * @returns {Object} { instalments, amountPaid, balanceDue, nextDue, isOverdue, paymentStatus }
+     */
+    summarise(schedule, amountPaid, currency, now = new Date()) {
+        const today = startOfDay(now);
+        let unallocated = amountPaid;
+
+        const instalments = schedule.map(instalment => {
+            const paidAmount = this.currencyService.roundAmount(Math.max(Math.min(instalment.amount, unallocated), 0), currency);
+            unallocated -= paidAmount;
+            const outstanding = this.currencyService.roundAmount(instalment.amount - paidAmount, currency);
+
+            let status = PAYMENT_STATUS.PENDING;
+            if (outstanding <= 0) status = PAYMENT_STATUS.PAID;
+            else if (startOfDay(instalment.dueDate) < today) status = PAYMENT_STATUS.OVERDUE;
+            else if (paidAmount > 0) status = PAYMENT_STATUS.PARTIALLY_PAID;
+
+            return { ...instalment, paidAmount, outstanding, status };
+        });
+
+        const total = instalments.reduce((sum, instalment) => sum + instalment.amount, 0);
+        const balanceDue = this.currencyService.roundAmount(Math.max(total - amountPaid, 0), currency);
+        const next = instalments.find(instalment => instalment.outstanding > 0);
+        const isOverdue = instalments.some(instalment => instalment.status === PAYMENT_STATUS.OVERDUE);
+
+        let paymentStatus = PAYMENT_STATUS.PENDING;
+        if (balanceDue <= 0) paymentStatus = PAYMENT_STATUS.PAID;
+        else if (isOverdue) paymentStatus = PAYMENT_STATUS.OVERDUE;
+        else if (amountPaid > 0) paymentStatus = PAYMENT_STATUS.PARTIALLY_PAID;
+
+        return {
+            instalments: instalments,
+            amountPaid: amountPaid,
+            balanceDue: balanceDue,
+            nextDue: next ? { type: next.type, amount: next.outstanding, dueDate: next.dueDate } : null,
+            isOverdue: isOverdue,
+            paymentStatus: paymentStatus
+        };
+    }
+
+    /**
+     * Get the payment fields to store on a booking
+     * @param {Array} schedule - Instalments
+     * @param {number} amountPaid - Amount received, less refunds
+     * @param {string} currency - Charged currency
+     * @returns {Object} paymentSchedule, amountPaid, balanceDue, nextPaymentDue and paymentStatus
+     */
+    getBookingFields(schedule, amountPaid, currency) {
+        const summary = this.summarise(schedule, amountPaid, currency);
+        return {
+            paymentSchedule: schedule,
+            amountPaid: summary.amountPaid,
+            balanceDue: summary.balanceDue,
+            nextPaymentDue: summary.nextDue ? summary.nextDue.dueDate : null,
+            paymentStatus: summary.paymentStatus
+        };
+    }
+
+    /**
+     * Get what a booking has paid from its stored fields
+     * Bookings paid before the ledger existed were paid in full.
+     * @param {Object} booking - Booking
+     * @returns {number} Amount paid in the charged currency
+     */
+    getStoredAmountPaid(booking) {
+        if (typeof booking.amountPaid === 'number') return booking.amountPaid;
+        return booking.paymentStatus === PAYMENT_STATUS.PAID ? this.currencyService.getCharge(booking).amount : 0;
+    }
+
+    // ===== OVERDUE PAYMENTS =====
+
+    /**
+     * Mark bookings whose next instalment has passed its due date as Overdue
+     * @param {Date} [now] - Date to judge against
+     * @returns {Promise<Array>} Bookings newly marked overdue
+     */
+    async markOverduePayments(now = new Date()) {
+        const result = await this.repository.query(COLLECTIONS.BOOKINGS)
+            .hasSome('status', [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED])
+            .hasSome('paymentStatus', [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.PARTIALLY_PAID])
+            .lt('nextPaymentDue', startOfDay(now))
+            .limit(1000)
+            .find();
+
+        const marked = [];
+        for (const booking of result.items) {
+            marked.push(await this.repository.update(COLLECTIONS.BOOKINGS, {
+                ...booking,
+                paymentStatus: PAYMENT_STATUS.OVERDUE,
+                updatedDate: new Date()
+            }));
+        }
+        return marked;
+    }
+
+    /**
+     * List bookings with an overdue instalment, the longest overdue first
+     * @returns {Promise<Array>} Bookings
+     */
+    async listOverduePayments() {
+        const result = await this.repository.query(COLLECTIONS.BOOKINGS)
+            .eq('paymentStatus', PAYMENT_STATUS.OVERDUE)
+            .hasSome('status', [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED])
+            .ascending('nextPaymentDue')
+            .limit(1000)
+            .find();
+        return result.items;
+    }
+
+    // ===== UTILITY FUNCTIONS =====
+
+    /**
+     * Count the whole days from booking to check-in
+     * @param {Date} checkInDate - Check-in date
+     * @param {Date} bookedDate - When the booking is made
+     * @returns {number} Days
+     */
+    getDaysAhead(checkInDate, bookedDate) {
+        return Math.round((startOfDay(checkInDate) - startOfDay(bookedDate)) / MS_PER_DAY);
+    }
+}
+
+// Export singleton instance
+export const paymentScheduleService = new PaymentScheduleService();
+export default paymentScheduleService;
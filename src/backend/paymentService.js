@@ -0,0 +1,580 @@
+// Payment Service - Pluggable payment providers and webhook handling
+// A provider creates a checkout for a booking and verifies the signed callbacks
+// it later sends to /_functions/paymentWebhook. Register extra providers with
+// paymentService.registerProvider(); the active one is named by the
+// PAYMENT_PROVIDER secret and defaults to the offline mock provider, which is
+// refused unless the MOCK_PAYMENTS_ENABLED secret is set to "true".
+
+import { fetch } from 'wix-fetch';
+import { getSecret } from 'wix-secrets-backend';
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+import { COLLECTIONS, BOOKING_STATUS, PAYMENT_STATUS } from 'backend/collections';
+import { ReservationError } from 'backend/errors';
+import { paymentStatusMachine } from 'backend/statusMachine';
+import { reservationService } from 'backend/reservationService';
+import { invoiceService } from 'backend/invoiceService';
+import { currencyService } from 'backend/currencyService';
+import { INSTALMENT_TYPES } from 'backend/paymentScheduleService';
+import { readSecret } from 'backend/serviceUtils';
+import { wixDataRepository } from 'backend/dataRepository';
+
+export const DEFAULT_PAYMENT_PROVIDER = 'mock';
+
+// Webhook event types every provider maps its callbacks onto
+export const PAYMENT_EVENTS = {
+    PAID: 'payment.paid',
+    FAILED: 'payment.failed',
+    REFUNDED: 'payment.refunded'
+};
+
+const EVENT_STATUS = {
+    [PAYMENT_EVENTS.PAID]: PAYMENT_STATUS.PAID,
+    [PAYMENT_EVENTS.FAILED]: PAYMENT_STATUS.FAILED,
+    [PAYMENT_EVENTS.REFUNDED]: PAYMENT_STATUS.REFUNDED
+};
+
+/**
+ * Compare an HMAC-SHA256 signature in constant time
+ * @param {string} payload - Signed payload
+ * @param {string} signature - Hex signature received
+ * @param {string} secret - Signing secret
+ * @returns {boolean} Whether the signature matches
+ */
+function isValidSignature(payload, signature, secret) {
+    if (!signature || !secret) return false;
+
+    const expected = Buffer.from(createHmac('sha256', secret).update(payload).digest('hex'));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+// ===== PROVIDERS =====
+
+/**
+ * Offline provider for development and testing
+ * Orders are created locally and callbacks are signed with MOCK_PAYMENT_SECRET,
+ * so buildWebhook() produces requests that pass the same verification as a real provider.
+ * Anyone who knows the secret can mark orders paid, so the provider is only
+ * used while MOCK_PAYMENTS_ENABLED is "true" and MOCK_PAYMENT_SECRET is set.
+ */
+export class MockPaymentProvider {
+    constructor() {
+        this.name = 'mock';
+    }
+
+    async isEnabled() {
+        return await readSecret('MOCK_PAYMENTS_ENABLED') === 'true';
+    }
+
+    async getSecret() {
+        const secret = await readSecret('MOCK_PAYMENT_SECRET');
+        if (!secret) {
+            throw new ReservationError('The mock payment provider needs a MOCK_PAYMENT_SECRET', { status: 503, code: 'PROVIDER_NOT_CONFIGURED' });
+        }
+        return secret;
+    }
+
+    async createOrder({ amount, currency, bookingId }) {
+        return {
+            orderId: `mock_order_${randomUUID()}`,
+            checkoutUrl: null,
+            clientData: { amount, currency, bookingId }
+        };
+    }
+
+    async verifyWebhook(rawBody, headers) {
+        const secret = await this.getSecret();
+        if (!isValidSignature(rawBody, headers['x-mock-signature'], secret)) {
+            throw new ReservationError('Invalid webhook signature', { status: 401, code: 'INVALID_SIGNATURE' });
+        }
+
+        const event = JSON.parse(rawBody);
+        return {
+            type: event.type,
+            orderId: event.orderId,
+            paymentId: event.paymentId,
+            amount: event.amount,
+            currency: event.currency,
+            refundId: event.refundId
+        };
+    }
+
+    /**
+     * Build a signed callback as the provider would send it
+     * @param {string} orderId - Order to settle
+     * @param {string} type - One of PAYMENT_EVENTS
+     * @param {number} [amount] - Amount paid or refunded
+     * @param {string} [currency] - Currency of the amount
+     * @returns {Promise<Object>} rawBody and headers for handleWebhook
+     */
+    async buildWebhook(orderId, type, amount, currency) {
+        const rawBody = JSON.stringify({
+            type,
+            orderId,
+            paymentId: `mock_pay_${randomUUID()}`,
+            amount,
+            currency,
+            ...(type === PAYMENT_EVENTS.REFUNDED ? { refundId: `mock_refund_${randomUUID()}` } : {})
+        });
+        const signature = createHmac('sha256', await this.getSecret()).update(rawBody).digest('hex');
+        return { rawBody, headers: { 'x-mock-signature': signature } };
+    }
+}
+
+/**
+ * Razorpay provider using Payment Links, so guests are sent to a hosted checkout page
+ * Needs RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET secrets.
+ */
+export class RazorpayPaymentProvider {
+    constructor() {
+        this.name = 'razorpay';
+        this.apiUrl = 'https://api.razorpay.com/v1';
+    }
+
+    async createOrder({ amount, currency, bookingId, customerInfo, description }) {
+        const keyId = await getSecret('RAZORPAY_KEY_ID');
+        const keySecret = await getSecret('RAZORPAY_KEY_SECRET');
+
+        const response = await fetch(`${this.apiUrl}/payment_links`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`
+            },
+            body: JSON.stringify({
+                amount: currencyService.toMinorUnits(amount, currency), // Razorpay amounts are in paise, cents, ...
+                currency,
+                reference_id: bookingId,
+                description,
+                customer: {
+                    name: customerInfo.name,
+                    email: customerInfo.email,
+                    contact: customerInfo.phone
+                }
+            })
+        });
+
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(`Razorpay error: ${result.error ? result.error.description : response.status}`);
+        }
+
+        return {
+            orderId: result.id,
+            checkoutUrl: result.short_url,
+            clientData: { amount, currency, bookingId }
+        };
+    }
+
+    async verifyWebhook(rawBody, headers) {
+        const secret = await getSecret('RAZORPAY_WEBHOOK_SECRET');
+        if (!isValidSignature(rawBody, headers['x-razorpay-signature'], secret)) {
+            throw new ReservationError('Invalid webhook signature', { status: 401, code: 'INVALID_SIGNATURE' });
+        }
+
+        const event = JSON.parse(rawBody);
+        const payload = event.payload || {};
+        const payment = payload.payment ? payload.payment.entity : {};
+
+        switch (event.event) {
+            case 'payment_link.paid':
+                return {
+                    type: PAYMENT_EVENTS.PAID,
+                    orderId: payload.payment_link.entity.id,
+                    paymentId: payment.id,
+                    amount: currencyService.fromMinorUnits(payment.amount, payment.currency),
+                    currency: payment.currency
+                };
+            case 'payment_link.expired':
+            case 'payment_link.cancelled':
+                // A failed attempt can be retried on the same link, so only a dead link counts as failed
+                return {
+                    type: PAYMENT_EVENTS.FAILED,
+                    orderId: payload.payment_link.entity.id
+                };
+            case 'refund.processed':
+                return {
+                    type: PAYMENT_EVENTS.REFUNDED,
+                    paymentId: payload.refund.entity.payment_id,
+                    refundId: payload.refund.entity.id,
+                    amount: currencyService.fromMinorUnits(payload.refund.entity.amount, payload.refund.entity.currency),
+                    currency: payload.refund.entity.currency
+                };
+            default:
+                // Acknowledged but not acted on
+                return { type: event.event };
+        }
+    }
+}
+
+// ===== PAYMENT SERVICE =====
+
+export class PaymentService {
+    /**
+     * @param {Object} [options] - Options
+     * @param {Object} [options.repository] - Where records are read and written (see dataRepository); wix-data by default
+     * @param {Object} [options.services] - Services to call instead of the site's own, e.g. { reservationService, invoiceService }.
+     *   The currency and payment schedule services default to the reservation service's own.
+     */
+    constructor({ repository = wixDataRepository, services = {} } = {}) {
+        this.repository = repository;
+        this.reservationService = services.reservationService || reservationService;
+        this.invoiceService = services.invoiceService || invoiceService;
+        this.currencyService = services.currencyService || this.reservationService.currencyService;
+        this.paymentScheduleService = services.paymentScheduleService || this.reservationService.paymentScheduleService;
+        this.providers = {};
+        this.registerProvider(new MockPaymentProvider());
+        this.registerProvider(new RazorpayPaymentProvider());
+    }
+
+    /**
+     * Add a payment provider
+     * @param {Object} provider - Object with name, createOrder() and verifyWebhook(), and
+     *   optionally isEnabled() for a provider that must be switched on before use
+     */
+    registerProvider(provider) {
+        this.providers[provider.name] = provider;
+    }
+
+    /**
+     * Get a provider by name, or the active provider
+     * @param {string} [name] - Provider name
+     * @returns {Promise<Object>} Provider
+     */
+    async getProvider(name) {
+        const providerName = name || await readSecret('PAYMENT_PROVIDER', DEFAULT_PAYMENT_PROVIDER);
+        const provider = this.providers[providerName];
+        if (!provider) {
+            throw new ReservationError(`Unknown payment provider: ${providerName}`, { status: 404, code: 'UNKNOWN_PROVIDER' });
+        }
+        if (provider.isEnabled && !(await provider.isEnabled())) {
+            throw new ReservationError(`The ${providerName} payment provider is not enabled`, { status: 403, code: 'PROVIDER_DISABLED' });
+        }
+        return provider;
+    }
+
+    /**
+     * Create a payment order for a booking's next instalment, or its whole balance
+     * The order is in the currency the booking is charged in, at the booking's rate.
+     * @param {string} bookingId - Booking ID
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.payInFull] - Pay the whole balance instead of the next instalment
+     * @returns {Promise<Object>} Payment record with orderId and checkoutUrl
+     */
+    async createPaymentOrder(bookingId, { payInFull = false } = {}) {
+        try {
+            await this.currencyService.getBaseCurrency();
+            const booking = await this.repository.get(COLLECTIONS.BOOKINGS, bookingId);
+            if (!booking) {
+                throw new ReservationError('Booking not found', { status: 404, code: 'NOT_FOUND' });
+            }
+            if (booking.groupId) {
+                throw new ReservationError('Pay for the group booking instead of a single cottage', { status: 409, code: 'GROUP_LINE' });
+            }
+            if (booking.status === BOOKING_STATUS.CANCELLED) {
+                throw new ReservationError('Cancelled bookings cannot be paid', { status: 409, code: 'BOOKING_CANCELLED' });
+            }
+
+            const ledger = await this.paymentScheduleService.getLedger(booking);
+            if (ledger.balanceDue <= 0) {
+                throw new ReservationError('Booking is already paid', { status: 409, code: 'ALREADY_PAID' });
+            }
+
+            const charge = this.currencyService.getCharge(booking);
+            const amount = payInFull ? ledger.balanceDue : ledger.nextDue.amount;
+            const instalment = amount >= ledger.balanceDue && ledger.nextDue.type !== INSTALMENT_TYPES.BALANCE
+                ? INSTALMENT_TYPES.FULL
+                : ledger.nextDue.type;
+
+            const provider = await this.getProvider();
+            const order = await provider.createOrder({
+                amount: amount,
+                currency: charge.currency,
+                bookingId: booking._id,
+                customerInfo: booking.customerInfo || {},
+                description: `Booking ${booking._id} (${instalment})`
+            });
+
+            const payment = await this.repository.insert(COLLECTIONS.PAYMENTS, {
+                bookingId: booking._id,
+                provider: provider.name,
+                orderId: order.orderId,
+                amount: amount,
+                currency: charge.currency,
+                exchangeRate: charge.rate,
+                baseAmount: await this.getBaseAmountDue(booking, amount, ledger.balanceDue, charge),
+                instalment: instalment,
+                status: PAYMENT_STATUS.PENDING,
+                createdDate: new Date(),
+                updatedDate: new Date()
+            });
+
+            return {
+                ...payment,
+                checkoutUrl: order.checkoutUrl,
+                clientData: order.clientData
+            };
+
+        } catch (error) {
+            console.error('Error creating payment order:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Verify a provider callback and update the payment and booking
+     * Repeated deliveries of the same event leave the records unchanged, and so do
+     * events that would move the payment backwards (see PAYMENT_TRANSITIONS), such
+     * as a late or replayed paid event for a refunded payment. A payment can be
+     * refunded in several parts, so refunds are told apart by the provider's
+     * refund ID and each one adds to refundedAmount.
+     * @param {string} providerName - Provider that sent the callback
+     * @param {string} rawBody - Unparsed request body (signatures cover the exact bytes)
+     * @param {Object} headers - Request headers
+     * @returns {Promise<Object>} The event and the updated payment, if any
+     */
+    async handleWebhook(providerName, rawBody, headers) {
+        await this.currencyService.getBaseCurrency();
+        const provider = await this.getProvider(providerName);
+        const event = await provider.verifyWebhook(rawBody, headers || {});
+
+        const status = EVENT_STATUS[event.type];
+        if (!status) {
+            return { event, payment: null };
+        }
+
+        const payment = await this.findPayment(provider.name, event);
+        if (!payment) {
+            throw new ReservationError('Payment not found for webhook', { status: 404, code: 'NOT_FOUND' });
+        }
+        if (this.isRepeatedEvent(payment, status, event)) {
+            return { event, payment };
+        }
+        if (!paymentStatusMachine.canTransition(payment.status, status)) {
+            console.log(`Ignoring ${event.type} event for ${payment.status.toLowerCase()} payment ${payment._id}`);
+            return { event, payment };
+        }
+        if (status === PAYMENT_STATUS.PAID) {
+            this.assertAmountPaid(payment, event);
+        }
+
+        const previouslyRefunded = this.getRefundedAmount(payment);
+        const refundAmount = status !== PAYMENT_STATUS.REFUNDED ? 0
+            : typeof event.amount === 'number' ? event.amount : payment.amount - previouslyRefunded;
+        const updatedPayment = await this.repository.update(COLLECTIONS.PAYMENTS, {
+            ...payment,
+            status: status,
+            paymentId: event.paymentId || payment.paymentId,
+            ...(status === PAYMENT_STATUS.PAID ? { paidDate: new Date() } : {}),
+            ...(status === PAYMENT_STATUS.REFUNDED ? {
+                refundedAmount: this.currencyService.roundAmount(previouslyRefunded + refundAmount, payment.currency),
+                refundedDate: new Date(),
+                ...(event.refundId ? { refundIds: [...(payment.refundIds || []), event.refundId] } : {}),
+                ...(typeof payment.refundDue === 'number' ? { refundDue: this.reduceRefundDue(payment.refundDue, refundAmount, payment.currency) } : {})
+            } : {}),
+            updatedDate: new Date()
+        });
+
+        const booking = await this.applyPaymentToBooking(updatedPayment, refundAmount);
+        await this.issuePaymentDocuments(updatedPayment, event, booking);
+
+        return { event, payment: updatedPayment };
+    }
+
+    /**
+     * Check whether an event has already been applied to its payment
+     * @param {Object} payment - Payment record
+     * @param {string} status - Status the event moves the payment to
+     * @param {Object} event - Verified event
+     * @returns {boolean} Whether the event is a repeat
+     */
+    isRepeatedEvent(payment, status, event) {
+        if (status === PAYMENT_STATUS.REFUNDED && event.refundId) {
+            return (payment.refundIds || []).includes(event.refundId);
+        }
+        return payment.status === status;
+    }
+
+    /**
+     * Get how much of a payment has been refunded so far
+     * Refunds recorded before partial refunds were tracked were for the whole payment.
+     * @param {Object} payment - Payment record
+     * @returns {number} Amount in the payment's currency
+     */
+    getRefundedAmount(payment) {
+        if (payment.status !== PAYMENT_STATUS.REFUNDED) return 0;
+        return typeof payment.refundedAmount === 'number' ? payment.refundedAmount : payment.amount;
+    }
+
+    /**
+     * Reject a paid event that does not cover the payment's amount in its currency
+     * @param {Object} payment - Payment record
+     * @param {Object} event - Verified event
+     */
+    assertAmountPaid(payment, event) {
+        const currency = payment.currency || this.currencyService.baseCurrency;
+        const paidCurrency = String(event.currency || '').trim().toUpperCase();
+        const matches = typeof event.amount === 'number' &&
+            paidCurrency === currency &&
+            this.currencyService.roundAmount(event.amount, currency) === this.currencyService.roundAmount(payment.amount, currency);
+
+        if (!matches) {
+            throw new ReservationError('Amount paid does not match the payment', {
+                code: 'AMOUNT_MISMATCH',
+                details: { expectedAmount: payment.amount, expectedCurrency: currency }
+            });
+        }
+    }
+
+    /**
+     * Issue the invoice once a booking is paid in full, or a credit note for a refund
+     * A document that cannot be issued is logged rather than failing the
+     * webhook (the payment is already recorded); staff can issue it later.
+     * Refunds arrive in the payment's currency and are credited in the base currency.
+     * @param {Object} payment - Updated payment record
+     * @param {Object} event - Verified event
+     * @param {Object} [booking] - Booking after the payment was applied
+     */
+    async issuePaymentDocuments(payment, event, booking) {
+        try {
+            if (payment.status === PAYMENT_STATUS.PAID) {
+                // A deposit is not invoiced on its own; the invoice follows the final instalment
+                if (booking && booking.paymentStatus !== PAYMENT_STATUS.PAID) return;
+                await this.invoiceService.issueInvoice(payment.bookingId);
+            } else if (payment.status === PAYMENT_STATUS.REFUNDED) {
+                await this.invoiceService.createCreditNote(payment.bookingId, {
+                    amount: event.amount
+                        ? this.currencyService.toBase(event.amount, { currency: payment.currency, rate: payment.exchangeRate || 1 })
+                        : this.getBaseAmount(payment),
+                    paymentId: payment.paymentId,
+                    reason: 'Refund'
+                });
+            }
+        } catch (error) {
+            console.error('Error issuing payment documents:', error);
+        }
+    }
+
+    /**
+     * Get a payment's amount in the base currency
+     * Payments made before multi-currency pricing were always in the base currency.
+     * @param {Object} payment - Payment record
+     * @returns {number} Amount
+     */
+    getBaseAmount(payment) {
+        return typeof payment.baseAmount === 'number' ? payment.baseAmount : payment.amount;
+    }
+
+    /**
+     * Work out what an instalment is worth in the base currency
+     * The payment that clears the balance takes whatever is left of the base
+     * total, so rounding never leaves a few paise unpaid on the invoice.
+     * @param {Object} booking - Booking
+     * @param {number} amount - Amount to pay in the charged currency
+     * @param {number} balanceDue - Balance before this payment
+     * @param {Object} charge - { currency, rate } the booking is charged at
+     * @returns {Promise<number>} Amount in the base currency
+     */
+    async getBaseAmountDue(booking, amount, balanceDue, charge) {
+        if (amount < balanceDue) {
+            return this.currencyService.toBase(amount, charge);
+        }
+        const basePaid = await this.invoiceService.getAmountPaid(booking._id);
+        return this.currencyService.roundAmount(booking.totalCost - basePaid);
+    }
+
+    /**
+     * Bring a booking's ledger up to date after a payment changes, confirming
+     * pending bookings once the first instalment is paid and taking refunds
+     * paid out off any cancellation refund still owed
+     * @param {Object} payment - Payment record
+     * @param {number} [refundAmount] - Refund just paid out on the payment
+     * @returns {Promise<Object|null>} Updated booking
+     */
+    async applyPaymentToBooking(payment, refundAmount = 0) {
+        const booking = await this.repository.get(COLLECTIONS.BOOKINGS, payment.bookingId);
+        if (!booking) return null;
+
+        const ledger = await this.paymentScheduleService.getLedger(booking);
+        let paymentStatus = ledger.paymentStatus;
+        if (ledger.paymentStatus === PAYMENT_STATUS.PENDING && [PAYMENT_STATUS.FAILED, PAYMENT_STATUS.REFUNDED].includes(payment.status)) {
+            // Nothing is held for the booking, so it shows what happened to its last payment
+            paymentStatus = payment.status;
+        }
+
+        const refundPaid = refundAmount > 0 && typeof booking.refundDue === 'number';
+        const updatedBooking = await this.repository.update(COLLECTIONS.BOOKINGS, {
+            ...booking,
+            paymentStatus: paymentStatus,
+            paymentId: payment.paymentId || booking.paymentId,
+            amountPaid: ledger.amountPaid,
+            balanceDue: ledger.balanceDue,
+            nextPaymentDue: ledger.nextDue ? ledger.nextDue.dueDate : null,
+            ...(refundPaid ? { refundDue: this.reduceRefundDue(booking.refundDue, refundAmount, ledger.currency) } : {}),
+            updatedDate: new Date()
+        });
+
+        if (payment.status === PAYMENT_STATUS.PAID && booking.status === BOOKING_STATUS.PENDING) {
+            await this.reservationService.updateBookingStatus(booking._id, BOOKING_STATUS.CONFIRMED);
+        }
+        return updatedBooking;
+    }
+
+    /**
+     * Take a refund paid out off what is still owed
+     * @param {number} refundDue - Refund owed
+     * @param {number} refundedAmount - Refund paid out
+     * @param {string} currency - Currency of both amounts
+     * @returns {number} Refund still owed
+     */
+    reduceRefundDue(refundDue, refundedAmount, currency) {
+        return this.currencyService.roundAmount(Math.max(refundDue - (refundedAmount || 0), 0), currency);
+    }
+
+    /**
+     * Find the payment a webhook event refers to, by order or provider payment ID
+     * @param {string} providerName - Provider name
+     * @param {Object} event - Verified event
+     * @returns {Promise<Object|null>} Payment record
+     */
+    async findPayment(providerName, event) {
+        const field = event.orderId ? 'orderId' : 'paymentId';
+        const value = event.orderId || event.paymentId;
+        if (!value) return null;
+
+        const result = await this.repository.query(COLLECTIONS.PAYMENTS)
+            .eq('provider', providerName)
+            .eq(field, value)
+            .find();
+        return result.items[0] || null;
+    }
+
+    /**
+     * Settle a mock order as the mock provider's callback would
+     * Only available while the mock provider is active.
+     * @param {string} orderId - Mock order ID
+     * @param {string} type - One of PAYMENT_EVENTS
+     * @returns {Promise<Object>} Webhook handling result
+     */
+    async simulateMockPayment(orderId, type = PAYMENT_EVENTS.PAID) {
+        const provider = await this.getProvider();
+        if (provider.name !== 'mock') {
+            throw new ReservationError('Payment simulation is only available with the mock provider', { status: 403, code: 'FORBIDDEN' });
+        }
+
+        const payments = await this.repository.query(COLLECTIONS.PAYMENTS)
+            .eq('orderId', orderId)
+            .find();
+        const payment = payments.items[0];
+        const amount = payment ? payment.amount : 0;
+        const baseCurrency = await this.currencyService.getBaseCurrency();
+        const currency = payment ? payment.currency || baseCurrency : baseCurrency;
+
+        const webhook = await provider.buildWebhook(orderId, type, amount, currency);
+        return this.handleWebhook(provider.name, webhook.rawBody, webhook.headers);
+    }
+}
+
+// Export singleton instance
+export const paymentService = new PaymentService();
+export default paymentService;
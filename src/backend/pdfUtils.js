@@ -0,0 +1,107 @@
+// PDF Utilities - A small text-only PDF writer for generated documents
+// Writes A4 pages of left-aligned text in the standard Helvetica and Courier
+// fonts, so no font files or PDF libraries are needed. Courier is monospaced,
+// which lets callers line up table columns by padding with spaces.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+// Standard fonts every PDF reader has, referenced as /F1 to /F3
+const FONTS = {
+    regular: { ref: 'F1', baseFont: 'Helvetica' },
+    bold: { ref: 'F2', baseFont: 'Helvetica-Bold' },
+    mono: { ref: 'F3', baseFont: 'Courier' }
+};
+
+/**
+ * Make text safe for a PDF string in WinAnsi encoding
+ * The rupee sign is not in WinAnsi, so it is written as "Rs.".
+ * @param {string} text - Text to write
+ * @returns {string} Escaped text
+ */
+function escapePdfText(text) {
+    return String(text)
+        .replace(/₹/g, 'Rs.')
+        .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+        .replace(/([\\()])/g, '\\$1');
+}
+
+/**
+ * Split lines onto pages, top to bottom
+ * @param {Array} lines - Lines to place
+ * @returns {Array<Array>} Content stream for each page
+ */
+function layoutPages(lines) {
+    const pages = [];
+    let operators = [];
+    let y = PAGE_HEIGHT - MARGIN;
+
+    for (const line of lines) {
+        const size = line.size || 10;
+        const leading = size * 1.4 + (line.spaceBefore || 0);
+
+        if (y - leading < MARGIN && operators.length > 0) {
+            pages.push(operators);
+            operators = [];
+            y = PAGE_HEIGHT - MARGIN;
+        }
+        y -= leading;
+
+        if (line.text) {
+            const font = FONTS[line.font] || FONTS.regular;
+            operators.push(`BT /${font.ref} ${size} Tf ${MARGIN + (line.indent || 0)} ${y.toFixed(2)} Td (${escapePdfText(line.text)}) Tj ET`);
+        }
+    }
+
+    pages.push(operators);
+    return pages;
+}
+
+/**
+ * Build a PDF document from lines of text
+ * @param {Array<Object>} lines - Lines ({ text, font: 'regular'|'bold'|'mono', size, indent, spaceBefore }); an empty text leaves a gap
+ * @param {Object} [options] - Document options
+ * @param {string} [options.title] - Document title shown by PDF readers
+ * @returns {Buffer} PDF file contents
+ */
+export function buildPdf(lines, { title = '' } = {}) {
+    const pages = layoutPages(lines);
+    const fontIds = { regular: 3, bold: 4, mono: 5 };
+    const firstPageId = 7;
+    const objects = [];
+
+    const pageIds = pages.map((_page, index) => firstPageId + index * 2);
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    for (const [name, id] of Object.entries(fontIds)) {
+        objects[id] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[name].baseFont} /Encoding /WinAnsiEncoding >>`;
+    }
+    objects[6] = `<< /Title (${escapePdfText(title)}) /Producer (Village Machaan) >>`;
+
+    const fontResources = Object.entries(fontIds).map(([name, id]) => `/${FONTS[name].ref} ${id} 0 R`).join(' ');
+    pages.forEach((operators, index) => {
+        const pageId = pageIds[index];
+        const stream = operators.join('\n');
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << ${fontResources} >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+    });
+
+    // The cross-reference table needs the byte offset of every object
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(output, 'latin1');
+        output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 6 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+}
@@ -0,0 +1,398 @@
+// Pricing Service - Nightly rate engine for cottages and packages
+// Every night of a stay is priced on its own from the cottage's base rate and
+// the seasonalPricing rules set on the cottage and on the chosen package.
+//
+// seasonalPricing shape (all keys optional):
+// {
+//     seasons:   [{ name: 'Peak', from: '10-01', to: '03-31', rate | multiplier | surcharge }],
+//     festivals: [{ name: 'Diwali', from: '2026-11-07', to: '2026-11-11', rate | multiplier | surcharge }],
+//     weekend:   { days: [5, 6], rate | multiplier | surcharge }
+// }
+// `rate` replaces the night's rate, `multiplier` scales it and `surcharge` adds a fixed amount.
+// Seasons repeat every year (MM-DD, may wrap over New Year); festivals are exact dates.
+// Cottage rules are applied first, then the package's rules on top.
+// A season or festival may also set `minStay`, the fewest nights a stay arriving then may book.
+//
+// The room rate and package price cover up to the cottage's maxAdults adults.
+// Children are charged by age band (see DEFAULT_CHILD_POLICY, which a cottage can
+// override with childPolicy): infants are free, children pay a percentage of one
+// adult's share and older children pay a full adult's share. The room supplement
+// is added to every night's rate, so GST slabs see the full tariff.
+// The priced stay is then itemised and taxed by taxService, so every quote and
+// booking total includes GST and fees.
+
+import { toDateKey, getNightDates } from 'backend/dateUtils';
+import { taxService } from 'backend/taxService';
+import { promotionService } from 'backend/promotionService';
+import { roundAmount } from 'backend/serviceUtils';
+
+// Friday and Saturday nights count as the weekend unless a rule says otherwise
+export const DEFAULT_WEEKEND_DAYS = [5, 6];
+
+// Age bands for children, by age on the check-in date
+export const AGE_BANDS = {
+    INFANT: 'infant',
+    CHILD: 'child',
+    ADULT: 'adult'
+};
+
+// Infants (up to infantMaxAge) stay free, children up to childMaxAge pay
+// childRatePercent of an adult's share and anyone older pays as an adult
+export const DEFAULT_CHILD_POLICY = {
+    infantMaxAge: 4,
+    childMaxAge: 11,
+    childRatePercent: 50
+};
+
+// Guests older than this are adults, not children
+export const MAX_CHILD_AGE = 17;
+
+export class PricingService {
+
+    // ===== STAY PRICING =====
+
+    /**
+     * Price a stay night by night, with its line items and GST
+     * @param {Object} cottage - Cottage record
+     * @param {Object} packageData - Package record (null prices the room only)
+     * @param {Date} checkInDate - Check-in date
+     * @param {Date} checkOutDate - Check-out date
+     * @param {Object} [options] - Options
+     * @param {Object} [options.promotion] - Promotion to take off before tax (already validated)
+     * @param {Array<number>} [options.childAges] - Age of each child (unknown ages are priced as children)
+     * @returns {Object} Cost breakdown including the rate for every night
+     */
+    priceStay(cottage, packageData, checkInDate, checkOutDate, { promotion = null, childAges = [] } = {}) {
+        const childPricing = this.priceChildren(cottage, childAges);
+        const nightlyRates = getNightDates(checkInDate, checkOutDate)
+            .map(date => this.addChildSupplement(this.getNightlyRate(cottage, packageData, date), cottage, childPricing));
+
+        const roomCost = roundAmount(nightlyRates.reduce((sum, night) => sum + night.rate, 0));
+        const packagePrice = packageData ? packageData.price || 0 : 0;
+        const packageSupplement = this.getChildSupplement(packagePrice, cottage, childPricing);
+        const packageCost = roundAmount(packagePrice + packageSupplement);
+        const safariCost = this.getSafariCost(packageData);
+        const subtotal = roundAmount(roomCost + packageCost + safariCost);
+        const discountAmount = promotion ? promotionService.calculateDiscount(promotion, subtotal) : 0;
+        const taxed = taxService.itemiseStay(nightlyRates, packageData, discountAmount, packageCost);
+        const nights = nightlyRates.length;
+
+        const cost = {
+            roomCost: roomCost,
+            packageCost: packageCost,
+            safariCost: safariCost,
+            subtotal: subtotal,
+            discountAmount: discountAmount,
+            serviceCharge: taxed.serviceCharge,
+            taxAmount: taxed.taxAmount,
+            totalCost: taxed.totalCost,
+            lineItems: taxed.lineItems,
+            taxes: taxed.taxes,
+            nights: nights,
+            costPerNight: cottage.basePricePerNight,
+            averageNightlyRate: nights > 0 ? roundAmount(roomCost / nights) : 0,
+            nightlyRates: nightlyRates,
+            childPricing: {
+                ...childPricing,
+                roomSupplement: roundAmount(nightlyRates.reduce((sum, night) => sum + (night.childSupplement || 0), 0)),
+                packageSupplement: packageSupplement
+            }
+        };
+
+        if (promotion) {
+            cost.promotion = {
+                promotionId: promotion._id,
+                code: promotion.code,
+                name: promotion.name
+            };
+        }
+        return cost;
+    }
+
+    /**
+     * Price a single night
+     * @param {Object} cottage - Cottage record
+     * @param {Object} packageData - Package record (may be null)
+     * @param {Date} date - The night
+     * @returns {Object} Night rate with the adjustments that produced it
+     */
+    getNightlyRate(cottage, packageData, date) {
+        const baseRate = cottage.basePricePerNight;
+        const adjustments = [];
+
+        let rate = this.applyRules(baseRate, cottage.seasonalPricing, date, 'cottage', adjustments);
+        if (packageData) {
+            rate = this.applyRules(rate, packageData.seasonalPricing, date, 'package', adjustments);
+        }
+
+        return {
+            date: date,
+            dateKey: toDateKey(date),
+            baseRate: baseRate,
+            rate: roundAmount(rate),
+            isWeekend: this.getWeekendDays(cottage, packageData).includes(date.getDay()),
+            adjustments: adjustments
+        };
+    }
+
+    /**
+     * Get the fewest nights a stay arriving on a date may book
+     * The longest of the cottage's minStay and the minStay of the season or
+     * festival (on the cottage or package) covering the arrival night.
+     * @param {Object} cottage - Cottage record
+     * @param {Object} packageData - Package record (may be null)
+     * @param {Date} date - Arrival night
+     * @returns {number} Minimum nights
+     */
+    getMinStay(cottage, packageData, date) {
+        let minStay = cottage.minStay || 1;
+
+        for (const rules of [cottage.seasonalPricing, packageData && packageData.seasonalPricing]) {
+            if (!rules) continue;
+
+            const season = (rules.seasons || []).find(rule => this.isInSeason(rule, date));
+            const festival = (rules.festivals || []).find(rule => this.isOnFestival(rule, date));
+            for (const rule of [season, festival]) {
+                if (rule && typeof rule.minStay === 'number') {
+                    minStay = Math.max(minStay, rule.minStay);
+                }
+            }
+        }
+
+        return minStay;
+    }
+
+    // ===== RULE MATCHING =====
+
+    /**
+     * Apply one seasonalPricing rule set to a night's rate
+     * @param {number} rate - Rate before these rules
+     * @param {Object} rules - seasonalPricing object
+     * @param {Date} date - The night
+     * @param {string} source - 'cottage' or 'package', recorded on each adjustment
+     * @param {Array} adjustments - Collects the adjustments applied
+     * @returns {number} Adjusted rate
+     */
+    applyRules(rate, rules, date, source, adjustments) {
+        if (!rules) return rate;
+
+        let adjusted = rate;
+
+        const season = (rules.seasons || []).find(rule => this.isInSeason(rule, date));
+        if (season) {
+            adjusted = this.applyRule(adjusted, season, { type: 'season', name: season.name, source }, adjustments);
+        }
+
+        const festival = (rules.festivals || []).find(rule => this.isOnFestival(rule, date));
+        if (festival) {
+            adjusted = this.applyRule(adjusted, festival, { type: 'festival', name: festival.name, source }, adjustments);
+        }
+
+        const weekend = rules.weekend;
+        if (weekend && (weekend.days || DEFAULT_WEEKEND_DAYS).includes(date.getDay())) {
+            adjusted = this.applyRule(adjusted, weekend, { type: 'weekend', name: weekend.name || 'Weekend', source }, adjustments);
+        }
+
+        return adjusted;
+    }
+
+    /**
+     * Apply a single rule and record the change it made
+     * @param {number} rate - Rate before the rule
+     * @param {Object} rule - Rule with rate, multiplier or surcharge
+     * @param {Object} label - Adjustment description
+     * @param {Array} adjustments - Collects the adjustment
+     * @returns {number} Adjusted rate
+     */
+    applyRule(rate, rule, label, adjustments) {
+        let adjusted = rate;
+
+        if (typeof rule.rate === 'number') {
+            adjusted = rule.rate;
+        }
+        if (typeof rule.multiplier === 'number') {
+            adjusted = adjusted * rule.multiplier;
+        }
+        if (typeof rule.surcharge === 'number') {
+            adjusted = adjusted + rule.surcharge;
+        }
+
+        adjustments.push({ ...label, amount: roundAmount(adjusted - rate) });
+        return adjusted;
+    }
+
+    /**
+     * Check whether a night falls in a recurring season (MM-DD to MM-DD, inclusive)
+     * @param {Object} season - Season rule
+     * @param {Date} date - The night
+     * @returns {boolean} Whether the season applies
+     */
+    isInSeason(season, date) {
+        if (!season.from || !season.to) return false;
+
+        const dayKey = toDateKey(date).slice(5);
+        if (season.from <= season.to) {
+            return dayKey >= season.from && dayKey <= season.to;
+        }
+        // Season wraps over New Year, e.g. 10-01 to 03-31
+        return dayKey >= season.from || dayKey <= season.to;
+    }
+
+    /**
+     * Check whether a night falls on a festival (YYYY-MM-DD to YYYY-MM-DD, inclusive)
+     * @param {Object} festival - Festival rule
+     * @param {Date} date - The night
+     * @returns {boolean} Whether the festival applies
+     */
+    isOnFestival(festival, date) {
+        if (!festival.from) return false;
+
+        const dateKey = toDateKey(date);
+        return dateKey >= festival.from && dateKey <= (festival.to || festival.from);
+    }
+
+    // ===== CHILD PRICING =====
+
+    /**
+     * Get the child age bands and rate that apply in a cottage
+     * @param {Object} cottage - Cottage record
+     * @returns {Object} { infantMaxAge, childMaxAge, childRatePercent }
+     */
+    getChildPolicy(cottage) {
+        return { ...DEFAULT_CHILD_POLICY, ...(cottage.childPolicy || {}) };
+    }
+
+    /**
+     * Put a child in an age band
+     * @param {number} age - Age in years (null when not known)
+     * @param {Object} policy - Child policy
+     * @returns {string} One of AGE_BANDS
+     */
+    getAgeBand(age, policy) {
+        if (typeof age !== 'number') return AGE_BANDS.CHILD;
+        if (age <= policy.infantMaxAge) return AGE_BANDS.INFANT;
+        if (age <= policy.childMaxAge) return AGE_BANDS.CHILD;
+        return AGE_BANDS.ADULT;
+    }
+
+    /**
+     * Work out what each child pays, as a percentage of one adult's share
+     * @param {Object} cottage - Cottage record
+     * @param {Array<number>} childAges - Age of each child
+     * @returns {Object} { policy, adultsCovered, children: [{ age, band, ratePercent }], sharePercent, rules }
+     */
+    priceChildren(cottage, childAges) {
+        const policy = this.getChildPolicy(cottage);
+        const ratePercents = {
+            [AGE_BANDS.INFANT]: 0,
+            [AGE_BANDS.CHILD]: policy.childRatePercent,
+            [AGE_BANDS.ADULT]: 100
+        };
+
+        const children = (childAges || []).map(age => {
+            const band = this.getAgeBand(age, policy);
+            return { age: typeof age === 'number' ? age : null, band: band, ratePercent: ratePercents[band] };
+        });
+
+        return {
+            policy: policy,
+            adultsCovered: cottage.maxAdults || 1,
+            children: children,
+            sharePercent: children.reduce((sum, child) => sum + child.ratePercent, 0),
+            rules: this.describeChildPolicy(policy, cottage.maxAdults || 1)
+        };
+    }
+
+    /**
+     * Add the children's share to a night's rate
+     * @param {Object} night - Night from getNightlyRate
+     * @param {Object} cottage - Cottage record
+     * @param {Object} childPricing - Result of priceChildren
+     * @returns {Object} The night, with its rate and adjustments updated
+     */
+    addChildSupplement(night, cottage, childPricing) {
+        const supplement = this.getChildSupplement(night.rate, cottage, childPricing);
+        if (supplement === 0) return night;
+
+        return {
+            ...night,
+            rate: roundAmount(night.rate + supplement),
+            childSupplement: supplement,
+            adjustments: [
+                ...night.adjustments,
+                { type: 'children', name: this.describeChildren(childPricing.children), source: 'cottage', amount: supplement }
+            ]
+        };
+    }
+
+    /**
+     * Get the children's share of a price that covers the cottage's adults
+     * @param {number} price - Room rate for a night, or the package price
+     * @param {Object} cottage - Cottage record
+     * @param {Object} childPricing - Result of priceChildren
+     * @returns {number} Amount to add
+     */
+    getChildSupplement(price, cottage, childPricing) {
+        if (!price || childPricing.sharePercent === 0) return 0;
+        return roundAmount(price / childPricing.adultsCovered * childPricing.sharePercent / 100);
+    }
+
+    /**
+     * Explain a child policy in words for quotes
+     * @param {Object} policy - Child policy
+     * @param {number} adultsCovered - Adults the room rate and package price cover
+     * @returns {Array<string>} One sentence per rule
+     */
+    describeChildPolicy(policy, adultsCovered) {
+        return [
+            `Room and package prices cover up to ${adultsCovered} adults`,
+            `Children up to ${policy.infantMaxAge} years stay free`,
+            `Children aged ${policy.infantMaxAge + 1} to ${policy.childMaxAge} pay ${policy.childRatePercent}% of one adult's share`,
+            `Children aged ${policy.childMaxAge + 1} and over pay as adults`
+        ];
+    }
+
+    /**
+     * Summarise the charged children for a night's adjustments, e.g. "Children: 1 at 50%, 1 as adult"
+     * @param {Array} children - Priced children
+     * @returns {string} Description
+     */
+    describeChildren(children) {
+        const atRate = children.filter(child => child.band === AGE_BANDS.CHILD);
+        const asAdults = children.filter(child => child.band === AGE_BANDS.ADULT);
+        const parts = [];
+        if (atRate.length > 0) parts.push(`${atRate.length} at ${atRate[0].ratePercent}%`);
+        if (asAdults.length > 0) parts.push(`${asAdults.length} as adult${asAdults.length > 1 ? 's' : ''}`);
+        return `Children: ${parts.join(', ')}`;
+    }
+
+    // ===== UTILITY FUNCTIONS =====
+
+    /**
+     * Get the charge for a package's safaris, when it sets a fee per safari
+     * @param {Object} packageData - Package record (may be null)
+     * @returns {number} Safari cost
+     */
+    getSafariCost(packageData) {
+        if (!packageData || !packageData.includesSafari || !packageData.safariFee) return 0;
+        return roundAmount((packageData.safariCount || 0) * packageData.safariFee);
+    }
+
+    /**
+     * Get the weekend days that apply to a cottage and package
+     * @param {Object} cottage - Cottage record
+     * @param {Object} packageData - Package record
+     * @returns {Array<number>} Days of the week (0 = Sunday)
+     */
+    getWeekendDays(cottage, packageData) {
+        const packageWeekend = packageData && packageData.seasonalPricing && packageData.seasonalPricing.weekend;
+        const cottageWeekend = cottage.seasonalPricing && cottage.seasonalPricing.weekend;
+        return (packageWeekend && packageWeekend.days) ||
+            (cottageWeekend && cottageWeekend.days) ||
+            DEFAULT_WEEKEND_DAYS;
+    }
+}
+
+// Export singleton instance
+export const pricingService = new PricingService();
+export default pricingService;
@@ -0,0 +1,253 @@
+// Promotion Service - Promo codes and the discounts they give
+// A promotion takes a percentage or a fixed amount off the cost of a stay.
+// It can be limited to bookings made in a window, to stays within a window,
+// to a minimum number of nights, to some cottages and packages, to a number of
+// redemptions in total and to one redemption per guest email.
+
+import { createHash } from 'crypto';
+import { COLLECTIONS, DISCOUNT_TYPES } from 'backend/collections';
+import { ReservationError } from 'backend/errors';
+import { toDateKey, getNightDates } from 'backend/dateUtils';
+import { roundAmount } from 'backend/serviceUtils';
+import { wixDataRepository } from 'backend/dataRepository';
+
+export class PromotionService {
+
+    /**
+     * @param {Object} [options] - Options
+     * @param {Object} [options.repository] - Where records are read and written (see dataRepository); wix-data by default
+     */
+    constructor({ repository = wixDataRepository } = {}) {
+        this.repository = repository;
+    }
+
+    // ===== VALIDATION =====
+
+    /**
+     * Check a promo code can be used for a stay
+     * @param {string} code - Code the guest entered
+     * @param {Object} stay - The stay being booked
+     * @param {string} stay.cottageId - Cottage ID
+     * @param {string} stay.packageId - Package ID
+     * @param {Date} stay.checkInDate - Check-in date
+     * @param {Date} stay.checkOutDate - Check-out date
+     * @param {string} [stay.guestEmail] - Guest email, for one-per-guest codes
+     * @returns {Promise<Object>} The promotion
+     */
+    async validateCode(code, stay) {
+        const promotion = await this.getPromotionByCode(code);
+        if (!promotion) {
+            throw this.invalidCode('This promo code is not valid');
+        }
+
+        const today = toDateKey(new Date());
+        if (promotion.validFrom && today < toDateKey(promotion.validFrom)) {
+            throw this.invalidCode('This promo code is not active yet');
+        }
+        if (promotion.validTo && today > toDateKey(promotion.validTo)) {
+            throw this.invalidCode('This promo code has expired');
+        }
+
+        const stayIssue = this.getStayIssue(promotion, stay);
+        if (stayIssue) {
+            throw this.invalidCode(stayIssue);
+        }
+
+        if (promotion.usageLimit && await this.countRedemptions(promotion._id) >= promotion.usageLimit) {
+            throw new ReservationError('This promo code has been fully redeemed', { status: 409, code: 'PROMO_LIMIT_REACHED' });
+        }
+        if (promotion.onePerGuest && stay.guestEmail) {
+            const previous = await this.repository.get(COLLECTIONS.PROMOTION_REDEMPTIONS, this.getGuestRedemptionId(promotion, stay.guestEmail));
+            if (previous) {
+                throw new ReservationError('You have already used this promo code', { status: 409, code: 'PROMO_ALREADY_USED' });
+            }
+        }
+
+        return promotion;
+    }
+
+    /**
+     * Find why a stay does not qualify for a promotion
+     * Covers the rules about the stay itself, not about when or by whom it is booked.
+     * @param {Object} promotion - Promotion
+     * @param {Object} stay - { cottageId, packageId, checkInDate, checkOutDate }
+     * @returns {string|null} Reason, or null when the stay qualifies
+     */
+    getStayIssue(promotion, { cottageId, packageId, checkInDate, checkOutDate }) {
+        const nights = getNightDates(checkInDate, checkOutDate);
+
+        if (promotion.minNights && nights.length < promotion.minNights) {
+            return `This promo code needs a stay of at least ${promotion.minNights} nights`;
+        }
+        if (nights.length > 0) {
+            const firstNight = toDateKey(nights[0]);
+            const lastNight = toDateKey(nights[nights.length - 1]);
+            if ((promotion.stayFrom && firstNight < toDateKey(promotion.stayFrom)) ||
+                (promotion.stayTo && lastNight > toDateKey(promotion.stayTo))) {
+                return 'This promo code is not valid for these dates';
+            }
+        }
+        if (promotion.cottageIds && promotion.cottageIds.length > 0 && !promotion.cottageIds.includes(cottageId)) {
+            return 'This promo code does not apply to this cottage';
+        }
+        if (promotion.packageIds && promotion.packageIds.length > 0 && !promotion.packageIds.includes(packageId)) {
+            return 'This promo code does not apply to this package';
+        }
+        return null;
+    }
+
+    // ===== DISCOUNTS =====
+
+    /**
+     * Work out the discount on an amount, never more than the amount itself
+     * pricingService takes it off a stay's subtotal before GST is added.
+     * @param {Object} promotion - Promotion
+     * @param {number} amount - Amount before the discount
+     * @returns {number} Discount
+     */
+    calculateDiscount(promotion, amount) {
+        let discount = 0;
+
+        if (promotion.discountType === DISCOUNT_TYPES.PERCENTAGE) {
+            discount = amount * (promotion.discountValue || 0) / 100;
+            if (promotion.maxDiscount) {
+                discount = Math.min(discount, promotion.maxDiscount);
+            }
+        } else if (promotion.discountType === DISCOUNT_TYPES.FIXED) {
+            discount = promotion.discountValue || 0;
+        }
+
+        return roundAmount(Math.min(Math.max(discount, 0), amount));
+    }
+
+    // ===== REDEMPTIONS =====
+
+    /**
+     * Record that a booking used a promotion
+     * The usage limit is checked again after the row is written, so two guests
+     * taking the last redemption at once cannot both keep it.
+     * @param {Object} promotion - Promotion
+     * @param {Object} booking - Booking the code was used on
+     * @returns {Promise<Object>} Redemption
+     */
+    async redeem(promotion, booking) {
+        const guestEmail = this.normaliseEmail(booking.customerInfo && booking.customerInfo.email);
+        if (promotion.onePerGuest && !guestEmail) {
+            throw this.invalidCode('An email address is needed to use this promo code');
+        }
+
+        const row = {
+            promotionId: promotion._id,
+            code: promotion.code,
+            bookingId: booking._id,
+            guestEmail: guestEmail,
+            discountAmount: booking.discountAmount,
+            createdDate: new Date()
+        };
+        if (promotion.onePerGuest) {
+            row._id = this.getGuestRedemptionId(promotion, guestEmail);
+        }
+
+        let redemption;
+        try {
+            redemption = await this.repository.insert(COLLECTIONS.PROMOTION_REDEMPTIONS, row);
+        } catch (_insertError) {
+            throw new ReservationError('You have already used this promo code', { status: 409, code: 'PROMO_ALREADY_USED' });
+        }
+
+        if (promotion.usageLimit && await this.countRedemptions(promotion._id) > promotion.usageLimit) {
+            await this.repository.remove(COLLECTIONS.PROMOTION_REDEMPTIONS, redemption._id);
+            throw new ReservationError('This promo code has been fully redeemed', { status: 409, code: 'PROMO_LIMIT_REACHED' });
+        }
+
+        return redemption;
+    }
+
+    /**
+     * Give back the redemptions of a booking, e.g. when it is cancelled
+     * @param {string} bookingId - Booking ID
+     * @returns {Promise<number>} Number of redemptions released
+     */
+    async releaseRedemptions(bookingId) {
+        const result = await this.repository.query(COLLECTIONS.PROMOTION_REDEMPTIONS)
+            .eq('bookingId', bookingId)
+            .find();
+
+        if (result.items.length > 0) {
+            await this.repository.bulkRemove(COLLECTIONS.PROMOTION_REDEMPTIONS, result.items.map(item => item._id));
+        }
+        return result.items.length;
+    }
+
+    // ===== UTILITY FUNCTIONS =====
+
+    /**
+     * Get an active promotion by code (case-insensitive)
+     * @param {string} code - Promo code
+     * @returns {Promise<Object|null>} Promotion
+     */
+    async getPromotionByCode(code) {
+        const normalised = String(code || '').trim().toUpperCase();
+        if (!normalised) return null;
+
+        const result = await this.repository.query(COLLECTIONS.PROMOTIONS)
+            .eq('code', normalised)
+            .eq('isActive', true)
+            .find();
+        return result.items[0] || null;
+    }
+
+    /**
+     * Get a promotion by ID
+     * @param {string} promotionId - Promotion ID
+     * @returns {Promise<Object|null>} Promotion
+     */
+    async getPromotion(promotionId) {
+        return this.repository.get(COLLECTIONS.PROMOTIONS, promotionId);
+    }
+
+    /**
+     * Count the redemptions of a promotion
+     * @param {string} promotionId - Promotion ID
+     * @returns {Promise<number>} Redemptions
+     */
+    async countRedemptions(promotionId) {
+        return this.repository.query(COLLECTIONS.PROMOTION_REDEMPTIONS)
+            .eq('promotionId', promotionId)
+            .count();
+    }
+
+    /**
+     * Build the deterministic redemption ID for a one-per-guest promotion
+     * The email is hashed so it does not appear in the ID.
+     * @param {Object} promotion - Promotion
+     * @param {string} email - Guest email
+     * @returns {string} Redemption ID
+     */
+    getGuestRedemptionId(promotion, email) {
+        const emailHash = createHash('sha256').update(this.normaliseEmail(email)).digest('hex').slice(0, 32);
+        return `${promotion._id}_${emailHash}`;
+    }
+
+    /**
+     * Normalise an email for comparison
+     * @param {string} email - Email
+     * @returns {string} Trimmed, lower-case email
+     */
+    normaliseEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    /**
+     * Build the error for a code that cannot be used
+     * @param {string} message - Reason shown to the guest
+     * @returns {ReservationError} Error
+     */
+    invalidCode(message) {
+        return new ReservationError(message, { code: 'INVALID_PROMO_CODE' });
+    }
+}
+
+// Export singleton instance
+export const promotionService = new PromotionService();
+export default promotionService;
@@ -0,0 +1,183 @@
+// Quote Service - Price-locked quotes for a stay
+// A quote is a priced stay stored with an ID and an expiry. A booking made with
+// the quote's ID is charged exactly the quoted cost at the quoted exchange rate,
+// even if rates have changed since, as long as the quote has not expired and
+// the stay booked is the one that was quoted: same cottage, package, dates,
+// children's ages, promo code and currency. Each quote can be booked once.
+
+import { COLLECTIONS } from 'backend/collections';
+import { ReservationError } from 'backend/errors';
+import { assertValidItem } from 'backend/validation';
+import { toDateKey } from 'backend/dateUtils';
+import { reservationService } from 'backend/reservationService';
+import { wixDataRepository } from 'backend/dataRepository';
+
+// How long a guest has to book at a quoted price
+export const QUOTE_VALIDITY_MINUTES = 30;
+
+export class QuoteService {
+
+    /**
+     * @param {Object} [options] - Options
+     * @param {Object} [options.repository] - Where records are read and written (see dataRepository); wix-data by default
+     * @param {Object} [options.services] - Services to call instead of the site's own, e.g. { reservationService }.
+     *   The currency service defaults to the reservation service's own.
+     */
+    constructor({ repository = wixDataRepository, services = {} } = {}) {
+        this.repository = repository;
+        this.reservationService = services.reservationService || reservationService;
+        this.currencyService = services.currencyService || this.reservationService.currencyService;
+    }
+
+    // ===== QUOTES =====
+
+    /**
+     * Price a stay and store the price as a quote
+     * @param {Object} stay - { cottageId, packageId, checkInDate, checkOutDate, children?, childAges?, promoCode?, guestEmail?, currency? }
+     * @param {Date} [now] - Time the quote is issued
+     * @returns {Promise<Object>} Cost breakdown and payment schedule in the quoted currency, with quoteId and expiresAt
+     */
+    async createQuote(stay, now = new Date()) {
+        try {
+            const { packageData, exchange, cost } = await this.reservationService.priceBooking(stay);
+
+            const inputs = this.getInputs({ ...stay, currency: exchange.currency });
+            const quote = await this.repository.insert(COLLECTIONS.QUOTES, assertValidItem(COLLECTIONS.QUOTES, {
+                ...inputs,
+                checkInDate: new Date(stay.checkInDate),
+                checkOutDate: new Date(stay.checkOutDate),
+                children: inputs.childAges.length,
+                // Children quoted without ages can only be booked with a new quote
+                childAges: inputs.childAges.includes(null) ? null : inputs.childAges,
+                guestEmail: stay.guestEmail || '',
+                exchangeRate: exchange.rate,
+                cost: cost,
+                totalCost: cost.totalCost,
+                chargedTotal: this.currencyService.convertCost(cost, exchange).totalCost,
+                expiresAt: new Date(now.getTime() + QUOTE_VALIDITY_MINUTES * 60 * 1000),
+                createdDate: now
+            }));
+
+            return {
+                ...this.reservationService.getCostView(cost, exchange, packageData, stay.checkInDate),
+                quoteId: quote._id,
+                expiresAt: quote.expiresAt
+            };
+
+        } catch (error) {
+            console.error('Error creating quote:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a stored quote
+     * @param {string} quoteId - Quote ID
+     * @returns {Promise<Object>} Quote record
+     */
+    async getQuote(quoteId) {
+        const quote = await this.repository.get(COLLECTIONS.QUOTES, quoteId);
+        if (!quote) {
+            throw new ReservationError('Quote not found. Please check the price again.', { status: 404, code: 'QUOTE_NOT_FOUND' });
+        }
+        return quote;
+    }
+
+    /**
+     * Create a booking charged at a quoted price
+     * @param {string} quoteId - Quote ID from createQuote
+     * @param {Object} bookingData - Booking information, as for reservationService.createBooking
+     * @param {Date} [now] - Time of the booking
+     * @returns {Promise<Object>} Created booking
+     */
+    async bookQuote(quoteId, bookingData, now = new Date()) {
+        try {
+            const quote = await this.getQuote(quoteId);
+            this.assertQuoteHonoured(quote, bookingData, now);
+
+            return await this.reservationService.createBooking(bookingData, { quote });
+
+        } catch (error) {
+            console.error('Error booking quote:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reject a booking its quote no longer covers
+     * @param {Object} quote - Quote record
+     * @param {Object} bookingData - Booking being made
+     * @param {Date} [now] - Time of the booking
+     */
+    assertQuoteHonoured(quote, bookingData, now = new Date()) {
+        if (quote.bookingId) {
+            throw new ReservationError('This quote has already been booked. Please check the price again.', {
+                status: 409,
+                code: 'QUOTE_USED'
+            });
+        }
+        if (new Date(quote.expiresAt) <= now) {
+            throw new ReservationError('This quote has expired. Please check the price again.', {
+                status: 409,
+                code: 'QUOTE_EXPIRED',
+                details: { expiresAt: quote.expiresAt }
+            });
+        }
+
+        const quoted = this.getInputs(quote);
+        const booked = this.getInputs(bookingData);
+        const changedFields = Object.keys(quoted)
+            .filter(field => JSON.stringify(quoted[field]) !== JSON.stringify(booked[field]));
+        if (changedFields.length > 0) {
+            throw new ReservationError(`The booking does not match its quote (${changedFields.join(', ')} changed). Please check the price again.`, {
+                status: 409,
+                code: 'QUOTE_MISMATCH',
+                details: { changedFields }
+            });
+        }
+    }
+
+    /**
+     * Remove quotes that have expired
+     * @returns {Promise<number>} Number of quotes removed
+     */
+    async removeExpiredQuotes() {
+        try {
+            const expired = await this.repository.query(COLLECTIONS.QUOTES)
+                .lt('expiresAt', new Date())
+                .limit(1000)
+                .find();
+
+            if (expired.items.length > 0) {
+                await this.repository.bulkRemove(COLLECTIONS.QUOTES, expired.items.map(item => item._id));
+            }
+            return expired.items.length;
+        } catch (error) {
+            console.error('Error removing expired quotes:', error);
+            throw error;
+        }
+    }
+
+    // ===== UTILITY FUNCTIONS =====
+
+    /**
+     * Get the inputs that set the price of a stay, in a form that can be compared
+     * @param {Object} stay - Quote, quote request or booking
+     * @returns {Object} cottageId, packageId, checkInDate and checkOutDate (YYYY-MM-DD), childAges, promoCode and currency
+     */
+    getInputs(stay) {
+        return {
+            cottageId: stay.cottageId,
+            packageId: stay.packageId,
+            checkInDate: toDateKey(stay.checkInDate),
+            checkOutDate: toDateKey(stay.checkOutDate),
+            childAges: this.reservationService.getChildAges(stay.children, stay.childAges),
+            promoCode: String(stay.promoCode || '').trim().toUpperCase(),
+            currency: this.currencyService.normaliseCode(stay.currency)
+        };
+    }
+}
+
+// Export singleton instance
+export const quoteService = new QuoteService();
+export default quoteService;
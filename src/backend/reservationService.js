@@ -1,10 +1,65 @@
 // Reservation Service - Core backend logic for the reservation system
-import wixData from 'wix-data';
-import { COLLECTIONS, BOOKING_STATUS, SAFARI_STATUS } from 'backend/collections';
+import { randomUUID, randomInt } from 'crypto';
+import { COLLECTIONS, BOOKING_STATUS, SAFARI_STATUS, NOTIFICATION_TYPES } from 'backend/collections';
+import { BookingConflictError, ReservationError, ValidationError } from 'backend/errors';
+import { startOfDay, toDateKey, getNightDates, isValidDate } from 'backend/dateUtils';
+import { pricingService, MAX_CHILD_AGE } from 'backend/pricingService';
+import { taxService } from 'backend/taxService';
+import { safariService, SafariService } from 'backend/safariService';
+import { bookingStatusMachine, safariStatusMachine, ANY_STATUS } from 'backend/statusMachine';
+import { notificationService, NotificationService } from 'backend/notificationService';
+import { promotionService, PromotionService } from 'backend/promotionService';
+import { currencyService, CurrencyService } from 'backend/currencyService';
+import { paymentScheduleService, PaymentScheduleService } from 'backend/paymentScheduleService';
+import { cancellationService, CancellationService } from 'backend/cancellationService';
+import { assertValidItem, validateList, GROUP_LINE_SCHEMA } from 'backend/validation';
+import { wixDataRepository } from 'backend/dataRepository';
+import { roundAmount } from 'backend/serviceUtils';
+
+// How long a guest can hold nights while completing the booking form
+export const HOLD_DURATION_MINUTES = 15;
+
+// Booking references are what guests quote and sign in with, e.g. VM-7K3Q9D.
+// The alphabet leaves out characters that are easily misread (0/O, 1/I/L).
+export const BOOKING_REFERENCE_PREFIX = 'VM-';
+const BOOKING_REFERENCE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const BOOKING_REFERENCE_LENGTH = 6;
+
+/**
+ * Build the services the booking flows call, reading and writing the same records
+ * On wix-data these are the site's own services.
+ * @param {Object} repository - Repository (see dataRepository)
+ * @returns {Object} promotionService, currencyService, safariService, paymentScheduleService,
+ *   cancellationService and notificationService
+ */
+function createServices(repository) {
+    if (repository === wixDataRepository) {
+        return { promotionService, currencyService, safariService, paymentScheduleService, cancellationService, notificationService };
+    }
+
+    const currency = new CurrencyService({ repository });
+    const paymentSchedule = new PaymentScheduleService({ repository, services: { currencyService: currency } });
+    const shared = { currencyService: currency, paymentScheduleService: paymentSchedule };
+    return {
+        promotionService: new PromotionService({ repository }),
+        currencyService: currency,
+        safariService: new SafariService({ repository }),
+        paymentScheduleService: paymentSchedule,
+        cancellationService: new CancellationService({ repository, services: shared }),
+        notificationService: new NotificationService({ repository, services: shared })
+    };
+}
 
 export class ReservationService {
-    constructor() {
+    /**
+     * @param {Object} [options] - Options
+     * @param {Object} [options.repository] - Where records are read and written (see dataRepository); wix-data by default.
+     *   The promotion, currency, safari, payment schedule, cancellation and notification services it calls use it too.
+     */
+    constructor({ repository = wixDataRepository } = {}) {
         this.collections = COLLECTIONS;
+        this.repository = repository;
+        Object.assign(this, createServices(repository));
     }
 
     // ===== AVAILABILITY CHECKING =====
@@ -14,9 +69,12 @@ export class ReservationService {
      * @param {string} cottageId - The cottage ID to check
      * @param {Date} checkInDate - Check-in date
      * @param {Date} checkOutDate - Check-out date
+     * @param {Object} [options] - Options
+     * @param {string} [options.excludeHoldId] - Ignore nights held by this hold (the caller's own)
+     * @param {string} [options.excludeBookingId] - Ignore nights taken by this booking (when moving it)
      * @returns {Promise<Object>} Availability status and details
      */
-    async checkAvailability(cottageId, checkInDate, checkOutDate) {
+    async checkAvailability(cottageId, checkInDate, checkOutDate, options = {}) {
         try {
             // Convert dates to start of day for accurate comparison
             const startDate = new Date(checkInDate);
@@ -26,24 +84,35 @@ export class ReservationService {
             endDate.setHours(0, 0, 0, 0);
 
             // Check if any dates in the range are already booked
-            const availabilityQuery = wixData.query(COLLECTIONS.AVAILABILITY)
+            const availabilityQuery = this.repository.query(COLLECTIONS.AVAILABILITY)
                 .eq('cottageId', cottageId)
                 .gte('date', startDate)
                 .lt('date', endDate)
                 .eq('isAvailable', false);
 
-            const conflictingBookings = await availabilityQuery.find();
+            const conflictingBookings = (await availabilityQuery.find()).items
+                .filter(item => !options.excludeBookingId || item.bookingId !== options.excludeBookingId);
 
-            if (conflictingBookings.items.length > 0) {
+            if (conflictingBookings.length > 0) {
                 return {
                     isAvailable: false,
-                    conflictingDates: conflictingBookings.items.map(item => item.date),
+                    conflictingDates: conflictingBookings.map(item => item.date),
                     message: 'Selected dates are not available for this cottage.'
                 };
             }
 
+            // Nights held by another guest who is still completing their booking
+            const heldNights = await this.getActiveHoldNights(cottageId, startDate, endDate, options.excludeHoldId);
+            if (heldNights.length > 0) {
+                return {
+                    isAvailable: false,
+                    conflictingDates: heldNights.map(item => item.date),
+                    message: 'Selected dates are on hold for another guest. Please try again shortly.'
+                };
+            }
+
             // Check if cottage exists and is active
-            const cottage = await wixData.get(COLLECTIONS.COTTAGES, cottageId);
+            const cottage = await this.repository.get(COLLECTIONS.COTTAGES, cottageId);
             if (!cottage || !cottage.isActive) {
                 return {
                     isAvailable: false,
@@ -63,6 +132,63 @@ export class ReservationService {
         }
     }
 
+    /**
+     * Get the nights every cottage has booked, blocked or held in a date range
+     * One pair of queries serves all cottages, for searches across the whole lodge.
+     * Availability rows with a booking are 'booked'; rows without one, and nights
+     * held by a guest who is still booking, are 'blocked'.
+     * @param {Date} startDate - First night (inclusive)
+     * @param {Date} endDate - Last night (exclusive)
+     * @returns {Promise<Object>} Map of cottageId to a Map of YYYY-MM-DD key to 'booked' or 'blocked'
+     */
+    async getOccupiedNights(startDate, endDate) {
+        const booked = await this.repository.query(COLLECTIONS.AVAILABILITY)
+            .gte('date', startOfDay(startDate))
+            .lt('date', startOfDay(endDate))
+            .eq('isAvailable', false)
+            .limit(1000)
+            .find();
+        const held = await this.repository.query(COLLECTIONS.BOOKING_HOLDS)
+            .gte('date', startOfDay(startDate))
+            .lt('date', startOfDay(endDate))
+            .gt('expiresAt', new Date())
+            .limit(1000)
+            .find();
+
+        const occupied = {};
+        const mark = (night, reason) => {
+            if (!occupied[night.cottageId]) {
+                occupied[night.cottageId] = new Map();
+            }
+            const dateKey = toDateKey(night.date);
+            if (occupied[night.cottageId].get(dateKey) !== 'booked') {
+                occupied[night.cottageId].set(dateKey, reason);
+            }
+        };
+        booked.items.forEach(night => mark(night, night.bookingId ? 'booked' : 'blocked'));
+        held.items.forEach(night => mark(night, 'blocked'));
+        return occupied;
+    }
+
+    // ===== COTTAGE MANAGEMENT =====
+
+    /**
+     * Get all active cottages
+     * @returns {Promise<Array>} List of active cottages
+     */
+    async getActiveCottages() {
+        try {
+            const cottages = await this.repository.query(COLLECTIONS.COTTAGES)
+                .eq('isActive', true)
+                .find();
+
+            return cottages.items;
+        } catch (error) {
+            console.error('Error fetching cottages:', error);
+            throw new Error('Failed to fetch cottages');
+        }
+    }
+
     // ===== PACKAGE MANAGEMENT =====
     
     /**
@@ -71,7 +197,7 @@ export class ReservationService {
      */
     async getAvailablePackages() {
         try {
-            const packages = await wixData.query(COLLECTIONS.PACKAGES)
+            const packages = await this.repository.query(COLLECTIONS.PACKAGES)
                 .eq('isActive', true)
                 .find();
             
@@ -89,7 +215,7 @@ export class ReservationService {
      */
     async getPackageById(packageId) {
         try {
-            const packageData = await wixData.get(COLLECTIONS.PACKAGES, packageId);
+            const packageData = await this.repository.get(COLLECTIONS.PACKAGES, packageId);
             return packageData;
         } catch (error) {
             console.error('Error fetching package:', error);
@@ -97,127 +223,1374 @@ export class ReservationService {
         }
     }
 
+    // ===== PRICING =====
+
+    /**
+     * Calculate booking cost without creating the booking
+     * @param {string} cottageId - Cottage ID
+     * @param {string} packageId - Package ID
+     * @param {Date} checkInDate - Check-in date
+     * @param {Date} checkOutDate - Check-out date
+     * @param {Object} [options] - Options
+     * @param {string} [options.promoCode] - Promo code to apply
+     * @param {string} [options.guestEmail] - Guest email, for one-per-guest codes
+     * @param {string} [options.currency] - Currency to quote in (defaults to the base currency)
+     * @param {number} [options.children] - Number of children
+     * @param {Array<number>} [options.childAges] - Age of each child (without ages, children are priced at the child rate)
+     * @returns {Promise<Object>} Cost breakdown with the rate for every night and the payment schedule
+     */
+    async calculateBookingCost(cottageId, packageId, checkInDate, checkOutDate, options = {}) {
+        const { packageData, exchange, cost } = await this.priceBooking({ ...options, cottageId, packageId, checkInDate, checkOutDate });
+        return this.getCostView(cost, exchange, packageData, checkInDate);
+    }
+
+    /**
+     * Price a stay in the base currency
+     * Cost previews, quotes and bookings are all priced here.
+     * @param {Object} stay - { cottageId, packageId, checkInDate, checkOutDate, children?, childAges?, promoCode?, guestEmail?, currency? }
+     * @returns {Promise<Object>} { cottage, packageData, exchange, promotion, cost } with cost from pricingService.priceStay
+     */
+    async priceBooking({ cottageId, packageId, checkInDate, checkOutDate, children = 0, childAges = null, promoCode = null, guestEmail = null, currency = null }) {
+        if (this.calculateNights(checkInDate, checkOutDate) < 1) {
+            throw new ReservationError('Check-out date must be after check-in date');
+        }
+        const exchange = await this.currencyService.getExchangeRate(currency);
+
+        const cottage = await this.repository.get(COLLECTIONS.COTTAGES, cottageId);
+        const packageData = await this.repository.get(COLLECTIONS.PACKAGES, packageId);
+
+        if (!cottage || !packageData) {
+            throw new ReservationError('Cottage or package not found', { status: 404, code: 'NOT_FOUND' });
+        }
+        this.assertMinStay(cottage, packageData, checkInDate, checkOutDate);
+        const ages = this.getChildAges(children, childAges);
+        this.assertGuestCount(cottage, 0, ages.length);
+
+        const promotion = promoCode
+            ? await this.promotionService.validateCode(promoCode, { cottageId, packageId, checkInDate, checkOutDate, guestEmail })
+            : null;
+        const cost = pricingService.priceStay(cottage, packageData, checkInDate, checkOutDate, { promotion, childAges: ages });
+        return { cottage, packageData, exchange, promotion, cost };
+    }
+
+    /**
+     * Show a base currency cost in the guest's currency, with its payment schedule
+     * @param {Object} cost - Breakdown from pricingService.priceStay
+     * @param {Object} exchange - { currency, rate } to show it in
+     * @param {Object} packageData - Package, which sets the payment schedule
+     * @param {Date} checkInDate - Check-in date
+     * @returns {Object} Converted breakdown with paymentSchedule
+     */
+    getCostView(cost, exchange, packageData, checkInDate) {
+        const converted = this.currencyService.convertCost(cost, exchange);
+        return {
+            ...converted,
+            paymentSchedule: this.paymentScheduleService.buildSchedule(packageData, checkInDate, converted.totalCost, converted.currency)
+        };
+    }
+
+    /**
+     * Reject stays shorter than the minimum stay for their arrival night
+     * @param {Object} cottage - Cottage record
+     * @param {Object} packageData - Package record
+     * @param {Date} checkInDate - Check-in date
+     * @param {Date} checkOutDate - Check-out date
+     */
+    assertMinStay(cottage, packageData, checkInDate, checkOutDate) {
+        const minStay = pricingService.getMinStay(cottage, packageData, startOfDay(checkInDate));
+        if (this.calculateNights(checkInDate, checkOutDate) < minStay) {
+            throw new ReservationError(
+                `${cottage.name || 'This cottage'} needs a stay of at least ${minStay} nights when arriving on ${toDateKey(checkInDate)}`,
+                { code: 'MIN_STAY', details: { minStay } }
+            );
+        }
+    }
+
+    // ===== GUESTS =====
+
+    /**
+     * Reject parties larger than a cottage takes
+     * @param {Object} cottage - Cottage record
+     * @param {number} adults - Number of adults
+     * @param {number} children - Number of children
+     */
+    assertGuestCount(cottage, adults, children) {
+        const where = cottage.name ? `in ${cottage.name}` : 'per cottage';
+        if (adults > cottage.maxAdults) {
+            throw new ReservationError(`Maximum ${cottage.maxAdults} adults allowed ${where}`, {
+                code: 'TOO_MANY_ADULTS',
+                details: { maxAdults: cottage.maxAdults }
+            });
+        }
+        if (typeof cottage.maxChildren === 'number' && children > cottage.maxChildren) {
+            throw new ReservationError(`Maximum ${cottage.maxChildren} children allowed ${where}`, {
+                code: 'TOO_MANY_CHILDREN',
+                details: { maxChildren: cottage.maxChildren }
+            });
+        }
+    }
+
+    /**
+     * Check the children's ages against the number of children
+     * @param {number} children - Number of children (must match the ages when both are given)
+     * @param {Array<number>} [childAges] - Age of each child
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.required] - Whether every child needs an age (bookings) or not (quotes)
+     * @returns {Array<number|null>} One age per child; null when not known
+     */
+    getChildAges(children, childAges, { required = false } = {}) {
+        if (childAges === undefined || childAges === null) {
+            const count = parseInt(children) || 0;
+            if (required && count > 0) {
+                throw new ReservationError('Please give the age of every child', { code: 'CHILD_AGES_REQUIRED' });
+            }
+            return new Array(count).fill(null);
+        }
+
+        if (!Array.isArray(childAges)) {
+            throw new ReservationError('childAges must be a list of ages', { code: 'INVALID_CHILD_AGES' });
+        }
+        if (children && parseInt(children) !== childAges.length) {
+            throw new ReservationError(`Expected ${parseInt(children)} child ages but got ${childAges.length}`, { code: 'INVALID_CHILD_AGES' });
+        }
+
+        return childAges.map(age => {
+            const value = Number(age);
+            if (age === '' || age === null || !Number.isInteger(value) || value < 0 || value > MAX_CHILD_AGE) {
+                throw new ReservationError(`Child ages must be whole years from 0 to ${MAX_CHILD_AGE}`, { code: 'INVALID_CHILD_AGES' });
+            }
+            return value;
+        });
+    }
+
     // ===== BOOKING MANAGEMENT =====
     
     /**
      * Create a new booking
-     * @param {Object} bookingData - Booking information
+     * The nights are held for the duration of the write so that a concurrent
+     * booking for the same cottage cannot pass its availability check.
+     * The guest is charged in bookingData.currency at today's rate, which is
+     * stored on the booking; all other amounts stay in the base currency.
+     * Given a quote (see quoteService), the stay is not priced again: the
+     * booking is charged the quoted cost at the quoted rate.
+     * @param {Object} bookingData - Booking information, optionally with a holdId from acquireHold
+     * @param {Object} [options] - Options
+     * @param {Object} [options.quote] - Quote the booking has already been checked against
      * @returns {Promise<Object>} Created booking
      */
-    async createBooking(bookingData) {
+    async createBooking(bookingData, { quote = null } = {}) {
+        const { holdId, promoCode, currency, childAges, ...details } = bookingData;
+        let hold = null;
+
         try {
+            // Only Bookings fields may be stored, and dates must be real dates
+            assertValidItem(COLLECTIONS.BOOKINGS, details, { partial: true });
+
             // Validate guest count
-            const cottage = await wixData.get(COLLECTIONS.COTTAGES, bookingData.cottageId);
-            if (bookingData.adults > cottage.maxAdults) {
-                throw new Error(`Maximum ${cottage.maxAdults} adults allowed per cottage`);
+            const cottage = await this.repository.get(COLLECTIONS.COTTAGES, details.cottageId);
+            if (!cottage) {
+                throw new ReservationError('Cottage not found', { status: 404, code: 'NOT_FOUND' });
             }
+            details.childAges = this.getChildAges(details.children, childAges, { required: true });
+            details.children = details.childAges.length;
+            this.assertGuestCount(cottage, details.adults, details.children);
+
+            // Take (or confirm) the hold before anything is written
+            hold = await this.ensureHold(holdId, details.cottageId, details.checkInDate, details.checkOutDate);
 
             // Calculate total cost
-            const packageData = await this.getPackageById(bookingData.packageId);
-            const nights = this.calculateNights(bookingData.checkInDate, bookingData.checkOutDate);
-            const roomCost = cottage.basePricePerNight * nights;
-            const packageCost = packageData.price;
-            const totalCost = roomCost + packageCost;
+            const guestEmail = details.customerInfo && details.customerInfo.email;
+            const { packageData, exchange, promotion, cost } = quote
+                ? await this.getQuotedPrice(quote, { ...details, guestEmail })
+                : await this.priceBooking({ ...details, promoCode, guestEmail, currency });
 
             // Create booking object
+            const charge = this.getChargeFields(cost, exchange);
+            const schedule = this.paymentScheduleService.buildSchedule(packageData, details.checkInDate, charge.chargedTotal, charge.currency);
             const booking = {
-                ...bookingData,
-                totalCost: totalCost,
+                ...details,
+                bookingReference: await this.generateBookingReference(),
+                ...this.getCostFields(cost),
+                ...charge,
+                ...this.paymentScheduleService.getBookingFields(schedule, 0, charge.currency),
+                quoteId: quote ? quote._id : null,
                 status: BOOKING_STATUS.PENDING,
-                paymentStatus: 'Pending',
                 createdDate: new Date(),
                 updatedDate: new Date()
             };
 
             // Insert booking
-            const createdBooking = await wixData.insert(COLLECTIONS.BOOKINGS, booking);
+            const createdBooking = await this.insertItem(COLLECTIONS.BOOKINGS, booking);
 
             // Update availability for all dates in the range
-            await this.updateAvailability(bookingData.cottageId, bookingData.checkInDate, 
-                                       bookingData.checkOutDate, createdBooking._id, false);
+            try {
+                await this.assertHoldOwned(hold.holdId, hold.nights);
+                await this.updateAvailability(details.cottageId, details.checkInDate, 
+                                           details.checkOutDate, createdBooking._id, false);
+            } catch (availabilityError) {
+                // Don't leave a booking behind that holds no nights
+                await this.repository.remove(COLLECTIONS.BOOKINGS, createdBooking._id);
+                throw availabilityError;
+            }
+
+            // The code may have run out (or been used by this guest) since it was checked
+            if (promotion) {
+                try {
+                    await this.promotionService.redeem(promotion, createdBooking);
+                } catch (redemptionError) {
+                    await this.releaseAvailability(createdBooking._id);
+                    await this.repository.remove(COLLECTIONS.BOOKINGS, createdBooking._id);
+                    throw redemptionError;
+                }
+            }
+
+            // A quote pays for one booking only
+            if (quote) {
+                await this.updateItem(COLLECTIONS.QUOTES, quote, { bookingId: createdBooking._id, usedDate: new Date() });
+            }
 
             return createdBooking;
 
         } catch (error) {
             console.error('Error creating booking:', error);
             throw error;
+        } finally {
+            // Booked nights are now blocked in Availability, so the hold is no longer needed
+            if (hold) {
+                await this.releaseHold(hold.holdId);
+            }
         }
     }
 
+    /**
+     * Get a booking by ID
+     * @param {string} bookingId - Booking ID
+     * @returns {Promise<Object>} Booking
+     */
+    async getBooking(bookingId) {
+        const booking = await this.repository.get(COLLECTIONS.BOOKINGS, bookingId);
+        if (!booking) {
+            throw new ReservationError('Booking not found', { status: 404, code: 'NOT_FOUND' });
+        }
+        return booking;
+    }
+
+    /**
+     * Get the price of a stay as it was quoted
+     * The promo code is checked again, as its usage limits apply when the booking is made.
+     * @param {Object} quote - Quote record
+     * @param {Object} stay - Stay being booked, with the guest's email as guestEmail
+     * @returns {Promise<Object>} { packageData, exchange, promotion, cost } as from priceBooking
+     */
+    async getQuotedPrice(quote, stay) {
+        const packageData = await this.getPackageById(quote.packageId);
+        const promotion = quote.promoCode
+            ? await this.promotionService.validateCode(quote.promoCode, stay)
+            : null;
+        return {
+            packageData,
+            exchange: { currency: quote.currency, rate: quote.exchangeRate },
+            promotion,
+            cost: quote.cost
+        };
+    }
+
     /**
      * Update booking status
+     * Only the moves in BOOKING_TRANSITIONS are allowed. The lines of a group
+     * booking always follow the group's status; a line cannot be moved on its own.
      * @param {string} bookingId - Booking ID
      * @param {string} status - New status
+     * @param {Object} [options] - Change details
+     * @param {string} [options.updatedBy] - Who made the change
      * @returns {Promise<Object>} Updated booking
      */
-    async updateBookingStatus(bookingId, status) {
+    async updateBookingStatus(bookingId, status, { updatedBy = 'system' } = {}) {
+        // Cancelling has to give the nights back, so it goes through the full flow
+        if (status === BOOKING_STATUS.CANCELLED) {
+            const result = await this.cancelBooking(bookingId, { cancelledBy: updatedBy });
+            return result.booking;
+        }
+
         try {
-            const updateData = {
-                status: status,
-                updatedDate: new Date()
-            };
+            const booking = await this.getBooking(bookingId);
+            if (booking.groupId) {
+                throw new ReservationError('This cottage is part of a group booking. Change the group booking instead.', { status: 409, code: 'GROUP_LINE' });
+            }
+
+            const { item: updatedBooking } = await bookingStatusMachine.transition(
+                booking,
+                status,
+                newStatus => this.saveBookingStatus(booking, { status: newStatus, updatedDate: new Date() }),
+                { updatedBy, service: this }
+            );
 
-            const updatedBooking = await wixData.update(COLLECTIONS.BOOKINGS, 
-                                                      { _id: bookingId, ...updateData });
-            
             return updatedBooking;
         } catch (error) {
             console.error('Error updating booking status:', error);
+            if (error instanceof ReservationError) throw error;
             throw new Error('Failed to update booking status');
         }
     }
 
+    /**
+     * Cancel a booking and give its nights back
+     * Once the cancellation is saved, the cancel transition hook frees the booking's
+     * Availability rows and cancels its safari bookings; this records who cancelled and why, and the refund
+     * owed under the booking's cancellation policy against the payments it is to
+     * be paid back on. A group booking is cancelled together with all of its
+     * cottage lines; a single line cannot be cancelled on its own.
+     * @param {string} bookingId - Booking ID
+     * @param {Object} [options] - Cancellation details
+     * @param {string} [options.cancelledBy] - Who is cancelling
+     * @param {string} [options.reason] - Why the booking is cancelled
+     * @returns {Promise<Object>} Cancelled booking, released dates, cancelled safaris and the refund
+     */
+    async cancelBooking(bookingId, { cancelledBy = 'system', reason = '' } = {}) {
+        try {
+            const booking = await this.getBooking(bookingId);
+            if (booking.groupId) {
+                throw new ReservationError('This cottage is part of a group booking. Cancel the group booking instead.', { status: 409, code: 'GROUP_LINE' });
+            }
+            bookingStatusMachine.assertTransition(booking.status, BOOKING_STATUS.CANCELLED);
+            const refund = await this.cancellationService.calculateRefund(booking);
+
+            const { item: cancelledBooking, effects } = await bookingStatusMachine.transition(
+                booking,
+                BOOKING_STATUS.CANCELLED,
+                newStatus => this.saveBookingStatus(booking, {
+                    status: newStatus,
+                    cancelledBy: cancelledBy,
+                    cancellationReason: reason,
+                    cancelledDate: new Date(),
+                    updatedDate: new Date()
+                }, this.cancellationService.getBookingFields(refund)),
+                { cancelledBy, reason, service: this }
+            );
+
+            const refundPayments = await this.cancellationService.allocateRefund(booking._id, refund.refundAmount, refund.currency);
+
+            return {
+                booking: cancelledBooking,
+                releasedDates: effects.releasedDates || [],
+                cancelledSafaris: effects.cancelledSafaris || [],
+                refund: { ...refund, payments: refundPayments }
+            };
+
+        } catch (error) {
+            console.error('Error cancelling booking:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Give back the nights, safaris and promo code redemptions of a booking and its group lines
+     * Runs as the hook after every move to Cancelled is saved, so a cancellation
+     * that fails to save never leaves a live booking without its nights.
+     * @param {Object} booking - Booking being cancelled
+     * @returns {Promise<Object>} Released dates and cancelled safaris
+     */
+    async releaseBookingInventory(booking) {
+        const lines = booking.isGroup ? await this.getGroupLines(booking._id) : [];
+        const releasedDates = [];
+        const cancelledSafaris = [];
+
+        for (const target of [booking, ...lines]) {
+            releasedDates.push(...await this.releaseAvailability(target._id));
+            cancelledSafaris.push(...await this.cancelSafarisForBooking(target._id));
+            await this.promotionService.releaseRedemptions(target._id);
+        }
+
+        return {
+            releasedDates: releasedDates.sort((a, b) => new Date(a) - new Date(b)),
+            cancelledSafaris: cancelledSafaris
+        };
+    }
+
+    /**
+     * Give back the nights and safaris of a booking that is already Cancelled
+     * For when freeing them failed after the cancellation was saved (RELEASE_FAILED).
+     * Safe to run again: whatever was given back already is skipped.
+     * @param {string} bookingId - Booking (or group booking) ID
+     * @returns {Promise<Object>} Released dates and cancelled safaris
+     */
+    async releaseCancelledBooking(bookingId) {
+        try {
+            const booking = await this.getBooking(bookingId);
+            if (booking.groupId) {
+                throw new ReservationError('This cottage is part of a group booking. Release the group booking instead.', { status: 409, code: 'GROUP_LINE' });
+            }
+            if (booking.status !== BOOKING_STATUS.CANCELLED) {
+                throw new ReservationError('Only a cancelled booking can have its nights released', { status: 409, code: 'NOT_CANCELLED' });
+            }
+            return await this.releaseBookingInventory(booking);
+
+        } catch (error) {
+            console.error('Error releasing cancelled booking:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a booking's new status, copying it onto the lines of a group booking
+     * @param {Object} booking - Booking as read before the change
+     * @param {Object} changes - Status and related fields to save
+     * @param {Object} [ownChanges] - Fields saved on this booking only, e.g. the refund of a group
+     * @returns {Promise<Object>} Updated booking
+     */
+    async saveBookingStatus(booking, changes, ownChanges = {}) {
+        if (booking.isGroup) {
+            const lines = await this.getGroupLines(booking._id);
+            if (lines.length > 0) {
+                await this.bulkUpdateItems(COLLECTIONS.BOOKINGS, lines, changes);
+            }
+        }
+
+        return this.updateItem(COLLECTIONS.BOOKINGS, booking, { ...changes, ...ownChanges });
+    }
+
+    // ===== DATE CHANGES =====
+
+    /**
+     * Price moving a booking to new dates, without changing anything
+     * The booking's own nights do not count as taken. The new total is also
+     * given in the booking's charged currency, at the rate it was made at.
+     * @param {string} bookingId - Booking ID
+     * @param {Date} checkInDate - New check-in date
+     * @param {Date} checkOutDate - New check-out date
+     * @returns {Promise<Object>} Availability, the new cost and schedule, and the difference from the current total
+     */
+    async quoteDateChange(bookingId, checkInDate, checkOutDate) {
+        try {
+            const booking = await this.getBooking(bookingId);
+            const { packageData, cost, promotionDropped } = await this.prepareDateChange(booking, checkInDate, checkOutDate);
+            const charge = this.getChargeFields(cost, this.currencyService.getCharge(booking));
+
+            const availability = await this.checkAvailability(booking.cottageId, checkInDate, checkOutDate, {
+                excludeBookingId: booking._id
+            });
+
+            return {
+                isAvailable: availability.isAvailable,
+                conflictingDates: availability.conflictingDates || [],
+                checkInDate: startOfDay(checkInDate),
+                checkOutDate: startOfDay(checkOutDate),
+                ...cost,
+                ...charge,
+                ...this.paymentScheduleService.reschedule(booking, packageData, checkInDate, charge.chargedTotal, charge.currency),
+                previousTotalCost: booking.totalCost,
+                priceDifference: roundAmount(cost.totalCost - booking.totalCost),
+                promotionDropped: promotionDropped
+            };
+
+        } catch (error) {
+            console.error('Error quoting date change:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move a booking to new dates in the same cottage
+     * The new nights are held (ignoring the booking's own) before the old nights
+     * are given back, and the stay is repriced. A promo code stays applied if
+     * the new stay still qualifies for it. Safaris must still fall inside the
+     * new stay; any that would not have to be removed first.
+     * @param {string} bookingId - Booking ID
+     * @param {Date} checkInDate - New check-in date
+     * @param {Date} checkOutDate - New check-out date
+     * @param {Object} [options] - Change details
+     * @param {string} [options.changedBy] - Who made the change
+     * @returns {Promise<Object>} Updated booking, previous dates and total, and the price difference
+     */
+    async changeBookingDates(bookingId, checkInDate, checkOutDate, { changedBy = 'system' } = {}) {
+        let hold = null;
+
+        try {
+            const booking = await this.getBooking(bookingId);
+            const { packageData, cost, promotionDropped } = await this.prepareDateChange(booking, checkInDate, checkOutDate);
+            const charge = this.getChargeFields(cost, this.currencyService.getCharge(booking));
+
+            const strandedSafaris = (await this.safariService.getActiveSafaris(booking._id))
+                .filter(safari => !this.safariService.isInStayWindow(safari.safariDate, safari.safariType, checkInDate, checkOutDate));
+            if (strandedSafaris.length > 0) {
+                throw new ReservationError('Some safaris fall outside the new dates. Remove them before changing dates.', {
+                    status: 409,
+                    code: 'SAFARIS_OUTSIDE_STAY',
+                    details: { safariIds: strandedSafaris.map(safari => safari._id) }
+                });
+            }
+
+            hold = await this.acquireHold(booking.cottageId, checkInDate, checkOutDate, HOLD_DURATION_MINUTES, {
+                excludeBookingId: booking._id
+            });
+
+            await this.assertHoldOwned(hold.holdId, hold.nights);
+            await this.releaseAvailability(booking._id);
+            try {
+                await this.updateAvailability(booking.cottageId, startOfDay(checkInDate), startOfDay(checkOutDate), booking._id, false);
+            } catch (availabilityError) {
+                // Put the old nights back so the booking is never left without any
+                await this.updateAvailability(booking.cottageId, booking.checkInDate, booking.checkOutDate, booking._id, false);
+                throw availabilityError;
+            }
+
+            if (promotionDropped) {
+                await this.promotionService.releaseRedemptions(booking._id);
+            }
+
+            const updatedBooking = await this.updateItem(COLLECTIONS.BOOKINGS, booking, {
+                checkInDate: startOfDay(checkInDate),
+                checkOutDate: startOfDay(checkOutDate),
+                ...this.getCostFields(cost),
+                ...charge,
+                // What was paid stays paid; the instalments are worked out again for the new total and dates
+                ...this.paymentScheduleService.reschedule(booking, packageData, checkInDate, charge.chargedTotal, charge.currency),
+                datesChangedBy: changedBy,
+                datesChangedDate: new Date(),
+                updatedDate: new Date()
+            });
+
+            return {
+                booking: updatedBooking,
+                previousCheckInDate: booking.checkInDate,
+                previousCheckOutDate: booking.checkOutDate,
+                previousTotalCost: booking.totalCost,
+                priceDifference: roundAmount(cost.totalCost - booking.totalCost),
+                promotionDropped: promotionDropped
+            };
+
+        } catch (error) {
+            console.error('Error changing booking dates:', error);
+            throw error;
+        } finally {
+            if (hold) {
+                await this.releaseHold(hold.holdId);
+            }
+        }
+    }
+
+    /**
+     * Check a booking may move to new dates and price the new stay
+     * Only single-cottage bookings that are Pending or Confirmed can move, and
+     * not into the past.
+     * @param {Object} booking - Booking
+     * @param {Date} checkInDate - New check-in date
+     * @param {Date} checkOutDate - New check-out date
+     * @returns {Promise<Object>} { cottage, packageData, cost, promotionDropped }
+     */
+    async prepareDateChange(booking, checkInDate, checkOutDate) {
+        if (booking.isGroup || booking.groupId) {
+            throw new ReservationError('The dates of a group booking can only be changed by the lodge', { status: 409, code: 'GROUP_BOOKING' });
+        }
+        if (![BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED].includes(booking.status)) {
+            throw new ReservationError(`A ${booking.status} booking cannot be changed`, { status: 409, code: 'BOOKING_NOT_CHANGEABLE' });
+        }
+        if (!isValidDate(checkInDate) || !isValidDate(checkOutDate)) {
+            throw new ReservationError('Invalid check-in or check-out date');
+        }
+        if (this.calculateNights(startOfDay(checkInDate), startOfDay(checkOutDate)) < 1) {
+            throw new ReservationError('Check-out date must be after check-in date');
+        }
+        if (startOfDay(checkInDate) < startOfDay(new Date())) {
+            throw new ReservationError('Check-in date cannot be in the past');
+        }
+
+        await this.currencyService.getBaseCurrency();
+        const cottage = await this.repository.get(COLLECTIONS.COTTAGES, booking.cottageId);
+        const packageData = await this.getPackageById(booking.packageId);
+        this.assertMinStay(cottage, packageData, checkInDate, checkOutDate);
+
+        // The booking keeps its promo code if the new stay still qualifies
+        let promotion = null;
+        let promotionDropped = false;
+        if (booking.promotionId) {
+            promotion = await this.promotionService.getPromotion(booking.promotionId);
+            const stay = { cottageId: booking.cottageId, packageId: booking.packageId, checkInDate, checkOutDate };
+            if (!promotion || this.promotionService.getStayIssue(promotion, stay)) {
+                promotion = null;
+                promotionDropped = true;
+            }
+        }
+
+        // Bookings made before child ages were recorded keep their original pricing
+        const cost = pricingService.priceStay(cottage, packageData, checkInDate, checkOutDate, {
+            promotion,
+            childAges: booking.childAges || []
+        });
+        return { cottage, packageData, cost, promotionDropped };
+    }
+
+    // ===== GROUP RESERVATIONS =====
+
+    /**
+     * Calculate the cost of a group reservation without creating it
+     * @param {Array} lines - Cottage lines ({ cottageId, packageId?, adults, children, childAges? })
+     * @param {string} packageId - Package for lines that don't choose their own
+     * @param {Date} checkInDate - Check-in date
+     * @param {Date} checkOutDate - Check-out date
+     * @param {Object} [options] - Options
+     * @param {string} [options.currency] - Currency to quote in (defaults to the base currency)
+     * @returns {Promise<Object>} Cost of each line, the combined total and the payment schedule
+     */
+    async calculateGroupBookingCost(lines, packageId, checkInDate, checkOutDate, { currency = null } = {}) {
+        this.validateGroupLines(lines);
+        const exchange = await this.currencyService.getExchangeRate(currency);
+        const pricedLines = [];
+        for (const line of lines) {
+            const linePackageId = line.packageId || packageId;
+            const cost = await this.calculateBookingCost(line.cottageId, linePackageId, checkInDate, checkOutDate, {
+                children: line.children,
+                childAges: line.childAges
+            });
+            // The group is paid as one, on the group package's schedule
+            delete cost.paymentSchedule;
+            pricedLines.push({
+                cottageId: line.cottageId,
+                packageId: linePackageId,
+                adults: line.adults,
+                children: cost.childPricing.children.length,
+                ...cost
+            });
+        }
+
+        const groupCost = this.currencyService.convertCost(this.summariseGroupCost(pricedLines), exchange);
+        const packageData = await this.getPackageById(packageId);
+        return {
+            ...groupCost,
+            paymentSchedule: this.paymentScheduleService.buildSchedule(packageData, checkInDate, groupCost.totalCost, groupCost.currency)
+        };
+    }
+
+    /**
+     * Create a group reservation: one parent booking with a booking per cottage line
+     * Every line's nights are held before anything is written, so either the
+     * whole group is booked or none of it is.
+     * @param {Object} groupData - Shared booking details plus lines
+     *   ({ cottageId, packageId?, adults, children, childAges, holdId? })
+     * @returns {Promise<Object>} Parent booking with its lines
+     */
+    async createGroupBooking(groupData) {
+        const { lines = [], promoCode, currency, ...details } = groupData;
+        const holds = [];
+        const created = { parent: null, lines: [] };
+
+        try {
+            if (promoCode) {
+                throw new ReservationError('Promo codes cannot be used on group bookings', { code: 'INVALID_PROMO_CODE' });
+            }
+            assertValidItem(COLLECTIONS.BOOKINGS, details, { partial: true });
+            this.validateGroupLines(lines);
+            const exchange = await this.currencyService.getExchangeRate(currency);
+
+            // Validate guest count on every line before holding anything
+            const cottages = {};
+            for (const line of lines) {
+                const cottage = await this.repository.get(COLLECTIONS.COTTAGES, line.cottageId);
+                if (!cottage) {
+                    throw new ReservationError('Cottage not found', { status: 404, code: 'NOT_FOUND' });
+                }
+                line.childAges = this.getChildAges(line.children, line.childAges, { required: true });
+                this.assertGuestCount(cottage, line.adults, line.childAges.length);
+                cottages[line.cottageId] = cottage;
+            }
+
+            for (const line of lines) {
+                holds.push(await this.ensureHold(line.holdId, line.cottageId, details.checkInDate, details.checkOutDate));
+            }
+
+            // Price every line
+            const pricedLines = [];
+            for (const line of lines) {
+                const packageData = await this.getPackageById(line.packageId || details.packageId);
+                this.assertMinStay(cottages[line.cottageId], packageData, details.checkInDate, details.checkOutDate);
+                const cost = pricingService.priceStay(cottages[line.cottageId], packageData,
+                                                      details.checkInDate, details.checkOutDate, { childAges: line.childAges });
+                pricedLines.push({
+                    cottageId: line.cottageId,
+                    packageId: packageData._id,
+                    adults: line.adults,
+                    children: line.childAges.length,
+                    childAges: line.childAges,
+                    ...cost
+                });
+            }
+            const groupCost = this.summariseGroupCost(pricedLines);
+            const charge = this.getChargeFields(groupCost, exchange);
+            const schedule = this.paymentScheduleService.buildSchedule(
+                await this.getPackageById(details.packageId), details.checkInDate, charge.chargedTotal, charge.currency
+            );
+
+            created.parent = await this.insertItem(COLLECTIONS.BOOKINGS, {
+                ...details,
+                bookingReference: await this.generateBookingReference(),
+                isGroup: true,
+                adults: pricedLines.reduce((sum, line) => sum + line.adults, 0),
+                children: pricedLines.reduce((sum, line) => sum + line.children, 0),
+                subtotal: groupCost.subtotal,
+                serviceCharge: groupCost.serviceCharge,
+                taxAmount: groupCost.taxAmount,
+                totalCost: groupCost.totalCost,
+                lineItems: groupCost.lineItems,
+                ...charge,
+                ...this.paymentScheduleService.getBookingFields(schedule, 0, charge.currency),
+                status: BOOKING_STATUS.PENDING,
+                createdDate: new Date(),
+                updatedDate: new Date()
+            });
+
+            for (const line of pricedLines) {
+                const lineBooking = await this.insertItem(COLLECTIONS.BOOKINGS, {
+                    groupId: created.parent._id,
+                    cottageId: line.cottageId,
+                    packageId: line.packageId,
+                    checkInDate: details.checkInDate,
+                    checkOutDate: details.checkOutDate,
+                    adults: line.adults,
+                    children: line.children,
+                    childAges: line.childAges,
+                    customerInfo: details.customerInfo,
+                    ...this.getCostFields(line),
+                    status: BOOKING_STATUS.PENDING,
+                    createdDate: new Date(),
+                    updatedDate: new Date()
+                });
+                created.lines.push(lineBooking);
+
+                const hold = holds.find(item => item.cottageId === line.cottageId);
+                await this.assertHoldOwned(hold.holdId, hold.nights);
+                await this.updateAvailability(line.cottageId, details.checkInDate,
+                                           details.checkOutDate, lineBooking._id, false);
+            }
+
+            return {
+                ...created.parent,
+                lines: created.lines
+            };
+
+        } catch (error) {
+            console.error('Error creating group booking:', error);
+            await this.rollbackGroupBooking(created);
+            throw error;
+        } finally {
+            for (const hold of holds) {
+                await this.releaseHold(hold.holdId);
+            }
+        }
+    }
+
+    /**
+     * Get the cottage line bookings of a group booking
+     * @param {string} groupId - Parent booking ID
+     * @returns {Promise<Array>} Line bookings
+     */
+    async getGroupLines(groupId) {
+        const result = await this.repository.query(COLLECTIONS.BOOKINGS)
+            .eq('groupId', groupId)
+            .limit(1000)
+            .find();
+        return result.items;
+    }
+
+    /**
+     * Check a group's lines before anything is held
+     * @param {Array} lines - Cottage lines
+     */
+    validateGroupLines(lines) {
+        if (!Array.isArray(lines) || lines.length === 0) {
+            throw new ReservationError('A group booking needs at least one cottage');
+        }
+
+        const errors = validateList(lines, GROUP_LINE_SCHEMA, 'lines');
+        if (errors.length > 0) {
+            throw new ValidationError(null, errors);
+        }
+
+        const cottageIds = lines.map(line => line.cottageId);
+        if (new Set(cottageIds).size !== cottageIds.length) {
+            throw new ReservationError('Each cottage can only appear once in a group booking');
+        }
+        if (lines.some(line => !(line.adults >= 1))) {
+            throw new ReservationError('Every cottage needs at least one adult');
+        }
+    }
+
+    /**
+     * Combine line cost breakdowns into a group total
+     * @param {Array} pricedLines - Lines with their cost breakdowns
+     * @returns {Object} Group cost
+     */
+    summariseGroupCost(pricedLines) {
+        const sum = field => roundAmount(
+            pricedLines.reduce((total, line) => total + line[field], 0)
+        );
+
+        // Each cottage's items are listed under it, with GST totalled across the group
+        const lineItems = pricedLines.flatMap(line => line.lineItems.map(item => ({ ...item, cottageId: line.cottageId })));
+
+        return {
+            lines: pricedLines,
+            roomCost: sum('roomCost'),
+            packageCost: sum('packageCost'),
+            safariCost: sum('safariCost'),
+            subtotal: sum('subtotal'),
+            serviceCharge: sum('serviceCharge'),
+            taxAmount: sum('taxAmount'),
+            totalCost: sum('totalCost'),
+            lineItems: lineItems,
+            taxes: taxService.summariseTaxes(lineItems),
+            nights: pricedLines.length > 0 ? pricedLines[0].nights : 0
+        };
+    }
+
+    /**
+     * Undo a partly created group booking
+     * @param {Object} created - Parent booking and line bookings written so far
+     */
+    async rollbackGroupBooking(created) {
+        try {
+            for (const line of created.lines) {
+                await this.releaseAvailability(line._id);
+                await this.repository.remove(COLLECTIONS.BOOKINGS, line._id);
+            }
+            if (created.parent) {
+                await this.repository.remove(COLLECTIONS.BOOKINGS, created.parent._id);
+            }
+        } catch (error) {
+            console.error('Error rolling back group booking:', error);
+        }
+    }
+
+    // ===== BOOKING HOLDS =====
+
+    /**
+     * Place a short-lived hold on a cottage's nights
+     * Each night is locked by inserting a row whose _id is derived from the cottage
+     * and date, so only one caller can hold a given night at a time. Existing
+     * bookings are re-checked once every night is locked.
+     * @param {string} cottageId - Cottage ID
+     * @param {Date} checkInDate - Check-in date
+     * @param {Date} checkOutDate - Check-out date
+     * @param {number} [durationMinutes] - How long the hold lasts
+     * @param {Object} [options] - Options
+     * @param {string} [options.excludeBookingId] - Booking whose own nights do not count as taken
+     * @returns {Promise<Object>} Hold details including holdId and expiresAt
+     */
+    async acquireHold(cottageId, checkInDate, checkOutDate, durationMinutes = HOLD_DURATION_MINUTES, options = {}) {
+        const nights = getNightDates(checkInDate, checkOutDate);
+        if (nights.length < 1) {
+            throw new ReservationError('Check-out date must be after check-in date');
+        }
+
+        const holdId = randomUUID();
+        const expiresAt = new Date(Date.now() + durationMinutes * 60 * 1000);
+        const lockedNights = [];
+
+        try {
+            for (const night of nights) {
+                await this.lockNight({
+                    holdId,
+                    cottageId,
+                    date: night,
+                    checkInDate: startOfDay(checkInDate),
+                    checkOutDate: startOfDay(checkOutDate),
+                    expiresAt
+                });
+                lockedNights.push(night);
+            }
+
+            // A concurrent caller may have cleared one of our locks as expired
+            await this.assertHoldOwned(holdId, nights.length);
+
+            const availability = await this.checkAvailability(cottageId, checkInDate, checkOutDate, {
+                excludeHoldId: holdId,
+                excludeBookingId: options.excludeBookingId
+            });
+            if (!availability.isAvailable) {
+                if (availability.conflictingDates) {
+                    throw new BookingConflictError(availability.message, availability.conflictingDates);
+                }
+                throw new ReservationError(availability.message, { status: 404, code: 'COTTAGE_UNAVAILABLE' });
+            }
+        } catch (error) {
+            await this.removeHoldNights(holdId, cottageId, lockedNights);
+            throw error;
+        }
+
+        return {
+            holdId,
+            cottageId,
+            checkInDate: startOfDay(checkInDate),
+            checkOutDate: startOfDay(checkOutDate),
+            expiresAt,
+            nights: nights.length
+        };
+    }
+
+    /**
+     * Lock a single night for a hold, taking over the lock if it has expired
+     * @param {Object} lock - Hold row fields (holdId, cottageId, date, expiresAt, ...)
+     */
+    async lockNight(lock) {
+        const row = {
+            _id: this.getHoldKey(lock.cottageId, lock.date),
+            ...lock,
+            createdDate: new Date(),
+            updatedDate: new Date()
+        };
+        // Checked up front: below, a failed insert means the night is already locked
+        assertValidItem(COLLECTIONS.BOOKING_HOLDS, row);
+
+        try {
+            await this.repository.insert(COLLECTIONS.BOOKING_HOLDS, row);
+            return;
+        } catch (_insertError) {
+            // The night is already locked - see whether that lock is still live
+        }
+
+        const existing = await this.repository.get(COLLECTIONS.BOOKING_HOLDS, row._id);
+        if (existing && new Date(existing.expiresAt) > new Date()) {
+            throw new BookingConflictError('Selected dates are on hold for another guest.', [existing.date]);
+        }
+
+        if (existing) {
+            // Only clear the expired lock that was read; another caller may have taken the night since
+            const current = await this.repository.get(COLLECTIONS.BOOKING_HOLDS, row._id);
+            if (current && current.holdId !== existing.holdId) {
+                throw new BookingConflictError('Selected dates are on hold for another guest.', [current.date]);
+            }
+            if (current) {
+                await this.repository.remove(COLLECTIONS.BOOKING_HOLDS, row._id);
+            }
+        }
+
+        try {
+            await this.repository.insert(COLLECTIONS.BOOKING_HOLDS, row);
+        } catch (_retryError) {
+            throw new BookingConflictError('Selected dates are on hold for another guest.', [lock.date]);
+        }
+    }
+
+    /**
+     * Check that every night of a hold is still locked by it
+     * Taking over an expired lock is not atomic, so this is checked again just
+     * before booked nights are written to Availability.
+     * @param {string} holdId - Hold ID
+     * @param {number} nightCount - Nights the hold should have
+     */
+    async assertHoldOwned(holdId, nightCount) {
+        const ownedNights = (await this.getHoldNights(holdId))
+            .filter(night => new Date(night.expiresAt) > new Date());
+        if (ownedNights.length !== nightCount) {
+            throw new BookingConflictError('Selected dates are on hold for another guest.');
+        }
+    }
+
+    /**
+     * Make sure the caller holds the nights for a booking
+     * Re-uses the given hold when it is still valid for these dates, otherwise
+     * clears it and tries to acquire a fresh one.
+     * @param {string} [holdId] - Hold placed earlier by the guest
+     * @param {string} cottageId - Cottage ID
+     * @param {Date} checkInDate - Check-in date
+     * @param {Date} checkOutDate - Check-out date
+     * @returns {Promise<Object>} Hold details
+     */
+    async ensureHold(holdId, cottageId, checkInDate, checkOutDate) {
+        if (holdId) {
+            const hold = await this.getHold(holdId);
+            const nights = getNightDates(checkInDate, checkOutDate).map(toDateKey);
+            const isValid = hold &&
+                hold.cottageId === cottageId &&
+                hold.expiresAt > new Date() &&
+                hold.dateKeys.length === nights.length &&
+                nights.every(key => hold.dateKeys.includes(key));
+
+            if (isValid) {
+                return hold;
+            }
+
+            await this.releaseHold(holdId);
+        }
+
+        return this.acquireHold(cottageId, checkInDate, checkOutDate);
+    }
+
+    /**
+     * Get a hold by ID
+     * @param {string} holdId - Hold ID
+     * @returns {Promise<Object|null>} Hold details, or null if it no longer exists
+     */
+    async getHold(holdId) {
+        const nights = await this.getHoldNights(holdId);
+        if (nights.length === 0) {
+            return null;
+        }
+
+        const first = nights[0];
+        return {
+            holdId,
+            cottageId: first.cottageId,
+            checkInDate: first.checkInDate,
+            checkOutDate: first.checkOutDate,
+            expiresAt: new Date(Math.min(...nights.map(night => new Date(night.expiresAt).getTime()))),
+            nights: nights.length,
+            dateKeys: nights.map(night => toDateKey(night.date))
+        };
+    }
+
+    /**
+     * Release a hold so its nights can be booked by others
+     * @param {string} holdId - Hold ID
+     * @returns {Promise<number>} Number of nights released
+     */
+    async releaseHold(holdId) {
+        try {
+            const nights = await this.getHoldNights(holdId);
+            if (nights.length > 0) {
+                await this.repository.bulkRemove(COLLECTIONS.BOOKING_HOLDS, nights.map(night => night._id));
+            }
+            return nights.length;
+        } catch (error) {
+            console.error('Error releasing hold:', error);
+            throw new Error('Failed to release hold');
+        }
+    }
+
+    /**
+     * Remove every hold that has passed its expiry time
+     * @returns {Promise<number>} Number of nights released
+     */
+    async releaseExpiredHolds() {
+        try {
+            const expired = await this.repository.query(COLLECTIONS.BOOKING_HOLDS)
+                .lt('expiresAt', new Date())
+                .limit(1000)
+                .find();
+
+            if (expired.items.length > 0) {
+                await this.repository.bulkRemove(COLLECTIONS.BOOKING_HOLDS, expired.items.map(item => item._id));
+            }
+            return expired.items.length;
+        } catch (error) {
+            console.error('Error releasing expired holds:', error);
+            throw new Error('Failed to release expired holds');
+        }
+    }
+
+    /**
+     * Get the rows for each night of a hold
+     * @param {string} holdId - Hold ID
+     * @returns {Promise<Array>} Hold rows
+     */
+    async getHoldNights(holdId) {
+        const result = await this.repository.query(COLLECTIONS.BOOKING_HOLDS)
+            .eq('holdId', holdId)
+            .limit(1000)
+            .find();
+        return result.items;
+    }
+
+    /**
+     * Get unexpired hold rows for a cottage within a date range
+     * @param {string} cottageId - Cottage ID
+     * @param {Date} startDate - First night
+     * @param {Date} endDate - Day after the last night
+     * @param {string} [excludeHoldId] - Hold to ignore
+     * @returns {Promise<Array>} Hold rows
+     */
+    async getActiveHoldNights(cottageId, startDate, endDate, excludeHoldId) {
+        const result = await this.repository.query(COLLECTIONS.BOOKING_HOLDS)
+            .eq('cottageId', cottageId)
+            .gte('date', startDate)
+            .lt('date', endDate)
+            .gt('expiresAt', new Date())
+            .find();
+        return result.items.filter(item => item.holdId !== excludeHoldId);
+    }
+
+    /**
+     * Remove the given nights of a hold, ignoring nights now owned by someone else
+     * @param {string} holdId - Hold ID
+     * @param {string} cottageId - Cottage ID
+     * @param {Array<Date>} nights - Nights to unlock
+     */
+    async removeHoldNights(holdId, cottageId, nights) {
+        for (const night of nights) {
+            const key = this.getHoldKey(cottageId, night);
+            try {
+                const existing = await this.repository.get(COLLECTIONS.BOOKING_HOLDS, key);
+                if (existing && existing.holdId === holdId) {
+                    await this.repository.remove(COLLECTIONS.BOOKING_HOLDS, key);
+                }
+            } catch (error) {
+                console.error('Error removing hold night:', error);
+            }
+        }
+    }
+
+    /**
+     * Build the deterministic row ID that locks one cottage night
+     * @param {string} cottageId - Cottage ID
+     * @param {Date} date - Night
+     * @returns {string} Hold row ID
+     */
+    getHoldKey(cottageId, date) {
+        return `${cottageId}_${toDateKey(date)}`;
+    }
+
     // ===== SAFARI BOOKING MANAGEMENT =====
     
     /**
      * Create safari bookings for a reservation
+     * Each safari must fall in an open slot with capacity left, inside the stay,
+     * and within the number of safaris the package includes. A seat is taken
+     * for each safari before it is written, so concurrent requests cannot overfill a slot.
      * @param {string} bookingId - Associated booking ID
-     * @param {Array} safariData - Array of safari booking details
+     * @param {Array} safariData - Array of safari booking details ({ date, zoneId, slot })
      * @returns {Promise<Array>} Created safari bookings
      */
     async createSafariBookings(bookingId, safariData) {
         try {
-            const safariBookings = safariData.map(safari => ({
+            const booking = await this.getBooking(bookingId);
+            if (booking.status === BOOKING_STATUS.CANCELLED) {
+                throw new ReservationError('Safaris cannot be added to a cancelled booking', { status: 409, code: 'BOOKING_CANCELLED' });
+            }
+
+            const resolvedSafaris = await this.safariService.validateSafariRequests(booking, safariData);
+            const allowance = await this.safariService.getSafariAllowance(booking);
+
+            const safariBookings = resolvedSafaris.map(safari => ({
+                _id: randomUUID(),
                 bookingId: bookingId,
-                safariDate: new Date(safari.date),
-                safariTime: safari.time,
+                zoneId: safari.zone._id,
+                safariDate: safari.date,
+                safariTime: safari.slot.startTime,
                 status: SAFARI_STATUS.PENDING,
-                safariType: safari.type || 'Standard',
+                safariType: safari.slot.type,
                 createdDate: new Date(),
                 updatedDate: new Date()
             }));
 
-            const createdSafaris = await wixData.bulkInsert(COLLECTIONS.SAFARI_BOOKINGS, safariBookings);
-            return createdSafaris;
+            try {
+                for (const [index, safari] of resolvedSafaris.entries()) {
+                    await this.takeSafariAllowance(booking._id, safariBookings[index]._id, allowance);
+                    await this.takeSafariSeat(safariBookings[index]._id, safari.zone, safari.date, safari.slot);
+                }
+                return await this.bulkInsertItems(COLLECTIONS.SAFARI_BOOKINGS, safariBookings);
+            } catch (error) {
+                const safariBookingIds = safariBookings.map(safari => safari._id);
+                await this.releaseSafariSeats(safariBookingIds);
+                await this.releaseSafariAllowances(safariBookingIds);
+                throw error;
+            }
         } catch (error) {
             console.error('Error creating safari bookings:', error);
+            if (error instanceof ReservationError) throw error;
             throw new Error('Failed to create safari bookings');
         }
     }
 
+    /**
+     * Cancel every active safari booking of a booking
+     * @param {string} bookingId - Booking ID
+     * @returns {Promise<Array>} Cancelled safari bookings
+     */
+    async cancelSafarisForBooking(bookingId) {
+        const safaris = await this.repository.query(COLLECTIONS.SAFARI_BOOKINGS)
+            .eq('bookingId', bookingId)
+            .ne('status', SAFARI_STATUS.CANCELLED)
+            .find();
+
+        safaris.items.forEach(safari => safariStatusMachine.assertTransition(safari.status, SAFARI_STATUS.CANCELLED));
+        const changes = { status: SAFARI_STATUS.CANCELLED, updatedDate: new Date() };
+        if (safaris.items.length > 0) {
+            await this.bulkUpdateItems(COLLECTIONS.SAFARI_BOOKINGS, safaris.items, changes);
+            await this.releaseSafariSeats(safaris.items.map(safari => safari._id));
+            await this.releaseSafariAllowances(safaris.items.map(safari => safari._id));
+        }
+        return safaris.items.map(safari => ({ ...safari, ...changes }));
+    }
+
+    /**
+     * Take the first free safari of a booking's allowance
+     * Allowance rows have deterministic IDs, so two requests at the same moment
+     * cannot both take the last safari a package includes.
+     * @param {string} bookingId - Booking ID
+     * @param {string} safariBookingId - Safari booking the allowance is for
+     * @param {number} allowance - Safaris the booking's package includes
+     * @returns {Promise<Object>} Allowance row
+     */
+    async takeSafariAllowance(bookingId, safariBookingId, allowance) {
+        for (let number = 1; number <= allowance; number++) {
+            const row = assertValidItem(COLLECTIONS.SAFARI_ALLOWANCES, {
+                _id: `${bookingId}_safari_${number}`,
+                bookingId: bookingId,
+                safariBookingId: safariBookingId,
+                number: number,
+                createdDate: new Date()
+            });
+            try {
+                return await this.repository.insert(COLLECTIONS.SAFARI_ALLOWANCES, row);
+            } catch (_insertError) {
+                // Taken by another safari - try the next one
+            }
+        }
+
+        throw new ReservationError(`This booking includes ${allowance} safaris and all of them are booked`, {
+            status: 409,
+            code: 'SAFARI_LIMIT'
+        });
+    }
+
+    /**
+     * Take the first free seat in a safari slot
+     * Seat rows have deterministic IDs, so only one safari can take each seat.
+     * @param {string} safariBookingId - Safari booking the seat is for
+     * @param {Object} zone - Safari zone
+     * @param {Date} date - Safari date
+     * @param {Object} slot - Zone slot ({ type, capacity })
+     * @returns {Promise<Object>} Seat row
+     */
+    async takeSafariSeat(safariBookingId, zone, date, slot) {
+        for (let seat = 1; seat <= slot.capacity; seat++) {
+            const row = assertValidItem(COLLECTIONS.SAFARI_SEATS, {
+                _id: `${zone._id}_${toDateKey(date)}_${slot.type}_${seat}`,
+                safariBookingId: safariBookingId,
+                zoneId: zone._id,
+                safariDate: startOfDay(date),
+                safariType: slot.type,
+                seat: seat,
+                createdDate: new Date()
+            });
+            try {
+                return await this.repository.insert(COLLECTIONS.SAFARI_SEATS, row);
+            } catch (_insertError) {
+                // Seat already taken - try the next one
+            }
+        }
+
+        throw new ReservationError('Some safaris could not be booked', {
+            status: 409,
+            code: 'SAFARI_UNAVAILABLE',
+            details: { safariErrors: [{ error: `${slot.type} safari on ${toDateKey(date)} in ${zone.name} is full` }] }
+        });
+    }
+
+    /**
+     * Give back the seats of safari bookings
+     * @param {Array<string>} safariBookingIds - Safari booking IDs
+     */
+    async releaseSafariSeats(safariBookingIds) {
+        if (safariBookingIds.length === 0) return;
+
+        const seats = await this.repository.query(COLLECTIONS.SAFARI_SEATS)
+            .hasSome('safariBookingId', safariBookingIds)
+            .limit(1000)
+            .find();
+        if (seats.items.length > 0) {
+            await this.repository.bulkRemove(COLLECTIONS.SAFARI_SEATS, seats.items.map(seat => seat._id));
+        }
+    }
+
+    /**
+     * Give back the allowance safaris held by safari bookings
+     * @param {Array<string>} safariBookingIds - Safari booking IDs
+     */
+    async releaseSafariAllowances(safariBookingIds) {
+        if (safariBookingIds.length === 0) return;
+
+        const rows = await this.repository.query(COLLECTIONS.SAFARI_ALLOWANCES)
+            .hasSome('safariBookingId', safariBookingIds)
+            .limit(1000)
+            .find();
+        if (rows.items.length > 0) {
+            await this.repository.bulkRemove(COLLECTIONS.SAFARI_ALLOWANCES, rows.items.map(row => row._id));
+        }
+    }
+
     /**
      * Update safari booking status
+     * Only the moves in SAFARI_TRANSITIONS are allowed.
      * @param {string} safariId - Safari booking ID
      * @param {string} status - New status
+     * @param {Object} [options] - Change details
+     * @param {string} [options.updatedBy] - Who made the change
      * @returns {Promise<Object>} Updated safari booking
      */
-    async updateSafariStatus(safariId, status) {
+    async updateSafariStatus(safariId, status, { updatedBy = 'system' } = {}) {
         try {
-            const updateData = {
-                status: status,
-                updatedDate: new Date()
-            };
+            const safari = await this.repository.get(COLLECTIONS.SAFARI_BOOKINGS, safariId);
+            if (!safari) {
+                throw new ReservationError('Safari booking not found', { status: 404, code: 'NOT_FOUND' });
+            }
+
+            const { item: updatedSafari } = await safariStatusMachine.transition(
+                safari,
+                status,
+                newStatus => this.updateItem(COLLECTIONS.SAFARI_BOOKINGS, safari, {
+                    status: newStatus,
+                    updatedDate: new Date()
+                }),
+                { updatedBy, service: this }
+            );
 
-            const updatedSafari = await wixData.update(COLLECTIONS.SAFARI_BOOKINGS, 
-                                                     { _id: safariId, ...updateData });
-            
             return updatedSafari;
         } catch (error) {
             console.error('Error updating safari status:', error);
+            if (error instanceof ReservationError) throw error;
             throw new Error('Failed to update safari status');
         }
     }
 
+    // ===== DATA ACCESS =====
+
+    /**
+     * Insert a record once it matches its collection's schema
+     * @param {string} collection - Collection name
+     * @param {Object} item - Record to insert
+     * @returns {Promise<Object>} Inserted record
+     */
+    insertItem(collection, item) {
+        return this.repository.insert(collection, assertValidItem(collection, item));
+    }
+
+    /**
+     * Write changes to a record once they match its collection's schema
+     * Only the changed fields are checked, so records stored before a rule was
+     * added (e.g. an old safariType) can still be updated.
+     * @param {string} collection - Collection name
+     * @param {Object} item - Whole record as read
+     * @param {Object} changes - Fields to write
+     * @returns {Promise<Object>} Updated record
+     */
+    updateItem(collection, item, changes) {
+        assertValidItem(collection, changes, { partial: true });
+        return this.repository.update(collection, { ...item, ...changes });
+    }
+
+    /**
+     * Insert several records once they all match their collection's schema
+     * @param {string} collection - Collection name
+     * @param {Array} items - Records to insert
+     * @returns {Promise<Object>} Bulk result
+     */
+    bulkInsertItems(collection, items) {
+        items.forEach(item => assertValidItem(collection, item));
+        return this.repository.bulkInsert(collection, items);
+    }
+
+    /**
+     * Write the same changes to several records once they match their collection's schema
+     * @param {string} collection - Collection name
+     * @param {Array} items - Whole records as read
+     * @param {Object} changes - Fields to write on each
+     * @returns {Promise<Object>} Bulk result
+     */
+    bulkUpdateItems(collection, items, changes) {
+        assertValidItem(collection, changes, { partial: true });
+        return this.repository.bulkUpdate(collection, items.map(item => ({ ...item, ...changes })));
+    }
+
     // ===== UTILITY FUNCTIONS =====
     
     /**
@@ -234,6 +1607,61 @@ export class ReservationService {
         return nights;
     }
 
+    /**
+     * Get the cost fields to store on a booking from its cost breakdown
+     * @param {Object} cost - Breakdown from pricingService.priceStay
+     * @returns {Object} Totals, line items, nightly rates and any promo code
+     */
+    getCostFields(cost) {
+        return {
+            promotionId: cost.promotion ? cost.promotion.promotionId : null,
+            promoCode: cost.promotion ? cost.promotion.code : null,
+            subtotal: cost.subtotal,
+            discountAmount: cost.discountAmount || 0,
+            serviceCharge: cost.serviceCharge,
+            taxAmount: cost.taxAmount,
+            totalCost: cost.totalCost,
+            lineItems: cost.lineItems,
+            nightlyRates: cost.nightlyRates
+        };
+    }
+
+    /**
+     * Get the charged currency fields to store on a booking
+     * @param {Object} cost - Breakdown in the base currency
+     * @param {Object} exchange - { currency, rate } the guest is charged at
+     * @returns {Object} currency, exchangeRate and chargedTotal
+     */
+    getChargeFields(cost, exchange) {
+        return {
+            currency: exchange.currency,
+            exchangeRate: exchange.rate,
+            chargedTotal: this.currencyService.convertCost(cost, exchange).totalCost
+        };
+    }
+
+    /**
+     * Generate a booking reference no other booking uses
+     * @returns {Promise<string>} Reference such as VM-7K3Q9D
+     */
+    async generateBookingReference() {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            let code = '';
+            for (let index = 0; index < BOOKING_REFERENCE_LENGTH; index++) {
+                code += BOOKING_REFERENCE_ALPHABET[randomInt(BOOKING_REFERENCE_ALPHABET.length)];
+            }
+            const reference = BOOKING_REFERENCE_PREFIX + code;
+
+            const taken = await this.repository.query(COLLECTIONS.BOOKINGS)
+                .eq('bookingReference', reference)
+                .count();
+            if (taken === 0) {
+                return reference;
+            }
+        }
+        throw new Error('Failed to generate a booking reference');
+    }
+
     /**
      * Update availability for a date range
      * @param {string} cottageId - Cottage ID
@@ -244,24 +1672,18 @@ export class ReservationService {
      */
     async updateAvailability(cottageId, startDate, endDate, bookingId, isAvailable) {
         try {
-            const start = new Date(startDate);
-            const end = new Date(endDate);
-            
-            // Create availability records for each date in the range
-            const availabilityRecords = [];
-            for (let date = new Date(start); date < end; date.setDate(date.getDate() + 1)) {
-                availabilityRecords.push({
-                    cottageId: cottageId,
-                    date: new Date(date),
-                    isAvailable: isAvailable,
-                    bookingId: isAvailable ? null : bookingId,
-                    createdDate: new Date(),
-                    updatedDate: new Date()
-                });
-            }
+            // Create availability records for each night in the range, keyed on the start of the day
+            const availabilityRecords = getNightDates(startDate, endDate).map(date => ({
+                cottageId: cottageId,
+                date: date,
+                isAvailable: isAvailable,
+                bookingId: isAvailable ? null : bookingId,
+                createdDate: new Date(),
+                updatedDate: new Date()
+            }));
 
             // Bulk insert availability records
-            await wixData.bulkInsert(COLLECTIONS.AVAILABILITY, availabilityRecords);
+            await this.bulkInsertItems(COLLECTIONS.AVAILABILITY, availabilityRecords);
 
         } catch (error) {
             console.error('Error updating availability:', error);
@@ -269,6 +1691,32 @@ export class ReservationService {
         }
     }
 
+    /**
+     * Free every night held by a booking
+     * @param {string} bookingId - Booking ID
+     * @returns {Promise<Array<Date>>} Released dates
+     */
+    async releaseAvailability(bookingId) {
+        try {
+            const booked = await this.repository.query(COLLECTIONS.AVAILABILITY)
+                .eq('bookingId', bookingId)
+                .limit(1000)
+                .find();
+
+            if (booked.items.length > 0) {
+                await this.repository.bulkRemove(COLLECTIONS.AVAILABILITY, booked.items.map(item => item._id));
+            }
+
+            return booked.items
+                .map(item => item.date)
+                .sort((a, b) => new Date(a) - new Date(b));
+
+        } catch (error) {
+            console.error('Error releasing availability:', error);
+            throw new Error('Failed to release availability');
+        }
+    }
+
     /**
      * Get booking by ID with all related data
      * @param {string} bookingId - Booking ID
@@ -276,17 +1724,35 @@ export class ReservationService {
      */
     async getBookingDetails(bookingId) {
         try {
-            const booking = await wixData.get(COLLECTIONS.BOOKINGS, bookingId);
-            
-            // Get related data
-            const cottage = await wixData.get(COLLECTIONS.COTTAGES, booking.cottageId);
-            const packageData = await wixData.get(COLLECTIONS.PACKAGES, booking.packageId);
+            const booking = await this.repository.get(COLLECTIONS.BOOKINGS, bookingId);
             
             // Get safari bookings if they exist
-            const safariBookings = await wixData.query(COLLECTIONS.SAFARI_BOOKINGS)
+            const safariBookings = await this.repository.query(COLLECTIONS.SAFARI_BOOKINGS)
                 .eq('bookingId', bookingId)
                 .find();
 
+            // A group booking has no cottage of its own - each line carries one
+            if (booking.isGroup) {
+                const lines = [];
+                for (const line of await this.getGroupLines(bookingId)) {
+                    lines.push({
+                        ...line,
+                        cottage: await this.repository.get(COLLECTIONS.COTTAGES, line.cottageId),
+                        package: await this.repository.get(COLLECTIONS.PACKAGES, line.packageId)
+                    });
+                }
+
+                return {
+                    ...booking,
+                    lines: lines,
+                    safariBookings: safariBookings.items
+                };
+            }
+
+            // Get related data
+            const cottage = await this.repository.get(COLLECTIONS.COTTAGES, booking.cottageId);
+            const packageData = await this.repository.get(COLLECTIONS.PACKAGES, booking.packageId);
+
             return {
                 ...booking,
                 cottage: cottage,
@@ -304,3 +1770,36 @@ export class ReservationService {
 // Export singleton instance
 export const reservationService = new ReservationService();
 export default reservationService;
+
+// Cancelling from any status gives the nights and safaris back once the status is saved.
+// If they cannot be given back, the caller is told (RELEASE_FAILED) and can retry with
+// releaseCancelledBooking, rather than the nights staying taken unnoticed.
+bookingStatusMachine.afterTransition(ANY_STATUS, BOOKING_STATUS.CANCELLED, async ({ item, context }) => {
+    try {
+        return await context.service.releaseBookingInventory(item);
+    } catch (error) {
+        throw new ReservationError('The booking is cancelled but its nights could not be freed. Release them again with releaseCancelledBooking.', {
+            status: 503,
+            code: 'RELEASE_FAILED',
+            details: { bookingId: item._id, cause: error.message }
+        });
+    }
+}, { critical: true });
+
+// A cancelled safari frees its seat for other guests and its place in the booking's allowance
+safariStatusMachine.afterTransition(ANY_STATUS, SAFARI_STATUS.CANCELLED, async ({ item, context }) => {
+    await context.service.releaseSafariSeats([item._id]);
+    await context.service.releaseSafariAllowances([item._id]);
+}, { critical: true });
+
+// Guest emails once a change is saved
+bookingStatusMachine.afterTransition(ANY_STATUS, BOOKING_STATUS.CONFIRMED,
+    ({ item, context }) => context.service.notificationService.queueNotification(NOTIFICATION_TYPES.BOOKING_CONFIRMATION, item));
+bookingStatusMachine.afterTransition(ANY_STATUS, BOOKING_STATUS.CANCELLED,
+    ({ item, context }) => context.service.notificationService.queueNotification(NOTIFICATION_TYPES.CANCELLATION, item));
+safariStatusMachine.afterTransition(ANY_STATUS, SAFARI_STATUS.CONFIRMED, async ({ item, context }) => {
+    const booking = await context.service.repository.get(COLLECTIONS.BOOKINGS, item.bookingId);
+    if (booking) {
+        await context.service.notificationService.queueNotification(NOTIFICATION_TYPES.SAFARI_CONFIRMATION, booking, { safari: item });
+    }
+});
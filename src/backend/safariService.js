@@ -0,0 +1,289 @@
+// Safari Service - Safari schedule, slot capacity and stay-window rules
+// Each SafariZones record lists its daily slots (Morning/Evening) with a jeep
+// capacity, plus the days the park is closed. A safari can only be booked in
+// an open slot with room left, inside the guest's stay, and within the number
+// of safaris their package includes.
+//
+// Zone closure fields:
+//     weeklyClosures: [{ day: 3, slots: ['Evening'] }]            (day 0 = Sunday; no slots = whole day)
+//     closures:       [{ from: '2026-07-01', to: '2026-09-30', reason: 'Monsoon', slots?: [...] }]
+
+import { COLLECTIONS, SAFARI_STATUS, SAFARI_SLOTS } from 'backend/collections';
+import { ReservationError } from 'backend/errors';
+import { addDays, startOfDay, toDateKey } from 'backend/dateUtils';
+import { wixDataRepository } from 'backend/dataRepository';
+
+export class SafariService {
+
+    /**
+     * @param {Object} [options] - Options
+     * @param {Object} [options.repository] - Where records are read and written (see dataRepository); wix-data by default
+     */
+    constructor({ repository = wixDataRepository } = {}) {
+        this.repository = repository;
+    }
+
+    // ===== SCHEDULE =====
+
+    /**
+     * Get the active safari zones
+     * @returns {Promise<Array>} Zones with their slots
+     */
+    async getZones() {
+        const result = await this.repository.query(COLLECTIONS.SAFARI_ZONES)
+            .eq('isActive', true)
+            .find();
+        return result.items;
+    }
+
+    /**
+     * List every safari slot a stay could use, with remaining capacity
+     * The window runs from the evening of check-in day to the morning of check-out day.
+     * @param {Object} stay - checkInDate, checkOutDate and packageId, or an existing bookingId
+     * @returns {Promise<Object>} Slots plus how many safaris the guest may still book
+     */
+    async getSlotsForStay(stay) {
+        try {
+            const booking = stay.bookingId ? await this.getBooking(stay.bookingId) : null;
+            const checkInDate = booking ? booking.checkInDate : stay.checkInDate;
+            const checkOutDate = booking ? booking.checkOutDate : stay.checkOutDate;
+
+            const allowance = booking
+                ? await this.getSafariAllowance(booking)
+                : await this.getPackageSafariCount(stay.packageId);
+            const alreadyBooked = booking ? (await this.getActiveSafaris(booking._id)).length : 0;
+
+            const zones = await this.getZones();
+            const slots = [];
+            for (let date = startOfDay(checkInDate); date <= startOfDay(checkOutDate); date = addDays(date, 1)) {
+                for (const zone of zones) {
+                    for (const slot of zone.slots || []) {
+                        if (!this.isInStayWindow(date, slot.type, checkInDate, checkOutDate)) continue;
+
+                        const closure = this.getClosure(zone, date, slot.type);
+                        const booked = closure ? 0 : await this.countBookedSeats(zone._id, date, slot.type);
+                        slots.push({
+                            date: date,
+                            dateKey: toDateKey(date),
+                            zoneId: zone._id,
+                            zoneName: zone.name,
+                            slot: slot.type,
+                            startTime: slot.startTime,
+                            capacity: slot.capacity,
+                            booked: booked,
+                            remaining: closure ? 0 : Math.max(slot.capacity - booked, 0),
+                            isAvailable: !closure && booked < slot.capacity,
+                            closedReason: closure ? closure.reason || 'Park closed' : null
+                        });
+                    }
+                }
+            }
+
+            return {
+                slots: slots,
+                safariAllowance: allowance,
+                safarisBooked: alreadyBooked,
+                safarisRemaining: Math.max(allowance - alreadyBooked, 0)
+            };
+
+        } catch (error) {
+            console.error('Error fetching safari slots:', error);
+            throw error;
+        }
+    }
+
+    // ===== VALIDATION =====
+
+    /**
+     * Check requested safaris against the schedule, the stay and the package allowance
+     * @param {Object} booking - Booking the safaris are for
+     * @param {Array} safariData - Requests ({ date, zoneId?, slot | type | time })
+     * @returns {Promise<Array>} Resolved safaris ({ date, zone, slot })
+     */
+    async validateSafariRequests(booking, safariData) {
+        const allowance = await this.getSafariAllowance(booking);
+        const alreadyBooked = (await this.getActiveSafaris(booking._id)).length;
+        if (alreadyBooked + safariData.length > allowance) {
+            throw new ReservationError(
+                `This booking includes ${allowance} safaris and ${alreadyBooked} are already booked`,
+                { status: 409, code: 'SAFARI_LIMIT' }
+            );
+        }
+
+        const zones = await this.getZones();
+        const requestedSeats = {};
+        const errors = [];
+        const resolved = [];
+
+        for (const [index, safari] of safariData.entries()) {
+            const date = startOfDay(safari.date);
+            const slotType = this.getRequestedSlot(safari);
+            const zone = safari.zoneId
+                ? zones.find(z => z._id === safari.zoneId)
+                : zones.length === 1 ? zones[0] : null;
+            const slot = zone && (zone.slots || []).find(s => s.type === slotType);
+
+            if (isNaN(date.getTime())) {
+                errors.push({ index, error: 'Invalid safari date' });
+            } else if (!zone) {
+                errors.push({ index, error: safari.zoneId ? 'Unknown safari zone' : 'Please choose a safari zone' });
+            } else if (!slot) {
+                errors.push({ index, error: `No ${slotType || 'such'} safari in ${zone.name}` });
+            } else if (!this.isInStayWindow(date, slot.type, booking.checkInDate, booking.checkOutDate)) {
+                errors.push({ index, error: `${slot.type} safari on ${toDateKey(date)} is outside your stay` });
+            } else if (this.getClosure(zone, date, slot.type)) {
+                errors.push({ index, error: `${zone.name} is closed for the ${slot.type} safari on ${toDateKey(date)}` });
+            } else {
+                const key = `${zone._id}_${toDateKey(date)}_${slot.type}`;
+                if (requestedSeats[key] === undefined) {
+                    requestedSeats[key] = await this.countBookedSeats(zone._id, date, slot.type);
+                }
+                if (requestedSeats[key] >= slot.capacity) {
+                    errors.push({ index, error: `${slot.type} safari on ${toDateKey(date)} in ${zone.name} is full` });
+                } else {
+                    requestedSeats[key] += 1;
+                    resolved.push({ date, zone, slot });
+                }
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new ReservationError('Some safaris could not be booked', {
+                status: 409,
+                code: 'SAFARI_UNAVAILABLE',
+                details: { safariErrors: errors }
+            });
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Check whether a slot on a date falls inside a stay
+     * Evening safaris run from check-in day, morning safaris until check-out day.
+     * @param {Date} date - Safari date
+     * @param {string} slotType - Morning or Evening
+     * @param {Date} checkInDate - Check-in date
+     * @param {Date} checkOutDate - Check-out date
+     * @returns {boolean} Whether the guest is staying at the lodge for that slot
+     */
+    isInStayWindow(date, slotType, checkInDate, checkOutDate) {
+        const dateKey = toDateKey(date);
+        const checkInKey = toDateKey(checkInDate);
+        const checkOutKey = toDateKey(checkOutDate);
+
+        if (dateKey < checkInKey || dateKey > checkOutKey) return false;
+        if (dateKey === checkInKey && slotType === SAFARI_SLOTS.MORNING) return false;
+        if (dateKey === checkOutKey && slotType === SAFARI_SLOTS.EVENING) return false;
+        return true;
+    }
+
+    /**
+     * Find the closure, if any, that shuts a zone's slot on a date
+     * @param {Object} zone - Safari zone
+     * @param {Date} date - Safari date
+     * @param {string} slotType - Morning or Evening
+     * @returns {Object|null} Matching closure
+     */
+    getClosure(zone, date, slotType) {
+        const coversSlot = closure => !closure.slots || closure.slots.length === 0 || closure.slots.includes(slotType);
+        const dateKey = toDateKey(date);
+
+        const weekly = (zone.weeklyClosures || [])
+            .find(closure => closure.day === date.getDay() && coversSlot(closure));
+        if (weekly) return weekly;
+
+        return (zone.closures || [])
+            .find(closure => dateKey >= closure.from && dateKey <= (closure.to || closure.from) && coversSlot(closure)) || null;
+    }
+
+    // ===== UTILITY FUNCTIONS =====
+
+    /**
+     * Count the jeeps already booked in a zone's slot
+     * @param {string} zoneId - Zone ID
+     * @param {Date} date - Safari date
+     * @param {string} slotType - Morning or Evening
+     * @returns {Promise<number>} Booked jeeps
+     */
+    async countBookedSeats(zoneId, date, slotType) {
+        return this.repository.query(COLLECTIONS.SAFARI_BOOKINGS)
+            .eq('zoneId', zoneId)
+            .eq('safariDate', startOfDay(date))
+            .eq('safariType', slotType)
+            .ne('status', SAFARI_STATUS.CANCELLED)
+            .count();
+    }
+
+    /**
+     * How many safaris a booking's package (or group's packages) include
+     * @param {Object} booking - Booking
+     * @returns {Promise<number>} Included safaris
+     */
+    async getSafariAllowance(booking) {
+        if (!booking.isGroup) {
+            return this.getPackageSafariCount(booking.packageId);
+        }
+
+        const lines = await this.repository.query(COLLECTIONS.BOOKINGS)
+            .eq('groupId', booking._id)
+            .find();
+        let allowance = 0;
+        for (const line of lines.items) {
+            allowance += await this.getPackageSafariCount(line.packageId);
+        }
+        return allowance;
+    }
+
+    /**
+     * Get the number of safaris a package includes
+     * @param {string} packageId - Package ID
+     * @returns {Promise<number>} Included safaris
+     */
+    async getPackageSafariCount(packageId) {
+        const packageData = packageId ? await this.repository.get(COLLECTIONS.PACKAGES, packageId) : null;
+        if (!packageData || !packageData.includesSafari) return 0;
+        return packageData.safariCount || 0;
+    }
+
+    /**
+     * Get a booking's safari bookings that are not cancelled
+     * @param {string} bookingId - Booking ID
+     * @returns {Promise<Array>} Safari bookings
+     */
+    async getActiveSafaris(bookingId) {
+        const result = await this.repository.query(COLLECTIONS.SAFARI_BOOKINGS)
+            .eq('bookingId', bookingId)
+            .ne('status', SAFARI_STATUS.CANCELLED)
+            .find();
+        return result.items;
+    }
+
+    /**
+     * Get a booking by ID
+     * @param {string} bookingId - Booking ID
+     * @returns {Promise<Object>} Booking
+     */
+    async getBooking(bookingId) {
+        const booking = await this.repository.get(COLLECTIONS.BOOKINGS, bookingId);
+        if (!booking) {
+            throw new ReservationError('Booking not found', { status: 404, code: 'NOT_FOUND' });
+        }
+        return booking;
+    }
+
+    /**
+     * Read the slot a request asks for
+     * Accepts `slot`, or the older `type`/`time` fields when they name a slot.
+     * @param {Object} safari - Safari request
+     * @returns {string|undefined} Slot type
+     */
+    getRequestedSlot(safari) {
+        const slotTypes = Object.values(SAFARI_SLOTS);
+        return [safari.slot, safari.type, safari.time].find(value => slotTypes.includes(value));
+    }
+}
+
+// Export singleton instance
+export const safariService = new SafariService();
+export default safariService;
@@ -0,0 +1,230 @@
+// Search Service - Find cottages for a stay across the whole lodge
+// A search takes the guest's dates and party size and reports, for every active
+// cottage, whether it is free, whether the party fits and what the stay costs.
+// When no cottage works for those dates, nearby dates of the same length are
+// suggested instead.
+
+import { COLLECTIONS } from 'backend/collections';
+import { ReservationError } from 'backend/errors';
+import { addDays, startOfDay, toDateKey, getNightDates, isValidDate } from 'backend/dateUtils';
+import { pricingService } from 'backend/pricingService';
+import { reservationService } from 'backend/reservationService';
+import { wixDataRepository } from 'backend/dataRepository';
+
+// How many days either side of the requested check-in to look for alternatives
+export const ALTERNATIVE_SEARCH_DAYS = 14;
+
+// How many alternative date ranges to suggest
+export const MAX_ALTERNATIVES = 3;
+
+export class SearchService {
+
+    /**
+     * @param {Object} [options] - Options
+     * @param {Object} [options.repository] - Where records are read and written (see dataRepository); wix-data by default
+     * @param {Object} [options.services] - Services to call instead of the site's own, e.g. { reservationService }.
+     *   The currency service defaults to the reservation service's own.
+     */
+    constructor({ repository = wixDataRepository, services = {} } = {}) {
+        this.repository = repository;
+        this.reservationService = services.reservationService || reservationService;
+        this.currencyService = services.currencyService || this.reservationService.currencyService;
+    }
+
+    // ===== SEARCH =====
+
+    /**
+     * Search every active cottage for a stay
+     * @param {Object} criteria - Search criteria
+     * @param {Date} criteria.checkInDate - Check-in date
+     * @param {Date} criteria.checkOutDate - Check-out date
+     * @param {number} criteria.adults - Number of adults
+     * @param {number} [criteria.children] - Number of children
+     * @param {Array<number>} [criteria.childAges] - Age of each child, for age-based prices
+     * @param {string} [criteria.packageId] - Package to include in the quoted price
+     * @param {string} [criteria.currency] - Currency to quote prices in (defaults to the base currency)
+     * @returns {Promise<Object>} Cottages with availability, fit and price, plus alternative dates
+     */
+    async searchCottages({ checkInDate, checkOutDate, adults, children = 0, childAges = null, packageId = null, currency = null }) {
+        try {
+            if (!isValidDate(checkInDate) || !isValidDate(checkOutDate)) {
+                throw new ReservationError('Invalid check-in or check-out date');
+            }
+            const nights = getNightDates(checkInDate, checkOutDate);
+            if (nights.length < 1) {
+                throw new ReservationError('Check-out date must be after check-in date');
+            }
+            if (!(adults >= 1)) {
+                throw new ReservationError('At least one adult is required');
+            }
+            const ages = this.reservationService.getChildAges(children, childAges);
+            children = ages.length;
+            const exchange = await this.currencyService.getExchangeRate(currency);
+
+            const packageData = packageId ? await this.repository.get(COLLECTIONS.PACKAGES, packageId) : null;
+            if (packageId && !packageData) {
+                throw new ReservationError('Package not found', { status: 404, code: 'NOT_FOUND' });
+            }
+
+            const cottages = await this.getActiveCottages();
+            const occupied = await this.reservationService.getOccupiedNights(
+                addDays(checkInDate, -ALTERNATIVE_SEARCH_DAYS),
+                addDays(checkOutDate, ALTERNATIVE_SEARCH_DAYS)
+            );
+
+            const results = cottages.map(cottage => {
+                const conflictingDates = this.getConflicts(occupied[cottage._id], nights);
+                const fitsParty = this.fitsParty(cottage, adults, children);
+                const minStay = pricingService.getMinStay(cottage, packageData, startOfDay(checkInDate));
+                const price = this.currencyService.convertCost(
+                    pricingService.priceStay(cottage, packageData, checkInDate, checkOutDate, { childAges: ages }),
+                    exchange
+                );
+
+                return {
+                    cottage: cottage,
+                    isAvailable: conflictingDates.length === 0,
+                    conflictingDates: conflictingDates,
+                    fitsParty: fitsParty,
+                    minStay: minStay,
+                    meetsMinStay: nights.length >= minStay,
+                    capacity: {
+                        maxAdults: cottage.maxAdults,
+                        maxChildren: cottage.maxChildren
+                    },
+                    totalCost: price.totalCost,
+                    averageNightlyRate: price.averageNightlyRate,
+                    nightlyRates: price.nightlyRates
+                };
+            });
+
+            // Bookable cottages first, cheapest first within each group
+            results.sort((a, b) => this.rank(a) - this.rank(b) || a.totalCost - b.totalCost);
+
+            const bookable = results.filter(result => this.rank(result) === 0);
+            const fitting = cottages.filter(cottage => this.fitsParty(cottage, adults, children));
+
+            return {
+                checkInDate: startOfDay(checkInDate),
+                checkOutDate: startOfDay(checkOutDate),
+                nights: nights.length,
+                adults: adults,
+                children: children,
+                currency: exchange.currency,
+                cottages: results,
+                availableCount: bookable.length,
+                // Nobody fits in a single cottage: book several together instead
+                needsGroupBooking: fitting.length === 0,
+                alternatives: bookable.length === 0 && fitting.length > 0
+                    ? this.findAlternativeDates(fitting, packageData, checkInDate, nights.length, occupied, exchange, ages)
+                    : []
+            };
+
+        } catch (error) {
+            console.error('Error searching cottages:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the nearest stays of the same length that a fitting cottage has free
+     * Looks outwards from the requested check-in, later dates first on a tie,
+     * and never suggests dates in the past.
+     * @param {Array} cottages - Cottages the party fits in
+     * @param {Object} packageData - Package to price with (may be null)
+     * @param {Date} checkInDate - Requested check-in date
+     * @param {number} nightCount - Length of the stay
+     * @param {Object} occupied - Map from getOccupiedNights
+     * @param {Object} exchange - { currency, rate } to quote prices in
+     * @param {Array} childAges - Children's ages to price with
+     * @returns {Array} Alternatives ({ checkInDate, checkOutDate, offsetDays, cottages })
+     */
+    findAlternativeDates(cottages, packageData, checkInDate, nightCount, occupied, exchange, childAges) {
+        const today = startOfDay(new Date());
+        const alternatives = [];
+
+        for (let offset = 1; offset <= ALTERNATIVE_SEARCH_DAYS && alternatives.length < MAX_ALTERNATIVES; offset++) {
+            for (const shift of [offset, -offset]) {
+                if (alternatives.length >= MAX_ALTERNATIVES) break;
+
+                const start = addDays(startOfDay(checkInDate), shift);
+                if (start < today) continue;
+                const end = addDays(start, nightCount);
+                const nights = getNightDates(start, end);
+
+                const freeCottages = cottages
+                    .filter(cottage => this.getConflicts(occupied[cottage._id], nights).length === 0 &&
+                        nightCount >= pricingService.getMinStay(cottage, packageData, start))
+                    .map(cottage => ({
+                        cottageId: cottage._id,
+                        name: cottage.name,
+                        totalCost: this.currencyService.convertCost(pricingService.priceStay(cottage, packageData, start, end, { childAges }), exchange).totalCost
+                    }))
+                    .sort((a, b) => a.totalCost - b.totalCost);
+
+                if (freeCottages.length > 0) {
+                    alternatives.push({
+                        checkInDate: start,
+                        checkOutDate: end,
+                        offsetDays: shift,
+                        cottages: freeCottages
+                    });
+                }
+            }
+        }
+
+        return alternatives;
+    }
+
+    // ===== UTILITY FUNCTIONS =====
+
+    /**
+     * Get every active cottage
+     * @returns {Promise<Array>} Cottages
+     */
+    async getActiveCottages() {
+        const result = await this.repository.query(COLLECTIONS.COTTAGES)
+            .eq('isActive', true)
+            .find();
+        return result.items;
+    }
+
+    /**
+     * Check whether a party fits in a cottage
+     * A cottage without maxChildren set places no limit on children.
+     * @param {Object} cottage - Cottage
+     * @param {number} adults - Number of adults
+     * @param {number} children - Number of children
+     * @returns {boolean} Whether the party fits
+     */
+    fitsParty(cottage, adults, children) {
+        const childLimit = typeof cottage.maxChildren === 'number' ? cottage.maxChildren : Infinity;
+        return adults <= cottage.maxAdults && children <= childLimit;
+    }
+
+    /**
+     * Get the nights of a stay that are already taken
+     * @param {Map} occupiedKeys - Taken YYYY-MM-DD keys for one cottage (may be undefined)
+     * @param {Array<Date>} nights - Nights of the stay
+     * @returns {Array<Date>} Taken nights
+     */
+    getConflicts(occupiedKeys, nights) {
+        if (!occupiedKeys) return [];
+        return nights.filter(night => occupiedKeys.has(toDateKey(night)));
+    }
+
+    /**
+     * Sort key putting bookable cottages first, then free but too small or too short a stay, then taken
+     * @param {Object} result - Search result for one cottage
+     * @returns {number} Rank
+     */
+    rank(result) {
+        if (result.isAvailable && result.fitsParty && result.meetsMinStay) return 0;
+        if (result.isAvailable) return 1;
+        return 2;
+    }
+}
+
+// Export singleton instance
+export const searchService = new SearchService();
+export default searchService;
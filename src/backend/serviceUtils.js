@@ -0,0 +1,28 @@
+// Service Utilities - Small helpers shared by the backend services
+
+import { getSecret } from 'wix-secrets-backend';
+
+/**
+ * Read a secret, returning a fallback when it has not been set
+ * @param {string} name - Secret name
+ * @param {string} [fallback] - Value to use when missing
+ * @returns {Promise<string|null>} Secret value
+ */
+export async function readSecret(name, fallback = null) {
+    try {
+        return await getSecret(name);
+    } catch (_error) {
+        return fallback;
+    }
+}
+
+/**
+ * Round an amount to a number of decimal places
+ * @param {number} amount - Amount to round
+ * @param {number} [decimals] - Decimal places, two unless the currency says otherwise
+ * @returns {number} Rounded amount
+ */
+export function roundAmount(amount, decimals = 2) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(amount * factor) / factor;
+}
@@ -0,0 +1,162 @@
+// Status Machine - Allowed status transitions for bookings, safari bookings and payments
+// Every status change goes through a machine: it rejects unknown statuses and
+// illegal moves, runs `before` hooks, saves, then runs `after` hooks. After
+// hooks marked critical (e.g. releasing inventory on cancel) pass their
+// failures on to the caller; the others are only logged.
+
+import { BOOKING_STATUS, SAFARI_STATUS, PAYMENT_STATUS } from 'backend/collections';
+import { InvalidTransitionError, ReservationError } from 'backend/errors';
+
+// Wildcard matching any status in hook registrations
+export const ANY_STATUS = '*';
+
+export const BOOKING_TRANSITIONS = {
+    [BOOKING_STATUS.PENDING]: [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.CANCELLED],
+    [BOOKING_STATUS.CONFIRMED]: [BOOKING_STATUS.COMPLETED, BOOKING_STATUS.CANCELLED],
+    [BOOKING_STATUS.COMPLETED]: [],
+    [BOOKING_STATUS.CANCELLED]: []
+};
+
+export const SAFARI_TRANSITIONS = {
+    [SAFARI_STATUS.PENDING]: [SAFARI_STATUS.CONFIRMED, SAFARI_STATUS.CANCELLED],
+    [SAFARI_STATUS.CONFIRMED]: [SAFARI_STATUS.CANCELLED],
+    [SAFARI_STATUS.CANCELLED]: []
+};
+
+// Payments move on provider callbacks. A failed attempt may still be paid, and a
+// refunded payment may be refunded again in part, but nothing goes back to paid.
+export const PAYMENT_TRANSITIONS = {
+    [PAYMENT_STATUS.PENDING]: [PAYMENT_STATUS.PAID, PAYMENT_STATUS.FAILED],
+    [PAYMENT_STATUS.FAILED]: [PAYMENT_STATUS.PAID],
+    [PAYMENT_STATUS.PAID]: [PAYMENT_STATUS.REFUNDED],
+    [PAYMENT_STATUS.REFUNDED]: [PAYMENT_STATUS.REFUNDED]
+};
+
+export class StatusMachine {
+    /**
+     * @param {string} entity - What the machine describes, used in error messages
+     * @param {Object} transitions - Map of status to the statuses it may move to
+     */
+    constructor(entity, transitions) {
+        this.entity = entity;
+        this.transitions = transitions;
+        this.hooks = { before: [], after: [] };
+    }
+
+    // ===== TRANSITION RULES =====
+
+    /**
+     * Get the statuses an item may move to
+     * @param {string} fromStatus - Current status
+     * @returns {Array} Allowed next statuses
+     */
+    getAllowedTransitions(fromStatus) {
+        return this.transitions[fromStatus] || [];
+    }
+
+    /**
+     * Check whether a move is allowed
+     * @param {string} fromStatus - Current status
+     * @param {string} toStatus - Requested status
+     * @returns {boolean} Whether the move is allowed
+     */
+    canTransition(fromStatus, toStatus) {
+        return this.getAllowedTransitions(fromStatus).includes(toStatus);
+    }
+
+    /**
+     * Throw unless a move is allowed
+     * @param {string} fromStatus - Current status
+     * @param {string} toStatus - Requested status
+     */
+    assertTransition(fromStatus, toStatus) {
+        if (!Object.prototype.hasOwnProperty.call(this.transitions, toStatus)) {
+            throw new ReservationError(
+                `Invalid ${this.entity} status: ${toStatus}. Expected one of: ${Object.keys(this.transitions).join(', ')}`,
+                { code: 'INVALID_STATUS' }
+            );
+        }
+        if (!this.canTransition(fromStatus, toStatus)) {
+            throw new InvalidTransitionError(this.entity, fromStatus, toStatus, this.getAllowedTransitions(fromStatus));
+        }
+    }
+
+    // ===== HOOKS =====
+
+    /**
+     * Register a side effect to run before a matching change is saved
+     * A hook may return an object; its fields are passed on to the save step.
+     * Throwing stops the change.
+     * @param {string} fromStatus - Status moved from, or ANY_STATUS
+     * @param {string} toStatus - Status moved to, or ANY_STATUS
+     * @param {Function} hook - async ({ item, fromStatus, toStatus, context }) => Object|void
+     */
+    beforeTransition(fromStatus, toStatus, hook) {
+        this.hooks.before.push({ fromStatus, toStatus, hook });
+    }
+
+    /**
+     * Register a side effect to run after a matching change is saved
+     * A hook may return an object; its fields are added to the effects of the change.
+     * Failures do not undo the change. A critical hook's failure stops the hooks
+     * after it and is thrown to the caller; other failures are only logged.
+     * @param {string} fromStatus - Status moved from, or ANY_STATUS
+     * @param {string} toStatus - Status moved to, or ANY_STATUS
+     * @param {Function} hook - async ({ item, previous, fromStatus, toStatus, context }) => Object|void
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.critical] - Pass failures on instead of logging them
+     */
+    afterTransition(fromStatus, toStatus, hook, { critical = false } = {}) {
+        this.hooks.after.push({ fromStatus, toStatus, hook, critical });
+    }
+
+    /**
+     * Get the hooks of a phase that match a move
+     * @param {string} phase - 'before' or 'after'
+     * @param {string} fromStatus - Current status
+     * @param {string} toStatus - Requested status
+     * @returns {Array} Matching registrations ({ hook, critical })
+     */
+    getHooks(phase, fromStatus, toStatus) {
+        const matches = (pattern, status) => pattern === ANY_STATUS || pattern === status;
+        return this.hooks[phase]
+            .filter(entry => matches(entry.fromStatus, fromStatus) && matches(entry.toStatus, toStatus));
+    }
+
+    // ===== TRANSITIONS =====
+
+    /**
+     * Move an item to a new status
+     * @param {Object} item - Item with a `status` field
+     * @param {string} toStatus - Requested status
+     * @param {Function} save - async (toStatus, effects) => saved item
+     * @param {Object} [context] - Extra details for the hooks (who, why, and the service making the change)
+     * @returns {Promise<Object>} Saved item and the effects returned by its hooks
+     */
+    async transition(item, toStatus, save, context = {}) {
+        const fromStatus = item.status;
+        this.assertTransition(fromStatus, toStatus);
+
+        const effects = {};
+        for (const { hook } of this.getHooks('before', fromStatus, toStatus)) {
+            Object.assign(effects, await hook({ item, fromStatus, toStatus, context }));
+        }
+
+        const saved = await save(toStatus, effects);
+
+        for (const { hook, critical } of this.getHooks('after', fromStatus, toStatus)) {
+            try {
+                Object.assign(effects, await hook({ item: saved, previous: item, fromStatus, toStatus, context }));
+            } catch (error) {
+                console.error(`Error in ${this.entity} ${fromStatus} -> ${toStatus} hook:`, error);
+                if (critical) throw error;
+            }
+        }
+
+        return { item: saved, effects };
+    }
+}
+
+export const bookingStatusMachine = new StatusMachine('booking', BOOKING_TRANSITIONS);
+export const safariStatusMachine = new StatusMachine('safari booking', SAFARI_TRANSITIONS);
+export const paymentStatusMachine = new StatusMachine('payment', PAYMENT_TRANSITIONS);
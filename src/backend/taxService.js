@@ -0,0 +1,210 @@
+// Tax Service - GST and fees on a stay
+// Turns a night-by-night price into itemised lines: room nights, the package,
+// the package's safaris and the service charge, each with the GST charged on it.
+// Room nights are taxed by the slab their tariff falls in, the other lines at a
+// flat rate. A promo discount is shared across the lines before tax, so GST is
+// charged on what the guest actually pays.
+
+import { roundAmount } from 'backend/serviceUtils';
+
+// GST on room nights by tariff per night: up to ₹1,000 is exempt,
+// ₹1,001 to ₹7,500 is 5% and anything above is 18%
+export const ROOM_GST_SLABS = [
+    { upTo: 1000, rate: 0 },
+    { upTo: 7500, rate: 5 },
+    { upTo: null, rate: 18 }
+];
+
+export const PACKAGE_GST_RATE = 18;
+export const SAFARI_GST_RATE = 18;
+
+// Service charge as a percent of the stay after any discount (0 leaves the line out)
+export const SERVICE_CHARGE_PERCENT = 0;
+export const SERVICE_CHARGE_GST_RATE = 18;
+
+export const LINE_TYPES = {
+    ROOM: 'room',
+    PACKAGE: 'package',
+    SAFARI: 'safari',
+    SERVICE_CHARGE: 'serviceCharge'
+};
+
+export class TaxService {
+
+    // ===== LINE ITEMS =====
+
+    /**
+     * Itemise a stay and add GST to every line
+     * @param {Array} nightlyRates - Nights from pricingService.getNightlyRate
+     * @param {Object} packageData - Package record (may be null)
+     * @param {number} [discountAmount] - Promo discount to share across the stay's lines
+     * @param {number} [packageCost] - Package charge when it differs from its price (e.g. with children)
+     * @returns {Object} { lineItems, taxes, serviceCharge, taxAmount, totalCost }
+     */
+    itemiseStay(nightlyRates, packageData, discountAmount = 0, packageCost = packageData ? packageData.price : 0) {
+        const lineItems = this.buildCharges(nightlyRates, packageData, packageCost);
+        this.shareDiscount(lineItems, discountAmount);
+
+        const discountedStay = this.sum(lineItems, 'taxableAmount');
+        const serviceCharge = roundAmount(discountedStay * SERVICE_CHARGE_PERCENT / 100);
+        if (serviceCharge > 0) {
+            lineItems.push(this.createLine(LINE_TYPES.SERVICE_CHARGE, `Service charge (${SERVICE_CHARGE_PERCENT}%)`, 1, serviceCharge));
+        }
+
+        for (const line of lineItems) {
+            line.taxRate = this.getTaxRate(line);
+            line.taxAmount = roundAmount(line.taxableAmount * line.taxRate / 100);
+            line.total = roundAmount(line.taxableAmount + line.taxAmount);
+        }
+
+        return {
+            lineItems: lineItems,
+            taxes: this.summariseTaxes(lineItems),
+            serviceCharge: serviceCharge,
+            taxAmount: this.sum(lineItems, 'taxAmount'),
+            totalCost: this.sum(lineItems, 'total')
+        };
+    }
+
+    /**
+     * Build the untaxed lines of a stay
+     * Nights at the same rate share a line, so a stay with a weekend surcharge
+     * shows one line for weekday nights and one for weekend nights.
+     * @param {Array} nightlyRates - Nights from pricingService.getNightlyRate
+     * @param {Object} packageData - Package record (may be null)
+     * @param {number} [packageCost] - Package charge (defaults to its price)
+     * @returns {Array} Line items
+     */
+    buildCharges(nightlyRates, packageData, packageCost = packageData ? packageData.price : 0) {
+        const lineItems = [];
+
+        for (const night of nightlyRates) {
+            const line = lineItems.find(item => item.type === LINE_TYPES.ROOM && item.unitPrice === night.rate);
+            if (line) {
+                line.quantity += 1;
+                line.amount = roundAmount(line.amount + night.rate);
+                line.taxableAmount = line.amount;
+            } else {
+                lineItems.push(this.createLine(LINE_TYPES.ROOM, 'Room night', 1, night.rate));
+            }
+        }
+
+        if (packageData) {
+            if (packageCost) {
+                lineItems.push(this.createLine(LINE_TYPES.PACKAGE, packageData.name || 'Package', 1, packageCost));
+            }
+            if (packageData.includesSafari && packageData.safariCount && packageData.safariFee) {
+                lineItems.push(this.createLine(LINE_TYPES.SAFARI, 'Safari', packageData.safariCount, packageData.safariFee));
+            }
+        }
+
+        return lineItems;
+    }
+
+    /**
+     * Share a discount across lines in proportion to their amounts
+     * The last line takes any rounding difference.
+     * @param {Array} lineItems - Lines to discount (changed in place)
+     * @param {number} discountAmount - Discount to share
+     */
+    shareDiscount(lineItems, discountAmount) {
+        const total = this.sum(lineItems, 'amount');
+        if (!(discountAmount > 0) || total <= 0) return;
+
+        let remaining = roundAmount(Math.min(discountAmount, total));
+        lineItems.forEach((line, index) => {
+            const share = index === lineItems.length - 1
+                ? remaining
+                : Math.min(roundAmount(discountAmount * line.amount / total), remaining);
+
+            line.discountAmount = share;
+            line.taxableAmount = roundAmount(line.amount - share);
+            remaining = roundAmount(remaining - share);
+        });
+    }
+
+    // ===== RATES =====
+
+    /**
+     * Get the GST rate for a line
+     * Room nights use the slab of the tariff per night after the discount.
+     * @param {Object} line - Line item
+     * @returns {number} Rate in percent
+     */
+    getTaxRate(line) {
+        switch (line.type) {
+            case LINE_TYPES.ROOM:
+                return this.getRoomTaxRate(line.taxableAmount / line.quantity);
+            case LINE_TYPES.PACKAGE:
+                return PACKAGE_GST_RATE;
+            case LINE_TYPES.SAFARI:
+                return SAFARI_GST_RATE;
+            case LINE_TYPES.SERVICE_CHARGE:
+                return SERVICE_CHARGE_GST_RATE;
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Get the GST slab rate for a room tariff
+     * @param {number} tariff - Charge for one night
+     * @returns {number} Rate in percent
+     */
+    getRoomTaxRate(tariff) {
+        const slab = ROOM_GST_SLABS.find(item => item.upTo === null || tariff <= item.upTo);
+        return slab.rate;
+    }
+
+    /**
+     * Total the taxable amount and GST at each rate
+     * @param {Array} lineItems - Taxed lines
+     * @returns {Array} [{ rate, taxableAmount, taxAmount }] in rate order
+     */
+    summariseTaxes(lineItems) {
+        const byRate = {};
+        for (const line of lineItems) {
+            const entry = byRate[line.taxRate] || (byRate[line.taxRate] = { rate: line.taxRate, taxableAmount: 0, taxAmount: 0 });
+            entry.taxableAmount = roundAmount(entry.taxableAmount + line.taxableAmount);
+            entry.taxAmount = roundAmount(entry.taxAmount + line.taxAmount);
+        }
+        return Object.values(byRate).sort((a, b) => a.rate - b.rate);
+    }
+
+    // ===== UTILITY FUNCTIONS =====
+
+    /**
+     * Create an untaxed line item
+     * @param {string} type - One of LINE_TYPES
+     * @param {string} description - Text shown to the guest
+     * @param {number} quantity - Number of units
+     * @param {number} unitPrice - Price of one unit
+     * @returns {Object} Line item
+     */
+    createLine(type, description, quantity, unitPrice) {
+        const amount = roundAmount(quantity * unitPrice);
+        return {
+            type: type,
+            description: description,
+            quantity: quantity,
+            unitPrice: unitPrice,
+            amount: amount,
+            discountAmount: 0,
+            taxableAmount: amount
+        };
+    }
+
+    /**
+     * Add up one field of a list of lines
+     * @param {Array} lineItems - Lines
+     * @param {string} field - Field to add up
+     * @returns {number} Rounded total
+     */
+    sum(lineItems, field) {
+        return roundAmount(lineItems.reduce((total, line) => total + (line[field] || 0), 0));
+    }
+}
+
+// Export singleton instance
+export const taxService = new TaxService();
+export default taxService;
@@ -0,0 +1,433 @@
+// Validation - Schema checks for stored records and API request payloads
+// Records are checked against the field types in COLLECTION_SCHEMAS and the
+// required fields and allowed values in COLLECTION_RULES before they are
+// written. Request payloads are checked against REQUEST_SCHEMAS, whose field
+// types are taken from the same collection schemas where the field is stored.
+// A field that is not in the schema is rejected rather than stored, and every
+// problem is listed with the field it belongs to (see ValidationError).
+//
+// Field types: string, number, boolean, date, array, object. Empty values
+// (undefined or null) are only rejected when the field is required. Payloads
+// arrive as JSON, so in a payload a date may be any string that parses to a
+// date and a number may be a numeric string. A list of records (`items`) has
+// each entry checked against its own spec, with errors named like
+// `lines[0].adults`.
+
+import { COLLECTIONS, COLLECTION_SCHEMAS, COLLECTION_RULES, BOOKING_STATUS, SAFARI_STATUS, INQUIRY_STATUS, INQUIRY_SOURCES } from 'backend/collections';
+import { ValidationError } from 'backend/errors';
+import { isValidDate } from 'backend/dateUtils';
+
+// Fields wix-data adds to every stored record
+export const SYSTEM_FIELDS = {
+    _id: 'string',
+    _owner: 'string',
+    _createdDate: 'date',
+    _updatedDate: 'date'
+};
+
+// Machine-readable reasons a field failed
+export const VALIDATION_CODES = {
+    REQUIRED: 'REQUIRED',
+    INVALID_TYPE: 'INVALID_TYPE',
+    INVALID_VALUE: 'INVALID_VALUE',
+    UNKNOWN_FIELD: 'UNKNOWN_FIELD'
+};
+
+const TYPE_NAMES = {
+    string: 'text',
+    number: 'a number',
+    boolean: 'true or false',
+    date: 'a valid date',
+    array: 'a list',
+    object: 'an object'
+};
+
+// ===== REQUEST SCHEMAS =====
+
+/**
+ * Take the types of some fields from a collection schema
+ * @param {string} collection - Collection name
+ * @param {Array} fieldNames - Fields to take
+ * @returns {Object} Field name to type
+ */
+function fieldsOf(collection, fieldNames) {
+    const schema = COLLECTION_SCHEMAS[collection];
+    const fields = {};
+    for (const name of fieldNames) {
+        fields[name] = schema[name];
+    }
+    return fields;
+}
+
+const STAY_FIELDS = fieldsOf(COLLECTIONS.BOOKINGS, ['cottageId', 'packageId', 'checkInDate', 'checkOutDate']);
+const PARTY_FIELDS = fieldsOf(COLLECTIONS.BOOKINGS, ['adults', 'children', 'childAges']);
+const BOOKING_ID = { bookingId: 'string' };
+const GUEST_CREDENTIALS = { token: 'string', reference: 'string', email: 'string' };
+const DOCUMENT_FORMATS = ['pdf', 'html'];
+
+// One cottage of a group booking
+export const GROUP_LINE_SCHEMA = {
+    fields: { ...fieldsOf(COLLECTIONS.BOOKINGS, ['cottageId', 'packageId']), ...PARTY_FIELDS, holdId: 'string' },
+    required: ['cottageId', 'adults']
+};
+
+// Accepted fields of each web method and HTTP function that takes a payload
+export const REQUEST_SCHEMAS = {
+    checkCottageAvailability: {
+        fields: fieldsOf(COLLECTIONS.BOOKINGS, ['cottageId', 'checkInDate', 'checkOutDate']),
+        required: ['cottageId', 'checkInDate', 'checkOutDate']
+    },
+    searchCottages: {
+        fields: { ...fieldsOf(COLLECTIONS.BOOKINGS, ['checkInDate', 'checkOutDate', 'packageId', 'currency']), ...PARTY_FIELDS },
+        required: ['checkInDate', 'checkOutDate', 'adults']
+    },
+    getAvailabilityCalendar: {
+        fields: { month: 'string', months: 'number', cottageId: 'string', packageId: 'string' },
+        required: ['month']
+    },
+    getPackageById: {
+        fields: { packageId: 'string' },
+        required: ['packageId']
+    },
+    placeBookingHold: {
+        fields: fieldsOf(COLLECTIONS.BOOKINGS, ['cottageId', 'checkInDate', 'checkOutDate']),
+        required: ['cottageId', 'checkInDate', 'checkOutDate']
+    },
+    releaseBookingHold: {
+        fields: fieldsOf(COLLECTIONS.BOOKING_HOLDS, ['holdId']),
+        required: ['holdId']
+    },
+    calculateBookingCost: {
+        fields: {
+            ...STAY_FIELDS,
+            ...fieldsOf(COLLECTIONS.BOOKINGS, ['children', 'childAges', 'promoCode', 'currency']),
+            guestEmail: 'string',
+            saveQuote: 'boolean'
+        },
+        required: ['cottageId', 'packageId', 'checkInDate', 'checkOutDate']
+    },
+    createBooking: {
+        fields: {
+            ...STAY_FIELDS,
+            ...PARTY_FIELDS,
+            ...fieldsOf(COLLECTIONS.BOOKINGS, ['customerInfo', 'specialRequests', 'promoCode', 'currency', 'quoteId']),
+            holdId: 'string'
+        },
+        required: ['cottageId', 'packageId', 'checkInDate', 'checkOutDate', 'adults', 'customerInfo']
+    },
+    calculateGroupBookingCost: {
+        fields: { ...fieldsOf(COLLECTIONS.BOOKINGS, ['packageId', 'checkInDate', 'checkOutDate', 'currency']), lines: 'array' },
+        required: ['packageId', 'checkInDate', 'checkOutDate', 'lines'],
+        items: { lines: GROUP_LINE_SCHEMA }
+    },
+    createGroupBooking: {
+        fields: {
+            ...fieldsOf(COLLECTIONS.BOOKINGS, ['packageId', 'checkInDate', 'checkOutDate', 'customerInfo', 'specialRequests', 'currency']),
+            lines: 'array'
+        },
+        required: ['packageId', 'checkInDate', 'checkOutDate', 'lines', 'customerInfo'],
+        items: { lines: GROUP_LINE_SCHEMA }
+    },
+    getBookingDetails: {
+        fields: BOOKING_ID,
+        required: ['bookingId']
+    },
+    updateBookingStatus: {
+        fields: { ...BOOKING_ID, status: 'string' },
+        required: ['bookingId', 'status'],
+        enums: { status: Object.values(BOOKING_STATUS) }
+    },
+    previewCancellation: {
+        fields: BOOKING_ID,
+        required: ['bookingId']
+    },
+    cancelBooking: {
+        fields: { ...BOOKING_ID, reason: 'string' },
+        required: ['bookingId']
+    },
+    releaseCancelledBooking: {
+        fields: BOOKING_ID,
+        required: ['bookingId']
+    },
+    createCottageBlock: {
+        fields: fieldsOf(COLLECTIONS.COTTAGE_BLOCKS, ['cottageId', 'startDate', 'endDate', 'name', 'reason']),
+        required: ['cottageId', 'startDate', 'endDate', 'name', 'reason']
+    },
+    listCottageBlocks: {
+        fields: { ...fieldsOf(COLLECTIONS.COTTAGE_BLOCKS, ['cottageId', 'source']), fromDate: 'date', toDate: 'date' }
+    },
+    removeCottageBlock: {
+        fields: { blockId: 'string' },
+        required: ['blockId']
+    },
+    importCottageCalendar: {
+        fields: { ...fieldsOf(COLLECTIONS.COTTAGE_BLOCKS, ['cottageId', 'source']), icsText: 'string', fileUrl: 'string' },
+        required: ['cottageId', 'source']
+    },
+    guestSignIn: {
+        fields: { reference: 'string', email: 'string' },
+        required: ['reference', 'email']
+    },
+    getGuestBooking: {
+        fields: GUEST_CREDENTIALS
+    },
+    quoteGuestDateChange: {
+        fields: { ...GUEST_CREDENTIALS, ...fieldsOf(COLLECTIONS.BOOKINGS, ['checkInDate', 'checkOutDate']) },
+        required: ['checkInDate', 'checkOutDate']
+    },
+    changeGuestBookingDates: {
+        fields: { ...GUEST_CREDENTIALS, ...fieldsOf(COLLECTIONS.BOOKINGS, ['checkInDate', 'checkOutDate']) },
+        required: ['checkInDate', 'checkOutDate']
+    },
+    addGuestSafaris: {
+        fields: { ...GUEST_CREDENTIALS, safaris: 'array' },
+        required: ['safaris']
+    },
+    removeGuestSafari: {
+        fields: { ...GUEST_CREDENTIALS, safariId: 'string' },
+        required: ['safariId']
+    },
+    previewGuestCancellation: {
+        fields: GUEST_CREDENTIALS
+    },
+    requestGuestCancellation: {
+        fields: { ...GUEST_CREDENTIALS, reason: 'string' }
+    },
+    getGuestInvoiceDownload: {
+        fields: { ...GUEST_CREDENTIALS, invoiceId: 'string', format: 'string' },
+        required: ['invoiceId'],
+        enums: { format: DOCUMENT_FORMATS }
+    },
+    createPaymentOrder: {
+        fields: { ...GUEST_CREDENTIALS, ...BOOKING_ID, payInFull: 'boolean' },
+        required: ['bookingId']
+    },
+    getPaymentLedger: {
+        fields: BOOKING_ID,
+        required: ['bookingId']
+    },
+    simulatePayment: {
+        fields: { ...fieldsOf(COLLECTIONS.PAYMENTS, ['orderId']), type: 'string' },
+        required: ['orderId']
+    },
+    issueInvoice: {
+        fields: BOOKING_ID,
+        required: ['bookingId']
+    },
+    issueCreditNote: {
+        fields: { ...BOOKING_ID, amount: 'number', reason: 'string' },
+        required: ['bookingId', 'amount']
+    },
+    listInvoices: {
+        fields: BOOKING_ID,
+        required: ['bookingId']
+    },
+    getInvoiceDownload: {
+        fields: { invoiceId: 'string', format: 'string' },
+        required: ['invoiceId'],
+        enums: { format: DOCUMENT_FORMATS }
+    },
+    setExchangeRate: {
+        fields: fieldsOf(COLLECTIONS.EXCHANGE_RATES, ['currency', 'rate', 'isActive']),
+        required: ['currency', 'rate']
+    },
+    getSafariSlots: {
+        fields: { ...GUEST_CREDENTIALS, ...BOOKING_ID, ...fieldsOf(COLLECTIONS.BOOKINGS, ['checkInDate', 'checkOutDate', 'packageId']) }
+    },
+    createSafariBookings: {
+        fields: { ...GUEST_CREDENTIALS, ...BOOKING_ID, safariData: 'array' },
+        required: ['bookingId', 'safariData']
+    },
+    updateSafariStatus: {
+        fields: { safariId: 'string', status: 'string' },
+        required: ['safariId', 'status'],
+        enums: { status: Object.values(SAFARI_STATUS) }
+    },
+    createSafariInquiry: {
+        fields: fieldsOf(COLLECTIONS.SAFARI_INQUIRIES, [
+            'customerName', 'customerEmail', 'customerPhone', 'preferredDate', 'preferredTime',
+            'numAdults', 'numChildren', 'notes', 'source'
+        ]),
+        required: ['customerName', 'customerEmail'],
+        enums: { source: Object.values(INQUIRY_SOURCES) }
+    },
+    listSafariInquiries: {
+        fields: { ...fieldsOf(COLLECTIONS.SAFARI_INQUIRIES, ['status', 'source']), fromDate: 'date', toDate: 'date', dateField: 'string', limit: 'number' },
+        enums: {
+            status: Object.values(INQUIRY_STATUS),
+            source: Object.values(INQUIRY_SOURCES),
+            dateField: ['createdDate', 'preferredDate']
+        }
+    },
+    updateSafariInquiryStatus: {
+        fields: { inquiryId: 'string', status: 'string', note: 'string' },
+        required: ['inquiryId', 'status'],
+        enums: { status: Object.values(INQUIRY_STATUS) }
+    },
+    convertSafariInquiry: {
+        fields: { inquiryId: 'string', ...STAY_FIELDS },
+        required: ['inquiryId', 'cottageId', 'packageId', 'checkInDate', 'checkOutDate']
+    }
+};
+
+// ===== VALIDATION =====
+
+/**
+ * Check values against a set of field rules
+ * @param {Object} values - Values to check
+ * @param {Object} spec - { fields: { name: type }, required: [names], enums: { name: [values] },
+ *   items: { name: spec of each entry of a list } }
+ * @param {Object} [options] - How to check
+ * @param {boolean} [options.partial] - Skip the required check, e.g. for a draft
+ * @param {boolean} [options.fromJson] - Accept date strings and numeric strings, as JSON payloads carry them
+ * @returns {Array} Errors ({ field, code, message }), empty when the values are valid
+ */
+export function validateFields(values, spec, { partial = false, fromJson = false } = {}) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        return [{ field: null, code: VALIDATION_CODES.INVALID_TYPE, message: 'Expected an object' }];
+    }
+
+    const errors = [];
+    const enums = spec.enums || {};
+    const items = spec.items || {};
+
+    if (!partial) {
+        for (const field of spec.required || []) {
+            if (isEmpty(values[field])) {
+                errors.push({ field, code: VALIDATION_CODES.REQUIRED, message: `${field} is required` });
+            }
+        }
+    }
+
+    for (const [field, value] of Object.entries(values)) {
+        const type = spec.fields[field];
+        if (!type) {
+            errors.push({ field, code: VALIDATION_CODES.UNKNOWN_FIELD, message: `${field} is not an accepted field` });
+            continue;
+        }
+        if (value === undefined || value === null) continue;
+
+        if (!matchesType(value, type, fromJson)) {
+            errors.push({ field, code: VALIDATION_CODES.INVALID_TYPE, message: `${field} must be ${TYPE_NAMES[type] || type}` });
+        } else if (enums[field] && value !== '' && !enums[field].includes(value)) {
+            errors.push({ field, code: VALIDATION_CODES.INVALID_VALUE, message: `${field} must be one of: ${enums[field].join(', ')}` });
+        } else if (items[field]) {
+            errors.push(...validateList(value, items[field], field, { partial, fromJson }));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Check each entry of a list against a set of field rules
+ * @param {Array} list - Entries to check
+ * @param {Object} spec - Rules for each entry (see validateFields)
+ * @param {string} field - Name of the list, used to name each error's field
+ * @param {Object} [options] - See validateFields
+ * @returns {Array} Errors, with fields like `lines[0].adults`
+ */
+export function validateList(list, spec, field, options = {}) {
+    return list.flatMap((entry, index) => validateFields(entry, spec, options).map(error => {
+        const name = error.field ? `${field}[${index}].${error.field}` : `${field}[${index}]`;
+        return { ...error, field: name, message: error.field ? error.message.replace(error.field, name) : `${name} must be an object` };
+    }));
+}
+
+/**
+ * Check a record against its collection's schema and rules
+ * @param {string} collection - Collection name
+ * @param {Object} item - Record to check
+ * @param {Object} [options] - See validateFields
+ * @returns {Array} Errors, empty when the record is valid
+ */
+export function validateItem(collection, item, options = {}) {
+    return validateFields(item, getCollectionSpec(collection), options);
+}
+
+/**
+ * Throw unless a record matches its collection's schema and rules
+ * @param {string} collection - Collection name
+ * @param {Object} item - Record to check
+ * @param {Object} [options] - See validateFields
+ * @returns {Object} The record, for chaining into a write
+ */
+export function assertValidItem(collection, item, options = {}) {
+    const errors = validateItem(collection, item, options);
+    if (errors.length > 0) {
+        throw new ValidationError(`Invalid ${collection} record: ${errors.map(error => error.message).join('; ')}`, errors);
+    }
+    return item;
+}
+
+/**
+ * Throw unless a request payload matches the schema of its endpoint
+ * @param {Object} payload - Request payload
+ * @param {Object} spec - Entry of REQUEST_SCHEMAS
+ * @returns {Object} The payload
+ */
+export function assertValidRequest(payload, spec) {
+    const errors = validateFields(payload, spec, { fromJson: true });
+    if (errors.length > 0) {
+        throw new ValidationError(null, errors);
+    }
+    return payload;
+}
+
+// ===== UTILITY FUNCTIONS =====
+
+/**
+ * Get the field rules of a collection
+ * @param {string} collection - Collection name
+ * @returns {Object} { fields, required, enums }
+ */
+export function getCollectionSpec(collection) {
+    const schema = COLLECTION_SCHEMAS[collection];
+    if (!schema) {
+        throw new Error(`No schema for collection: ${collection}`);
+    }
+
+    const rules = COLLECTION_RULES[collection] || {};
+    return {
+        fields: { ...SYSTEM_FIELDS, ...schema },
+        required: rules.required || [],
+        enums: rules.enums || {}
+    };
+}
+
+/**
+ * Check a value is of a field type
+ * @param {*} value - Value (not empty)
+ * @param {string} type - Field type
+ * @param {boolean} fromJson - Accept date strings and numeric strings
+ * @returns {boolean} Whether it matches
+ */
+function matchesType(value, type, fromJson) {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string';
+        case 'number':
+            if (typeof value === 'number') return Number.isFinite(value);
+            return fromJson && typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'date':
+            if (value instanceof Date) return !isNaN(value.getTime());
+            return fromJson && typeof value === 'string' && isValidDate(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+        default:
+            return true;
+    }
+}
+
+/**
+ * Whether a required field has no value
+ * @param {*} value - Value
+ * @returns {boolean} Whether it is empty
+ */
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
@@ -1,9 +1,24 @@
 // Web Methods - API endpoints for the reservation system
 // These functions can be called from the frontend using wixFetch
+// Staff-only methods check the caller's site role through backend/auth
 
 import { reservationService } from 'backend/reservationService';
-import { COLLECTIONS } from 'backend/collections';
-import wixData from 'wix-data';
+import { paymentService } from 'backend/paymentService';
+import { inquiryService } from 'backend/inquiryService';
+import { safariService } from 'backend/safariService';
+import { searchService } from 'backend/searchService';
+import { calendarService } from 'backend/calendarService';
+import { blockService } from 'backend/blockService';
+import { icalService } from 'backend/icalService';
+import { guestBookingService } from 'backend/guestBookingService';
+import { invoiceService } from 'backend/invoiceService';
+import { currencyService } from 'backend/currencyService';
+import { paymentScheduleService } from 'backend/paymentScheduleService';
+import { cancellationService } from 'backend/cancellationService';
+import { quoteService } from 'backend/quoteService';
+import { toErrorBody } from 'backend/errors';
+import { assertValidRequest, REQUEST_SCHEMAS } from 'backend/validation';
+import { ROLES, requireWebMethodRole, getWebMethodCaller } from 'backend/auth';
 
 // ===== AVAILABILITY ENDPOINTS =====
 
@@ -14,11 +29,9 @@ import wixData from 'wix-data';
  */
 export async function checkCottageAvailability(request) {
     try {
+        assertValidRequest(request, REQUEST_SCHEMAS.checkCottageAvailability);
+
         const { cottageId, checkInDate, checkOutDate } = request;
-        
-        if (!cottageId || !checkInDate || !checkOutDate) {
-            throw new Error('Missing required parameters: cottageId, checkInDate, checkOutDate');
-        }
 
         const availability = await reservationService.checkAvailability(
             cottageId, 
@@ -40,6 +53,67 @@ export async function checkCottageAvailability(request) {
     }
 }
 
+/**
+ * Search every cottage for a stay and party size
+ * @param {Object} request - Request object containing checkInDate, checkOutDate, adults, children and optionally childAges, packageId and currency
+ * @returns {Promise<Object>} Cottages with availability, fit and price, plus alternative dates
+ */
+export async function searchCottages(request) {
+    try {
+        assertValidRequest(request, REQUEST_SCHEMAS.searchCottages);
+
+        const { checkInDate, checkOutDate, adults, children, childAges, packageId, currency } = request;
+
+        const results = await searchService.searchCottages({
+            checkInDate: new Date(checkInDate),
+            checkOutDate: new Date(checkOutDate),
+            adults: parseInt(adults),
+            children: parseInt(children) || 0,
+            childAges: childAges,
+            packageId: packageId || null,
+            currency: currency || null
+        });
+
+        return {
+            success: true,
+            data: results
+        };
+
+    } catch (error) {
+        console.error('Error in searchCottages:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Get every night's status and price for date pickers
+ * @param {Object} request - Request object containing month (YYYY-MM) and optionally months, cottageId, packageId
+ * @returns {Promise<Object>} Per cottage, each night's status (available, booked, blocked, minStay) and price
+ */
+export async function getAvailabilityCalendar(request) {
+    try {
+        assertValidRequest(request, REQUEST_SCHEMAS.getAvailabilityCalendar);
+
+        const { month, months, cottageId, packageId } = request;
+
+        const calendar = await calendarService.getCalendar({
+            month,
+            months: parseInt(months) || 1,
+            cottageId: cottageId || null,
+            packageId: packageId || null
+        });
+
+        return {
+            success: true,
+            data: calendar
+        };
+
+    } catch (error) {
+        console.error('Error in getAvailabilityCalendar:', error);
+        return toErrorBody(error);
+    }
+}
+
 // ===== PACKAGE ENDPOINTS =====
 
 /**
@@ -71,11 +145,9 @@ export async function getAvailablePackages() {
  */
 export async function getPackageById(request) {
     try {
+        assertValidRequest(request, REQUEST_SCHEMAS.getPackageById);
+
         const { packageId } = request;
-        
-        if (!packageId) {
-            throw new Error('Missing required parameter: packageId');
-        }
 
         const packageData = await reservationService.getPackageById(packageId);
         
@@ -93,15 +165,73 @@ export async function getPackageById(request) {
     }
 }
 
+// ===== BOOKING HOLD ENDPOINTS =====
+
+/**
+ * Hold a cottage's nights while the guest completes the booking form
+ * @param {Object} request - Request object containing cottageId, checkInDate, checkOutDate
+ * @returns {Promise<Object>} Hold details including holdId and expiresAt
+ */
+export async function placeBookingHold(request) {
+    try {
+        assertValidRequest(request, REQUEST_SCHEMAS.placeBookingHold);
+
+        const { cottageId, checkInDate, checkOutDate } = request;
+
+        const hold = await reservationService.acquireHold(
+            cottageId,
+            new Date(checkInDate),
+            new Date(checkOutDate)
+        );
+
+        return {
+            success: true,
+            data: hold,
+            message: 'Dates held successfully'
+        };
+
+    } catch (error) {
+        console.error('Error in placeBookingHold:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Release a hold placed with placeBookingHold
+ * @param {Object} request - Request object containing holdId
+ * @returns {Promise<Object>} Number of nights released
+ */
+export async function releaseBookingHold(request) {
+    try {
+        assertValidRequest(request, REQUEST_SCHEMAS.releaseBookingHold);
+
+        const { holdId } = request;
+
+        const released = await reservationService.releaseHold(holdId);
+
+        return {
+            success: true,
+            data: { released },
+            message: 'Hold released successfully'
+        };
+
+    } catch (error) {
+        console.error('Error in releaseBookingHold:', error);
+        return toErrorBody(error);
+    }
+}
+
 // ===== BOOKING ENDPOINTS =====
 
 /**
  * Create a new booking
- * @param {Object} request - Request object containing booking details
+ * @param {Object} request - Request object containing booking details, and optionally the quoteId of a quote to charge
  * @returns {Promise<Object>} Created booking information
  */
 export async function createBooking(request) {
     try {
+        assertValidRequest(request, REQUEST_SCHEMAS.createBooking);
+
         const {
             cottageId,
             packageId,
@@ -109,34 +239,20 @@ export async function createBooking(request) {
             checkOutDate,
             adults,
             children,
+            childAges,
             customerInfo,
-            specialRequests
+            specialRequests,
+            holdId,
+            promoCode,
+            currency,
+            quoteId
         } = request;
 
-        // Validate required fields
-        if (!cottageId || !packageId || !checkInDate || !checkOutDate || !adults || !customerInfo) {
-            throw new Error('Missing required booking parameters');
-        }
-
         // Validate guest count
         if (adults < 1) {
             throw new Error('At least one adult is required');
         }
 
-        // Check availability before creating booking
-        const availability = await reservationService.checkAvailability(
-            cottageId, 
-            new Date(checkInDate), 
-            new Date(checkOutDate)
-        );
-
-        if (!availability.isAvailable) {
-            return {
-                success: false,
-                error: 'Selected dates are not available for this cottage'
-            };
-        }
-
         // Create booking data object
         const bookingData = {
             cottageId,
@@ -145,12 +261,18 @@ export async function createBooking(request) {
             checkOutDate: new Date(checkOutDate),
             adults: parseInt(adults),
             children: parseInt(children) || 0,
+            childAges,
             customerInfo,
-            specialRequests: specialRequests || ''
+            specialRequests: specialRequests || '',
+            holdId,
+            promoCode,
+            currency
         };
 
-        // Create the booking
-        const createdBooking = await reservationService.createBooking(bookingData);
+        // Create the booking - availability is checked under a hold inside the service
+        const createdBooking = quoteId
+            ? await quoteService.bookQuote(quoteId, bookingData)
+            : await reservationService.createBooking(bookingData);
 
         return {
             success: true,
@@ -160,10 +282,7 @@ export async function createBooking(request) {
 
     } catch (error) {
         console.error('Error in createBooking:', error);
-        return {
-            success: false,
-            error: error.message
-        };
+        return toErrorBody(error);
     }
 }
 
@@ -174,11 +293,11 @@ export async function createBooking(request) {
  */
 export async function getBookingDetails(request) {
     try {
+        await requireWebMethodRole(ROLES.STAFF);
+
+        assertValidRequest(request, REQUEST_SCHEMAS.getBookingDetails);
+
         const { bookingId } = request;
-        
-        if (!bookingId) {
-            throw new Error('Missing required parameter: bookingId');
-        }
 
         const bookingDetails = await reservationService.getBookingDetails(bookingId);
         
@@ -189,10 +308,7 @@ export async function getBookingDetails(request) {
 
     } catch (error) {
         console.error('Error in getBookingDetails:', error);
-        return {
-            success: false,
-            error: error.message
-        };
+        return toErrorBody(error);
     }
 }
 
@@ -203,13 +319,15 @@ export async function getBookingDetails(request) {
  */
 export async function updateBookingStatus(request) {
     try {
+        const caller = await requireWebMethodRole(ROLES.STAFF);
+
+        assertValidRequest(request, REQUEST_SCHEMAS.updateBookingStatus);
+
         const { bookingId, status } = request;
-        
-        if (!bookingId || !status) {
-            throw new Error('Missing required parameters: bookingId, status');
-        }
 
-        const updatedBooking = await reservationService.updateBookingStatus(bookingId, status);
+        const updatedBooking = await reservationService.updateBookingStatus(bookingId, status, {
+            updatedBy: caller.name
+        });
         
         return {
             success: true,
@@ -219,158 +337,1109 @@ export async function updateBookingStatus(request) {
 
     } catch (error) {
         console.error('Error in updateBookingStatus:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Work out what cancelling a booking today would refund, without cancelling it
+ * @param {Object} request - Request object containing bookingId
+ * @returns {Promise<Object>} Policy applied, penalty and refund amount
+ */
+export async function previewCancellation(request) {
+    try {
+        await requireWebMethodRole(ROLES.STAFF);
+
+        assertValidRequest(request, REQUEST_SCHEMAS.previewCancellation);
+
+        const { bookingId } = request;
+
+        const preview = await cancellationService.previewCancellation(bookingId);
+
         return {
-            success: false,
-            error: error.message
+            success: true,
+            data: preview
         };
+
+    } catch (error) {
+        console.error('Error in previewCancellation:', error);
+        return toErrorBody(error);
     }
 }
 
-// ===== SAFARI BOOKING ENDPOINTS =====
+/**
+ * Cancel a booking and release its nights
+ * @param {Object} request - Request object containing bookingId and reason
+ * @returns {Promise<Object>} Cancelled booking, released dates, cancelled safaris and the refund owed
+ */
+export async function cancelBooking(request) {
+    try {
+        const caller = await requireWebMethodRole(ROLES.STAFF);
+
+        assertValidRequest(request, REQUEST_SCHEMAS.cancelBooking);
+
+        const { bookingId, reason } = request;
+
+        const result = await reservationService.cancelBooking(bookingId, {
+            cancelledBy: caller.name,
+            reason
+        });
+
+        return {
+            success: true,
+            data: result,
+            message: 'Booking cancelled successfully'
+        };
+
+    } catch (error) {
+        console.error('Error in cancelBooking:', error);
+        return toErrorBody(error);
+    }
+}
 
 /**
- * Create safari bookings for a reservation
- * @param {Object} request - Request object containing bookingId and safariData
- * @returns {Promise<Object>} Created safari bookings
+ * Free the nights and safaris of a cancelled booking whose release failed
+ * @param {Object} request - Request object containing bookingId
+ * @returns {Promise<Object>} Released dates and cancelled safaris
  */
-export async function createSafariBookings(request) {
+export async function releaseCancelledBooking(request) {
     try {
-        const { bookingId, safariData } = request;
-        
-        if (!bookingId || !safariData || !Array.isArray(safariData)) {
-            throw new Error('Missing required parameters: bookingId, safariData (array)');
-        }
+        await requireWebMethodRole(ROLES.STAFF);
+
+        assertValidRequest(request, REQUEST_SCHEMAS.releaseCancelledBooking);
+
+        const result = await reservationService.releaseCancelledBooking(request.bookingId);
 
-        const createdSafaris = await reservationService.createSafariBookings(bookingId, safariData);
-        
         return {
             success: true,
-            data: createdSafaris,
-            message: 'Safari bookings created successfully'
+            data: result,
+            message: 'Booking nights released successfully'
         };
 
     } catch (error) {
-        console.error('Error in createSafariBookings:', error);
+        console.error('Error in releaseCancelledBooking:', error);
+        return toErrorBody(error);
+    }
+}
+
+// ===== COTTAGE BLOCK ENDPOINTS =====
+
+/**
+ * Close a cottage for a date range (repairs, private use)
+ * @param {Object} request - Request object containing cottageId, startDate, endDate, name and reason
+ * @returns {Promise<Object>} Created block
+ */
+export async function createCottageBlock(request) {
+    try {
+        const caller = await requireWebMethodRole(ROLES.STAFF);
+
+        assertValidRequest(request, REQUEST_SCHEMAS.createCottageBlock);
+
+        const { cottageId, startDate, endDate, name, reason } = request;
+
+        const block = await blockService.createBlock({
+            cottageId,
+            startDate: new Date(startDate),
+            endDate: new Date(endDate),
+            name,
+            reason,
+            createdBy: caller.name
+        });
+
         return {
-            success: false,
-            error: error.message
+            success: true,
+            data: block,
+            message: 'Cottage block created successfully'
         };
+
+    } catch (error) {
+        console.error('Error in createCottageBlock:', error);
+        return toErrorBody(error);
     }
 }
 
 /**
- * Update safari booking status
- * @param {Object} request - Request object containing safariId and status
- * @returns {Promise<Object>} Updated safari booking
+ * List cottage blocks
+ * @param {Object} request - Optional filters: cottageId, fromDate, toDate
+ * @returns {Promise<Object>} Matching blocks
  */
-export async function updateSafariStatus(request) {
+export async function listCottageBlocks(request = {}) {
     try {
-        const { safariId, status } = request;
-        
-        if (!safariId || !status) {
-            throw new Error('Missing required parameters: safariId, status');
-        }
+        await requireWebMethodRole(ROLES.STAFF);
+
+        assertValidRequest(request, REQUEST_SCHEMAS.listCottageBlocks);
+
+        const blocks = await blockService.listBlocks(request);
 
-        const updatedSafari = await reservationService.updateSafariStatus(safariId, status);
-        
         return {
             success: true,
-            data: updatedSafari,
-            message: 'Safari status updated successfully'
+            data: blocks
         };
 
     } catch (error) {
-        console.error('Error in updateSafariStatus:', error);
+        console.error('Error in listCottageBlocks:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Remove a cottage block and reopen its nights
+ * @param {Object} request - Request object containing blockId
+ * @returns {Promise<Object>} Removed block and reopened dates
+ */
+export async function removeCottageBlock(request) {
+    try {
+        await requireWebMethodRole(ROLES.STAFF);
+
+        assertValidRequest(request, REQUEST_SCHEMAS.removeCottageBlock);
+
+        const { blockId } = request;
+
+        const result = await blockService.removeBlock(blockId);
+
         return {
-            success: false,
-            error: error.message
+            success: true,
+            data: result,
+            message: 'Cottage block removed successfully'
         };
+
+    } catch (error) {
+        console.error('Error in removeCottageBlock:', error);
+        return toErrorBody(error);
     }
 }
 
-// ===== UTILITY ENDPOINTS =====
+// ===== CHANNEL CALENDAR ENDPOINTS =====
 
 /**
- * Get all cottages
- * @returns {Promise<Object>} List of all cottages
+ * Import an external channel's iCal feed as blocks on a cottage
+ * @param {Object} request - Request object containing cottageId, source, and icsText or fileUrl
+ * @returns {Promise<Object>} Import summary with any conflicts
  */
-export async function getAllCottages() {
+export async function importCottageCalendar(request) {
     try {
-        const cottages = await wixData.query(COLLECTIONS.COTTAGES)
-            .eq('isActive', true)
-            .find();
-        
+        const caller = await requireWebMethodRole(ROLES.STAFF);
+
+        assertValidRequest(request, REQUEST_SCHEMAS.importCottageCalendar);
+
+        const { cottageId, source, icsText, fileUrl } = request;
+
+        if (!icsText && !fileUrl) {
+            throw new Error('Missing required parameter: icsText or fileUrl');
+        }
+
+        const result = await icalService.importFeed({
+            cottageId,
+            source,
+            icsText,
+            fileUrl,
+            importedBy: caller.name
+        });
+
         return {
             success: true,
-            data: cottages.items
+            data: result,
+            message: 'Calendar imported successfully'
         };
 
     } catch (error) {
-        console.error('Error in getAllCottages:', error);
+        console.error('Error in importCottageCalendar:', error);
+        return toErrorBody(error);
+    }
+}
+
+// ===== GUEST SELF-SERVICE ENDPOINTS =====
+// Guests identify their booking with { token } from guestSignIn, or { reference, email }.
+
+function getGuestCredentials(request = {}) {
+    return { token: request.token, reference: request.reference, email: request.email };
+}
+
+/**
+ * Sign in to a booking with its reference and email
+ * @param {Object} request - Request object containing reference and email
+ * @returns {Promise<Object>} Booking token and the guest view of the booking
+ */
+export async function guestSignIn(request) {
+    try {
+        assertValidRequest(request, REQUEST_SCHEMAS.guestSignIn);
+
+        const { reference, email } = request;
+
+        const result = await guestBookingService.signIn({ reference, email });
+
         return {
-            success: false,
-            error: error.message
+            success: true,
+            data: result,
+            message: 'Signed in to booking'
         };
+
+    } catch (error) {
+        console.error('Error in guestSignIn:', error);
+        return toErrorBody(error);
     }
 }
 
 /**
- * Calculate booking cost without creating the booking
- * @param {Object} request - Request object containing cottageId, packageId, checkInDate, checkOutDate
- * @returns {Promise<Object>} Cost breakdown
+ * Get a guest's own booking
+ * @param {Object} request - Request object containing token, or reference and email
+ * @returns {Promise<Object>} Guest view of the booking
  */
-export async function calculateBookingCost(request) {
+export async function getGuestBooking(request) {
     try {
-        const { cottageId, packageId, checkInDate, checkOutDate } = request;
-        
-        if (!cottageId || !packageId || !checkInDate || !checkOutDate) {
-            throw new Error('Missing required parameters');
-        }
+        assertValidRequest(request, REQUEST_SCHEMAS.getGuestBooking);
 
-        // Get cottage and package details
-        const cottage = await wixData.get(COLLECTIONS.COTTAGES, cottageId);
-        const packageData = await wixData.get(COLLECTIONS.PACKAGES, packageId);
+        const credentials = getGuestCredentials(request);
 
-        if (!cottage || !packageData) {
-            throw new Error('Cottage or package not found');
-        }
+        const result = await guestBookingService.getBooking(credentials);
+
+        return {
+            success: true,
+            data: result
+        };
+
+    } catch (error) {
+        console.error('Error in getGuestBooking:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Price new dates for a guest's booking
+ * @param {Object} request - Request object containing credentials, checkInDate and checkOutDate
+ * @returns {Promise<Object>} Availability, new total and price difference
+ */
+export async function quoteGuestDateChange(request) {
+    try {
+        assertValidRequest(request, REQUEST_SCHEMAS.quoteGuestDateChange);
+
+        const credentials = getGuestCredentials(request);
+        const { checkInDate, checkOutDate } = request;
 
-        // Calculate costs
-        const nights = reservationService.calculateNights(new Date(checkInDate), new Date(checkOutDate));
-        const roomCost = cottage.basePricePerNight * nights;
-        const packageCost = packageData.price;
-        const totalCost = roomCost + packageCost;
+        const result = await guestBookingService.quoteDateChange(credentials, {
+            checkInDate: new Date(checkInDate),
+            checkOutDate: new Date(checkOutDate)
+        });
 
         return {
             success: true,
-            data: {
-                roomCost: roomCost,
-                packageCost: packageCost,
-                totalCost: totalCost,
-                nights: nights,
-                costPerNight: cottage.basePricePerNight
-            }
+            data: result
         };
 
     } catch (error) {
-        console.error('Error in calculateBookingCost:', error);
+        console.error('Error in quoteGuestDateChange:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Move a guest's booking to new dates
+ * @param {Object} request - Request object containing credentials, checkInDate and checkOutDate
+ * @returns {Promise<Object>} Updated booking and price difference
+ */
+export async function changeGuestBookingDates(request) {
+    try {
+        assertValidRequest(request, REQUEST_SCHEMAS.changeGuestBookingDates);
+
+        const credentials = getGuestCredentials(request);
+        const { checkInDate, checkOutDate } = request;
+
+        const result = await guestBookingService.changeDates(credentials, {
+            checkInDate: new Date(checkInDate),
+            checkOutDate: new Date(checkOutDate)
+        });
+
         return {
-            success: false,
-            error: error.message
+            success: true,
+            data: result,
+            message: 'Booking dates changed successfully'
         };
+
+    } catch (error) {
+        console.error('Error in changeGuestBookingDates:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Add safaris to a guest's booking
+ * @param {Object} request - Request object containing credentials and safaris ({ date, zoneId, slot })
+ * @returns {Promise<Object>} Updated booking
+ */
+export async function addGuestSafaris(request) {
+    try {
+        assertValidRequest(request, REQUEST_SCHEMAS.addGuestSafaris);
+
+        const credentials = getGuestCredentials(request);
+        const { safaris } = request;
+
+        if (safaris.length === 0) {
+            throw new Error('Missing required parameter: safaris');
+        }
+
+        const result = await guestBookingService.addSafaris(credentials, safaris);
+
+        return {
+            success: true,
+            data: result,
+            message: 'Safaris added successfully'
+        };
+
+    } catch (error) {
+        console.error('Error in addGuestSafaris:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Remove a safari from a guest's booking
+ * @param {Object} request - Request object containing credentials and safariId
+ * @returns {Promise<Object>} Updated booking
+ */
+export async function removeGuestSafari(request) {
+    try {
+        assertValidRequest(request, REQUEST_SCHEMAS.removeGuestSafari);
+
+        const credentials = getGuestCredentials(request);
+        const { safariId } = request;
+
+        const result = await guestBookingService.removeSafari(credentials, safariId);
+
+        return {
+            success: true,
+            data: result,
+            message: 'Safari removed successfully'
+        };
+
+    } catch (error) {
+        console.error('Error in removeGuestSafari:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Show a guest what cancelling their booking today would refund
+ * @param {Object} request - Request object containing credentials
+ * @returns {Promise<Object>} Cancellation policy, penalty and refund amount
+ */
+export async function previewGuestCancellation(request) {
+    try {
+        assertValidRequest(request, REQUEST_SCHEMAS.previewGuestCancellation);
+
+        const credentials = getGuestCredentials(request);
+
+        const refund = await guestBookingService.previewGuestCancellation(credentials);
+
+        return {
+            success: true,
+            data: refund
+        };
+
+    } catch (error) {
+        console.error('Error in previewGuestCancellation:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Ask to cancel a guest's booking
+ * @param {Object} request - Request object containing credentials and an optional reason
+ * @returns {Promise<Object>} Whether the booking was cancelled, the updated booking and the refund
+ */
+export async function requestGuestCancellation(request) {
+    try {
+        assertValidRequest(request, REQUEST_SCHEMAS.requestGuestCancellation);
+
+        const credentials = getGuestCredentials(request);
+        const { reason } = request;
+
+        const result = await guestBookingService.requestCancellation(credentials, reason);
+
+        return {
+            success: true,
+            data: result,
+            message: result.cancelled
+                ? 'Booking cancelled successfully'
+                : 'Cancellation requested. The lodge will be in touch about any refund.'
+        };
+
+    } catch (error) {
+        console.error('Error in requestGuestCancellation:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Get a download link for one of a guest's invoices or credit notes
+ * @param {Object} request - Request object containing credentials, invoiceId and an optional format (pdf or html)
+ * @returns {Promise<Object>} Download URL, file name and link expiry
+ */
+export async function getGuestInvoiceDownload(request) {
+    try {
+        assertValidRequest(request, REQUEST_SCHEMAS.getGuestInvoiceDownload);
+
+        const credentials = getGuestCredentials(request);
+        const { invoiceId, format } = request;
+
+        const download = await guestBookingService.getInvoiceDownload(credentials, invoiceId, format);
+
+        return {
+            success: true,
+            data: download
+        };
+
+    } catch (error) {
+        console.error('Error in getGuestInvoiceDownload:', error);
+        return toErrorBody(error);
+    }
+}
+
+// ===== GROUP RESERVATION ENDPOINTS =====
+
+/**
+ * Convert the cottage lines of a request into service lines
+ * @param {Array} lines - Lines as sent by the client
+ * @returns {Array} Lines with parsed guest counts
+ */
+function parseGroupLines(lines) {
+    return lines.map(line => ({
+        cottageId: line.cottageId,
+        packageId: line.packageId,
+        adults: parseInt(line.adults),
+        children: parseInt(line.children) || 0,
+        childAges: line.childAges,
+        holdId: line.holdId
+    }));
+}
+
+/**
+ * Calculate the combined cost of several cottages booked together
+ * @param {Object} request - Request object containing packageId, checkInDate, checkOutDate, lines and an optional currency
+ * @returns {Promise<Object>} Cost of each line and the combined total
+ */
+export async function calculateGroupBookingCost(request) {
+    try {
+        assertValidRequest(request, REQUEST_SCHEMAS.calculateGroupBookingCost);
+
+        const { packageId, checkInDate, checkOutDate, lines, currency } = request;
+
+        const costBreakdown = await reservationService.calculateGroupBookingCost(
+            parseGroupLines(lines),
+            packageId,
+            new Date(checkInDate),
+            new Date(checkOutDate),
+            { currency }
+        );
+
+        return {
+            success: true,
+            data: costBreakdown
+        };
+
+    } catch (error) {
+        console.error('Error in calculateGroupBookingCost:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Book several cottages under one group booking
+ * @param {Object} request - Request object containing shared booking details and lines
+ * @returns {Promise<Object>} Parent booking with its cottage lines
+ */
+export async function createGroupBooking(request) {
+    try {
+        assertValidRequest(request, REQUEST_SCHEMAS.createGroupBooking);
+
+        const {
+            packageId,
+            checkInDate,
+            checkOutDate,
+            lines,
+            customerInfo,
+            specialRequests,
+            currency
+        } = request;
+
+        const createdBooking = await reservationService.createGroupBooking({
+            packageId,
+            checkInDate: new Date(checkInDate),
+            checkOutDate: new Date(checkOutDate),
+            customerInfo,
+            specialRequests: specialRequests || '',
+            lines: parseGroupLines(lines),
+            currency
+        });
+
+        return {
+            success: true,
+            data: createdBooking,
+            message: 'Group booking created successfully'
+        };
+
+    } catch (error) {
+        console.error('Error in createGroupBooking:', error);
+        return toErrorBody(error);
+    }
+}
+
+// ===== PAYMENT ENDPOINTS =====
+
+/**
+ * Create a payment order for a booking with the active payment provider
+ * Staff may pay for any booking; guests send their token, or reference and email.
+ * @param {Object} request - Request object containing bookingId, guest credentials and an optional
+ *   payInFull (pay the whole balance rather than the next instalment)
+ * @returns {Promise<Object>} Payment record with orderId and checkoutUrl
+ */
+export async function createPaymentOrder(request) {
+    try {
+        assertValidRequest(request, REQUEST_SCHEMAS.createPaymentOrder);
+
+        const { bookingId, payInFull } = request;
+
+        await guestBookingService.assertBookingAccess(await getWebMethodCaller(), getGuestCredentials(request), bookingId);
+
+        const payment = await paymentService.createPaymentOrder(bookingId, { payInFull: payInFull === true });
+
+        return {
+            success: true,
+            data: payment,
+            message: 'Payment order created successfully'
+        };
+
+    } catch (error) {
+        console.error('Error in createPaymentOrder:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Get a booking's payment ledger: payments and refunds, instalments and balance
+ * @param {Object} request - Request object containing bookingId
+ * @returns {Promise<Object>} Ledger
+ */
+export async function getPaymentLedger(request) {
+    try {
+        await requireWebMethodRole(ROLES.STAFF);
+
+        assertValidRequest(request, REQUEST_SCHEMAS.getPaymentLedger);
+
+        const { bookingId } = request;
+
+        const ledger = await paymentScheduleService.getPaymentLedger(bookingId);
+
+        return {
+            success: true,
+            data: ledger
+        };
+
+    } catch (error) {
+        console.error('Error in getPaymentLedger:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * List bookings with a deposit or balance past its due date
+ * @returns {Promise<Object>} Bookings, the longest overdue first
+ */
+export async function listOverduePayments() {
+    try {
+        await requireWebMethodRole(ROLES.STAFF);
+
+        const bookings = await paymentScheduleService.listOverduePayments();
+
+        return {
+            success: true,
+            data: bookings
+        };
+
+    } catch (error) {
+        console.error('Error in listOverduePayments:', error);
+        return toErrorBody(error);
+    }
+}
+
+// ===== INVOICE ENDPOINTS =====
+
+/**
+ * Issue the invoice for a booking (returns the existing one if already issued)
+ * @param {Object} request - Request object containing bookingId
+ * @returns {Promise<Object>} Invoice
+ */
+export async function issueInvoice(request) {
+    try {
+        const caller = await requireWebMethodRole(ROLES.STAFF);
+
+        assertValidRequest(request, REQUEST_SCHEMAS.issueInvoice);
+
+        const { bookingId } = request;
+
+        const invoice = await invoiceService.issueInvoice(bookingId, { issuedBy: caller.name });
+
+        return {
+            success: true,
+            data: invoice,
+            message: 'Invoice issued successfully'
+        };
+
+    } catch (error) {
+        console.error('Error in issueInvoice:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Issue a credit note against a booking's invoice, or its payment if it was never invoiced
+ * @param {Object} request - Request object containing bookingId, amount and an optional reason
+ * @returns {Promise<Object>} Credit note
+ */
+export async function issueCreditNote(request) {
+    try {
+        const caller = await requireWebMethodRole(ROLES.STAFF);
+
+        assertValidRequest(request, REQUEST_SCHEMAS.issueCreditNote);
+
+        const { bookingId, amount, reason } = request;
+
+        const creditNote = await invoiceService.createCreditNote(bookingId, {
+            amount: Number(amount),
+            reason: reason || 'Refund',
+            issuedBy: caller.name
+        });
+
+        return {
+            success: true,
+            data: creditNote,
+            message: 'Credit note issued successfully'
+        };
+
+    } catch (error) {
+        console.error('Error in issueCreditNote:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * List a booking's invoice and credit notes
+ * @param {Object} request - Request object containing bookingId
+ * @returns {Promise<Object>} Documents, oldest first
+ */
+export async function listInvoices(request) {
+    try {
+        await requireWebMethodRole(ROLES.STAFF);
+
+        assertValidRequest(request, REQUEST_SCHEMAS.listInvoices);
+
+        const { bookingId } = request;
+
+        const invoices = await invoiceService.listInvoices(bookingId);
+
+        return {
+            success: true,
+            data: invoices
+        };
+
+    } catch (error) {
+        console.error('Error in listInvoices:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Get a download link for any invoice or credit note
+ * @param {Object} request - Request object containing invoiceId and an optional format (pdf or html)
+ * @returns {Promise<Object>} Download URL, file name and link expiry
+ */
+export async function getInvoiceDownload(request) {
+    try {
+        await requireWebMethodRole(ROLES.STAFF);
+
+        assertValidRequest(request, REQUEST_SCHEMAS.getInvoiceDownload);
+
+        const { invoiceId, format } = request;
+
+        const download = await invoiceService.getDownload(invoiceId, format);
+
+        return {
+            success: true,
+            data: download
+        };
+
+    } catch (error) {
+        console.error('Error in getInvoiceDownload:', error);
+        return toErrorBody(error);
+    }
+}
+
+// ===== CURRENCY ENDPOINTS =====
+
+/**
+ * List the currencies guests can be quoted in, with their exchange rates
+ * @returns {Promise<Object>} Base currency and the active rates
+ */
+export async function getExchangeRates() {
+    try {
+        const rates = await currencyService.getExchangeRates();
+
+        return {
+            success: true,
+            data: rates
+        };
+
+    } catch (error) {
+        console.error('Error in getExchangeRates:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Add or update a currency's exchange rate (owners only)
+ * @param {Object} request - Request object containing currency, rate and an optional isActive
+ * @returns {Promise<Object>} Saved rate
+ */
+export async function setExchangeRate(request) {
+    try {
+        const caller = await requireWebMethodRole(ROLES.OWNER);
+
+        assertValidRequest(request, REQUEST_SCHEMAS.setExchangeRate);
+
+        const { currency, rate, isActive } = request;
+
+        const saved = await currencyService.setExchangeRate(currency, rate, {
+            isActive: isActive !== false,
+            updatedBy: caller.name
+        });
+
+        return {
+            success: true,
+            data: saved,
+            message: 'Exchange rate saved successfully'
+        };
+
+    } catch (error) {
+        console.error('Error in setExchangeRate:', error);
+        return toErrorBody(error);
+    }
+}
+
+// ===== SAFARI BOOKING ENDPOINTS =====
+
+/**
+ * Get the safari slots a stay can use, with remaining capacity
+ * Slots for an existing booking need staff access or that booking's guest credentials.
+ * @param {Object} request - Request object containing bookingId and guest credentials, or checkInDate,
+ *   checkOutDate and packageId
+ * @returns {Promise<Object>} Slots and the number of safaris still available to book
+ */
+export async function getSafariSlots(request) {
+    try {
+        assertValidRequest(request, REQUEST_SCHEMAS.getSafariSlots);
+
+        const { bookingId, checkInDate, checkOutDate, packageId } = request;
+
+        if (!bookingId && (!checkInDate || !checkOutDate || !packageId)) {
+            throw new Error('Missing required parameters: bookingId, or checkInDate, checkOutDate and packageId');
+        }
+
+        if (bookingId) {
+            await guestBookingService.assertBookingAccess(await getWebMethodCaller(), getGuestCredentials(request), bookingId);
+        }
+
+        const slots = await safariService.getSlotsForStay(bookingId ? { bookingId } : {
+            checkInDate: new Date(checkInDate),
+            checkOutDate: new Date(checkOutDate),
+            packageId
+        });
+
+        return {
+            success: true,
+            data: slots
+        };
+
+    } catch (error) {
+        console.error('Error in getSafariSlots:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Create safari bookings for a reservation
+ * Staff may add safaris to any booking; guests send their token, or reference and email.
+ * @param {Object} request - Request object containing bookingId, guest credentials and safariData
+ *   ([{ date, zoneId, slot }])
+ * @returns {Promise<Object>} Created safari bookings
+ */
+export async function createSafariBookings(request) {
+    try {
+        assertValidRequest(request, REQUEST_SCHEMAS.createSafariBookings);
+
+        const { bookingId, safariData } = request;
+
+        await guestBookingService.assertBookingAccess(await getWebMethodCaller(), getGuestCredentials(request), bookingId, { modify: true });
+
+        const createdSafaris = await reservationService.createSafariBookings(bookingId, safariData);
+        
+        return {
+            success: true,
+            data: createdSafaris,
+            message: 'Safari bookings created successfully'
+        };
+
+    } catch (error) {
+        console.error('Error in createSafariBookings:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Update safari booking status
+ * @param {Object} request - Request object containing safariId and status
+ * @returns {Promise<Object>} Updated safari booking
+ */
+export async function updateSafariStatus(request) {
+    try {
+        const caller = await requireWebMethodRole(ROLES.STAFF);
+
+        assertValidRequest(request, REQUEST_SCHEMAS.updateSafariStatus);
+
+        const { safariId, status } = request;
+
+        const updatedSafari = await reservationService.updateSafariStatus(safariId, status, {
+            updatedBy: caller.name
+        });
+        
+        return {
+            success: true,
+            data: updatedSafari,
+            message: 'Safari status updated successfully'
+        };
+
+    } catch (error) {
+        console.error('Error in updateSafariStatus:', error);
+        return toErrorBody(error);
+    }
+}
+
+// ===== SAFARI INQUIRY ENDPOINTS =====
+
+/**
+ * Record a safari inquiry from the website
+ * @param {Object} request - Request object containing customerName, customerEmail and inquiry details
+ * @returns {Promise<Object>} Created inquiry
+ */
+export async function createSafariInquiry(request) {
+    try {
+        assertValidRequest(request, REQUEST_SCHEMAS.createSafariInquiry);
+
+        const inquiry = await inquiryService.createInquiry(request);
+
+        return {
+            success: true,
+            data: inquiry,
+            message: 'Safari inquiry received successfully'
+        };
+
+    } catch (error) {
+        console.error('Error in createSafariInquiry:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * List safari inquiries for staff
+ * @param {Object} request - Optional filters: status, source, fromDate, toDate, dateField, limit
+ * @returns {Promise<Object>} Matching inquiries
+ */
+export async function listSafariInquiries(request = {}) {
+    try {
+        await requireWebMethodRole(ROLES.STAFF);
+
+        assertValidRequest(request, REQUEST_SCHEMAS.listSafariInquiries);
+
+        const inquiries = await inquiryService.listInquiries(request);
+
+        return {
+            success: true,
+            data: inquiries
+        };
+
+    } catch (error) {
+        console.error('Error in listSafariInquiries:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Move a safari inquiry to a new status with a note
+ * @param {Object} request - Request object containing inquiryId, status and note
+ * @returns {Promise<Object>} Updated inquiry
+ */
+export async function updateSafariInquiryStatus(request) {
+    try {
+        const caller = await requireWebMethodRole(ROLES.STAFF);
+
+        assertValidRequest(request, REQUEST_SCHEMAS.updateSafariInquiryStatus);
+
+        const { inquiryId, status, note } = request;
+
+        const inquiry = await inquiryService.updateInquiryStatus(inquiryId, status, {
+            note,
+            updatedBy: caller.name
+        });
+
+        return {
+            success: true,
+            data: inquiry,
+            message: 'Inquiry status updated successfully'
+        };
+
+    } catch (error) {
+        console.error('Error in updateSafariInquiryStatus:', error);
+        return toErrorBody(error);
+    }
+}
+
+/**
+ * Convert a safari inquiry into a booking with safari bookings
+ * @param {Object} request - Request object containing inquiryId, cottageId, packageId,
+ *   checkInDate, checkOutDate and optionally adults, children, childAges, safaris
+ * @returns {Promise<Object>} Closed inquiry, booking and safari bookings
+ */
+export async function convertSafariInquiry(request) {
+    try {
+        const caller = await requireWebMethodRole(ROLES.STAFF);
+
+        assertValidRequest(request, REQUEST_SCHEMAS.convertSafariInquiry);
+
+        const { inquiryId, cottageId, packageId, checkInDate, checkOutDate } = request;
+
+        const result = await inquiryService.convertToBooking(inquiryId, {
+            ...request,
+            convertedBy: caller.name
+        });
+
+        return {
+            success: true,
+            data: result,
+            message: 'Inquiry converted into a booking successfully'
+        };
+
+    } catch (error) {
+        console.error('Error in convertSafariInquiry:', error);
+        return toErrorBody(error);
+    }
+}
+
+// ===== UTILITY ENDPOINTS =====
+
+/**
+ * Get all cottages
+ * @returns {Promise<Object>} List of all cottages
+ */
+export async function getAllCottages() {
+    try {
+        const cottages = await reservationService.getActiveCottages();
+        
+        return {
+            success: true,
+            data: cottages
+        };
+
+    } catch (error) {
+        console.error('Error in getAllCottages:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Calculate booking cost without creating the booking
+ * With saveQuote the price is stored as a quote; pass its quoteId to createBooking to be charged it.
+ * @param {Object} request - Request object containing cottageId, packageId, checkInDate, checkOutDate, and optional promoCode, guestEmail, currency, children, childAges and saveQuote
+ * @returns {Promise<Object>} Cost breakdown including the rate for every night, with quoteId and expiresAt when saved
+ */
+export async function calculateBookingCost(request) {
+    try {
+        assertValidRequest(request, REQUEST_SCHEMAS.calculateBookingCost);
+
+        const { cottageId, packageId, checkInDate, checkOutDate, promoCode, guestEmail, currency, children, childAges, saveQuote } = request;
+
+        const stay = {
+            cottageId,
+            packageId,
+            checkInDate: new Date(checkInDate),
+            checkOutDate: new Date(checkOutDate),
+            promoCode,
+            guestEmail,
+            currency,
+            children: parseInt(children) || 0,
+            childAges
+        };
+        const costBreakdown = saveQuote === true
+            ? await quoteService.createQuote(stay)
+            : await reservationService.calculateBookingCost(stay.cottageId, stay.packageId, stay.checkInDate, stay.checkOutDate, stay);
+
+        return {
+            success: true,
+            data: costBreakdown
+        };
+
+    } catch (error) {
+        console.error('Error in calculateBookingCost:', error);
+        return toErrorBody(error);
     }
 }
 
 // Export all web methods
 export default {
     checkCottageAvailability,
+    searchCottages,
+    getAvailabilityCalendar,
     getAvailablePackages,
     getPackageById,
+    placeBookingHold,
+    releaseBookingHold,
     createBooking,
     getBookingDetails,
     updateBookingStatus,
+    previewCancellation,
+    cancelBooking,
+    releaseCancelledBooking,
+    createCottageBlock,
+    listCottageBlocks,
+    removeCottageBlock,
+    importCottageCalendar,
+    guestSignIn,
+    getGuestBooking,
+    quoteGuestDateChange,
+    changeGuestBookingDates,
+    addGuestSafaris,
+    removeGuestSafari,
+    previewGuestCancellation,
+    requestGuestCancellation,
+    getGuestInvoiceDownload,
+    calculateGroupBookingCost,
+    createGroupBooking,
+    createPaymentOrder,
+    getPaymentLedger,
+    listOverduePayments,
+    issueInvoice,
+    issueCreditNote,
+    listInvoices,
+    getInvoiceDownload,
+    getExchangeRates,
+    setExchangeRate,
     createSafariBookings,
     updateSafariStatus,
+    getSafariSlots,
+    createSafariInquiry,
+    listSafariInquiries,
+    updateSafariInquiryStatus,
+    convertSafariInquiry,
     getAllCottages,
     calculateBookingCost
 };
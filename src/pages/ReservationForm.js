@@ -3,6 +3,7 @@
 
 import { $w } from '@wix/sdk';
 import wixFetch from 'wix-fetch';
+import wixLocation from 'wix-location';
 
 export class ReservationForm {
     constructor() {
@@ -14,15 +15,25 @@ export class ReservationForm {
             checkOutDate: null,
             adults: 1,
             children: 0,
+            childAges: [], // Age of each child, which sets the child's price
             packageId: '',
             safariData: [],
-            customerInfo: {}
+            customerInfo: {},
+            holdId: null,
+            promoCode: '',
+            currency: '', // Display and payment currency; empty means the base currency
+            lines: [] // Cottages already added to a group booking
         };
         
         this.cottages = [];
         this.packages = [];
         this.availabilityResult = null;
         this.costBreakdown = null;
+        this.safariSlots = [];
+        this.maxSafaris = 0;
+        this.calendar = {}; // Night statuses and prices of the selected cottage, by YYYY-MM-DD
+        this.baseCurrency = 'INR'; // Currency tariffs are stored in; replaced by the backend's setting
+        this.exchangeRates = [];
         
         this.init();
     }
@@ -32,6 +43,7 @@ export class ReservationForm {
             // Load initial data
             await this.loadCottages();
             await this.loadPackages();
+            await this.loadExchangeRates();
             
             // Set up event listeners
             this.setupEventListeners();
@@ -84,6 +96,30 @@ export class ReservationForm {
         }
     }
 
+    async loadExchangeRates() {
+        try {
+            const response = await wixFetch.fetch('/_functions/getExchangeRates', {
+                method: 'GET'
+            });
+
+            const result = await response.json();
+            if (result.success) {
+                this.baseCurrency = result.data.baseCurrency;
+                this.exchangeRates = result.data.rates;
+            } else {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            // Prices are still shown and charged in the base currency
+            console.error('Error loading exchange rates:', error);
+            this.exchangeRates = [];
+        }
+
+        $w('#currencySelection').options = (this.exchangeRates.length > 0 ? this.exchangeRates : [{ currency: this.baseCurrency }])
+            .map(rate => ({ label: rate.currency, value: rate.currency }));
+        $w('#currencySelection').value = this.getCurrency();
+    }
+
     // ===== UI SETUP =====
     
     setupEventListeners() {
@@ -91,11 +127,13 @@ export class ReservationForm {
         $w('#cottageSelection').onChange(() => {
             this.bookingData.cottageId = $w('#cottageSelection').value;
             this.updateCottageInfo();
+            this.loadCalendar();
         });
 
         // Date inputs
         $w('#checkInDate').onChange(() => {
             this.bookingData.checkInDate = $w('#checkInDate').value;
+            this.restrictCheckOutDates();
             this.validateDates();
         });
 
@@ -112,6 +150,12 @@ export class ReservationForm {
 
         $w('#childrenCount').onChange(() => {
             this.bookingData.children = parseInt($w('#childrenCount').value) || 0;
+            this.validateGuestCount();
+        });
+
+        $w('#childAges').onChange(() => {
+            this.bookingData.childAges = this.parseChildAges($w('#childAges').value);
+            this.validateGuestCount();
         });
 
         // Check availability button
@@ -119,6 +163,11 @@ export class ReservationForm {
             this.checkAvailability();
         });
 
+        // Add the selected cottage to a group booking and pick another
+        $w('#addCottageBtn').onClick(() => {
+            this.addCottageLine();
+        });
+
         // Package selection
         $w('#packageSelection').onChange(() => {
             this.bookingData.packageId = $w('#packageSelection').value;
@@ -127,7 +176,7 @@ export class ReservationForm {
 
         // Safari date/time inputs (if applicable)
         $w('#safariDate').onChange(() => {
-            this.updateSafariData();
+            this.populateSafariTimes();
         });
 
         $w('#safariTime').onChange(() => {
@@ -146,6 +195,16 @@ export class ReservationForm {
         $w('#proceedToPaymentBtn').onClick(() => {
             this.proceedToPayment();
         });
+
+        // Promo code on the summary step
+        $w('#applyPromoBtn').onClick(() => {
+            this.applyPromoCode();
+        });
+
+        // Currency prices are shown and charged in
+        $w('#currencySelection').onChange(() => {
+            this.changeCurrency($w('#currencySelection').value);
+        });
     }
 
     // ===== STEP MANAGEMENT =====
@@ -204,7 +263,10 @@ export class ReservationForm {
     
     populateCottageSelection() {
         const cottageSelect = $w('#cottageSelection');
-        cottageSelect.options = this.cottages.map(cottage => ({
+        const chosenIds = this.bookingData.lines.map(line => line.cottageId);
+        cottageSelect.options = this.cottages
+            .filter(cottage => !chosenIds.includes(cottage._id))
+            .map(cottage => ({
             label: cottage.name,
             value: cottage._id
         }));
@@ -218,10 +280,96 @@ export class ReservationForm {
             $w('#cottageDescription').text = cottage.description;
             $w('#cottageMaxAdults').text = `Maximum ${cottage.maxAdults} adults`;
             $w('#cottageMaxChildren').text = `Maximum ${cottage.maxChildren} children`;
-            $w('#cottagePricePerNight').text = `$${cottage.basePricePerNight} per night`;
+            $w('#cottagePricePerNight').text = `${this.formatPrice(cottage.basePricePerNight)} per night`;
+        }
+    }
+
+    async loadCalendar() {
+        this.calendar = {};
+        if (!this.bookingData.cottageId) return;
+
+        try {
+            const response = await wixFetch.fetch('/_functions/getAvailabilityCalendar', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    cottageId: this.bookingData.cottageId,
+                    month: this.toDateKey(new Date()).slice(0, 7),
+                    months: 6
+                })
+            });
+
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            const nights = result.data.cottages[0].nights;
+            nights.forEach(night => {
+                this.calendar[night.date] = night;
+            });
+
+            // Guests can only arrive on nights where a full minimum stay fits
+            $w('#checkInDate').disabledDates = nights
+                .filter(night => night.status !== 'available')
+                .map(night => this.fromDateKey(night.date));
+
+            this.restrictCheckOutDates();
+        } catch (error) {
+            // Without the calendar every date stays selectable; the availability check still applies
+            console.error('Error loading availability calendar:', error);
         }
     }
 
+    restrictCheckOutDates() {
+        this.showCalendarPrices();
+        if (!this.bookingData.checkInDate) return;
+
+        const checkIn = new Date(this.bookingData.checkInDate);
+        const arrival = this.calendar[this.toDateKey(checkIn)];
+        const minStay = arrival ? arrival.minStay : 1;
+
+        const minDate = new Date(checkIn);
+        minDate.setDate(minDate.getDate() + minStay);
+        $w('#checkOutDate').minDate = minDate;
+
+        // The stay can run up to the morning of the next taken night
+        let maxDate = null;
+        const date = new Date(checkIn);
+        date.setDate(date.getDate() + 1);
+        while (this.calendar[this.toDateKey(date)]) {
+            const status = this.calendar[this.toDateKey(date)].status;
+            if (status === 'booked' || status === 'blocked') {
+                maxDate = new Date(date);
+                break;
+            }
+            date.setDate(date.getDate() + 1);
+        }
+        $w('#checkOutDate').maxDate = maxDate;
+    }
+
+    showCalendarPrices() {
+        const nights = Object.values(this.calendar);
+        if (nights.length === 0) {
+            $w('#calendarPrices').hide();
+            return;
+        }
+
+        const arrival = this.bookingData.checkInDate && this.calendar[this.toDateKey(this.bookingData.checkInDate)];
+        if (arrival) {
+            $w('#calendarPrices').text = `${this.formatPrice(arrival.price)} on ${this.formatDate(this.bookingData.checkInDate)}` +
+                (arrival.minStay > 1 ? ` - minimum stay ${arrival.minStay} nights` : '');
+        } else {
+            const prices = nights.filter(night => night.status === 'available').map(night => night.price);
+            $w('#calendarPrices').text = prices.length > 0
+                ? `Nightly rates from ${this.formatPrice(Math.min(...prices))} to ${this.formatPrice(Math.max(...prices))}`
+                : 'No free nights in the next 6 months';
+        }
+        $w('#calendarPrices').show();
+    }
+
     validateDates() {
         const checkIn = new Date(this.bookingData.checkInDate);
         const checkOut = new Date(this.bookingData.checkOutDate);
@@ -264,22 +412,38 @@ export class ReservationForm {
     }
 
     validateGuestCount() {
-        if (!this.bookingData.cottageId) return true;
-        
+        const { children, childAges } = this.bookingData;
+        let message = '';
+
+        if (childAges.length !== children || childAges.some(age => !Number.isInteger(age) || age < 0 || age > 17)) {
+            message = children === 1
+                ? 'Please enter the age of your child (0 to 17)'
+                : `Please enter the ages of all ${children} children (0 to 17), separated by commas`;
+        }
+
         const cottage = this.cottages.find(c => c._id === this.bookingData.cottageId);
-        if (!cottage) return true;
-        
-        const isValid = this.bookingData.adults <= cottage.maxAdults;
-        
-        if (!isValid) {
-            $w('#guestValidationMessage').text = 
-                `Maximum ${cottage.maxAdults} adults allowed per cottage. Additional adults require a new room.`;
+        if (cottage && this.bookingData.adults > cottage.maxAdults) {
+            message = `Maximum ${cottage.maxAdults} adults allowed per cottage. Use "Add another cottage" to book more rooms together.`;
+        } else if (cottage && typeof cottage.maxChildren === 'number' && children > cottage.maxChildren) {
+            message = `Maximum ${cottage.maxChildren} children allowed in ${cottage.name}. Use "Add another cottage" to book more rooms together.`;
+        }
+
+        if (message) {
+            $w('#guestValidationMessage').text = message;
             $w('#guestValidationMessage').show();
         } else {
             $w('#guestValidationMessage').hide();
         }
         
-        return isValid;
+        return !message;
+    }
+
+    parseChildAges(text) {
+        // "4, 9" -> [4, 9]; anything that isn't a number is kept as NaN so it fails validation
+        return (text || '').split(',')
+            .map(age => age.trim())
+            .filter(age => age !== '')
+            .map(age => Number(age));
     }
 
     async checkAvailability() {
@@ -306,6 +470,15 @@ export class ReservationForm {
             const result = await response.json();
             
             if (result.success && result.data.isAvailable) {
+                // Hold the nights so nobody else can book them while the form is completed
+                const holdResult = await this.placeHold();
+                if (!holdResult.success) {
+                    this.availabilityResult = null;
+                    this.showAvailabilityError(holdResult.error || 'Cottage not available for selected dates');
+                    $w('#nextBtn').disable();
+                    return;
+                }
+
                 this.availabilityResult = result.data;
                 this.showAvailabilitySuccess();
                 $w('#nextBtn').enable();
@@ -324,6 +497,117 @@ export class ReservationForm {
         }
     }
 
+    async placeHold() {
+        // Only one hold at a time - drop any earlier one for previous dates
+        await this.releaseHold();
+
+        const response = await wixFetch.fetch('/_functions/placeBookingHold', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                cottageId: this.bookingData.cottageId,
+                checkInDate: this.bookingData.checkInDate,
+                checkOutDate: this.bookingData.checkOutDate
+            })
+        });
+
+        const result = await response.json();
+        if (result.success) {
+            this.bookingData.holdId = result.data.holdId;
+        }
+        return result;
+    }
+
+    async releaseHold() {
+        if (!this.bookingData.holdId) return;
+
+        const holdId = this.bookingData.holdId;
+        this.bookingData.holdId = null;
+        try {
+            await wixFetch.fetch('/_functions/releaseBookingHold', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ holdId })
+            });
+        } catch (error) {
+            // The hold expires on its own if this fails
+            console.error('Error releasing hold:', error);
+        }
+    }
+
+    // ===== GROUP BOOKINGS =====
+
+    addCottageLine() {
+        if (!this.bookingData.cottageId || !this.availabilityResult || !this.availabilityResult.isAvailable) {
+            this.showError('Please check availability before adding another cottage');
+            return;
+        }
+
+        // The held cottage moves into the group; the hold goes with it
+        this.bookingData.lines.push({
+            cottageId: this.bookingData.cottageId,
+            adults: this.bookingData.adults,
+            children: this.bookingData.children,
+            childAges: this.bookingData.childAges,
+            holdId: this.bookingData.holdId
+        });
+
+        this.bookingData.cottageId = '';
+        this.bookingData.holdId = null;
+        this.availabilityResult = null;
+        $w('#cottageSelection').value = '';
+        $w('#availabilityMessage').hide();
+
+        this.populateCottageSelection();
+        this.renderCottageLines();
+    }
+
+    renderCottageLines() {
+        const lines = this.bookingData.lines.map(line => {
+            const cottage = this.cottages.find(c => c._id === line.cottageId);
+            return `${cottage ? cottage.name : line.cottageId}: ${line.adults} adults, ${line.children} children`;
+        });
+
+        if (lines.length > 0) {
+            $w('#groupLinesList').text = lines.join('\n');
+            $w('#groupLinesList').show();
+        } else {
+            $w('#groupLinesList').hide();
+        }
+    }
+
+    getStayLines() {
+        // Cottages added to the group, plus the one currently selected
+        const lines = [...this.bookingData.lines];
+        if (this.bookingData.cottageId) {
+            lines.push({
+                cottageId: this.bookingData.cottageId,
+                adults: this.bookingData.adults,
+                children: this.bookingData.children,
+                childAges: this.bookingData.childAges,
+                holdId: this.bookingData.holdId
+            });
+        }
+        return lines;
+    }
+
+    getStayDates() {
+        // Package and dates are shared by every cottage of a group
+        return {
+            packageId: this.bookingData.packageId,
+            checkInDate: this.bookingData.checkInDate,
+            checkOutDate: this.bookingData.checkOutDate
+        };
+    }
+
+    isGroupBooking() {
+        return this.getStayLines().length > 1;
+    }
+
     showAvailabilitySuccess() {
         $w('#availabilityMessage').text = 'Great! Your selected cottage is available for the chosen dates.';
         $w('#availabilityMessage').style.color = '#4CAF50';
@@ -341,7 +625,7 @@ export class ReservationForm {
     populatePackageSelection() {
         const packageSelect = $w('#packageSelection');
         packageSelect.options = this.packages.map(pkg => ({
-            label: `${pkg.name} - $${pkg.price}`,
+            label: `${pkg.name} - ${this.formatPrice(pkg.price)}`,
             value: pkg._id
         }));
     }
@@ -352,7 +636,7 @@ export class ReservationForm {
         const packageData = this.packages.find(p => p._id === this.bookingData.packageId);
         if (packageData) {
             $w('#packageDescription').text = packageData.description;
-            $w('#packagePrice').text = `$${packageData.price}`;
+            $w('#packagePrice').text = this.formatPrice(packageData.price);
             $w('#packageFeatures').text = packageData.features.join(', ');
             
             // Show/hide safari section based on package
@@ -377,10 +661,52 @@ export class ReservationForm {
         this.generateSafariOptions(availableSafaris);
     }
 
-    generateSafariOptions(maxSafaris) {
-        // This would generate date/time options for safari selection
-        // Implementation depends on your specific safari scheduling logic
-        console.log(`Generating ${maxSafaris} safari options`);
+    async generateSafariOptions(maxSafaris) {
+        try {
+            const response = await wixFetch.fetch('/_functions/getSafariSlots', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    checkInDate: this.bookingData.checkInDate,
+                    checkOutDate: this.bookingData.checkOutDate,
+                    packageId: this.bookingData.packageId
+                })
+            });
+
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            // Only offer open slots that still have jeeps left
+            this.safariSlots = result.data.slots.filter(slot => slot.isAvailable);
+            this.maxSafaris = Math.min(maxSafaris, result.data.safarisRemaining);
+            this.bookingData.safariData = [];
+
+            $w('#safariCount').text = `You can book up to ${this.maxSafaris} safaris during your stay.`;
+            $w('#safariDate').minDate = new Date(this.bookingData.checkInDate);
+            $w('#safariDate').maxDate = new Date(this.bookingData.checkOutDate);
+            this.populateSafariTimes();
+            this.renderSafariSelections();
+
+        } catch (error) {
+            console.error('Error loading safari slots:', error);
+            this.showError('Failed to load safari times');
+        }
+    }
+
+    populateSafariTimes() {
+        const safariDate = $w('#safariDate').value;
+        const dateKey = safariDate ? this.toDateKey(safariDate) : null;
+
+        $w('#safariTime').options = this.safariSlots
+            .filter(slot => slot.dateKey === dateKey)
+            .map(slot => ({
+                label: `${slot.slot} (${slot.startTime}) - ${slot.zoneName}, ${slot.remaining} jeeps left`,
+                value: `${slot.zoneId}|${slot.slot}`
+            }));
     }
 
     updateSafariData() {
@@ -388,30 +714,55 @@ export class ReservationForm {
         const safariDate = $w('#safariDate').value;
         const safariTime = $w('#safariTime').value;
         
-        if (safariDate && safariTime) {
-            this.bookingData.safariData.push({
-                date: safariDate,
-                time: safariTime,
-                type: 'Standard'
-            });
+        if (!safariDate || !safariTime) return;
+
+        if (this.bookingData.safariData.length >= this.maxSafaris) {
+            this.showError(`Your package includes ${this.maxSafaris} safaris`);
+            return;
+        }
+
+        const [zoneId, slot] = safariTime.split('|');
+        const date = this.toDateKey(safariDate);
+        const alreadyChosen = this.bookingData.safariData
+            .some(safari => safari.date === date && safari.slot === slot);
+
+        if (!alreadyChosen) {
+            this.bookingData.safariData.push({ date, zoneId, slot });
+            this.renderSafariSelections();
         }
     }
 
+    renderSafariSelections() {
+        $w('#safariSelections').text = this.bookingData.safariData
+            .map(safari => `${this.formatDate(safari.date)} - ${safari.slot}`)
+            .join('\n');
+    }
+
     // ===== STEP 4: SUMMARY & PAYMENT =====
     
     async generateSummary() {
         try {
-            // Calculate costs
-            const response = await wixFetch.fetch('/_functions/calculateBookingCost', {
+            // Calculate costs - one quote per cottage line for a group
+            const endpoint = this.isGroupBooking() ? 'calculateGroupBookingCost' : 'calculateBookingCost';
+            const response = await wixFetch.fetch(`/_functions/${endpoint}`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({
+                body: JSON.stringify(this.isGroupBooking() ? {
+                    ...this.getStayDates(),
+                    lines: this.getStayLines(),
+                    currency: this.getCurrency()
+                } : {
+                    ...this.getStayDates(),
                     cottageId: this.bookingData.cottageId,
-                    packageId: this.bookingData.packageId,
-                    checkInDate: this.bookingData.checkInDate,
-                    checkOutDate: this.bookingData.checkOutDate
+                    children: this.bookingData.children,
+                    childAges: this.bookingData.childAges,
+                    promoCode: this.bookingData.promoCode,
+                    guestEmail: $w('#customerEmail').value,
+                    currency: this.getCurrency(),
+                    // Lock this price for the booking made from the summary
+                    saveQuote: true
                 })
             });
             
@@ -419,6 +770,13 @@ export class ReservationForm {
             if (result.success) {
                 this.costBreakdown = result.data;
                 this.displaySummary();
+            } else if (this.bookingData.promoCode) {
+                // The code was refused - show why and price without it
+                $w('#promoMessage').text = result.error;
+                this.bookingData.promoCode = '';
+                await this.generateSummary();
+            } else {
+                this.showError(result.error || 'Failed to generate booking summary');
             }
         } catch (error) {
             console.error('Error generating summary:', error);
@@ -427,19 +785,63 @@ export class ReservationForm {
     }
 
     displaySummary() {
-        const cottage = this.cottages.find(c => c._id === this.bookingData.cottageId);
+        const stayLines = this.getStayLines();
+        const cottageNames = stayLines.map(line => this.cottages.find(c => c._id === line.cottageId).name);
+        const adults = stayLines.reduce((sum, line) => sum + line.adults, 0);
+        const children = stayLines.reduce((sum, line) => sum + line.children, 0);
         const packageData = this.packages.find(p => p._id === this.bookingData.packageId);
         
         // Display booking summary
-        $w('#summaryCottage').text = cottage.name;
+        $w('#summaryCottage').text = cottageNames.join(', ');
         $w('#summaryDates').text = `${this.formatDate(this.bookingData.checkInDate)} - ${this.formatDate(this.bookingData.checkOutDate)}`;
-        $w('#summaryGuests').text = `${this.bookingData.adults} adults, ${this.bookingData.children} children`;
+        $w('#summaryGuests').text = `${adults} adults, ${children} children`;
         $w('#summaryPackage').text = packageData.name;
         
         // Display cost breakdown
-        $w('#summaryRoomCost').text = `$${this.costBreakdown.roomCost}`;
-        $w('#summaryPackageCost').text = `$${this.costBreakdown.packageCost}`;
-        $w('#summaryTotal').text = `$${this.costBreakdown.totalCost}`;
+        // Amounts come back already converted into the chosen currency
+        $w('#summaryRoomCost').text = this.formatAmount(this.costBreakdown.roomCost);
+        $w('#summaryPackageCost').text = this.formatAmount(this.costBreakdown.packageCost);
+        $w('#summaryTax').text = this.formatAmount(this.costBreakdown.taxAmount);
+        $w('#summaryTotal').text = this.formatAmount(this.costBreakdown.totalCost);
+        $w('#summaryNightlyRates').text = this.formatNightlyRates(this.costBreakdown.nightlyRates);
+        $w('#summaryLineItems').text = this.formatLineItems(this.costBreakdown.lineItems);
+        $w('#summaryPaymentSchedule').text = this.formatPaymentSchedule(this.costBreakdown.paymentSchedule);
+
+        // Only offer to pay everything now when the stay is paid in instalments
+        if ((this.costBreakdown.paymentSchedule || []).length > 1) {
+            $w('#payInFull').show();
+        } else {
+            $w('#payInFull').checked = false;
+            $w('#payInFull').hide();
+        }
+
+        if (this.costBreakdown.discountAmount > 0) {
+            $w('#summaryDiscount').text = `-${this.formatAmount(this.costBreakdown.discountAmount)} (${this.costBreakdown.promotion.code})`;
+            $w('#summaryDiscount').show();
+            $w('#promoMessage').text = `Promo code ${this.costBreakdown.promotion.code} applied`;
+        } else {
+            $w('#summaryDiscount').hide();
+        }
+
+        if (this.costBreakdown.currency !== this.costBreakdown.baseCurrency) {
+            $w('#summaryCurrencyNote').text = `Charged in ${this.costBreakdown.currency} at ` +
+                `1 ${this.costBreakdown.baseCurrency} = ${this.costBreakdown.exchangeRate} ${this.costBreakdown.currency}. ` +
+                `Your GST invoice is issued in ${this.costBreakdown.baseCurrency} (${this.formatAmount(this.costBreakdown.baseTotalCost, this.costBreakdown.baseCurrency)}).`;
+            $w('#summaryCurrencyNote').show();
+        } else {
+            $w('#summaryCurrencyNote').hide();
+        }
+
+        // Explain how the children were priced, once per cottage whose rules apply
+        const childRules = [...new Set((this.costBreakdown.lines || [this.costBreakdown])
+            .filter(line => line.childPricing && line.childPricing.children.length > 0)
+            .flatMap(line => line.childPricing.rules))];
+        if (childRules.length > 0) {
+            $w('#summaryChildPricing').text = childRules.join('\n');
+            $w('#summaryChildPricing').show();
+        } else {
+            $w('#summaryChildPricing').hide();
+        }
         
         // Display safari information if applicable
         if (this.bookingData.safariData.length > 0) {
@@ -451,6 +853,44 @@ export class ReservationForm {
         }
     }
 
+    applyPromoCode() {
+        if (this.isGroupBooking()) {
+            $w('#promoMessage').text = 'Promo codes cannot be used on group bookings';
+            return;
+        }
+
+        // Re-quoting checks the code; the booking checks it again when it is made
+        this.bookingData.promoCode = ($w('#promoCode').value || '').trim();
+        $w('#promoMessage').text = '';
+        this.generateSummary();
+    }
+
+    formatNightlyRates(nightlyRates) {
+        // One line per night, naming the season/festival/weekend rules that changed the rate
+        return (nightlyRates || []).map(night => {
+            const reasons = night.adjustments.map(adjustment => adjustment.name);
+            const suffix = reasons.length > 0 ? ` (${reasons.join(', ')})` : '';
+            return `${this.formatDate(night.date)}: ${this.formatAmount(night.rate)}${suffix}`;
+        }).join('\n');
+    }
+
+    formatLineItems(lineItems) {
+        // One line per charge with its GST, as priced by the backend
+        return (lineItems || []).map(item => {
+            const cottage = item.cottageId ? this.cottages.find(c => c._id === item.cottageId) : null;
+            const label = cottage ? `${cottage.name} - ${item.description}` : item.description;
+            const quantity = item.quantity > 1 ? ` x ${item.quantity}` : '';
+            return `${label}${quantity}: ${this.formatAmount(item.taxableAmount)} + ${item.taxRate}% GST ${this.formatAmount(item.taxAmount)}`;
+        }).join('\n');
+    }
+
+    formatPaymentSchedule(paymentSchedule) {
+        // e.g. "30% deposit due at booking: $45.00 (Dec 1, 2026)"
+        return (paymentSchedule || []).map(instalment =>
+            `${instalment.description}: ${this.formatAmount(instalment.amount)} (${this.formatDate(instalment.dueDate)})`
+        ).join('\n');
+    }
+
     // ===== NAVIGATION =====
     
     nextStep() {
@@ -489,7 +929,7 @@ export class ReservationForm {
     }
 
     validateStep1() {
-        if (!this.bookingData.cottageId) {
+        if (this.getStayLines().length === 0) {
             this.showError('Please select a cottage');
             return false;
         }
@@ -499,7 +939,9 @@ export class ReservationForm {
             return false;
         }
         
-        if (!this.availabilityResult || !this.availabilityResult.isAvailable) {
+        // Cottages already added to the group were checked when they were added
+        const needsCheck = Boolean(this.bookingData.cottageId);
+        if (needsCheck && (!this.availabilityResult || !this.availabilityResult.isAvailable)) {
             this.showError('Please check availability before proceeding');
             return false;
         }
@@ -528,28 +970,51 @@ export class ReservationForm {
     
     async proceedToPayment() {
         try {
-            // Create the booking first
-            const response = await wixFetch.fetch('/_functions/createBooking', {
+            // Create the booking first - several cottages go in as one group booking
+            const endpoint = this.isGroupBooking() ? 'createGroupBooking' : 'createBooking';
+            const response = await wixFetch.fetch(`/_functions/${endpoint}`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({
-                    ...this.bookingData,
-                    customerInfo: this.getCustomerInfo()
+                // Only the fields each endpoint accepts - anything else is refused
+                body: JSON.stringify(this.isGroupBooking() ? {
+                    ...this.getStayDates(),
+                    lines: this.getStayLines(),
+                    customerInfo: this.getCustomerInfo(),
+                    currency: this.bookingData.currency
+                } : {
+                    ...this.getStayDates(),
+                    cottageId: this.bookingData.cottageId,
+                    adults: this.bookingData.adults,
+                    children: this.bookingData.children,
+                    childAges: this.bookingData.childAges,
+                    holdId: this.bookingData.holdId,
+                    promoCode: this.bookingData.promoCode,
+                    customerInfo: this.getCustomerInfo(),
+                    currency: this.bookingData.currency,
+                    quoteId: this.costBreakdown && this.costBreakdown.quoteId
                 })
             });
             
             const result = await response.json();
             
             if (result.success) {
+                // The holds were converted into the booking
+                this.bookingData.holdId = null;
+                this.bookingData.lines = [];
+
                 // Create safari bookings if applicable
                 if (this.bookingData.safariData.length > 0) {
-                    await this.createSafariBookings(result.data._id);
+                    await this.createSafariBookings(result.data);
                 }
                 
-                // Redirect to payment or show success message
-                this.showPaymentSuccess(result.data);
+                // Take payment for the booking
+                await this.startPayment(result.data);
+            } else if (['QUOTE_EXPIRED', 'QUOTE_MISMATCH', 'QUOTE_USED'].includes(result.code)) {
+                // The price shown is no longer valid - show the current one
+                await this.generateSummary();
+                this.showError(result.error);
             } else {
                 this.showError(result.error || 'Failed to create booking');
             }
@@ -560,7 +1025,42 @@ export class ReservationForm {
         }
     }
 
-    async createSafariBookings(bookingId) {
+    async startPayment(booking) {
+        const response = await wixFetch.fetch('/_functions/createPaymentOrder', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                ...this.getBookingCredentials(booking),
+                payInFull: $w('#payInFull').checked
+            })
+        });
+
+        const result = await response.json();
+        if (!result.success) {
+            this.showError(result.error || 'Failed to start payment');
+            return;
+        }
+
+        // Hosted checkout pages report back through the payment webhook
+        if (result.data.checkoutUrl) {
+            wixLocation.to(result.data.checkoutUrl);
+        } else {
+            this.showPaymentSuccess(booking);
+        }
+    }
+
+    // The endpoints acting on the new booking need its reference and email
+    getBookingCredentials(booking) {
+        return {
+            bookingId: booking._id,
+            reference: booking.bookingReference,
+            email: booking.customerInfo && booking.customerInfo.email
+        };
+    }
+
+    async createSafariBookings(booking) {
         try {
             const response = await wixFetch.fetch('/_functions/createSafariBookings', {
                 method: 'POST',
@@ -568,7 +1068,7 @@ export class ReservationForm {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    bookingId: bookingId,
+                    ...this.getBookingCredentials(booking),
                     safariData: this.bookingData.safariData
                 })
             });
@@ -601,6 +1101,18 @@ export class ReservationForm {
         return Math.ceil(timeDiff / (1000 * 3600 * 24));
     }
 
+    toDateKey(date) {
+        const day = new Date(date);
+        const month = String(day.getMonth() + 1).padStart(2, '0');
+        const dayOfMonth = String(day.getDate()).padStart(2, '0');
+        return `${day.getFullYear()}-${month}-${dayOfMonth}`;
+    }
+
+    fromDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
     formatDate(date) {
         return new Date(date).toLocaleDateString('en-US', {
             year: 'numeric',
@@ -609,6 +1121,41 @@ export class ReservationForm {
         });
     }
 
+    getCurrency() {
+        return this.bookingData.currency || this.baseCurrency;
+    }
+
+    changeCurrency(currency) {
+        this.bookingData.currency = currency;
+
+        // Refresh every price on screen; the summary is re-quoted by the backend
+        this.updateCottageInfo();
+        this.showCalendarPrices();
+        if (this.currentStep >= 2) {
+            this.populatePackageSelection();
+            $w('#packageSelection').value = this.bookingData.packageId;
+            const packageData = this.packages.find(p => p._id === this.bookingData.packageId);
+            if (packageData) {
+                $w('#packagePrice').text = this.formatPrice(packageData.price);
+            }
+        }
+        if (this.currentStep === 4) {
+            this.generateSummary();
+        }
+    }
+
+    formatPrice(baseAmount) {
+        // Catalogue prices are in the base currency; this is only a guide, the quote is exact
+        const rate = this.exchangeRates.find(item => item.currency === this.getCurrency());
+        return rate
+            ? this.formatAmount(baseAmount * rate.rate, rate.currency)
+            : this.formatAmount(baseAmount, this.baseCurrency);
+    }
+
+    formatAmount(amount, currency = this.getCurrency()) {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency }).format(amount || 0);
+    }
+
     showError(message) {
         $w('#errorMessage').text = message;
         $w('#errorMessage').show();
@@ -624,8 +1171,10 @@ export class ReservationForm {
         $w('#reservationForm').hide();
         $w('#successMessage').show();
         
-        $w('#bookingId').text = booking._id;
-        $w('#successMessage').text = 'Your booking has been created successfully! You will receive a confirmation email shortly.';
+        $w('#bookingId').text = booking.bookingReference || booking._id;
+        $w('#successMessage').text = (booking.paymentSchedule || []).length > 1 && !$w('#payInFull').checked
+            ? 'Your booking has been created successfully! It will be confirmed as soon as your deposit is received.'
+            : 'Your booking has been created successfully! It will be confirmed as soon as your payment is received.';
     }
 }
 
@@ -0,0 +1,108 @@
+// API keys for the HTTP functions and guest tokens for a single booking
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setSecrets } from 'wix-secrets-backend';
+import { ROLES, getHttpCaller, assertRole, issueGuestToken, verifyGuestToken } from 'backend/auth';
+import { post_updateBookingStatus, post_setExchangeRate } from 'backend/http-functions';
+import { GuestBookingService } from 'backend/guestBookingService';
+import { ReservationService } from 'backend/reservationService';
+import { InvoiceService } from 'backend/invoiceService';
+import { InMemoryRepository } from 'backend/dataRepository';
+import { COLLECTIONS } from 'backend/collections';
+import { addDays, startOfDay } from 'backend/dateUtils';
+
+setSecrets({
+    STAFF_API_KEY: 'staff-key',
+    OWNER_API_KEY: 'owner-key',
+    GUEST_TOKEN_SECRET: 'guest-token-secret'
+});
+
+function request(headers, payload = {}) {
+    return { headers, body: { text: async () => JSON.stringify(payload) } };
+}
+
+async function send(handler, headers, payload) {
+    const response = await handler(request(headers, payload));
+    return { status: response.status, body: JSON.parse(response.body) };
+}
+
+async function createGuestBooking() {
+    const repository = new InMemoryRepository({
+        [COLLECTIONS.COTTAGES]: [{ _id: 'hornbill', name: 'Hornbill', basePricePerNight: 7000, maxAdults: 2, isActive: true }],
+        [COLLECTIONS.PACKAGES]: [{ _id: 'basic', name: 'Basic', price: 2000, isActive: true }]
+    });
+    const reservationService = new ReservationService({ repository });
+    const service = new GuestBookingService({
+        repository,
+        services: { reservationService, invoiceService: new InvoiceService({ repository }) }
+    });
+    const booking = await reservationService.createBooking({
+        cottageId: 'hornbill',
+        packageId: 'basic',
+        checkInDate: addDays(startOfDay(new Date()), 60),
+        checkOutDate: addDays(startOfDay(new Date()), 62),
+        adults: 2,
+        customerInfo: { name: 'Asha', email: 'asha@example.com' }
+    });
+    return { service, booking };
+}
+
+test('API keys identify staff and owners, by header or bearer token', async () => {
+    assert.equal((await getHttpCaller(request({ 'x-api-key': 'staff-key' }))).role, ROLES.STAFF);
+    assert.equal((await getHttpCaller(request({ authorization: 'Bearer owner-key' }))).role, ROLES.OWNER);
+    assert.deepEqual(await getHttpCaller(request({})), { role: ROLES.GUEST, authenticated: false, name: 'guest' });
+    await assert.rejects(getHttpCaller(request({ 'x-api-key': 'staff-key-2' })), { status: 401, code: 'UNAUTHENTICATED' });
+});
+
+test('owners can do what staff can, but not the other way round', () => {
+    const staff = { role: ROLES.STAFF, authenticated: true };
+
+    assert.equal(assertRole({ role: ROLES.OWNER, authenticated: true }, ROLES.STAFF).role, ROLES.OWNER);
+    assert.throws(() => assertRole(staff, ROLES.OWNER), { status: 403, code: 'FORBIDDEN' });
+    assert.throws(() => assertRole({ role: ROLES.GUEST, authenticated: false }, ROLES.STAFF), { status: 401 });
+});
+
+test('staff endpoints answer 401 without a valid key and 403 without the role', async () => {
+    const payload = { bookingId: 'booking-1', status: 'Confirmed' };
+
+    const anonymous = await send(post_updateBookingStatus, {}, payload);
+    assert.equal(anonymous.status, 401);
+    assert.deepEqual(anonymous.body, { success: false, error: 'Authentication required', code: 'UNAUTHENTICATED' });
+
+    assert.equal((await send(post_updateBookingStatus, { 'x-api-key': 'wrong' }, payload)).status, 401);
+
+    const staff = await send(post_setExchangeRate, { 'x-api-key': 'staff-key' }, { currency: 'USD', rate: 0.012 });
+    assert.equal(staff.status, 403);
+    assert.equal(staff.body.code, 'FORBIDDEN');
+});
+
+test('a guest token opens one booking until it expires', async () => {
+    const token = await issueGuestToken('booking-1', new Date(Date.now() + 60000));
+    const [bookingId, expiry, signature] = token.split('.');
+
+    assert.equal(await verifyGuestToken(token), 'booking-1');
+    await assert.rejects(verifyGuestToken(`booking-2.${expiry}.${signature}`), { status: 401, message: 'Invalid booking token' });
+    await assert.rejects(verifyGuestToken(`${bookingId}.${Number(expiry) + 86400}.${signature}`), { status: 401 });
+    await assert.rejects(verifyGuestToken('not-a-token'), { status: 401 });
+
+    const expired = await issueGuestToken('booking-1', new Date(Date.now() - 1000));
+    await assert.rejects(verifyGuestToken(expired), { status: 401, message: 'Booking token has expired' });
+});
+
+test('guests reach only the booking their credentials open', async () => {
+    const { service, booking } = await createGuestBooking();
+    const guest = { role: ROLES.GUEST, authenticated: false };
+    const { token } = await service.signIn({ reference: booking.bookingReference, email: 'ASHA@example.com' });
+
+    await service.assertBookingAccess(guest, { token }, booking._id);
+    await service.assertBookingAccess(guest, { reference: booking.bookingReference, email: 'asha@example.com' }, booking._id);
+    await assert.rejects(service.assertBookingAccess(guest, { token }, 'another-booking'), { status: 403, code: 'FORBIDDEN' });
+    await assert.rejects(service.assertBookingAccess(guest, { reference: booking.bookingReference, email: 'someone@example.com' }, booking._id),
+        { status: 401, code: 'UNAUTHENTICATED' });
+    await assert.rejects(service.assertBookingAccess(guest, {}, booking._id), { status: 401 });
+
+    // Staff need no guest credentials
+    await service.assertBookingAccess({ role: ROLES.STAFF, authenticated: true }, {}, 'another-booking');
+});
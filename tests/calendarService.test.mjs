@@ -0,0 +1,68 @@
+// Month-view availability calendar, on an InMemoryRepository
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReservationService } from 'backend/reservationService';
+import { CalendarService, NIGHT_STATUS } from 'backend/calendarService';
+import { BlockService } from 'backend/blockService';
+import { InMemoryRepository } from 'backend/dataRepository';
+import { COLLECTIONS } from 'backend/collections';
+import { addDays, toDateKey } from 'backend/dateUtils';
+
+// First of the month three months from now, and a key for each of its days
+const TODAY = new Date();
+const MONTH_START = new Date(TODAY.getFullYear(), TODAY.getMonth() + 3, 1);
+const MONTH = toDateKey(MONTH_START).slice(0, 7);
+const day = dayOfMonth => addDays(MONTH_START, dayOfMonth - 1);
+const dayKey = dayOfMonth => toDateKey(day(dayOfMonth));
+
+function createCalendar() {
+    const repository = new InMemoryRepository({
+        [COLLECTIONS.COTTAGES]: [{ _id: 'hornbill', name: 'Hornbill', basePricePerNight: 7000, maxAdults: 2, minStay: 2, isActive: true }],
+        [COLLECTIONS.PACKAGES]: [{ _id: 'room', name: 'Room only', price: 0, isActive: true }]
+    });
+    const reservationService = new ReservationService({ repository });
+    return {
+        reservationService,
+        blocks: new BlockService({ repository, services: { reservationService } }),
+        calendar: new CalendarService({ repository, services: { reservationService } })
+    };
+}
+
+function nightsByDate(calendar) {
+    return Object.fromEntries(calendar.cottages[0].nights.map(night => [night.date, night]));
+}
+
+test('each night shows whether it is booked, blocked or too short a gap', async () => {
+    const { reservationService, blocks, calendar } = createCalendar();
+    await reservationService.createBooking({
+        cottageId: 'hornbill',
+        packageId: 'room',
+        checkInDate: day(10),
+        checkOutDate: day(12),
+        adults: 2,
+        customerInfo: { name: 'Asha', email: 'asha@example.com' }
+    });
+    await blocks.createBlock({ cottageId: 'hornbill', startDate: day(13), endDate: day(15), name: 'Roof', reason: 'Repairs' });
+
+    const result = await calendar.getCalendar({ month: MONTH });
+    const nights = nightsByDate(result);
+
+    assert.equal(result.cottages[0].nights.length, new Date(MONTH_START.getFullYear(), MONTH_START.getMonth() + 1, 0).getDate());
+    assert.equal(nights[dayKey(8)].status, NIGHT_STATUS.AVAILABLE);
+    // Only one free night before the booking, and the cottage's minimum stay is two
+    assert.equal(nights[dayKey(9)].status, NIGHT_STATUS.MIN_STAY);
+    assert.equal(nights[dayKey(10)].status, NIGHT_STATUS.BOOKED);
+    assert.equal(nights[dayKey(11)].status, NIGHT_STATUS.BOOKED);
+    // One free night between the booking and the block is less than the two-night minimum
+    assert.equal(nights[dayKey(12)].status, NIGHT_STATUS.MIN_STAY);
+    assert.equal(nights[dayKey(13)].status, NIGHT_STATUS.BLOCKED);
+    assert.equal(nights[dayKey(8)].price, 7000);
+});
+
+test('a month outside YYYY-MM is refused', async () => {
+    const { calendar } = createCalendar();
+
+    await assert.rejects(calendar.getCalendar({ month: '2027-13' }), { status: 400 });
+});
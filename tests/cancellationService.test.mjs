@@ -0,0 +1,97 @@
+// Cancellation policies, refunds and where they are paid back
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CancellationService, DEFAULT_CANCELLATION_POLICY } from 'backend/cancellationService';
+import { PaymentScheduleService } from 'backend/paymentScheduleService';
+import { ReservationService } from 'backend/reservationService';
+import { InMemoryRepository } from 'backend/dataRepository';
+import { COLLECTIONS, BOOKING_STATUS, PAYMENT_STATUS } from 'backend/collections';
+import { addDays, startOfDay } from 'backend/dateUtils';
+
+const policy = (name, refundPercent) => ({ name, tiers: [{ minDaysBefore: 0, refundPercent }] });
+
+function day(dateKey) {
+    return new Date(`${dateKey}T00:00:00`);
+}
+
+test('the most specific policy for the arrival date wins', () => {
+    const service = new CancellationService({ repository: new InMemoryRepository() });
+    const rules = prefix => ({
+        seasons: [{ name: `${prefix} peak`, from: '12-01', to: '01-31', cancellationPolicy: policy(`${prefix} season`, 10) }],
+        festivals: [{ name: `${prefix} new year`, from: '2027-12-30', to: '2028-01-01', cancellationPolicy: policy(`${prefix} festival`, 0) }]
+    });
+    const cottage = { _id: 'hornbill', seasonalPricing: rules('Cottage') };
+    const packageData = { _id: 'basic', name: 'Basic', cancellationPolicy: policy('Package', 50), seasonalPricing: rules('Package') };
+    const resolve = (cottageRecord, packageRecord, date) => {
+        const resolved = service.resolvePolicy(cottageRecord, packageRecord, day(date));
+        return [resolved.name, resolved.source];
+    };
+
+    assert.deepEqual(resolve(cottage, packageData, '2027-12-31'), ['Package festival', 'festival']);
+    assert.deepEqual(resolve(cottage, packageData, '2027-12-10'), ['Package season', 'season']);
+    assert.deepEqual(resolve(cottage, { ...packageData, seasonalPricing: null }, '2027-12-31'), ['Cottage festival', 'festival']);
+    assert.deepEqual(resolve(cottage, { ...packageData, seasonalPricing: null }, '2027-12-10'), ['Cottage season', 'season']);
+    assert.deepEqual(resolve(cottage, { ...packageData, seasonalPricing: null }, '2027-06-10'), ['Package', 'package']);
+    assert.deepEqual(resolve(null, null, '2027-06-10'), [DEFAULT_CANCELLATION_POLICY.name, 'default']);
+});
+
+test('the tier is picked by days before check-in, and non-refundable keeps everything', () => {
+    const service = new CancellationService({ repository: new InMemoryRepository() });
+
+    assert.equal(service.getTier(DEFAULT_CANCELLATION_POLICY, 30).refundPercent, 100);
+    assert.equal(service.getTier(DEFAULT_CANCELLATION_POLICY, 29).refundPercent, 50);
+    assert.equal(service.getTier(DEFAULT_CANCELLATION_POLICY, 6).refundPercent, 0);
+    assert.equal(service.getTier({ nonRefundable: true, tiers: DEFAULT_CANCELLATION_POLICY.tiers }, 90).refundPercent, 0);
+    assert.deepEqual(service.describePolicy(DEFAULT_CANCELLATION_POLICY), [
+        'Cancel 30 or more days before check-in: 100% refund',
+        'Cancel 7 or more days before check-in: 50% refund',
+        'Cancel later: 0% refund'
+    ]);
+});
+
+test('the refund is what was paid beyond the penalty, never more', async () => {
+    const repository = new InMemoryRepository({
+        [COLLECTIONS.PAYMENTS]: [{ bookingId: 'b1', amount: 6000, status: PAYMENT_STATUS.PAID, paidDate: day('2027-01-01') }]
+    });
+    const service = new CancellationService({ repository, services: { paymentScheduleService: new PaymentScheduleService({ repository }) } });
+    const booking = { _id: 'b1', totalCost: 10000, checkInDate: day('2027-03-31'), status: BOOKING_STATUS.CONFIRMED };
+    const refundOn = async date => {
+        const refund = await service.calculateRefund(booking, day(date));
+        return [refund.daysBeforeCheckIn, refund.penalty, refund.refundAmount];
+    };
+
+    assert.deepEqual(await refundOn('2027-02-01'), [58, 0, 6000]);
+    assert.deepEqual(await refundOn('2027-03-21'), [10, 5000, 1000]);
+    assert.deepEqual(await refundOn('2027-03-28'), [3, 10000, 0]);
+});
+
+test('cancelling records the refund owed against the latest payments first', async () => {
+    const repository = new InMemoryRepository({
+        [COLLECTIONS.COTTAGES]: [{ _id: 'hornbill', name: 'Hornbill', basePricePerNight: 7000, maxAdults: 2, isActive: true }],
+        [COLLECTIONS.PACKAGES]: [{ _id: 'basic', name: 'Basic', price: 2000, isActive: true, cancellationPolicy: policy('Mostly refundable', 90) }]
+    });
+    const service = new ReservationService({ repository });
+    const today = startOfDay(new Date());
+    // 17,060 in all, so the policy keeps 1,706 of the 7,000 paid
+    const booking = await service.createBooking({
+        cottageId: 'hornbill',
+        packageId: 'basic',
+        checkInDate: addDays(today, 60),
+        checkOutDate: addDays(today, 62),
+        adults: 2,
+        customerInfo: { name: 'Asha', email: 'asha@example.com' }
+    });
+    const first = await repository.insert(COLLECTIONS.PAYMENTS, { bookingId: booking._id, amount: 3000, status: PAYMENT_STATUS.PAID, paidDate: addDays(today, -10) });
+    const second = await repository.insert(COLLECTIONS.PAYMENTS, { bookingId: booking._id, amount: 4000, status: PAYMENT_STATUS.PAID, paidDate: addDays(today, -5) });
+
+    const { booking: cancelled, refund } = await service.cancelBooking(booking._id, { cancelledBy: 'staff' });
+
+    assert.equal(refund.penalty, 1706);
+    assert.equal(refund.refundAmount, 5294);
+    assert.deepEqual(refund.payments.map(payment => [payment.paymentId, payment.refundDue]), [[second._id, 4000], [first._id, 1294]]);
+    assert.equal(cancelled.refundDue, 5294);
+    assert.deepEqual([cancelled.cancellationPolicy.name, cancelled.cancellationPolicy.refundPercent], ['Mostly refundable', 90]);
+    assert.equal((await repository.get(COLLECTIONS.PAYMENTS, first._id)).refundDue, 1294);
+});
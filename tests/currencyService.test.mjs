@@ -0,0 +1,50 @@
+// The base currency, read from the BASE_CURRENCY secret
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setSecrets } from 'wix-secrets-backend';
+import { CurrencyService } from 'backend/currencyService';
+import { ReservationService } from 'backend/reservationService';
+import { InvoiceService } from 'backend/invoiceService';
+import { InMemoryRepository } from 'backend/dataRepository';
+import { COLLECTIONS } from 'backend/collections';
+import { addDays, startOfDay } from 'backend/dateUtils';
+
+test('rupees are the base currency until the secret says otherwise', async () => {
+    const service = new CurrencyService({ repository: new InMemoryRepository() });
+
+    assert.equal(await service.getBaseCurrency(), 'INR');
+    assert.deepEqual(await service.getExchangeRate(), { currency: 'INR', rate: 1 });
+});
+
+test('the BASE_CURRENCY secret sets the currency every service works in', async () => {
+    setSecrets({ BASE_CURRENCY: 'usd' });
+    const repository = new InMemoryRepository({
+        [COLLECTIONS.COTTAGES]: [{ _id: 'hornbill', name: 'Hornbill', basePricePerNight: 100, maxAdults: 2, isActive: true }],
+        [COLLECTIONS.PACKAGES]: [{ _id: 'room', name: 'Room only', price: 0, isActive: true }],
+        [COLLECTIONS.EXCHANGE_RATES]: [{ _id: 'INR', currency: 'INR', rate: 83, isActive: true }]
+    });
+    const reservationService = new ReservationService({ repository });
+    const { currencyService } = reservationService;
+    const invoiceService = new InvoiceService({ repository, services: { currencyService } });
+
+    const rates = await currencyService.getExchangeRates();
+    assert.equal(rates.baseCurrency, 'USD');
+    assert.deepEqual(rates.rates.map(rate => rate.currency), ['USD', 'INR']);
+    await assert.rejects(currencyService.setExchangeRate('usd', 2), { code: 'INVALID_CURRENCY' });
+
+    const booking = await reservationService.createBooking({
+        cottageId: 'hornbill',
+        packageId: 'room',
+        checkInDate: addDays(startOfDay(new Date()), 60),
+        checkOutDate: addDays(startOfDay(new Date()), 62),
+        adults: 2,
+        customerInfo: { name: 'Asha', email: 'asha@example.com' }
+    });
+    const invoice = await invoiceService.issueInvoice(booking._id);
+
+    assert.equal(booking.currency, 'USD');
+    assert.equal(invoice.currency, 'USD');
+    assert.match(invoiceService.renderHtml(invoice), /<td>Total<\/td><td>\$200\.00<\/td>/);
+});
@@ -0,0 +1,117 @@
+// iCal feed export and channel import, on an InMemoryRepository
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setSecrets } from 'wix-secrets-backend';
+import { IcalService, ICAL_UID_DOMAIN } from 'backend/icalService';
+import { ReservationService } from 'backend/reservationService';
+import { BlockService } from 'backend/blockService';
+import { InMemoryRepository } from 'backend/dataRepository';
+import { COLLECTIONS } from 'backend/collections';
+import { addDays, startOfDay, toDateKey } from 'backend/dateUtils';
+
+setSecrets({ ICAL_UID_SECRET: 'ical-uid-secret' });
+
+const TODAY = startOfDay(new Date());
+
+function createIcal() {
+    const repository = new InMemoryRepository({
+        [COLLECTIONS.COTTAGES]: [{ _id: 'hornbill', name: 'Hornbill', basePricePerNight: 7000, maxAdults: 2, isActive: true }],
+        [COLLECTIONS.PACKAGES]: [{ _id: 'room', name: 'Room only', price: 0, isActive: true }]
+    });
+    const reservationService = new ReservationService({ repository });
+    const blockService = new BlockService({ repository, services: { reservationService } });
+    return { reservationService, blockService, ical: new IcalService({ repository, services: { blockService } }) };
+}
+
+function bookNights(reservationService, fromDay, toDay) {
+    return reservationService.createBooking({
+        cottageId: 'hornbill',
+        packageId: 'room',
+        checkInDate: addDays(TODAY, fromDay),
+        checkOutDate: addDays(TODAY, toDay),
+        adults: 2,
+        customerInfo: { name: 'Asha', email: 'asha@example.com' }
+    });
+}
+
+// A channel feed with one all-day event per [uid, first day, day after the last night]
+function channelFeed(events) {
+    const icalDate = day => toDateKey(addDays(TODAY, day)).replace(/-/g, '');
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        ...events.flatMap(([uid, fromDay, toDay]) => [
+            'BEGIN:VEVENT',
+            `UID:${uid}`,
+            `DTSTART;VALUE=DATE:${icalDate(fromDay)}`,
+            `DTEND;VALUE=DATE:${icalDate(toDay)}`,
+            'SUMMARY:Reserved',
+            'END:VEVENT'
+        ]),
+        'END:VCALENDAR'
+    ].join('\r\n');
+}
+
+function uidsOf(feed) {
+    return feed.split('\r\n').filter(line => line.startsWith('UID:')).map(line => line.slice('UID:'.length));
+}
+
+test('the feed publishes booked and blocked nights under keyed UIDs', async () => {
+    const { reservationService, blockService, ical } = createIcal();
+    const booking = await bookNights(reservationService, 10, 13);
+    const block = await blockService.createBlock({ cottageId: 'hornbill', startDate: addDays(TODAY, 20), endDate: addDays(TODAY, 22), name: 'Roof', reason: 'Repairs' });
+
+    const feed = await ical.buildFeed('hornbill');
+    const uids = uidsOf(feed);
+
+    assert.match(feed, /SUMMARY:Booked/);
+    assert.match(feed, /SUMMARY:Blocked/);
+    assert.ok(feed.includes(`DTSTART;VALUE=DATE:${toDateKey(addDays(TODAY, 10)).replace(/-/g, '')}`));
+    assert.ok(feed.includes(`DTEND;VALUE=DATE:${toDateKey(addDays(TODAY, 13)).replace(/-/g, '')}`));
+    assert.deepEqual(uids, [
+        `${ical.hashUid(`booking-${booking._id}`, 'ical-uid-secret')}@${ICAL_UID_DOMAIN}`,
+        `${ical.hashUid(`block-${block._id}`, 'ical-uid-secret')}@${ICAL_UID_DOMAIN}`
+    ]);
+    assert.ok(!feed.includes(booking._id) && !feed.includes(block._id));
+    assert.notEqual(ical.hashUid(`booking-${booking._id}`, 'another-secret'), ical.hashUid(`booking-${booking._id}`, 'ical-uid-secret'));
+
+    // The same nights keep their UIDs from one export to the next, and our own feed is never imported back
+    assert.deepEqual(uidsOf(await ical.buildFeed('hornbill')), uids);
+    assert.deepEqual(ical.parseEvents(feed), []);
+});
+
+test('importing a channel again moves and removes its blocks to match', async () => {
+    const { blockService, ical } = createIcal();
+    const importFeed = events => ical.importFeed({ cottageId: 'hornbill', source: 'airbnb', icsText: channelFeed(events) });
+
+    const first = await importFeed([['a@airbnb', 5, 7], ['b@airbnb', 9, 10]]);
+    assert.deepEqual([first.created, first.updated, first.removed, first.unchanged], [2, 0, 0, 0]);
+
+    const repeat = await importFeed([['a@airbnb', 5, 7], ['b@airbnb', 9, 10]]);
+    assert.deepEqual([repeat.created, repeat.updated, repeat.removed, repeat.unchanged], [0, 0, 0, 2]);
+
+    // a moves a night later and takes over a night it held before; b is gone
+    const changed = await importFeed([['a@airbnb', 6, 8]]);
+    assert.deepEqual([changed.created, changed.updated, changed.removed, changed.unchanged], [0, 1, 1, 0]);
+
+    const blocks = await blockService.listBlocks({ cottageId: 'hornbill', source: 'airbnb' });
+    assert.deepEqual(blocks.map(block => [block.externalUid, toDateKey(block.startDate), toDateKey(block.endDate)]),
+        [['a@airbnb', toDateKey(addDays(TODAY, 6)), toDateKey(addDays(TODAY, 8))]]);
+});
+
+test('an event over one of our bookings is reported, not imported', async () => {
+    const { reservationService, blockService, ical } = createIcal();
+    await bookNights(reservationService, 10, 12);
+
+    const result = await ical.importFeed({
+        cottageId: 'hornbill',
+        source: 'booking.com',
+        icsText: channelFeed([['clash@booking.com', 11, 13], ['free@booking.com', 14, 15]])
+    });
+
+    assert.equal(result.created, 1);
+    assert.deepEqual(result.conflicts.map(conflict => conflict.uid), ['clash@booking.com']);
+    assert.equal((await blockService.listBlocks({ cottageId: 'hornbill', source: 'booking.com' })).length, 1);
+});
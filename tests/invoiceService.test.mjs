@@ -0,0 +1,106 @@
+// Invoice numbering, amounts paid and credit notes
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InvoiceService } from 'backend/invoiceService';
+import { ReservationService } from 'backend/reservationService';
+import { InMemoryRepository } from 'backend/dataRepository';
+import { COLLECTIONS, PAYMENT_STATUS, INVOICE_TYPES } from 'backend/collections';
+import { addDays, startOfDay } from 'backend/dateUtils';
+
+function createInvoicing(records = {}) {
+    const repository = new InMemoryRepository({
+        [COLLECTIONS.COTTAGES]: [{ _id: 'hornbill', name: 'Hornbill', basePricePerNight: 7000, maxAdults: 2, isActive: true }],
+        [COLLECTIONS.PACKAGES]: [{ _id: 'basic', name: 'Basic', price: 2000, isActive: true }],
+        ...records
+    });
+    return { repository, reservationService: new ReservationService({ repository }), service: new InvoiceService({ repository }) };
+}
+
+// Two nights at 7,000 (5% GST) and a 2,000 package (18% GST) make 17,060
+function createBooking(reservationService) {
+    return reservationService.createBooking({
+        cottageId: 'hornbill',
+        packageId: 'basic',
+        checkInDate: addDays(startOfDay(new Date()), 60),
+        checkOutDate: addDays(startOfDay(new Date()), 62),
+        adults: 2,
+        customerInfo: { name: 'Asha', email: 'asha@example.com' }
+    });
+}
+
+test('the financial year runs from April to March', () => {
+    const { service } = createInvoicing();
+
+    assert.equal(service.getFinancialYear(new Date('2027-03-31T12:00:00')), '26-27');
+    assert.equal(service.getFinancialYear(new Date('2027-04-01T12:00:00')), '27-28');
+    assert.equal(service.getFinancialYear(new Date('2099-12-31T12:00:00')), '99-00');
+});
+
+test('numbers run in sequence within each financial year and series', async () => {
+    const { service } = createInvoicing({
+        [COLLECTIONS.INVOICES]: [{ _id: 'INV-26-27-00041', invoiceNumber: 'INV/26-27/00041', series: 'INV/26-27', sequence: 41 }]
+    });
+    const issue = (documentType, date) => service.insertNumbered({ documentType, issueDate: new Date(`${date}T12:00:00`) });
+
+    const [march, alsoMarch] = await Promise.all([
+        issue(INVOICE_TYPES.INVOICE, '2027-03-30'),
+        issue(INVOICE_TYPES.INVOICE, '2027-03-31')
+    ]);
+    const april = await issue(INVOICE_TYPES.INVOICE, '2027-04-01');
+    const creditNote = await issue(INVOICE_TYPES.CREDIT_NOTE, '2027-03-31');
+
+    // Issued at once, the second takes the next free number
+    assert.deepEqual([march.invoiceNumber, alsoMarch.invoiceNumber], ['INV/26-27/00042', 'INV/26-27/00043']);
+    assert.equal(april.invoiceNumber, 'INV/27-28/00001');
+    assert.equal(creditNote.invoiceNumber, 'CN/26-27/00001');
+    assert.equal(march._id, 'INV-26-27-00042');
+});
+
+test('an invoice counts what is still held after refunds and is issued once', async () => {
+    const { repository, reservationService, service } = createInvoicing();
+    const booking = await createBooking(reservationService);
+    await repository.bulkInsert(COLLECTIONS.PAYMENTS, [
+        { bookingId: booking._id, amount: 5000, status: PAYMENT_STATUS.PAID },
+        { bookingId: booking._id, amount: 3000, status: PAYMENT_STATUS.REFUNDED, refundedAmount: 1000 },
+        { bookingId: booking._id, amount: 100, baseAmount: 8300, currency: 'USD', status: PAYMENT_STATUS.REFUNDED, refundedAmount: 25 },
+        { bookingId: booking._id, amount: 9000, status: PAYMENT_STATUS.PENDING }
+    ]);
+
+    const invoice = await service.issueInvoice(booking._id);
+
+    assert.equal(invoice.invoiceNumber, `INV/${service.getFinancialYear(new Date())}/00001`);
+    assert.equal(invoice.totalAmount, 17060);
+    assert.equal(invoice.amountPaid, 5000 + 2000 + 6225);
+    assert.equal(invoice.balanceDue, 17060 - 13225);
+    assert.equal((await service.issueInvoice(booking._id))._id, invoice._id);
+});
+
+test('a credit note cannot credit more than the invoice', async () => {
+    const { reservationService, service } = createInvoicing();
+    const booking = await createBooking(reservationService);
+
+    const invoice = await service.issueInvoice(booking._id);
+    const creditNote = await service.createCreditNote(booking._id, { amount: 5118, reason: 'Cancellation' });
+
+    assert.equal(creditNote.originalInvoiceNumber, invoice.invoiceNumber);
+    assert.equal(creditNote.totalAmount, 5118);
+    assert.equal(creditNote.lineItems.reduce((sum, line) => sum + line.total, 0), 5118);
+    await assert.rejects(service.createCreditNote(booking._id, { amount: 17060 - 5118 + 1 }), { status: 409, code: 'CREDIT_EXCEEDS_INVOICE' });
+});
+
+test('a refund on a booking that was never invoiced is credited against the payment', async () => {
+    const { reservationService, service } = createInvoicing();
+    const booking = await createBooking(reservationService);
+
+    const creditNote = await service.createCreditNote(booking._id, { amount: 5118, paymentId: 'pay_1', reason: 'Cancellation' });
+
+    assert.equal(creditNote.documentType, INVOICE_TYPES.CREDIT_NOTE);
+    assert.equal(creditNote.originalInvoiceNumber, null);
+    assert.equal(creditNote.paymentId, 'pay_1');
+    // 30% of each line: 14,700 of the stay and 2,360 of the package
+    assert.deepEqual(creditNote.lineItems.map(line => line.total), [4410, 708]);
+    assert.deepEqual(service.getCreditedDocument(creditNote), ['Against payment', 'pay_1']);
+    await assert.rejects(service.createCreditNote(booking._id, { amount: 17060 - 5118 + 1 }), { status: 409, code: 'CREDIT_EXCEEDS_INVOICE' });
+});
@@ -0,0 +1,27 @@
+// Module hooks for running backend code under plain Node in the local tests
+// Velo resolves `backend/<file>` to src/backend/<file>.js and loads it as an ES
+// module; the `wix-*` modules only exist on a Wix site, so they resolve to
+// stand-ins in tests/wix that fail if the code under test reaches them.
+
+import { fileURLToPath, pathToFileURL } from 'url';
+import path from 'path';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SRC_URL = pathToFileURL(path.join(ROOT, 'src') + path.sep).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier.startsWith('backend/') || specifier.startsWith('public/')) {
+        return { url: pathToFileURL(path.join(ROOT, 'src', `${specifier}.js`)).href, shortCircuit: true };
+    }
+    if (specifier.startsWith('wix-')) {
+        return { url: pathToFileURL(path.join(ROOT, 'tests', 'wix', `${specifier}.mjs`)).href, shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith(SRC_URL)) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    return nextLoad(url, context);
+}
@@ -0,0 +1,104 @@
+// Deposit and balance schedules, the payment ledger and overdue bookings
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PaymentScheduleService, INSTALMENT_TYPES } from 'backend/paymentScheduleService';
+import { InMemoryRepository } from 'backend/dataRepository';
+import { COLLECTIONS, BOOKING_STATUS, PAYMENT_STATUS } from 'backend/collections';
+import { toDateKey } from 'backend/dateUtils';
+
+// 20% two months ahead with the balance a month before, otherwise 30% and a week before
+const PACKAGE = {
+    _id: 'basic',
+    paymentSchedule: [
+        { minDaysAhead: 60, depositPercent: 20, balanceDaysBefore: 30 },
+        { minDaysAhead: 0, depositPercent: 30, balanceDaysBefore: 7 }
+    ]
+};
+
+function day(dateKey) {
+    return new Date(`${dateKey}T00:00:00`);
+}
+
+function summary(schedule) {
+    return schedule.map(instalment => [instalment.type, instalment.amount, toDateKey(instalment.dueDate)]);
+}
+
+test('the booking window sets the deposit and when the balance is due', () => {
+    const service = new PaymentScheduleService({ repository: new InMemoryRepository() });
+
+    assert.deepEqual(summary(service.buildSchedule(PACKAGE, day('2027-04-01'), 10000, 'INR', day('2027-01-01'))), [
+        [INSTALMENT_TYPES.DEPOSIT, 2000, '2027-01-01'],
+        [INSTALMENT_TYPES.BALANCE, 8000, '2027-03-02']
+    ]);
+    assert.deepEqual(summary(service.buildSchedule(PACKAGE, day('2027-01-11'), 10000, 'INR', day('2027-01-01'))), [
+        [INSTALMENT_TYPES.DEPOSIT, 3000, '2027-01-01'],
+        [INSTALMENT_TYPES.BALANCE, 7000, '2027-01-04']
+    ]);
+    // The balance would be due already, so everything is due now
+    assert.deepEqual(summary(service.buildSchedule(PACKAGE, day('2027-01-06'), 10000, 'INR', day('2027-01-01'))), [
+        [INSTALMENT_TYPES.FULL, 10000, '2027-01-01']
+    ]);
+    // Deposits are rounded to the currency's smallest unit
+    assert.equal(service.buildSchedule(null, day('2027-04-01'), 99.99, 'JPY', day('2027-01-01'))[0].amount, 30);
+});
+
+test('payments are applied to the earliest instalment and missed ones are overdue', () => {
+    const service = new PaymentScheduleService({ repository: new InMemoryRepository() });
+    const schedule = service.buildSchedule(PACKAGE, day('2027-01-11'), 10000, 'INR', day('2027-01-01'));
+
+    const partial = service.summarise(schedule, 4000, 'INR', day('2027-01-02'));
+    assert.deepEqual(partial.instalments.map(instalment => instalment.status), [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PARTIALLY_PAID]);
+    assert.equal(partial.paymentStatus, PAYMENT_STATUS.PARTIALLY_PAID);
+    assert.deepEqual(partial.nextDue, { type: INSTALMENT_TYPES.BALANCE, amount: 6000, dueDate: day('2027-01-04') });
+
+    const late = service.summarise(schedule, 4000, 'INR', day('2027-01-05'));
+    assert.equal(late.paymentStatus, PAYMENT_STATUS.OVERDUE);
+    assert.equal(late.isOverdue, true);
+
+    assert.equal(service.summarise(schedule, 10000, 'INR', day('2027-01-05')).paymentStatus, PAYMENT_STATUS.PAID);
+});
+
+test('the ledger lists payments and refunds and nets them off', async () => {
+    const repository = new InMemoryRepository({
+        [COLLECTIONS.PAYMENTS]: [
+            { bookingId: 'b1', amount: 3000, currency: 'INR', status: PAYMENT_STATUS.PAID, paidDate: day('2027-01-01') },
+            { bookingId: 'b1', amount: 2000, currency: 'INR', status: PAYMENT_STATUS.REFUNDED, refundedAmount: 500,
+                paidDate: day('2027-01-02'), refundedDate: day('2027-01-03') },
+            { bookingId: 'b1', amount: 5000, currency: 'INR', status: PAYMENT_STATUS.FAILED, paidDate: day('2027-01-02') }
+        ]
+    });
+    const service = new PaymentScheduleService({ repository });
+    const booking = {
+        _id: 'b1',
+        totalCost: 10000,
+        paymentSchedule: service.buildSchedule(PACKAGE, day('2027-01-11'), 10000, 'INR', day('2027-01-01'))
+    };
+
+    const ledger = await service.getLedger(booking, day('2027-01-03'));
+
+    assert.deepEqual(ledger.entries.map(entry => [entry.type, entry.amount]), [['payment', 3000], ['payment', 2000], ['refund', -500]]);
+    assert.equal(ledger.amountPaid, 4500);
+    assert.equal(ledger.balanceDue, 5500);
+    assert.equal(ledger.paymentStatus, PAYMENT_STATUS.PARTIALLY_PAID);
+});
+
+test('bookings past their next due date are marked overdue', async () => {
+    const booking = (id, paymentStatus, nextPaymentDue, status = BOOKING_STATUS.CONFIRMED) =>
+        ({ _id: id, status, paymentStatus, nextPaymentDue: day(nextPaymentDue) });
+    const repository = new InMemoryRepository({
+        [COLLECTIONS.BOOKINGS]: [
+            booking('late', PAYMENT_STATUS.PARTIALLY_PAID, '2027-01-04'),
+            booking('later', PAYMENT_STATUS.PENDING, '2027-01-02'),
+            booking('due-today', PAYMENT_STATUS.PARTIALLY_PAID, '2027-01-05'),
+            booking('cancelled', PAYMENT_STATUS.PENDING, '2027-01-01', BOOKING_STATUS.CANCELLED)
+        ]
+    });
+    const service = new PaymentScheduleService({ repository });
+
+    const marked = await service.markOverduePayments(day('2027-01-05'));
+
+    assert.deepEqual(marked.map(item => item._id).sort(), ['late', 'later']);
+    assert.deepEqual((await service.listOverduePayments()).map(item => item._id), ['later', 'late']);
+});
@@ -0,0 +1,153 @@
+// Payments through the mock provider and its signed webhooks
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PaymentService, MockPaymentProvider, PAYMENT_EVENTS } from 'backend/paymentService';
+import { ReservationService } from 'backend/reservationService';
+import { InvoiceService } from 'backend/invoiceService';
+import { InMemoryRepository } from 'backend/dataRepository';
+import { COLLECTIONS, BOOKING_STATUS, PAYMENT_STATUS, INVOICE_TYPES } from 'backend/collections';
+import { addDays, startOfDay } from 'backend/dateUtils';
+
+const SECRET = 'test-webhook-secret';
+const TODAY = startOfDay(new Date());
+
+// The mock provider as MOCK_PAYMENTS_ENABLED and MOCK_PAYMENT_SECRET would set it up
+class EnabledMockProvider extends MockPaymentProvider {
+    async isEnabled() {
+        return true;
+    }
+
+    async getSecret() {
+        return SECRET;
+    }
+}
+
+// Two nights at 7,000 (5% GST) and a 2,000 package (18% GST) make 17,060, a 30% deposit 5,118
+async function createBooking() {
+    const repository = new InMemoryRepository({
+        [COLLECTIONS.COTTAGES]: [{ _id: 'hornbill', name: 'Hornbill', basePricePerNight: 7000, maxAdults: 2, isActive: true }],
+        [COLLECTIONS.PACKAGES]: [{ _id: 'basic', name: 'Basic', price: 2000, isActive: true }]
+    });
+    const reservationService = new ReservationService({ repository });
+    const service = new PaymentService({
+        repository,
+        services: { reservationService, invoiceService: new InvoiceService({ repository }) }
+    });
+    const provider = new EnabledMockProvider();
+    service.registerProvider(provider);
+
+    const booking = await reservationService.createBooking({
+        cottageId: 'hornbill',
+        packageId: 'basic',
+        checkInDate: addDays(TODAY, 60),
+        checkOutDate: addDays(TODAY, 62),
+        adults: 2,
+        customerInfo: { name: 'Asha', email: 'asha@example.com' }
+    });
+    return { repository, service, provider, booking };
+}
+
+test('a paid deposit confirms the booking and leaves the balance due', async () => {
+    const { repository, service, booking } = await createBooking();
+    const order = await service.createPaymentOrder(booking._id);
+
+    assert.equal(order.amount, 5118);
+    assert.equal(order.instalment, 'deposit');
+    assert.equal(order.status, PAYMENT_STATUS.PENDING);
+
+    const { payment } = await service.simulateMockPayment(order.orderId);
+    const updated = await repository.get(COLLECTIONS.BOOKINGS, booking._id);
+
+    assert.equal(payment.status, PAYMENT_STATUS.PAID);
+    assert.equal(updated.status, BOOKING_STATUS.CONFIRMED);
+    assert.equal(updated.paymentStatus, PAYMENT_STATUS.PARTIALLY_PAID);
+    assert.equal(updated.amountPaid, 5118);
+    assert.equal(updated.balanceDue, 11942);
+});
+
+test('a callback with a bad signature changes nothing', async () => {
+    const { repository, service, provider, booking } = await createBooking();
+    const order = await service.createPaymentOrder(booking._id);
+    const webhook = await provider.buildWebhook(order.orderId, PAYMENT_EVENTS.PAID, order.amount, order.currency);
+    const forged = webhook.rawBody.replace(PAYMENT_EVENTS.PAID, PAYMENT_EVENTS.REFUNDED);
+
+    await assert.rejects(service.handleWebhook('mock', forged, webhook.headers), { status: 401, code: 'INVALID_SIGNATURE' });
+    await assert.rejects(service.handleWebhook('mock', webhook.rawBody, {}), { status: 401, code: 'INVALID_SIGNATURE' });
+    assert.equal((await repository.get(COLLECTIONS.PAYMENTS, order._id)).status, PAYMENT_STATUS.PENDING);
+});
+
+test('a callback delivered twice is applied once', async () => {
+    const { repository, service, provider, booking } = await createBooking();
+    const order = await service.createPaymentOrder(booking._id);
+    const webhook = await provider.buildWebhook(order.orderId, PAYMENT_EVENTS.PAID, order.amount, order.currency);
+
+    const first = await service.handleWebhook('mock', webhook.rawBody, webhook.headers);
+    const second = await service.handleWebhook('mock', webhook.rawBody, webhook.headers);
+
+    assert.deepEqual(second.payment.paidDate, first.payment.paidDate);
+    assert.equal((await repository.get(COLLECTIONS.BOOKINGS, booking._id)).amountPaid, 5118);
+});
+
+test('a paid callback for the wrong amount is refused', async () => {
+    const { repository, service, provider, booking } = await createBooking();
+    const order = await service.createPaymentOrder(booking._id);
+    const webhook = await provider.buildWebhook(order.orderId, PAYMENT_EVENTS.PAID, 100, order.currency);
+
+    await assert.rejects(service.handleWebhook('mock', webhook.rawBody, webhook.headers), { code: 'AMOUNT_MISMATCH' });
+    assert.equal((await repository.get(COLLECTIONS.BOOKINGS, booking._id)).paymentStatus, PAYMENT_STATUS.PENDING);
+});
+
+test('partial refunds add up once each', async () => {
+    const { service, provider, booking } = await createBooking();
+    const order = await service.createPaymentOrder(booking._id);
+    await service.simulateMockPayment(order.orderId);
+
+    const refund = await provider.buildWebhook(order.orderId, PAYMENT_EVENTS.REFUNDED, 1000, order.currency);
+    await service.handleWebhook('mock', refund.rawBody, refund.headers);
+    await service.handleWebhook('mock', refund.rawBody, refund.headers);
+    const second = await provider.buildWebhook(order.orderId, PAYMENT_EVENTS.REFUNDED, 1500, order.currency);
+    const { payment } = await service.handleWebhook('mock', second.rawBody, second.headers);
+
+    assert.equal(payment.status, PAYMENT_STATUS.REFUNDED);
+    assert.equal(payment.refundedAmount, 2500);
+    assert.equal(payment.refundIds.length, 2);
+});
+
+test('a refunded deposit gets a credit note though the booking was never invoiced', async () => {
+    const { repository, service, provider, booking } = await createBooking();
+    const order = await service.createPaymentOrder(booking._id);
+    await service.simulateMockPayment(order.orderId);
+
+    const refund = await provider.buildWebhook(order.orderId, PAYMENT_EVENTS.REFUNDED, order.amount, order.currency);
+    const { payment } = await service.handleWebhook('mock', refund.rawBody, refund.headers);
+    const documents = (await repository.query(COLLECTIONS.INVOICES).eq('bookingId', booking._id).find()).items;
+
+    assert.deepEqual(documents.map(document => [document.documentType, document.totalAmount, document.paymentId]),
+        [[INVOICE_TYPES.CREDIT_NOTE, 5118, payment.paymentId]]);
+});
+
+test('a paid callback replayed after a refund does not undo it', async () => {
+    const { repository, service, provider, booking } = await createBooking();
+    const order = await service.createPaymentOrder(booking._id);
+    const paid = await provider.buildWebhook(order.orderId, PAYMENT_EVENTS.PAID, order.amount, order.currency);
+    await service.handleWebhook('mock', paid.rawBody, paid.headers);
+    const refund = await provider.buildWebhook(order.orderId, PAYMENT_EVENTS.REFUNDED, order.amount, order.currency);
+    await service.handleWebhook('mock', refund.rawBody, refund.headers);
+    const failed = await provider.buildWebhook(order.orderId, PAYMENT_EVENTS.FAILED, order.amount, order.currency);
+
+    await service.handleWebhook('mock', paid.rawBody, paid.headers);
+    const { payment } = await service.handleWebhook('mock', failed.rawBody, failed.headers);
+    const updated = await repository.get(COLLECTIONS.BOOKINGS, booking._id);
+
+    assert.equal(payment.status, PAYMENT_STATUS.REFUNDED);
+    assert.equal(payment.refundedAmount, order.amount);
+    assert.equal(updated.amountPaid, 0);
+});
+
+test('the mock provider is refused unless it is switched on', async () => {
+    const service = new PaymentService({ repository: new InMemoryRepository() });
+
+    await assert.rejects(service.getProvider('mock'), { status: 403, code: 'PROVIDER_DISABLED' });
+});
@@ -0,0 +1,162 @@
+// Stay prices: nightly rules, minimum stays, children and GST slabs
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pricingService, AGE_BANDS } from 'backend/pricingService';
+import { taxService } from 'backend/taxService';
+import { ReservationService } from 'backend/reservationService';
+import { InMemoryRepository } from 'backend/dataRepository';
+import { COLLECTIONS } from 'backend/collections';
+
+// Peak season wraps over New Year; Friday and Saturday nights carry a surcharge
+const COTTAGE = {
+    _id: 'hornbill',
+    basePricePerNight: 5000,
+    maxAdults: 2,
+    seasonalPricing: {
+        seasons: [{ name: 'Peak', from: '12-20', to: '01-05', multiplier: 1.5, minStay: 3 }],
+        festivals: [{ name: 'Diwali', from: '2027-10-28', to: '2027-10-30', surcharge: 2000 }],
+        weekend: { surcharge: 1000 }
+    }
+};
+
+const PACKAGE = { _id: 'basic', name: 'Basic', price: 3000 };
+
+function day(dateKey) {
+    return new Date(`${dateKey}T00:00:00`);
+}
+
+function price(checkIn, checkOut, options) {
+    return pricingService.priceStay(COTTAGE, options && options.packageData || null, day(checkIn), day(checkOut), options);
+}
+
+test('weekday nights are charged the base rate with 5% GST', () => {
+    // Tuesday and Wednesday
+    const cost = price('2027-03-02', '2027-03-04');
+
+    assert.equal(cost.roomCost, 10000);
+    assert.equal(cost.taxAmount, 500);
+    assert.equal(cost.totalCost, 10500);
+    assert.deepEqual(cost.lineItems.map(line => [line.quantity, line.unitPrice, line.taxRate]), [[2, 5000, 5]]);
+});
+
+test('weekend nights add the surcharge on their own line', () => {
+    // Thursday, Friday and Saturday
+    const cost = price('2027-03-04', '2027-03-07');
+
+    assert.deepEqual(cost.nightlyRates.map(night => night.rate), [5000, 6000, 6000]);
+    assert.deepEqual(cost.nightlyRates.map(night => night.isWeekend), [false, true, true]);
+    assert.equal(cost.roomCost, 17000);
+    assert.equal(cost.taxAmount, 850);
+    assert.equal(cost.totalCost, 17850);
+});
+
+test('a season over New Year scales the rate and stacks with the weekend', () => {
+    // Thursday 30 December to Sunday 2 January
+    const cost = price('2027-12-30', '2028-01-02');
+
+    assert.deepEqual(cost.nightlyRates.map(night => night.rate), [7500, 8500, 8500]);
+    assert.deepEqual(cost.nightlyRates[1].adjustments.map(adjustment => adjustment.type), ['season', 'weekend']);
+    // 7,500 stays in the 5% slab; the weekend nights go over it into 18%
+    assert.deepEqual(cost.lineItems.map(line => line.taxRate), [5, 18]);
+    assert.equal(cost.taxAmount, 3435);
+    assert.equal(cost.totalCost, 27935);
+});
+
+test('a festival adds its surcharge on the festival nights only', () => {
+    // Wednesday 27 and Thursday 28 October
+    const cost = price('2027-10-27', '2027-10-29');
+
+    assert.deepEqual(cost.nightlyRates.map(night => night.rate), [5000, 7000]);
+    assert.equal(cost.nightlyRates[1].adjustments[0].name, 'Diwali');
+    assert.equal(cost.totalCost, 12600);
+});
+
+test('package rules apply on top of the cottage rules', () => {
+    // Off-season discount on the package, which counts only Saturday as the weekend
+    const packageData = {
+        ...PACKAGE,
+        seasonalPricing: {
+            seasons: [{ name: 'Monsoon', from: '03-01', to: '03-31', multiplier: 0.8 }],
+            weekend: { days: [6], surcharge: 500 }
+        }
+    };
+    // Friday and Saturday
+    const cost = price('2027-03-05', '2027-03-07', { packageData });
+    const saturday = cost.nightlyRates[1];
+
+    assert.deepEqual(cost.nightlyRates.map(night => night.rate), [4800, 5300]);
+    assert.deepEqual(cost.nightlyRates.map(night => night.isWeekend), [false, true]);
+    assert.deepEqual(saturday.adjustments.map(({ type, source, amount }) => [type, source, amount]), [
+        ['weekend', 'cottage', 1000],
+        ['season', 'package', -1200],
+        ['weekend', 'package', 500]
+    ]);
+});
+
+test('a rule with a rate replaces the night\'s rate', () => {
+    const cottage = { ...COTTAGE, seasonalPricing: { festivals: [{ name: 'Holi', from: '2027-03-22', rate: 8000 }] } };
+    const cost = pricingService.priceStay(cottage, null, day('2027-03-22'), day('2027-03-24'));
+
+    assert.deepEqual(cost.nightlyRates.map(night => night.rate), [8000, 5000]);
+    assert.equal(cost.nightlyRates[0].adjustments[0].amount, 3000);
+    assert.equal(cost.averageNightlyRate, 6500);
+});
+
+test('a quote lists the rate of every night', async () => {
+    const repository = new InMemoryRepository({
+        [COLLECTIONS.COTTAGES]: [{ ...COTTAGE, isActive: true }],
+        [COLLECTIONS.PACKAGES]: [{ ...PACKAGE, isActive: true }]
+    });
+    const service = new ReservationService({ repository });
+    const quote = await service.calculateBookingCost('hornbill', 'basic', day('2027-03-04'), day('2027-03-07'));
+
+    assert.deepEqual(quote.nightlyRates.map(night => [night.dateKey, night.rate]), [
+        ['2027-03-04', 5000],
+        ['2027-03-05', 6000],
+        ['2027-03-06', 6000]
+    ]);
+    assert.equal(quote.totalCost, 17850 + 3540);
+});
+
+test('a season sets the minimum stay for arrivals in it', () => {
+    assert.equal(pricingService.getMinStay(COTTAGE, null, day('2027-12-30')), 3);
+    assert.equal(pricingService.getMinStay(COTTAGE, null, day('2027-03-02')), 1);
+    assert.equal(pricingService.getMinStay({ ...COTTAGE, minStay: 2 }, null, day('2027-03-02')), 2);
+});
+
+test('the package is added to the stay at 18% GST', () => {
+    const cost = price('2027-03-02', '2027-03-03', { packageData: PACKAGE });
+
+    assert.equal(cost.packageCost, 3000);
+    assert.equal(cost.subtotal, 8000);
+    assert.equal(cost.taxAmount, 250 + 540);
+    assert.equal(cost.totalCost, 8790);
+});
+
+test('children pay by age band on the room and the package', () => {
+    // An infant stays free, an 8-year-old pays half a share and a 14-year-old a full one
+    const cost = price('2027-03-02', '2027-03-03', { packageData: PACKAGE, childAges: [3, 8, 14] });
+
+    assert.deepEqual(cost.childPricing.children.map(child => child.band), [AGE_BANDS.INFANT, AGE_BANDS.CHILD, AGE_BANDS.ADULT]);
+    assert.equal(cost.childPricing.sharePercent, 150);
+    // 5,000 covers two adults, so each share is 2,500 and the night becomes 8,750, taxed at 18%
+    assert.equal(cost.nightlyRates[0].rate, 8750);
+    assert.equal(cost.lineItems[0].taxRate, 18);
+    assert.equal(cost.packageCost, 5250);
+    assert.equal(cost.totalCost, 10325 + 6195);
+});
+
+test('room GST steps up above 1,000 and above 7,500 a night', () => {
+    assert.equal(taxService.getRoomTaxRate(1000), 0);
+    assert.equal(taxService.getRoomTaxRate(1001), 5);
+    assert.equal(taxService.getRoomTaxRate(7500), 5);
+    assert.equal(taxService.getRoomTaxRate(7501), 18);
+
+    const taxed = taxService.itemiseStay([{ rate: 1000 }, { rate: 1001 }, { rate: 7500 }, { rate: 7501 }], null);
+
+    assert.deepEqual(taxed.lineItems.map(line => line.taxRate), [0, 5, 5, 18]);
+    assert.equal(taxed.taxAmount, 1775.23);
+    assert.equal(taxed.totalCost, 18777.23);
+});
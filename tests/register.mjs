@@ -0,0 +1,4 @@
+// Loaded with `node --import`; see loader.mjs
+import { register } from 'node:module';
+
+register('./loader.mjs', import.meta.url);
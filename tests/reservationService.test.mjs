@@ -0,0 +1,323 @@
+// Booking flows run on an InMemoryRepository, without a Wix site
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReservationService } from 'backend/reservationService';
+import { BlockService } from 'backend/blockService';
+import { QuoteService } from 'backend/quoteService';
+import { InMemoryRepository } from 'backend/dataRepository';
+import { COLLECTIONS, BOOKING_STATUS } from 'backend/collections';
+import { addDays, startOfDay, toDateKey } from 'backend/dateUtils';
+
+const TODAY = startOfDay(new Date());
+const GUEST = { name: 'Asha', email: 'asha@example.com' };
+
+function createService(records = {}) {
+    const repository = new InMemoryRepository({
+        [COLLECTIONS.COTTAGES]: [{ _id: 'hornbill', name: 'Hornbill', basePricePerNight: 7000, maxAdults: 2, maxChildren: 2, isActive: true }],
+        [COLLECTIONS.PACKAGES]: [{ _id: 'basic', name: 'Basic', price: 2000, isActive: true, includesSafari: true, safariCount: 2 }],
+        ...records
+    });
+    return { repository, service: new ReservationService({ repository }) };
+}
+
+// A number of days from today
+function day(offset) {
+    return addDays(TODAY, offset);
+}
+
+// A stay in Hornbill for two adults, from and to a number of days from today
+function stay(fromDay, toDay) {
+    return {
+        cottageId: 'hornbill',
+        packageId: 'basic',
+        checkInDate: day(fromDay),
+        checkOutDate: day(toDay),
+        adults: 2,
+        customerInfo: GUEST
+    };
+}
+
+async function count(repository, collection) {
+    return repository.query(collection).count();
+}
+
+test('a booking takes its nights and blocks overlapping stays', async () => {
+    const { repository, service } = createService();
+
+    const booking = await service.createBooking(stay(70, 73));
+
+    assert.equal(booking.status, BOOKING_STATUS.PENDING);
+    assert.equal(await count(repository, COLLECTIONS.AVAILABILITY), 3);
+    assert.equal(await count(repository, COLLECTIONS.BOOKING_HOLDS), 0);
+
+    const overlap = await service.checkAvailability('hornbill', day(72), day(74));
+    assert.equal(overlap.isAvailable, false);
+    await assert.rejects(service.createBooking(stay(72, 74)), { code: 'BOOKING_CONFLICT' });
+});
+
+test('two holds on the same nights cannot both be taken', async () => {
+    const { service } = createService();
+
+    const results = await Promise.allSettled([
+        service.acquireHold('hornbill', day(91), day(93)),
+        service.acquireHold('hornbill', day(92), day(94))
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+});
+
+test('a promo code is read and redeemed in the same repository', async () => {
+    const { repository, service } = createService({
+        [COLLECTIONS.PROMOTIONS]: [{ _id: 'monsoon', code: 'MONSOON', name: 'Monsoon', discountType: 'Percentage', discountValue: 10, isActive: true }]
+    });
+
+    const booking = await service.createBooking({ ...stay(211, 213), promoCode: 'monsoon' });
+
+    assert.equal(booking.promotionId, 'monsoon');
+    assert.ok(booking.discountAmount > 0);
+    assert.equal(await count(repository, COLLECTIONS.PROMOTION_REDEMPTIONS), 1);
+});
+
+test('prices in another currency use the repository exchange rates', async () => {
+    const { service } = createService({
+        [COLLECTIONS.EXCHANGE_RATES]: [{ _id: 'USD', currency: 'USD', rate: 0.012, isActive: true }]
+    });
+
+    const booking = await service.createBooking({ ...stay(121, 123), currency: 'USD' });
+
+    assert.equal(booking.currency, 'USD');
+    assert.equal(booking.exchangeRate, 0.012);
+});
+
+test('cancelling frees the nights and queues the guest email', async () => {
+    const { repository, service } = createService();
+    const booking = await service.createBooking(stay(160, 162));
+
+    const result = await service.cancelBooking(booking._id, { reason: 'Change of plans' });
+
+    assert.equal(result.booking.status, BOOKING_STATUS.CANCELLED);
+    assert.equal(await count(repository, COLLECTIONS.AVAILABILITY), 0);
+    const outbox = await repository.query(COLLECTIONS.NOTIFICATION_OUTBOX).find();
+    assert.deepEqual(outbox.items.map(message => message.recipient), [GUEST.email]);
+});
+
+test('safaris take one seat each until the slot is full', async () => {
+    const { repository, service } = createService({
+        [COLLECTIONS.SAFARI_ZONES]: [{ _id: 'core', name: 'Core', isActive: true, slots: [{ type: 'Morning', startTime: '06:00', capacity: 1 }] }]
+    });
+    const booking = await service.createBooking(stay(93, 95));
+    const request = [{ date: toDateKey(day(94)), zoneId: 'core', slot: 'Morning' }];
+
+    await service.createSafariBookings(booking._id, request);
+
+    assert.equal(await count(repository, COLLECTIONS.SAFARI_BOOKINGS), 1);
+    assert.equal(await count(repository, COLLECTIONS.SAFARI_SEATS), 1);
+    await assert.rejects(service.createSafariBookings(booking._id, request), { code: 'SAFARI_UNAVAILABLE' });
+});
+
+test('two requests at once cannot book more safaris than the package includes', async () => {
+    const { repository, service } = createService({
+        [COLLECTIONS.SAFARI_ZONES]: [{
+            _id: 'core',
+            name: 'Core',
+            isActive: true,
+            slots: [{ type: 'Morning', startTime: '06:00', capacity: 5 }, { type: 'Evening', startTime: '15:00', capacity: 5 }]
+        }]
+    });
+    const booking = await service.createBooking(stay(93, 95));
+    await service.createSafariBookings(booking._id, [{ date: toDateKey(day(93)), zoneId: 'core', slot: 'Evening' }]);
+
+    // Both see one of the two safaris left
+    const results = await Promise.allSettled([
+        service.createSafariBookings(booking._id, [{ date: toDateKey(day(94)), zoneId: 'core', slot: 'Morning' }]),
+        service.createSafariBookings(booking._id, [{ date: toDateKey(day(94)), zoneId: 'core', slot: 'Evening' }])
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(result => result.status === 'rejected').reason.code, 'SAFARI_LIMIT');
+    assert.equal(await count(repository, COLLECTIONS.SAFARI_BOOKINGS), 2);
+    assert.equal(await count(repository, COLLECTIONS.SAFARI_SEATS), 2);
+    assert.equal(await count(repository, COLLECTIONS.SAFARI_ALLOWANCES), 2);
+});
+
+test('a block closes nights through the same repository', async () => {
+    const { repository, service } = createService();
+    const blocks = new BlockService({ repository, services: { reservationService: service } });
+
+    await blocks.createBlock({ cottageId: 'hornbill', startDate: day(181), endDate: day(184), name: 'Roof', reason: 'Repairs' });
+
+    assert.equal(await count(repository, COLLECTIONS.AVAILABILITY), 3);
+    await assert.rejects(service.createBooking(stay(182, 185)), { code: 'BOOKING_CONFLICT' });
+});
+
+test('a block whose hold runs out while it is written closes nothing', async () => {
+    const { repository, service } = createService();
+    const blocks = new BlockService({ repository, services: { reservationService: service } });
+    const insert = repository.insert.bind(repository);
+    repository.insert = async (collection, item) => {
+        const saved = await insert(collection, item);
+        if (collection === COLLECTIONS.COTTAGE_BLOCKS) {
+            const nights = await repository.query(COLLECTIONS.BOOKING_HOLDS).find();
+            for (const night of nights.items) {
+                await repository.update(COLLECTIONS.BOOKING_HOLDS, { ...night, expiresAt: new Date(0) });
+            }
+        }
+        return saved;
+    };
+
+    await assert.rejects(blocks.createBlock({ cottageId: 'hornbill', startDate: day(181), endDate: day(184), name: 'Roof', reason: 'Repairs' }),
+        { code: 'BOOKING_CONFLICT' });
+    assert.equal(await count(repository, COLLECTIONS.AVAILABILITY), 0);
+    assert.equal(await count(repository, COLLECTIONS.COTTAGE_BLOCKS), 0);
+});
+
+test('a quote is charged as quoted and can be booked once', async () => {
+    const { repository, service } = createService();
+    const quotes = new QuoteService({ repository, services: { reservationService: service } });
+    const quoted = await quotes.createQuote(stay(241, 243));
+
+    const cottage = await repository.get(COLLECTIONS.COTTAGES, 'hornbill');
+    await repository.update(COLLECTIONS.COTTAGES, { ...cottage, basePricePerNight: 9000 });
+    const booking = await quotes.bookQuote(quoted.quoteId, stay(241, 243));
+
+    assert.equal(booking.totalCost, quoted.totalCost);
+    await service.cancelBooking(booking._id);
+    await assert.rejects(quotes.bookQuote(quoted.quoteId, stay(241, 243)), { code: 'QUOTE_USED' });
+});
+
+test('a quote is checked against the Quotes schema before it is stored', async () => {
+    const { repository, service } = createService();
+    const quotes = new QuoteService({ repository, services: { reservationService: service } });
+
+    await assert.rejects(quotes.createQuote({ ...stay(241, 243), guestEmail: 42 }),
+        error => error.code === 'VALIDATION_ERROR' && error.errors.some(({ field }) => field === 'guestEmail'));
+    assert.equal(await count(repository, COLLECTIONS.QUOTES), 0);
+});
+
+test('a cancellation whose nights cannot be freed can free them on a retry', async () => {
+    const { repository, service } = createService();
+    const booking = await service.createBooking(stay(271, 273));
+    const bulkRemove = repository.bulkRemove;
+    repository.bulkRemove = async () => {
+        throw new Error('Storage unavailable');
+    };
+
+    await assert.rejects(service.cancelBooking(booking._id), { status: 503, code: 'RELEASE_FAILED' });
+    assert.equal((await repository.get(COLLECTIONS.BOOKINGS, booking._id)).status, BOOKING_STATUS.CANCELLED);
+    // Hooks after the failed release do not run, so the guest is not told it was cancelled
+    assert.equal(await count(repository, COLLECTIONS.NOTIFICATION_OUTBOX), 0);
+
+    repository.bulkRemove = bulkRemove;
+    const released = await service.releaseCancelledBooking(booking._id);
+
+    assert.equal(released.releasedDates.length, 2);
+    assert.equal(await count(repository, COLLECTIONS.AVAILABILITY), 0);
+    assert.equal(await count(repository, COLLECTIONS.SAFARI_ALLOWANCES), 0);
+    // Nothing is left to release a second time
+    assert.deepEqual((await service.releaseCancelledBooking(booking._id)).releasedDates, []);
+    await service.createBooking(stay(271, 273));
+});
+
+test('only a cancelled booking can have its nights released', async () => {
+    const { service } = createService();
+    const booking = await service.createBooking(stay(271, 273));
+
+    await assert.rejects(service.releaseCancelledBooking(booking._id), { status: 409, code: 'NOT_CANCELLED' });
+});
+
+test('the lines of a group booking only change status with the group', async () => {
+    const { repository, service } = createService({
+        [COLLECTIONS.COTTAGES]: [
+            { _id: 'hornbill', name: 'Hornbill', basePricePerNight: 7000, maxAdults: 2, isActive: true },
+            { _id: 'kingfisher', name: 'Kingfisher', basePricePerNight: 5000, maxAdults: 2, isActive: true }
+        ]
+    });
+    const group = await service.createGroupBooking({
+        packageId: 'basic',
+        checkInDate: day(305),
+        checkOutDate: day(307),
+        customerInfo: GUEST,
+        lines: [{ cottageId: 'hornbill', adults: 2 }, { cottageId: 'kingfisher', adults: 1 }]
+    });
+    const lines = group.lines;
+
+    await assert.rejects(service.updateBookingStatus(lines[0]._id, BOOKING_STATUS.CONFIRMED), { code: 'GROUP_LINE' });
+    await assert.rejects(service.updateBookingStatus(lines[0]._id, BOOKING_STATUS.CANCELLED), { code: 'GROUP_LINE' });
+
+    await service.updateBookingStatus(group._id, BOOKING_STATUS.CONFIRMED);
+    const statuses = await Promise.all(lines.map(line => repository.get(COLLECTIONS.BOOKINGS, line._id)));
+    assert.deepEqual(statuses.map(line => line.status), [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.CONFIRMED]);
+});
+
+test('a group booking lists the problem with each of its lines', async () => {
+    const { service } = createService();
+    const error = await service.createGroupBooking({
+        packageId: 'basic',
+        checkInDate: day(305),
+        checkOutDate: day(307),
+        customerInfo: GUEST,
+        lines: [{ cottageId: 'hornbill', adults: 2 }, null, { adults: 1 }, { cottageId: 'kingfisher', adults: 'two' }]
+    }).catch(caught => caught);
+
+    assert.equal(error.status, 400);
+    assert.equal(error.code, 'VALIDATION_ERROR');
+    assert.deepEqual(error.errors.map(({ field, code }) => [field, code]), [
+        ['lines[1]', 'INVALID_TYPE'],
+        ['lines[2].cottageId', 'REQUIRED'],
+        ['lines[3].adults', 'INVALID_TYPE']
+    ]);
+    assert.equal(await count(service.repository, COLLECTIONS.BOOKINGS), 0);
+});
+
+test('a booking keeps to the cottage\'s guest limits and needs every child\'s age', async () => {
+    const { repository, service } = createService();
+    const attempts = [
+        [{ adults: 3 }, 'TOO_MANY_ADULTS'],
+        [{ children: 3, childAges: [3, 5, 7] }, 'TOO_MANY_CHILDREN'],
+        [{ children: 1 }, 'CHILD_AGES_REQUIRED'],
+        [{ children: 2, childAges: [5] }, 'INVALID_CHILD_AGES'],
+        [{ children: 1, childAges: [18] }, 'INVALID_CHILD_AGES'],
+        [{ children: 1, childAges: [4.5] }, 'INVALID_CHILD_AGES']
+    ];
+
+    for (const [party, code] of attempts) {
+        await assert.rejects(service.createBooking({ ...stay(305, 307), ...party }), { status: 400, code });
+    }
+    assert.equal(await count(repository, COLLECTIONS.BOOKINGS), 0);
+
+    const booking = await service.createBooking({ ...stay(305, 307), children: 2, childAges: [2, 9] });
+    assert.deepEqual(booking.childAges, [2, 9]);
+});
+
+test('a booking for a cottage that does not exist is not found', async () => {
+    const { repository, service } = createService();
+
+    await assert.rejects(service.createBooking({ ...stay(305, 307), cottageId: 'peacock' }), { status: 404, code: 'NOT_FOUND' });
+    assert.equal(await count(repository, COLLECTIONS.AVAILABILITY), 0);
+});
+
+test('a quote prices children by the cottage\'s own age bands and explains them', async () => {
+    const { service } = createService({
+        [COLLECTIONS.COTTAGES]: [{
+            _id: 'hornbill',
+            name: 'Hornbill',
+            basePricePerNight: 7000,
+            maxAdults: 2,
+            maxChildren: 2,
+            isActive: true,
+            childPolicy: { infantMaxAge: 2, childRatePercent: 25 }
+        }]
+    });
+    const quote = await service.calculateBookingCost('hornbill', 'basic', day(305), day(307), { childAges: [2, 6] });
+    const { childPricing } = quote;
+
+    assert.deepEqual(childPricing.children.map(child => [child.band, child.ratePercent]), [['infant', 0], ['child', 25]]);
+    // A quarter of one adult's share (3,500 a night and 1,000 of the package)
+    assert.equal(childPricing.roomSupplement, 1750);
+    assert.equal(childPricing.packageSupplement, 250);
+    assert.deepEqual(quote.nightlyRates.map(night => night.rate), [7875, 7875]);
+    assert.equal(childPricing.rules[1], 'Children up to 2 years stay free');
+    assert.equal(childPricing.rules[2], 'Children aged 3 to 11 pay 25% of one adult\'s share');
+});
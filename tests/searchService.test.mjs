@@ -0,0 +1,63 @@
+// Cottage search across the lodge, on an InMemoryRepository
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReservationService } from 'backend/reservationService';
+import { SearchService } from 'backend/searchService';
+import { InMemoryRepository } from 'backend/dataRepository';
+import { COLLECTIONS } from 'backend/collections';
+import { addDays, startOfDay } from 'backend/dateUtils';
+
+const TODAY = startOfDay(new Date());
+
+function createSearch() {
+    const repository = new InMemoryRepository({
+        [COLLECTIONS.COTTAGES]: [
+            { _id: 'hornbill', name: 'Hornbill', basePricePerNight: 7000, maxAdults: 2, maxChildren: 1, isActive: true },
+            { _id: 'kingfisher', name: 'Kingfisher', basePricePerNight: 5000, maxAdults: 4, maxChildren: 2, isActive: true },
+            { _id: 'old-barn', name: 'Old Barn', basePricePerNight: 1000, maxAdults: 4, isActive: false }
+        ],
+        [COLLECTIONS.PACKAGES]: [{ _id: 'room', name: 'Room only', price: 0, isActive: true }]
+    });
+    const reservationService = new ReservationService({ repository });
+    return { reservationService, search: new SearchService({ repository, services: { reservationService } }) };
+}
+
+// A stay a number of days from today
+function stay(fromDay, toDay, adults = 2) {
+    return { checkInDate: addDays(TODAY, fromDay), checkOutDate: addDays(TODAY, toDay), adults };
+}
+
+test('free active cottages come first, cheapest first, with their price', async () => {
+    const { search } = createSearch();
+
+    const result = await search.searchCottages(stay(60, 62));
+
+    assert.deepEqual(result.cottages.map(entry => entry.cottage._id), ['kingfisher', 'hornbill']);
+    assert.equal(result.availableCount, 2);
+    // Two nights at 5,000 with 5% GST
+    assert.equal(result.cottages[0].totalCost, 10500);
+});
+
+test('a booked cottage is reported taken and a party too big for it does not fit', async () => {
+    const { reservationService, search } = createSearch();
+    await reservationService.createBooking({
+        cottageId: 'kingfisher',
+        packageId: 'room',
+        ...stay(61, 63),
+        customerInfo: { name: 'Asha', email: 'asha@example.com' }
+    });
+
+    const result = await search.searchCottages(stay(60, 62, 3));
+    const byId = Object.fromEntries(result.cottages.map(entry => [entry.cottage._id, entry]));
+
+    assert.equal(byId.kingfisher.isAvailable, false);
+    assert.equal(byId.kingfisher.conflictingDates.length, 1);
+    assert.equal(byId.hornbill.isAvailable, true);
+    assert.equal(byId.hornbill.fitsParty, false);
+    assert.equal(result.availableCount, 0);
+    // A day earlier is the nearest stay free in the one cottage the party fits in
+    assert.equal(result.alternatives[0].offsetDays, -1);
+    assert.deepEqual(result.alternatives[0].cottages.map(cottage => cottage.cottageId), ['kingfisher']);
+});
@@ -0,0 +1,64 @@
+// GST and fee lines on a stay
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { taxService, LINE_TYPES } from 'backend/taxService';
+import { ReservationService } from 'backend/reservationService';
+import { InMemoryRepository } from 'backend/dataRepository';
+import { COLLECTIONS } from 'backend/collections';
+
+const SAFARI_PACKAGE = { _id: 'jungle', name: 'Jungle', price: 3000, includesSafari: true, safariCount: 2, safariFee: 1500 };
+
+test('nights at the same rate share a line and every line carries its GST', () => {
+    const taxed = taxService.itemiseStay([{ rate: 5000 }, { rate: 6000 }, { rate: 5000 }], SAFARI_PACKAGE);
+
+    assert.deepEqual(taxed.lineItems.map(line => [line.type, line.quantity, line.amount, line.taxRate, line.taxAmount]), [
+        [LINE_TYPES.ROOM, 2, 10000, 5, 500],
+        [LINE_TYPES.ROOM, 1, 6000, 5, 300],
+        [LINE_TYPES.PACKAGE, 1, 3000, 18, 540],
+        [LINE_TYPES.SAFARI, 2, 3000, 18, 540]
+    ]);
+    assert.deepEqual(taxed.taxes, [
+        { rate: 5, taxableAmount: 16000, taxAmount: 800 },
+        { rate: 18, taxableAmount: 6000, taxAmount: 1080 }
+    ]);
+    assert.equal(taxed.serviceCharge, 0);
+    assert.equal(taxed.taxAmount, 1880);
+    assert.equal(taxed.totalCost, 23880);
+});
+
+test('a discount is shared before tax, so a night can fall into a lower slab', () => {
+    const taxed = taxService.itemiseStay([{ rate: 8000 }], { name: 'Basic', price: 2000 }, 1000);
+    const [room, packageLine] = taxed.lineItems;
+
+    assert.deepEqual([room.discountAmount, room.taxableAmount, room.taxRate], [800, 7200, 5]);
+    assert.deepEqual([packageLine.discountAmount, packageLine.taxableAmount, packageLine.taxRate], [200, 1800, 18]);
+    assert.equal(taxed.totalCost, 7200 + 360 + 1800 + 324);
+});
+
+test('a booking is charged the total and lines of its quote', async () => {
+    const repository = new InMemoryRepository({
+        [COLLECTIONS.COTTAGES]: [{
+            _id: 'hornbill',
+            name: 'Hornbill',
+            basePricePerNight: 7000,
+            maxAdults: 2,
+            isActive: true,
+            seasonalPricing: { weekend: { surcharge: 1000 } }
+        }],
+        [COLLECTIONS.PACKAGES]: [{ ...SAFARI_PACKAGE, isActive: true }]
+    });
+    const service = new ReservationService({ repository });
+    // Thursday to Saturday: one night in the 5% slab and one above 7,500 at 18%
+    const stay = { cottageId: 'hornbill', packageId: 'jungle', checkInDate: new Date('2027-03-04'), checkOutDate: new Date('2027-03-06') };
+
+    const quote = await service.calculateBookingCost(stay.cottageId, stay.packageId, stay.checkInDate, stay.checkOutDate);
+    const booking = await service.createBooking({ ...stay, adults: 2, customerInfo: { name: 'Asha', email: 'asha@example.com' } });
+
+    assert.deepEqual(quote.lineItems.map(line => line.taxRate), [5, 18, 18, 18]);
+    assert.equal(quote.totalCost, 7350 + 9440 + 3540 + 3540);
+    assert.equal(booking.totalCost, quote.totalCost);
+    assert.equal(booking.taxAmount, quote.taxAmount);
+    assert.deepEqual(booking.lineItems, quote.lineItems);
+});
@@ -0,0 +1,117 @@
+// Request payloads and records checked against their schemas
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertValidRequest, validateItem, REQUEST_SCHEMAS } from 'backend/validation';
+import { ReservationService } from 'backend/reservationService';
+import { InMemoryRepository } from 'backend/dataRepository';
+import { COLLECTIONS, BOOKING_STATUS, SAFARI_STATUS } from 'backend/collections';
+
+function codes(errors) {
+    return errors.map(({ field, code }) => [field, code]);
+}
+
+const GROUP_REQUEST = {
+    packageId: 'basic',
+    checkInDate: '2027-10-05',
+    checkOutDate: '2027-10-07',
+    customerInfo: { name: 'Asha', email: 'asha@example.com' }
+};
+
+test('each line of a group request is checked on its own', () => {
+    const lines = [{ cottageId: 'hornbill', adults: '2', children: '1', childAges: [6] }, null, { adults: 'two', nights: 2 }];
+
+    assert.throws(() => assertValidRequest({ ...GROUP_REQUEST, lines }, REQUEST_SCHEMAS.createGroupBooking), error => {
+        assert.equal(error.status, 400);
+        assert.deepEqual(codes(error.errors), [
+            ['lines[1]', 'INVALID_TYPE'],
+            ['lines[2].cottageId', 'REQUIRED'],
+            ['lines[2].adults', 'INVALID_TYPE'],
+            ['lines[2].nights', 'UNKNOWN_FIELD']
+        ]);
+        assert.equal(error.errors[1].message, 'lines[2].cottageId is required');
+        return true;
+    });
+});
+
+test('group lines sent as JSON may carry numeric strings', () => {
+    const payload = { ...GROUP_REQUEST, lines: [{ cottageId: 'hornbill', adults: '2' }] };
+
+    assert.equal(assertValidRequest(payload, REQUEST_SCHEMAS.createGroupBooking), payload);
+});
+
+test('a record is checked for required fields, types, allowed values and unknown fields', () => {
+    const errors = validateItem(COLLECTIONS.BOOKINGS, {
+        checkInDate: new Date('2027-10-05'),
+        checkOutDate: new Date('invalid'),
+        adults: '2',
+        status: 'Lost',
+        isAdmin: true
+    });
+
+    assert.deepEqual(codes(errors), [
+        ['totalCost', 'REQUIRED'],
+        ['checkOutDate', 'INVALID_TYPE'],
+        ['adults', 'INVALID_TYPE'],
+        ['status', 'INVALID_VALUE'],
+        ['isAdmin', 'UNKNOWN_FIELD']
+    ]);
+});
+
+test('a partial check skips required fields but not the fields it is given', () => {
+    assert.deepEqual(validateItem(COLLECTIONS.BOOKINGS, { status: BOOKING_STATUS.CONFIRMED }, { partial: true }), []);
+    assert.deepEqual(codes(validateItem(COLLECTIONS.BOOKINGS, { status: 'Lost', nights: 2 }, { partial: true })), [
+        ['status', 'INVALID_VALUE'],
+        ['nights', 'UNKNOWN_FIELD']
+    ]);
+});
+
+test('only payloads may carry dates and numbers as strings', () => {
+    const payload = { cottageId: 'hornbill', checkInDate: '2027-10-05', checkOutDate: '2027-10-07' };
+
+    assert.equal(assertValidRequest(payload, REQUEST_SCHEMAS.checkCottageAvailability), payload);
+    assert.throws(() => assertValidRequest({ ...payload, checkOutDate: 'next week' }, REQUEST_SCHEMAS.checkCottageAvailability),
+        error => error.errors[0].field === 'checkOutDate' && error.errors[0].code === 'INVALID_TYPE');
+    assert.deepEqual(codes(validateItem(COLLECTIONS.AVAILABILITY, { cottageId: 'hornbill', date: '2027-10-05', isAvailable: false })),
+        [['date', 'INVALID_TYPE']]);
+});
+
+test('updates check only the changed fields, so older records can still be changed', async () => {
+    // Booked under a safari type that has since been retired
+    const legacy = { _id: 'safari-1', bookingId: 'b1', safariDate: new Date('2027-10-05'), safariType: 'Night', status: SAFARI_STATUS.PENDING };
+    const repository = new InMemoryRepository({ [COLLECTIONS.SAFARI_BOOKINGS]: [legacy] });
+    const service = new ReservationService({ repository });
+
+    const updated = await service.updateItem(COLLECTIONS.SAFARI_BOOKINGS, legacy, { status: SAFARI_STATUS.CONFIRMED });
+    assert.equal(updated.status, SAFARI_STATUS.CONFIRMED);
+
+    assert.throws(() => service.updateItem(COLLECTIONS.SAFARI_BOOKINGS, updated, { status: 'Lost', seats: 4 }), error => {
+        assert.equal(error.code, 'VALIDATION_ERROR');
+        assert.deepEqual(codes(error.errors), [['status', 'INVALID_VALUE'], ['seats', 'UNKNOWN_FIELD']]);
+        return true;
+    });
+    assert.equal((await repository.get(COLLECTIONS.SAFARI_BOOKINGS, 'safari-1')).status, SAFARI_STATUS.CONFIRMED);
+});
+
+test('a booking with an unknown field or a bad date is not stored', async () => {
+    const repository = new InMemoryRepository({
+        [COLLECTIONS.COTTAGES]: [{ _id: 'hornbill', name: 'Hornbill', basePricePerNight: 7000, maxAdults: 2, isActive: true }],
+        [COLLECTIONS.PACKAGES]: [{ _id: 'basic', name: 'Basic', price: 2000, isActive: true }]
+    });
+    const service = new ReservationService({ repository });
+    const booking = {
+        cottageId: 'hornbill',
+        packageId: 'basic',
+        checkInDate: new Date('2027-10-05'),
+        checkOutDate: new Date('2027-10-07'),
+        adults: 2,
+        customerInfo: { name: 'Asha', email: 'asha@example.com' }
+    };
+
+    await assert.rejects(service.createBooking({ ...booking, isAdmin: true }),
+        error => error.status === 400 && codes(error.errors).some(([field, code]) => field === 'isAdmin' && code === 'UNKNOWN_FIELD'));
+    await assert.rejects(service.createBooking({ ...booking, checkOutDate: new Date('invalid') }),
+        error => codes(error.errors).some(([field, code]) => field === 'checkOutDate' && code === 'INVALID_TYPE'));
+    assert.equal(await repository.query(COLLECTIONS.BOOKINGS).count(), 0);
+});
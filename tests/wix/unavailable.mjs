@@ -0,0 +1,9 @@
+// Stand-in for Wix APIs in the local tests
+// The tests run the services on an InMemoryRepository, so reaching a Wix API
+// means something still bypasses the repository.
+
+export function unavailable(name) {
+    return () => {
+        throw new Error(`${name} is not available in local tests`);
+    };
+}
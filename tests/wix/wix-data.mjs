@@ -0,0 +1,12 @@
+import { unavailable } from './unavailable.mjs';
+
+export default {
+    get: unavailable('wixData.get'),
+    insert: unavailable('wixData.insert'),
+    update: unavailable('wixData.update'),
+    remove: unavailable('wixData.remove'),
+    bulkInsert: unavailable('wixData.bulkInsert'),
+    bulkUpdate: unavailable('wixData.bulkUpdate'),
+    bulkRemove: unavailable('wixData.bulkRemove'),
+    query: unavailable('wixData.query')
+};
@@ -0,0 +1,3 @@
+import { unavailable } from './unavailable.mjs';
+
+export const fetch = unavailable('fetch');
@@ -0,0 +1,5 @@
+import { unavailable } from './unavailable.mjs';
+
+export const ok = unavailable('ok');
+export const badRequest = unavailable('badRequest');
+export const serverError = unavailable('serverError');
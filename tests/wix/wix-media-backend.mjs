@@ -0,0 +1,6 @@
+import { unavailable } from './unavailable.mjs';
+
+export const mediaManager = {
+    upload: unavailable('mediaManager.upload'),
+    getDownloadUrl: unavailable('mediaManager.getDownloadUrl')
+};
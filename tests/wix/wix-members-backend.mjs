@@ -0,0 +1,6 @@
+import { unavailable } from './unavailable.mjs';
+
+export const currentMember = {
+    getMember: unavailable('currentMember.getMember'),
+    getRoles: unavailable('currentMember.getRoles')
+};
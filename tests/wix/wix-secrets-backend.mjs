@@ -0,0 +1,12 @@
+// Only the secrets a test sets with setSecrets exist locally: code that reads
+// any other falls back to its default
+const secrets = {};
+
+export function setSecrets(values) {
+    Object.assign(secrets, values);
+}
+
+export async function getSecret(name) {
+    if (name in secrets) return secrets[name];
+    throw new Error(`Secret ${name} is not set in local tests`);
+}